@@ -0,0 +1,18 @@
+-- Responsive image renditions
+-- Every uploaded image now gets thumbnail/small/medium/large renditions in JPEG, WebP and AVIF.
+-- The renditions column holds { "<size>": { "width", "height", "jpeg", "webp", "avif" } }.
+
+ALTER TABLE portfolio_project_images
+  ADD COLUMN IF NOT EXISTS width INTEGER,
+  ADD COLUMN IF NOT EXISTS height INTEGER,
+  ADD COLUMN IF NOT EXISTS renditions JSONB;
+
+ALTER TABLE homepage_elements
+  ADD COLUMN IF NOT EXISTS media_width INTEGER,
+  ADD COLUMN IF NOT EXISTS media_height INTEGER,
+  ADD COLUMN IF NOT EXISTS media_renditions JSONB;
+
+ALTER TABLE team_members
+  ADD COLUMN IF NOT EXISTS photo_width INTEGER,
+  ADD COLUMN IF NOT EXISTS photo_height INTEGER,
+  ADD COLUMN IF NOT EXISTS photo_renditions JSONB;
@@ -0,0 +1,13 @@
+-- Video probing and poster frames
+-- Uploads now record the probed resolution/codec and the extracted poster frames.
+-- video_posters holds [{ "time", "width", "height", "jpeg", "webp" }].
+
+ALTER TABLE portfolio_project_videos
+  ADD COLUMN IF NOT EXISTS video_width INTEGER,
+  ADD COLUMN IF NOT EXISTS video_height INTEGER,
+  ADD COLUMN IF NOT EXISTS video_codec VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS video_posters JSONB;
+
+ALTER TABLE homepage_elements
+  ADD COLUMN IF NOT EXISTS video_codec VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS video_posters JSONB;
@@ -0,0 +1,11 @@
+-- HLS adaptive streaming
+-- When an upload is sent with hls=true the video is also transcoded into a 360p/720p/1080p ladder.
+-- video_hls_url points at the master playlist; the MP4 in video_url/media_url remains the fallback.
+
+ALTER TABLE portfolio_project_videos
+  ADD COLUMN IF NOT EXISTS video_hls_url TEXT,
+  ADD COLUMN IF NOT EXISTS video_hls_variants JSONB;
+
+ALTER TABLE homepage_elements
+  ADD COLUMN IF NOT EXISTS video_hls_url TEXT,
+  ADD COLUMN IF NOT EXISTS video_hls_variants JSONB;
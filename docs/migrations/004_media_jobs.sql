@@ -0,0 +1,26 @@
+-- Background media processing queue
+-- Uploads are staged in S3 and processed by the in-process worker (src/services/jobQueueService.js).
+
+CREATE TABLE IF NOT EXISTS media_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type VARCHAR(50) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'processing', 'completed', 'failed')),
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  result JSONB,
+  progress INTEGER NOT NULL DEFAULT 0,
+  message TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMPTZ,
+  locked_by VARCHAR(255),
+  last_error TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_jobs_status_run_at ON media_jobs (status, run_at);
+CREATE INDEX IF NOT EXISTS idx_media_jobs_created_at ON media_jobs (created_at DESC);
@@ -0,0 +1,26 @@
+-- Resumable (S3 multipart) uploads for large media files
+-- Parts are tracked by S3 itself (ListParts); this table only records the session.
+
+CREATE TABLE IF NOT EXISTS upload_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  target VARCHAR(50) NOT NULL,
+  target_id UUID,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  filename VARCHAR(500) NOT NULL,
+  mimetype VARCHAR(100) NOT NULL,
+  total_size BIGINT NOT NULL,
+  part_size INTEGER NOT NULL,
+  total_parts INTEGER NOT NULL,
+  storage_key VARCHAR(500) NOT NULL,
+  storage_upload_id VARCHAR(1024) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'completing', 'completed', 'aborted')),
+  job_id UUID REFERENCES media_jobs(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_status_expires ON upload_sessions (status, expires_at);
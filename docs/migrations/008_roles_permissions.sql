@@ -0,0 +1,29 @@
+-- Roles and permissions
+-- users.role keeps holding the role name; each role grants a list of permission strings
+-- (see src/config/permissions.js). '*' grants everything, 'area:*' a whole area.
+
+CREATE TABLE IF NOT EXISTS roles (
+  name VARCHAR(50) PRIMARY KEY,
+  description TEXT,
+  permissions TEXT[] NOT NULL DEFAULT '{}',
+  -- Built-in roles can't be deleted
+  is_system BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO roles (name, description, permissions, is_system) VALUES
+  ('admin', 'Full access', ARRAY['*'], TRUE),
+  ('editor', 'Manages portfolio, homepage and team content',
+    ARRAY['portfolio:read', 'portfolio:write', 'homepage:write', 'team:write', 'feedback:read', 'jobs:read'], TRUE),
+  ('assistant', 'Triages contact submissions', ARRAY['contacts:read', 'contacts:write'], TRUE),
+  ('client', 'Registered client account', ARRAY[]::TEXT[], TRUE)
+ON CONFLICT (name) DO NOTHING;
+
+-- users.role used to be limited to 'admin' / 'client'; it now references the roles table
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_fkey;
+ALTER TABLE users
+  ADD CONSTRAINT users_role_fkey FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users (role);
@@ -0,0 +1,63 @@
+-- Private client proofing galleries
+-- A gallery can be linked to a portfolio project (its images are imported by reference) and/or
+-- assigned to a client user. Visitors unlock it with an access code or a magic link; the assigned
+-- client sees it after logging in. Uploaded proofs are stored under private/galleries/ and only
+-- handed out as presigned URLs.
+
+CREATE TABLE IF NOT EXISTS galleries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  slug VARCHAR(120) NOT NULL UNIQUE,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  project_id UUID REFERENCES portfolio_projects(id) ON DELETE SET NULL,
+  client_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  -- bcrypt hash; NULL means the gallery can only be opened by its client or a magic link
+  access_code_hash TEXT,
+  download_access VARCHAR(20) NOT NULL DEFAULT 'none' CHECK (download_access IN ('none', 'web', 'original')),
+  expires_at TIMESTAMPTZ,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_galleries_client ON galleries (client_id);
+CREATE INDEX IF NOT EXISTS idx_galleries_project ON galleries (project_id);
+
+CREATE TABLE IF NOT EXISTS gallery_images (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  gallery_id UUID NOT NULL REFERENCES galleries(id) ON DELETE CASCADE,
+  -- Set for images imported from the linked project; their files belong to the project
+  project_image_id UUID REFERENCES portfolio_project_images(id) ON DELETE CASCADE,
+  storage_key TEXT NOT NULL,
+  filename VARCHAR(500),
+  width INTEGER,
+  height INTEGER,
+  size BIGINT,
+  renditions JSONB,
+  display_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (gallery_id, project_image_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_gallery_images_gallery ON gallery_images (gallery_id, display_order);
+
+-- Magic links: single gallery, expiring, revocable, stored as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS gallery_links (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  gallery_id UUID NOT NULL REFERENCES galleries(id) ON DELETE CASCADE,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  email VARCHAR(255),
+  expires_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_gallery_links_gallery ON gallery_links (gallery_id);
+
+-- Editors manage galleries alongside the portfolio
+UPDATE roles
+SET permissions = array_append(permissions, 'galleries:manage')
+WHERE name = 'editor' AND NOT ('galleries:manage' = ANY(permissions));
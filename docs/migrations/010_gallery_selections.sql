@@ -0,0 +1,36 @@
+-- Client favorites, comments and final selection on proofing galleries
+-- Favorites are unlimited; "selected" images are the album picks, capped by selection_limit.
+-- Submitting locks the selection until the studio reopens it.
+
+ALTER TABLE galleries
+  ADD COLUMN IF NOT EXISTS selection_limit INTEGER CHECK (selection_limit > 0),
+  ADD COLUMN IF NOT EXISTS selection_status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (selection_status IN ('open', 'submitted')),
+  ADD COLUMN IF NOT EXISTS selection_submitted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS selection_note TEXT;
+
+CREATE TABLE IF NOT EXISTS gallery_image_marks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  gallery_id UUID NOT NULL REFERENCES galleries(id) ON DELETE CASCADE,
+  image_id UUID NOT NULL REFERENCES gallery_images(id) ON DELETE CASCADE,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('favorite', 'selected')),
+  -- How the viewer got in: client, staff, code or link
+  created_via VARCHAR(20),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (image_id, kind)
+);
+
+CREATE INDEX IF NOT EXISTS idx_gallery_image_marks_gallery ON gallery_image_marks (gallery_id, kind);
+
+CREATE TABLE IF NOT EXISTS gallery_comments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  gallery_id UUID NOT NULL REFERENCES galleries(id) ON DELETE CASCADE,
+  image_id UUID NOT NULL REFERENCES gallery_images(id) ON DELETE CASCADE,
+  body TEXT NOT NULL,
+  author_name VARCHAR(100),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  is_staff BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_gallery_comments_image ON gallery_comments (image_id, created_at);
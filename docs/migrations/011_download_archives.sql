@@ -0,0 +1,20 @@
+-- Pre-built ZIP downloads of a project's or gallery's images
+-- Archives are built by the 'build-archive' job into private/archives/ and reused while their
+-- fingerprint (a hash of the archived storage keys) still matches the current image set.
+-- Without an up-to-date archive, downloads are streamed on the fly.
+
+CREATE TABLE IF NOT EXISTS download_archives (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  scope_type VARCHAR(20) NOT NULL CHECK (scope_type IN ('project', 'gallery')),
+  scope_id UUID NOT NULL,
+  size VARCHAR(20) NOT NULL CHECK (size IN ('original', 'large', 'medium', 'small')),
+  storage_key TEXT NOT NULL,
+  fingerprint CHAR(64) NOT NULL,
+  file_count INTEGER,
+  byte_size BIGINT,
+  status VARCHAR(20) NOT NULL DEFAULT 'building' CHECK (status IN ('building', 'ready', 'failed')),
+  built_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (scope_type, scope_id, size)
+);
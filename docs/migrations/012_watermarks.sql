@@ -0,0 +1,32 @@
+-- Visible watermarks on public portfolio images
+-- The site-wide settings live in a single watermark_settings row. Categories and projects can
+-- override any of its fields through a partial JSON object in their `watermark` column
+-- (NULL inherits; {"enabled": false} turns watermarking off).
+-- Public renditions are watermarked; the clean upload is kept under private/originals/.
+
+CREATE TABLE IF NOT EXISTS watermark_settings (
+  id SMALLINT PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  type VARCHAR(10) NOT NULL DEFAULT 'text' CHECK (type IN ('text', 'logo')),
+  text VARCHAR(120) NOT NULL DEFAULT '© Manish Photography',
+  -- Uploaded PNG, stored under private/watermarks/
+  logo_key TEXT,
+  position VARCHAR(20) NOT NULL DEFAULT 'bottom-right'
+    CHECK (position IN ('center', 'top-left', 'top-right', 'bottom-left', 'bottom-right', 'tile')),
+  opacity NUMERIC(3, 2) NOT NULL DEFAULT 0.5 CHECK (opacity > 0 AND opacity <= 1),
+  -- Watermark width as a fraction of the image width
+  scale NUMERIC(3, 2) NOT NULL DEFAULT 0.2 CHECK (scale > 0 AND scale <= 1),
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO watermark_settings (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE portfolio_categories ADD COLUMN IF NOT EXISTS watermark JSONB;
+ALTER TABLE portfolio_projects ADD COLUMN IF NOT EXISTS watermark JSONB;
+
+-- Clean, unwatermarked upload (private); image_public_id and its renditions are the public copies
+ALTER TABLE portfolio_project_images ADD COLUMN IF NOT EXISTS original_key TEXT;
+
+-- Project images imported into a client gallery deliver the clean original when downloaded
+ALTER TABLE gallery_images ADD COLUMN IF NOT EXISTS original_key TEXT;
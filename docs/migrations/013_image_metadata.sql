@@ -0,0 +1,9 @@
+-- EXIF/IPTC metadata of portfolio images
+-- Read from the upload: camera, lens, focal length, aperture, shutter speed, ISO, capture date,
+-- copyright, creator and caption. GPS is never stored, and public files only keep the credits.
+-- Images uploaded earlier had their metadata stripped, so their column stays NULL.
+
+ALTER TABLE portfolio_project_images ADD COLUMN IF NOT EXISTS metadata JSONB;
+
+-- Camera settings are only shown publicly when the project opts in
+ALTER TABLE portfolio_projects ADD COLUMN IF NOT EXISTS show_camera_settings BOOLEAN NOT NULL DEFAULT FALSE;
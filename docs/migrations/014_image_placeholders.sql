@@ -0,0 +1,17 @@
+-- Loading placeholders for stored images
+-- Every image upload now gets { "blurhash", "lqip", "dominantColor" }: a BlurHash string,
+-- a ~16px JPEG as a base64 data URI and the dominant colour as #rrggbb.
+-- Images uploaded earlier keep a NULL placeholder.
+
+ALTER TABLE portfolio_project_images ADD COLUMN IF NOT EXISTS placeholder JSONB;
+
+-- Placeholder of the project's main image (image_url)
+ALTER TABLE portfolio_projects ADD COLUMN IF NOT EXISTS image_placeholder JSONB;
+
+ALTER TABLE portfolio_subcategories ADD COLUMN IF NOT EXISTS cover_placeholder JSONB;
+
+ALTER TABLE homepage_elements ADD COLUMN IF NOT EXISTS media_placeholder JSONB;
+
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS photo_placeholder JSONB;
+
+ALTER TABLE gallery_images ADD COLUMN IF NOT EXISTS placeholder JSONB;
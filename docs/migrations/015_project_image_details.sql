@@ -0,0 +1,20 @@
+-- Captions, alt text and ordering for project images
+-- Images are listed by display_order (then created_at); the cover is still the image whose
+-- image_public_id the project holds, now chosen with PUT /api/portfolio/:projectId/cover.
+
+ALTER TABLE portfolio_project_images
+  ADD COLUMN IF NOT EXISTS caption TEXT,
+  ADD COLUMN IF NOT EXISTS alt_text TEXT,
+  ADD COLUMN IF NOT EXISTS display_order INTEGER NOT NULL DEFAULT 0;
+
+-- Existing images keep their upload order
+UPDATE portfolio_project_images AS image
+SET display_order = ordered.position
+FROM (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY project_id ORDER BY created_at, id) - 1 AS position
+  FROM portfolio_project_images
+) AS ordered
+WHERE image.id = ordered.id;
+
+CREATE INDEX IF NOT EXISTS idx_portfolio_project_images_order
+  ON portfolio_project_images (project_id, display_order);
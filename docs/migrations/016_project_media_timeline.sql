@@ -0,0 +1,20 @@
+-- One media timeline per project
+-- Images and videos share display_order, so a project can interleave them
+-- (GET /api/portfolio/:projectId returns them together as `media`).
+-- order_index stays on videos for the video-only listings and is kept in step on reorder.
+
+ALTER TABLE portfolio_project_videos ADD COLUMN IF NOT EXISTS display_order INTEGER NOT NULL DEFAULT 0;
+
+-- Existing videos follow the project's images, in their current order
+UPDATE portfolio_project_videos AS video
+SET display_order = ordered.position
+FROM (
+  SELECT v.id,
+    COALESCE((SELECT MAX(i.display_order) + 1 FROM portfolio_project_images i WHERE i.project_id = v.project_id), 0)
+      + ROW_NUMBER() OVER (PARTITION BY v.project_id ORDER BY v.order_index, v.created_at, v.id) - 1 AS position
+  FROM portfolio_project_videos v
+) AS ordered
+WHERE video.id = ordered.id;
+
+CREATE INDEX IF NOT EXISTS idx_portfolio_project_videos_order
+  ON portfolio_project_videos (project_id, display_order);
@@ -0,0 +1,6 @@
+-- Storage key of each team member's photo
+-- Lets replaced and deleted photos be removed from storage, and lets the storage
+-- reconciliation (npm run storage:reconcile, POST /api/maintenance/storage/reconcile)
+-- tell them apart from orphans. Rows saved earlier fall back to the key inside photo_url.
+
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS photo_public_id TEXT;
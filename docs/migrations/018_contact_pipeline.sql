@@ -0,0 +1,46 @@
+-- Lead pipeline for contact submissions
+-- Every inquiry moves through stage: new -> contacted -> quoted -> booked (or lost), can be
+-- assigned to a staff user and given a follow-up date. The older status column
+-- (pending/resolved/waste) stays as the inbox triage flag.
+-- Staff keep internal notes per inquiry, and every stage, status and assignment change is
+-- recorded in contact_status_history.
+
+ALTER TABLE contact_submissions
+  ADD COLUMN IF NOT EXISTS stage VARCHAR(20) NOT NULL DEFAULT 'new'
+    CHECK (stage IN ('new', 'contacted', 'quoted', 'booked', 'lost')),
+  ADD COLUMN IF NOT EXISTS stage_updated_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS assigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS follow_up_at TIMESTAMPTZ;
+
+-- Inquiries already triaged: waste never became a lead, resolved ones were answered
+UPDATE contact_submissions SET stage = 'lost' WHERE status = 'waste' AND stage = 'new';
+UPDATE contact_submissions SET stage = 'contacted' WHERE status = 'resolved' AND stage = 'new';
+
+CREATE INDEX IF NOT EXISTS idx_contact_submissions_stage ON contact_submissions (stage, created_at);
+CREATE INDEX IF NOT EXISTS idx_contact_submissions_assigned ON contact_submissions (assigned_to);
+CREATE INDEX IF NOT EXISTS idx_contact_submissions_follow_up ON contact_submissions (follow_up_at)
+  WHERE follow_up_at IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS contact_notes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  contact_id UUID NOT NULL REFERENCES contact_submissions(id) ON DELETE CASCADE,
+  body TEXT NOT NULL,
+  author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_notes_contact ON contact_notes (contact_id, created_at);
+
+CREATE TABLE IF NOT EXISTS contact_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  contact_id UUID NOT NULL REFERENCES contact_submissions(id) ON DELETE CASCADE,
+  field VARCHAR(20) NOT NULL CHECK (field IN ('stage', 'status', 'assigned_to')),
+  from_value TEXT,
+  to_value TEXT,
+  -- Optional reason given with the change (e.g. why a lead was lost)
+  note TEXT,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_status_history_contact ON contact_status_history (contact_id, created_at);
@@ -0,0 +1,29 @@
+-- Delivery log for outgoing notifications
+-- Each notification (e.g. the new-inquiry alert and the enquirer's auto-reply) gets a row
+-- and is sent by a 'send-notification' job, so failed sends are retried with backoff.
+-- data is the template data captured when the notification was queued, so a retry
+-- sends the same message even if the source row changed since.
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  channel VARCHAR(20) NOT NULL DEFAULT 'email' CHECK (channel IN ('email')),
+  template VARCHAR(100) NOT NULL,
+  recipient VARCHAR(255) NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}'::jsonb,
+  reply_to VARCHAR(255),
+  -- What the notification is about, e.g. ('contact', <contact_submissions.id>)
+  related_type VARCHAR(50),
+  related_id UUID,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'retrying', 'sent', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  message_id TEXT,
+  job_id UUID REFERENCES media_jobs(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_related ON notification_deliveries (related_type, related_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_status ON notification_deliveries (status, created_at);
@@ -0,0 +1,15 @@
+-- Spam protection for the public contact form
+-- Each submission records where it came from (used for the per-IP rate limit) and the
+-- content score from src/utils/spamScore.js. Submissions at or above CONTACT_SPAM_THRESHOLD
+-- are stored with status 'waste' and stage 'lost', and trigger no notifications.
+-- spam_reasons: [{ "reason": "2 link(s) in message", "points": 4 }, ...]
+
+ALTER TABLE contact_submissions
+  ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45),
+  ADD COLUMN IF NOT EXISTS user_agent TEXT,
+  ADD COLUMN IF NOT EXISTS spam_score SMALLINT,
+  ADD COLUMN IF NOT EXISTS spam_reasons JSONB;
+
+-- Rate limits and the repeated-message check look up recent submissions by IP and email
+CREATE INDEX IF NOT EXISTS idx_contact_submissions_ip ON contact_submissions (ip_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_contact_submissions_email ON contact_submissions (email, created_at);
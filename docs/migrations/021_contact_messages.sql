@@ -0,0 +1,31 @@
+-- Email conversation on contact submissions
+-- Replies sent with POST /api/contact/admin/:contactId/reply are stored as outbound messages
+-- (sent through the notification queue, see 019) and client answers received by
+-- POST /api/contact/inbound as inbound messages. message_id / in_reply_to are the RFC 5322
+-- Message-ID headers used to keep the conversation threaded in mail clients and to match
+-- incoming replies to their inquiry.
+
+CREATE TABLE IF NOT EXISTS contact_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  contact_id UUID NOT NULL REFERENCES contact_submissions(id) ON DELETE CASCADE,
+  direction VARCHAR(10) NOT NULL CHECK (direction IN ('outbound', 'inbound')),
+  from_email VARCHAR(255),
+  to_email VARCHAR(255),
+  subject VARCHAR(500),
+  body_text TEXT,
+  body_html TEXT,
+  message_id VARCHAR(500) UNIQUE,
+  in_reply_to VARCHAR(500),
+  -- Outbound only: who replied and the delivery that sends it
+  sent_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  delivery_id UUID REFERENCES notification_deliveries(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_messages_contact ON contact_messages (contact_id, created_at);
+
+-- Extra nodemailer fields for a delivery (messageId, inReplyTo, references)
+ALTER TABLE notification_deliveries ADD COLUMN IF NOT EXISTS mail_options JSONB;
+
+-- Incoming replies to the auto-reply are matched through the Message-ID it was sent with
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_message_id ON notification_deliveries (message_id);
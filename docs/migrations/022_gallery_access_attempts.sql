@@ -0,0 +1,14 @@
+-- Failed gallery unlock attempts (wrong access code or bad link token)
+-- requestAccess counts recent rows per IP and per gallery and answers 429 once either
+-- limit is reached, so access codes can't be brute-forced. Rows older than a day are
+-- pruned as new ones are recorded.
+
+CREATE TABLE IF NOT EXISTS gallery_access_attempts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  gallery_id UUID NOT NULL REFERENCES galleries(id) ON DELETE CASCADE,
+  ip_address VARCHAR(45),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_gallery_access_attempts_gallery ON gallery_access_attempts (gallery_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_gallery_access_attempts_ip ON gallery_access_attempts (ip_address, created_at);
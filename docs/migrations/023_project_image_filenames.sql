@@ -0,0 +1,7 @@
+-- Original upload filename of project images
+-- Copied to gallery_images.filename when a gallery imports its project's images, so the
+-- client's final selection (CSV) and downloads use the names the photographer uploaded.
+-- Images uploaded before this migration keep a NULL name and fall back to their storage key.
+
+ALTER TABLE portfolio_project_images
+  ADD COLUMN IF NOT EXISTS original_filename VARCHAR(255);
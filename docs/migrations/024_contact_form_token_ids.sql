@@ -0,0 +1,10 @@
+-- Single-use contact form tokens
+-- Form tokens (GET /api/contact/form-token) carry an id that is stored with the submission
+-- it was used for; a submission reusing the id is answered as usual but not stored.
+
+ALTER TABLE contact_submissions
+  ADD COLUMN IF NOT EXISTS form_token_id UUID;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contact_submissions_form_token
+  ON contact_submissions (form_token_id)
+  WHERE form_token_id IS NOT NULL;
@@ -0,0 +1,148 @@
+// Verify that routers built with protectRouter() enforce config/routePermissions.js
+//
+// For every registered route this checks that:
+//   - the route is declared in the permission map (and every map entry is a real route)
+//   - its middleware chain starts with the auth middleware for its access level or permission
+//   - no mutating route is public and every /admin route needs a permission
+//   - an anonymous request to any non-public route is rejected with 401 before reaching the handler
+//
+// test/routePermissions.test.js (npm test) checks the roles themselves: 403 without the permission,
+// through with it.
+//
+// Usage: node scripts/check-route-permissions.js   (exits non-zero on failure)
+require('dotenv').config();
+const express = require('express');
+const { ACCESS_LEVELS, getAccessChain } = require('../src/middlewares/routePermissions');
+
+const ROUTERS = {
+  '/api/portfolio': require('../src/routes/portfolio'),
+  '/api/galleries': require('../src/routes/galleries')
+};
+
+// Public routes that legitimately accept writes (e.g. exchanging a code for an access token)
+const PUBLIC_MUTATIONS = new Set([
+  '/api/galleries POST /:slug/access',
+  // Gallery viewers act through an access code or magic link, checked by the gallery service
+  '/api/galleries PUT /:slug/images/:imageId/favorite',
+  '/api/galleries DELETE /:slug/images/:imageId/favorite',
+  '/api/galleries PUT /:slug/images/:imageId/select',
+  '/api/galleries DELETE /:slug/images/:imageId/select',
+  '/api/galleries POST /:slug/images/:imageId/comments',
+  '/api/galleries POST /:slug/selection/submit'
+]);
+
+const failures = [];
+const fail = (message) => failures.push(message);
+
+// Collect { method, path, handles } for every route on a router
+function listRoutes(router) {
+  return router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+      method: method.toUpperCase(),
+      path: layer.route.path,
+      handles: layer.route.stack.map(routeLayer => routeLayer.handle)
+    })));
+}
+
+// Access levels use shared middleware; permission checks are created per route, so compare what they require
+function chainMatches(access, handles) {
+  const expected = getAccessChain(access);
+
+  return expected.every((handle, i) => {
+    const actual = handles[i];
+    if (!actual) return false;
+    if (handle.permissions) {
+      return Array.isArray(actual.permissions) && actual.permissions.includes(access);
+    }
+    return actual === handle;
+  });
+}
+
+function checkDeclarations(mountPath, router) {
+  const permissions = router.permissions || {};
+  const routes = listRoutes(router);
+  const registered = new Set();
+
+  routes.forEach(({ method, path, handles }) => {
+    const routeKey = `${method} ${path}`;
+    const access = permissions[routeKey];
+    registered.add(routeKey);
+
+    if (!access) {
+      return fail(`${mountPath} ${routeKey}: missing from the permission map`);
+    }
+
+    if (!getAccessChain(access)) {
+      return fail(`${mountPath} ${routeKey}: unknown access level or permission '${access}'`);
+    }
+
+    if (!chainMatches(access, handles)) {
+      fail(`${mountPath} ${routeKey}: middleware chain does not start with the '${access}' checks`);
+    }
+
+    if (access === 'public' && method !== 'GET' && !PUBLIC_MUTATIONS.has(`${mountPath} ${routeKey}`)) {
+      fail(`${mountPath} ${routeKey}: mutating route is public`);
+    }
+    if (ACCESS_LEVELS[access] && path.startsWith('/admin')) {
+      fail(`${mountPath} ${routeKey}: /admin route is '${access}'`);
+    }
+
+    console.log(`  ${access.padEnd(17)} ${method.padEnd(6)} ${mountPath}${path === '/' ? '' : path}`);
+  });
+
+  Object.keys(permissions)
+    .filter(routeKey => !registered.has(routeKey))
+    .forEach(routeKey => fail(`${mountPath} ${routeKey}: in the permission map but not registered`));
+
+  return routes.filter(({ method, path }) => permissions[`${method} ${path}`] !== 'public');
+}
+
+// Anonymous requests to protected routes must be rejected before any handler runs
+async function checkAnonymousRequests(mountPath, router, protectedRoutes) {
+  const app = express();
+  app.use(mountPath, router);
+  app.use((err, req, res, next) => res.status(500).json({ error: err.message }));
+
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}${mountPath}`;
+
+  try {
+    for (const { method, path } of protectedRoutes) {
+      const url = baseUrl + path.replace(/:\w+/g, '00000000-0000-0000-0000-000000000000');
+
+      for (const headers of [{}, { Authorization: 'Bearer not-a-valid-token' }]) {
+        const response = await fetch(url, { method, headers });
+        if (response.status !== 401) {
+          fail(`${method} ${mountPath}${path}: expected 401 for ${headers.Authorization ? 'an invalid token' : 'no token'}, got ${response.status}`);
+        }
+      }
+    }
+  } finally {
+    server.close();
+  }
+}
+
+async function main() {
+  for (const [mountPath, router] of Object.entries(ROUTERS)) {
+    console.log(`🔐 ${mountPath}`);
+    const protectedRoutes = checkDeclarations(mountPath, router);
+    await checkAnonymousRequests(mountPath, router, protectedRoutes);
+  }
+
+  if (failures.length > 0) {
+    console.error(`\n❌ ${failures.length} route permission problem(s):`);
+    failures.forEach(message => console.error(`  - ${message}`));
+    process.exit(1);
+  }
+
+  console.log('\n✅ All routes match the permission map');
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('❌ Route permission check failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+// Create an admin account from the command line (first-time setup or additional admins)
+//
+// Usage:
+//   node scripts/create-admin.js --name "Manish Bose" --email admin@example.com --phone 9876543210 --password '...'
+//   node scripts/create-admin.js ... --force   # add another admin when one already exists
+require('dotenv').config();
+const userService = require('../src/services/userService');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const [key, inlineValue] = argv[i].slice(2).split('=');
+    if (inlineValue !== undefined) {
+      args[key] = inlineValue;
+    } else if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+      args[key] = argv[++i];
+    } else {
+      args[key] = true;
+    }
+  }
+  return args;
+}
+
+async function createAdmin() {
+  const args = parseArgs(process.argv.slice(2));
+  const { name, email, phone, password } = args;
+
+  if (!name || !email || !phone || !password) {
+    console.error('❌ Usage: node scripts/create-admin.js --name <name> --email <email> --phone <phone> --password <password> [--force]');
+    process.exit(1);
+  }
+
+  if (password.length < 6) {
+    console.error('❌ Password must be at least 6 characters');
+    process.exit(1);
+  }
+
+  try {
+    if (await userService.hasAdmin() && !args.force) {
+      console.error('❌ An admin account already exists. Re-run with --force to add another admin.');
+      process.exit(1);
+    }
+
+    const admin = await userService.createAdmin({ name, email, phone, password });
+    console.log(`✅ Admin created: ${admin.name} <${admin.email}> (${admin.id})`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to create admin:', error.message);
+    process.exit(1);
+  }
+}
+
+createAdmin();
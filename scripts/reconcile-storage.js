@@ -0,0 +1,53 @@
+// Find stored files that no database row refers to (and optionally delete them)
+//
+// Usage:
+//   node scripts/reconcile-storage.js                       # dry run: list orphans only
+//   node scripts/reconcile-storage.js --delete              # delete the orphans found
+//   node scripts/reconcile-storage.js --min-age-hours 72    # ignore anything newer than 72h (default 24)
+require('dotenv').config();
+const storageCleanupService = require('../src/services/storageCleanupService');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const [key, inlineValue] = argv[i].slice(2).split('=');
+    if (inlineValue !== undefined) {
+      args[key] = inlineValue;
+    } else if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+      args[key] = argv[++i];
+    } else {
+      args[key] = true;
+    }
+  }
+  return args;
+}
+
+const formatBytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+async function reconcileStorage() {
+  const args = parseArgs(process.argv.slice(2));
+  const minAgeHours = args['min-age-hours'] !== undefined ? Number(args['min-age-hours']) : 24;
+
+  if (!Number.isFinite(minAgeHours) || minAgeHours < 1) {
+    console.error('❌ Usage: node scripts/reconcile-storage.js [--delete] [--min-age-hours <hours, at least 1>]');
+    process.exit(1);
+  }
+
+  try {
+    const report = await storageCleanupService.reconcile({ dryRun: !args.delete, minAgeHours });
+
+    report.orphans.forEach(object => console.log(`  ${object.key} (${formatBytes(object.size || 0)})`));
+    console.log(`📦 Scanned ${report.scanned} objects, skipped ${report.skipped} (staging, placeholders or newer than ${minAgeHours}h)`);
+    console.log(`🔍 ${report.orphans.length} orphaned objects, ${formatBytes(report.orphanBytes)}`);
+    console.log(report.dryRun
+      ? 'ℹ️ Dry run: nothing was deleted. Re-run with --delete to remove them.'
+      : `✅ Deleted ${report.deleted} orphaned objects`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+}
+
+reconcileStorage();
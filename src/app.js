@@ -4,10 +4,19 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
+const storage = require('./services/storage');
+const storageConfig = require('./config/storage');
 
 const app = express();
 const server = createServer(app);
 
+// Behind a load balancer req.ip must come from X-Forwarded-For (rate limits and audit logs use it).
+// TRUST_PROXY takes Express's 'trust proxy' values: a hop count, 'loopback', an IP list or 'true'.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Socket.IO setup
 const io = new Server(server, {
   cors: {
@@ -16,9 +25,6 @@ const io = new Server(server, {
   }
 });
 
-// Store active uploads
-const activeUploads = new Map();
-
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
@@ -46,7 +52,6 @@ io.on('connection', (socket) => {
 
 // Make io available globally
 global.io = io;
-global.activeUploads = activeUploads;
 
 // Add error handling for route loading
 let errorHandler;
@@ -81,10 +86,17 @@ const corsOptions = {
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Gallery-Token'],
   optionsSuccessStatus: 200
 };
 
+// Media stored on disk (STORAGE_DRIVER=local) is served by the API itself.
+// Mounted ahead of the body parsers so presigned PUT uploads receive the raw stream.
+if (storage.name === 'local') {
+  app.use(storageConfig.local.urlPath, storage.createStaticHandler());
+  app.use('/api/storage', cors(corsOptions), storage.createSignedUrlHandler());
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -92,7 +104,8 @@ app.use(helmet());
 app.use(cors(corsOptions));
 app.use(morgan('dev'));
 
-// Increase timeout for all requests to 30 minutes (1800000 ms) for large video uploads
+// Increase timeout for all requests to 30 minutes (1800000 ms) so large video uploads can finish
+// transferring; compression and transcoding run afterwards in the media job queue
 app.use((req, res, next) => {
   res.setTimeout(1800000, () => {
     console.log('Request has timed out.');
@@ -117,6 +130,13 @@ app.use('/api/contact', contactRoutes);
 app.use('/api/instagram', instagramRoutes);
 app.use('/api/homepage', homepageRoutes);
 app.use('/api/team', require('./routes/team'));
+app.use('/api/jobs', require('./routes/jobs'));
+app.use('/api/users', require('./routes/users'));
+app.use('/api/roles', require('./routes/roles'));
+app.use('/api/galleries', require('./routes/galleries'));
+app.use('/api/downloads', require('./routes/downloads'));
+app.use('/api/watermark', require('./routes/watermark'));
+app.use('/api/maintenance', require('./routes/maintenance'));
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
@@ -1,10 +1,9 @@
 const supabase = require('./supabase');
-const { s3, bucketName } = require('./s3');
+const storage = require('./storage');
 const jwt = require('./jwt');
  
 module.exports = {
   supabase,
-  s3,
-  bucketName,
+  storage,
   jwt,
-}; 
\ No newline at end of file
+}; 
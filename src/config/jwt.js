@@ -1,5 +1,7 @@
 const jwtSecret = process.env.JWT_SECRET || 'dev_secret_key_change_in_production';
-const jwtExpiresIn = process.env.JWT_EXPIRES_IN || '1d';
+// Access tokens are short-lived; clients renew them with a refresh token
+const jwtExpiresIn = process.env.JWT_EXPIRES_IN || '15m';
+const refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
 
 // Only throw error in production
 if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
@@ -9,4 +11,5 @@ if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
 module.exports = {
   secret: jwtSecret,
   expiresIn: jwtExpiresIn,
+  refreshTokenTtlDays,
 }; 
\ No newline at end of file
@@ -0,0 +1,49 @@
+const path = require('path');
+const storageConfig = require('./storage');
+
+// Mail transport: smtp (default when SMTP_HOST is set), file (writes .eml files) or console
+const MAIL_TRANSPORTS = ['smtp', 'file', 'console'];
+const transport = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+if (!MAIL_TRANSPORTS.includes(transport)) {
+  throw new Error(`Unknown MAIL_TRANSPORT '${transport}' (expected one of: ${MAIL_TRANSPORTS.join(', ')})`);
+}
+
+if (transport === 'smtp' && !process.env.SMTP_HOST) {
+  throw new Error('Missing SMTP_HOST for smtp mail transport');
+}
+
+// The file transport's outbox holds reset and verification links; the local storage root is
+// served publicly (and swept by the storage reconcile job), so the outbox must live elsewhere
+const fileDir = path.resolve(process.env.MAIL_FILE_DIR || 'tmp/mail');
+const storageRoot = storageConfig.local.root;
+if (fileDir === storageRoot || fileDir.startsWith(storageRoot + path.sep)) {
+  throw new Error(`MAIL_FILE_DIR must be outside the local storage root (${storageRoot})`);
+}
+
+module.exports = {
+  transport,
+  from: process.env.MAIL_FROM || 'Manish Photography <no-reply@manishbosephotography.com>',
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  },
+  fileDir,
+  // Who gets new-inquiry alerts (comma-separated); falls back to ADMIN_EMAIL
+  contactNotifyTo: (process.env.CONTACT_NOTIFY_EMAILS || process.env.ADMIN_EMAIL || '')
+    .split(',')
+    .map(email => email.trim())
+    .filter(Boolean),
+  contactAutoReply: process.env.CONTACT_AUTO_REPLY !== 'false',
+  // Replies to admin answers go here, tagged with the inquiry (replies+<contactId>@...); unset uses MAIL_FROM
+  contactReplyAddress: process.env.CONTACT_REPLY_ADDRESS || null,
+  // Shared secret for POST /api/contact/inbound; the endpoint is disabled without it
+  inboundSecret: process.env.CONTACT_INBOUND_SECRET || null,
+  // Send attempts per notification before it is marked failed (retried with backoff by the job queue)
+  notificationMaxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5,
+  // Frontend base URL used to build links in emails
+  appUrl: (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '')
+};
@@ -0,0 +1,59 @@
+// Permission strings checked by requirePermission() (see middlewares/auth.js).
+// Roles in the roles table grant a list of these; '*' grants everything and
+// 'area:*' grants every permission in an area (e.g. 'contacts:*').
+const PERMISSIONS = {
+  'portfolio:read': 'View unpublished projects and portfolio statistics',
+  'portfolio:write': 'Create, edit and delete projects, categories, media and packages',
+  'homepage:write': 'Manage homepage elements and their media',
+  'team:write': 'Manage team members',
+  'galleries:manage': 'Create private client galleries, upload proofs and send access links',
+  'contacts:read': 'View and search contact submissions',
+  'contacts:write': 'Triage contact submissions and work the lead pipeline (stages, assignment, notes)',
+  'feedback:read': 'View all feedback, including hidden and low-rated feedback',
+  'feedback:moderate': 'Edit, moderate and delete feedback',
+  'instagram:manage': 'View Instagram insights and refresh the access token',
+  'jobs:read': 'View media processing jobs',
+  'jobs:write': 'Retry media processing jobs',
+  'storage:manage': 'Scan storage for orphaned files and delete them',
+  'users:manage': 'List users, assign roles and edit role permissions'
+};
+
+// Roles seeded by docs/migrations/008_roles_permissions.sql.
+// Also used as a fallback when the roles table can't be read, so admins are never locked out.
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Full access',
+    permissions: ['*']
+  },
+  editor: {
+    description: 'Manages portfolio, homepage and team content',
+    permissions: [
+      'portfolio:read',
+      'portfolio:write',
+      'homepage:write',
+      'team:write',
+      'galleries:manage',
+      'feedback:read',
+      'jobs:read'
+    ]
+  },
+  assistant: {
+    description: 'Triages contact submissions',
+    permissions: ['contacts:read', 'contacts:write']
+  },
+  client: {
+    description: 'Registered client account',
+    permissions: []
+  }
+};
+
+const isKnownPermission = (permission) =>
+  permission === '*' ||
+  Boolean(PERMISSIONS[permission]) ||
+  (permission.endsWith(':*') && Object.keys(PERMISSIONS).some(name => name.startsWith(permission.slice(0, -1))));
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  isKnownPermission
+};
@@ -0,0 +1,113 @@
+// Access required by each route, keyed by 'METHOD /path' as registered on the router.
+// Either an access level (public, authenticated, client) or a permission string from
+// config/permissions.js (see middlewares/routePermissions.js).
+// Routers wrapped with protectRouter() refuse to register a route that is missing here.
+
+const portfolio = {
+  // Public catalogue
+  'GET /featured': 'public',
+  'GET /published': 'public',
+  'GET /categories': 'public',
+  'GET /categories/with-projects': 'public',
+  'GET /categories/all': 'public',
+  'GET /categories/with-projects-all': 'public',
+  'GET /cat/all': 'public',
+  'GET /categories/:subcategorySlug': 'public',
+  'GET /categories/:categorySlug/:subcategorySlug': 'public',
+  'GET /search': 'public',
+  'GET /tags': 'public',
+  'GET /project/:projectId': 'public',
+  'GET /:projectId': 'public',
+  'GET /:projectId/videos': 'public',
+
+  // Packages
+  'GET /packages': 'public',
+  'GET /packages/:id': 'public',
+  'POST /packages': 'portfolio:write',
+  'PUT /packages/:id': 'portfolio:write',
+  'DELETE /packages/:id': 'portfolio:write',
+
+  // Admin dashboards
+  'GET /admin/all': 'portfolio:read',
+  'GET /admin/stats': 'portfolio:read',
+
+  // Categories and subcategories
+  'POST /categories': 'portfolio:write',
+  'PUT /categories/:categoryId': 'portfolio:write',
+  'PUT /categories/:categoryId/watermark': 'portfolio:write',
+  'DELETE /category/:slug': 'portfolio:write',
+  'POST /subcategories': 'portfolio:write',
+  'PUT /subcategories/:subcategoryId': 'portfolio:write',
+  'DELETE /subcategories/:subcategoryId': 'portfolio:write',
+
+  // Projects
+  'POST /': 'portfolio:write',
+  'POST /with-media': 'portfolio:write',
+  'PUT /:projectId': 'portfolio:write',
+  'PATCH /:projectId/publish': 'portfolio:write',
+  'PATCH /:projectId/camera-settings': 'portfolio:write',
+  'DELETE /project/:projectId': 'portfolio:write',
+  'POST /:projectId/images': 'portfolio:write',
+  'PUT /:projectId/images/reorder': 'portfolio:write',
+  'PUT /:projectId/images/:imageId': 'portfolio:write',
+  'DELETE /:projectId/images/:imageId': 'portfolio:write',
+  'PUT /:projectId/cover': 'portfolio:write',
+  'PUT /:projectId/media/reorder': 'portfolio:write',
+  'PUT /:projectId/watermark': 'portfolio:write',
+
+  // Project ZIP downloads
+  'GET /:projectId/archive': 'portfolio:read',
+  'GET /:projectId/archives': 'portfolio:read',
+  'POST /:projectId/archives': 'portfolio:write',
+
+  // Project videos
+  'POST /:projectId/videos': 'portfolio:write',
+  'PUT /videos/:videoId': 'portfolio:write',
+  'DELETE /videos/:videoId': 'portfolio:write',
+  'PUT /:projectId/videos/reorder': 'portfolio:write',
+  'POST /:projectId/videos/bulk': 'portfolio:write',
+  'POST /:projectId/videos/uploads': 'portfolio:write',
+  'GET /:projectId/videos/uploads/:sessionId': 'portfolio:write',
+  'PUT /:projectId/videos/uploads/:sessionId/parts/:partNumber': 'portfolio:write',
+  'POST /:projectId/videos/uploads/:sessionId/complete': 'portfolio:write',
+  'DELETE /:projectId/videos/uploads/:sessionId': 'portfolio:write'
+};
+
+const galleries = {
+  // Viewing checks the client account, staff permission or gallery access token itself
+  'GET /': 'client',
+  'POST /:slug/access': 'public',
+  'GET /:slug': 'public',
+  'GET /:slug/images/:imageId/download': 'public',
+  'GET /:slug/archive': 'public',
+  'PUT /:slug/images/:imageId/favorite': 'public',
+  'DELETE /:slug/images/:imageId/favorite': 'public',
+  'PUT /:slug/images/:imageId/select': 'public',
+  'DELETE /:slug/images/:imageId/select': 'public',
+  'GET /:slug/images/:imageId/comments': 'public',
+  'POST /:slug/images/:imageId/comments': 'public',
+  'POST /:slug/selection/submit': 'public',
+
+  // Staff
+  'GET /admin/all': 'galleries:manage',
+  'POST /admin': 'galleries:manage',
+  'GET /admin/:galleryId': 'galleries:manage',
+  'PUT /admin/:galleryId': 'galleries:manage',
+  'DELETE /admin/:galleryId': 'galleries:manage',
+  'POST /admin/:galleryId/images': 'galleries:manage',
+  'POST /admin/:galleryId/images/import-project': 'galleries:manage',
+  'DELETE /admin/:galleryId/images/:imageId': 'galleries:manage',
+  'GET /admin/:galleryId/links': 'galleries:manage',
+  'POST /admin/:galleryId/links': 'galleries:manage',
+  'DELETE /admin/:galleryId/links/:linkId': 'galleries:manage',
+  'GET /admin/:galleryId/selection': 'galleries:manage',
+  'DELETE /admin/:galleryId/selection': 'galleries:manage',
+  'GET /admin/projects/:projectId/selections': 'galleries:manage',
+  'GET /admin/:galleryId/archives': 'galleries:manage',
+  'POST /admin/:galleryId/archives': 'galleries:manage'
+};
+
+module.exports = {
+  portfolio,
+  galleries
+};
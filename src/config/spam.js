@@ -0,0 +1,43 @@
+// Spam protection for the public contact form (see services/contactSpamService.js)
+// CAPTCHA provider: none (default), turnstile, hcaptcha or recaptcha (v2 or v3)
+const CAPTCHA_PROVIDERS = ['none', 'turnstile', 'hcaptcha', 'recaptcha'];
+const captchaProvider = process.env.CAPTCHA_PROVIDER || 'none';
+
+if (!CAPTCHA_PROVIDERS.includes(captchaProvider)) {
+  throw new Error(`Unknown CAPTCHA_PROVIDER '${captchaProvider}' (expected one of: ${CAPTCHA_PROVIDERS.join(', ')})`);
+}
+
+if (captchaProvider !== 'none' && !process.env.CAPTCHA_SECRET) {
+  throw new Error(`Missing CAPTCHA_SECRET for the ${captchaProvider} CAPTCHA provider`);
+}
+
+const DEFAULT_BLOCKED_KEYWORDS = [
+  'seo', 'backlink', 'backlinks', 'casino', 'crypto', 'bitcoin', 'forex', 'viagra', 'cialis',
+  'loan', 'guest post', 'web traffic', 'rank your website', 'first page of google'
+];
+
+const toList = (value) => value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+module.exports = {
+  // Hidden form field that people never fill in but bots do
+  honeypotField: 'website',
+  // Form tokens from GET /api/contact/form-token; a form sent sooner than this was not filled by hand
+  minFillSeconds: parseInt(process.env.CONTACT_MIN_FILL_SECONDS) || 3,
+  formTokenTtlSeconds: 24 * 60 * 60,
+  // Without the token a submission is only scored higher, so older frontends keep working
+  requireFormToken: process.env.CONTACT_REQUIRE_FORM_TOKEN === 'true',
+  rateLimits: {
+    windowMinutes: parseInt(process.env.CONTACT_RATE_LIMIT_WINDOW_MINUTES) || 60,
+    perIp: parseInt(process.env.CONTACT_RATE_LIMIT_PER_IP) || 5,
+    perEmail: parseInt(process.env.CONTACT_RATE_LIMIT_PER_EMAIL) || 3
+  },
+  // Submissions scoring at least this are stored as waste (and get no notifications)
+  threshold: parseInt(process.env.CONTACT_SPAM_THRESHOLD) || 5,
+  blockedKeywords: process.env.CONTACT_BLOCKED_KEYWORDS ? toList(process.env.CONTACT_BLOCKED_KEYWORDS) : DEFAULT_BLOCKED_KEYWORDS,
+  captcha: {
+    provider: captchaProvider,
+    secret: process.env.CAPTCHA_SECRET,
+    // reCAPTCHA v3 only: lowest score accepted as human
+    minScore: parseFloat(process.env.CAPTCHA_MIN_SCORE) || 0.5
+  }
+};
@@ -0,0 +1,65 @@
+const path = require('path');
+const jwt = require('./jwt');
+
+// Storage backend for uploaded media:
+//   s3            - AWS S3 (default when AWS_S3_BUCKET_NAME is set)
+//   s3-compatible - MinIO, Cloudflare R2, etc. through S3_ENDPOINT
+//   local         - files on disk served by Express (default for development)
+const STORAGE_DRIVERS = ['s3', 's3-compatible', 'local'];
+
+const bucketName = process.env.AWS_S3_BUCKET_NAME || process.env.S3_BUCKET_NAME;
+const driver = process.env.STORAGE_DRIVER || (bucketName ? 's3' : 'local');
+const port = process.env.PORT || 5001;
+// Public URL of this API (local media, presigned local URLs and download links are served by it)
+const publicBaseUrl = (process.env.PUBLIC_BASE_URL || `http://localhost:${port}`).replace(/\/+$/, '');
+
+if (!STORAGE_DRIVERS.includes(driver)) {
+  throw new Error(`Unknown STORAGE_DRIVER '${driver}' (expected one of: ${STORAGE_DRIVERS.join(', ')})`);
+}
+
+if (driver !== 'local' && !bucketName) {
+  throw new Error('Missing AWS_S3_BUCKET_NAME for S3 storage (set STORAGE_DRIVER=local to store media on disk)');
+}
+
+if (driver === 's3-compatible' && !process.env.S3_ENDPOINT) {
+  throw new Error('Missing S3_ENDPOINT for s3-compatible storage');
+}
+
+// Only throw error in production
+if (process.env.NODE_ENV === 'production' && driver === 's3' && (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY)) {
+  throw new Error('Missing AWS S3 environment variables');
+}
+
+if (process.env.NODE_ENV === 'production' && !process.env.STORAGE_DRIVER && driver === 'local') {
+  throw new Error('Missing AWS S3 environment variables (set STORAGE_DRIVER=local to store media on disk in production)');
+}
+
+module.exports = {
+  driver,
+  publicBaseUrl,
+  s3: {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    region: process.env.AWS_REGION || (driver === 's3-compatible' ? 'auto' : 'us-east-1'),
+    bucketName,
+    endpoint: process.env.S3_ENDPOINT || null,
+    // MinIO needs path-style URLs; R2 and AWS accept virtual-hosted ones
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : Boolean(process.env.S3_ENDPOINT),
+    // Public base URL for objects, e.g. a CDN or an R2 public bucket domain
+    publicUrl: process.env.USE_CLOUDFLARE_CDN === 'true' && process.env.CLOUDFLARE_CDN_URL
+      ? process.env.CLOUDFLARE_CDN_URL
+      : process.env.S3_PUBLIC_URL || null
+  },
+  local: {
+    root: path.resolve(process.env.LOCAL_STORAGE_PATH || 'storage'),
+    urlPath: process.env.LOCAL_STORAGE_URL_PATH || '/media',
+    publicBaseUrl
+  },
+  // Objects under this prefix are never served publicly; they're only reachable through
+  // presigned URLs. On S3 the bucket policy must not grant public reads on it either.
+  privatePrefix: 'private',
+  // Secret used to sign presigned URLs for the local driver
+  signingSecret: process.env.STORAGE_SIGNING_SECRET || jwt.secret
+};
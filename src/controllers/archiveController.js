@@ -0,0 +1,84 @@
+const archiveService = require('../services/archiveService');
+
+const projectScope = (req) => ({ type: 'project', id: req.params.projectId });
+const galleryScope = (req) => ({ type: 'gallery', id: req.params.galleryId });
+
+const queueBuild = async (req, res, next, scope) => {
+  try {
+    const result = await archiveService.queueBuild(scope, req.body.size || 'original', req.user.id);
+
+    res.status(202).json({
+      message: 'Archive build queued',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const listArchives = async (req, res, next, scope) => {
+  try {
+    const archives = await archiveService.listArchives(scope);
+
+    res.status(200).json({
+      message: 'Archives fetched successfully',
+      archives
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+class ArchiveController {
+  // Signed ZIP download link for a project (staff)
+  async getProjectArchiveLink(req, res, next) {
+    try {
+      const download = await archiveService.createDownloadLink(projectScope(req), req.query.size || 'original');
+
+      res.status(200).json({
+        message: 'Download link created',
+        ...download
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Queue a pre-built project ZIP (staff)
+  async buildProjectArchive(req, res, next) {
+    return queueBuild(req, res, next, projectScope(req));
+  }
+
+  // Pre-built project ZIPs (staff)
+  async getProjectArchives(req, res, next) {
+    return listArchives(req, res, next, projectScope(req));
+  }
+
+  // Queue a pre-built gallery ZIP (staff)
+  async buildGalleryArchive(req, res, next) {
+    return queueBuild(req, res, next, galleryScope(req));
+  }
+
+  // Pre-built gallery ZIPs (staff)
+  async getGalleryArchives(req, res, next) {
+    return listArchives(req, res, next, galleryScope(req));
+  }
+
+  // Stream the ZIP behind a signed download link (public, the token is the authorization)
+  async downloadArchive(req, res, next) {
+    try {
+      const { scope, size } = archiveService.verifyDownloadToken(req.params.token);
+
+      await archiveService.streamArchive(scope, size, res);
+    } catch (error) {
+      // Once the ZIP has started there's no way to send an error response; the client sees a cut-off download
+      if (res.headersSent) {
+        console.error('❌ Archive download failed:', error.message);
+        return res.destroy();
+      }
+      next(error);
+    }
+  }
+}
+
+module.exports = new ArchiveController();
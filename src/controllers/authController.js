@@ -1,5 +1,26 @@
 const userService = require('../services/userService');
-const { ValidationError } = require('../middlewares/errorHandler');
+const authSessionService = require('../services/authSessionService');
+const roleService = require('../services/roleService');
+const crypto = require('crypto');
+const { ValidationError, ForbiddenError } = require('../middlewares/errorHandler');
+
+// Client details recorded on the session for auditing
+const getSessionContext = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ip: req.ip
+});
+
+// Compare the X-Setup-Token header with ADMIN_SETUP_TOKEN; setup is disabled when it isn't configured
+const isValidSetupToken = (providedToken) => {
+  const setupToken = process.env.ADMIN_SETUP_TOKEN;
+  if (!setupToken || !providedToken) {
+    return false;
+  }
+
+  const expected = crypto.createHash('sha256').update(setupToken).digest();
+  const provided = crypto.createHash('sha256').update(providedToken).digest();
+  return crypto.timingSafeEqual(expected, provided);
+};
 
 class AuthController {
   // Register a new client
@@ -7,12 +28,11 @@ class AuthController {
     try {
       const { name, email, phone, password } = req.body;
       
-      const result = await userService.registerClient({ name, email, phone, password });
+      const result = await userService.registerClient({ name, email, phone, password }, getSessionContext(req));
       
       res.status(201).json({
         message: 'User registered successfully',
-        user: result.user,
-        token: result.token
+        ...result
       });
     } catch (error) {
       next(error);
@@ -24,12 +44,63 @@ class AuthController {
     try {
       const { email, password } = req.body;
       
-      const result = await userService.login({ email, password });
+      const result = await userService.login({ email, password }, getSessionContext(req));
       
       res.status(200).json({
         message: 'Login successful',
-        user: result.user,
-        token: result.token
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Exchange a refresh token for a new access/refresh token pair
+  async refresh(req, res, next) {
+    try {
+      const { refreshToken } = req.body;
+      
+      const result = await authSessionService.refresh(refreshToken, getSessionContext(req));
+      
+      res.status(200).json({
+        message: 'Token refreshed successfully',
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Log out the current session
+  async logout(req, res, next) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken && !req.user) {
+        throw new ValidationError('Refresh token is required');
+      }
+      
+      await authSessionService.logout({
+        refreshToken,
+        sessionId: req.auth ? req.auth.sessionId : null,
+        userId: req.user ? req.user.id : null
+      });
+      
+      res.status(200).json({
+        message: 'Logged out successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Log out of every session and invalidate all issued access tokens
+  async logoutAll(req, res, next) {
+    try {
+      await authSessionService.logoutAll(req.user.id);
+      
+      res.status(200).json({
+        message: 'Logged out of all sessions'
       });
     } catch (error) {
       next(error);
@@ -41,9 +112,11 @@ class AuthController {
     try {
       const userId = req.user.id;
       const user = await userService.getUserById(userId);
+      const permissions = await roleService.getPermissions(user.role);
       
       res.status(200).json({
-        user
+        user,
+        permissions
       });
     } catch (error) {
       next(error);
@@ -60,6 +133,8 @@ class AuthController {
       delete updateData.password;
       delete updateData.role;
       delete updateData.id;
+      delete updateData.email_verified_at;
+      delete updateData.token_version;
       
       const user = await userService.updateUser(userId, updateData);
       
@@ -72,10 +147,79 @@ class AuthController {
     }
   }
 
-  // Create admin (for initial setup)
+  // Request a password reset email
+  async forgotPassword(req, res, next) {
+    try {
+      const { email } = req.body;
+      
+      await userService.requestPasswordReset(email);
+      
+      // Same response whether or not the account exists, so emails can't be enumerated
+      res.status(200).json({
+        message: 'If an account exists for that email, a reset link has been sent'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Set a new password using a reset token
+  async resetPassword(req, res, next) {
+    try {
+      const { token, password } = req.body;
+      
+      await userService.resetPassword(token, password);
+      
+      res.status(200).json({
+        message: 'Password reset successfully. Please log in with your new password.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Confirm an email address using a verification token
+  async verifyEmail(req, res, next) {
+    try {
+      const { token } = req.body;
+      
+      const user = await userService.verifyEmail(token);
+      
+      res.status(200).json({
+        message: 'Email verified successfully',
+        user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Send a new verification email to the current user
+  async resendVerification(req, res, next) {
+    try {
+      await userService.resendVerificationEmail(req.user.id);
+      
+      res.status(200).json({
+        message: 'Verification email sent'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create the first admin (one-time bootstrap, requires ADMIN_SETUP_TOKEN)
   async createAdmin(req, res, next) {
     try {
       const { name, email, phone, password } = req.body;
+
+      if (!isValidSetupToken(req.get('x-setup-token'))) {
+        throw new ForbiddenError('Invalid or missing setup token');
+      }
+
+      // Setup disables itself once an admin exists; add more admins with scripts/create-admin.js
+      if (await userService.hasAdmin()) {
+        throw new ForbiddenError('Admin setup has already been completed');
+      }
       
       // Check if admin already exists
       const adminEmail = process.env.ADMIN_EMAIL;
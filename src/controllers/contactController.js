@@ -1,11 +1,26 @@
 const contactService = require('../services/contactService');
+const contactSpamService = require('../services/contactSpamService');
+const contactThreadService = require('../services/contactThreadService');
+const contactExportService = require('../services/contactExportService');
 const { ValidationError } = require('../middlewares/errorHandler');
 
 class ContactController {
+  // Token the contact form sends back with the submission (public)
+  async getFormToken(req, res, next) {
+    try {
+      res.status(200).json({
+        message: 'Form token issued',
+        ...contactSpamService.createFormToken()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Create new contact submission (public)
   async createContactSubmission(req, res, next) {
     try {
-      const { name, email, phone, location, message, package_id } = req.body;
+      const { name, email, phone, location, message, package_id, website, formToken, captchaToken } = req.body;
       
       console.log('📝 Contact form submission request:', {
         name,
@@ -22,7 +37,13 @@ class ContactController {
         phone,
         location,
         message,
-        package_id
+        package_id,
+        website,
+        formToken,
+        captchaToken
+      }, {
+        ip: req.ip,
+        userAgent: req.get('user-agent') || null
       });
       
       // Fetch packages for the form
@@ -30,6 +51,7 @@ class ContactController {
       
       console.log('✅ Contact submission processed successfully');
       
+      // Discarded bot submissions get the same answer (their contact is never stored)
       res.status(201).json({
         message: 'Contact form submitted successfully. We will get back to you soon!',
         contact: {
@@ -50,13 +72,19 @@ class ContactController {
   // Get all contact submissions (admin only)
   async getAllContactSubmissions(req, res, next) {
     try {
-      const { page = 1, limit = 10, status, readStatus } = req.query;
+      const { page, limit, status, readStatus, stage, assignedTo, followUpDue } = req.query;
       
       const result = await contactService.getAllContactSubmissions(
-        parseInt(page),
-        parseInt(limit),
+        page,
+        limit,
         status,
-        readStatus
+        readStatus,
+        {
+          stage,
+          // 'me' is shorthand for the signed-in user
+          assignedTo: assignedTo === 'me' ? req.user.id : assignedTo,
+          followUpDue
+        }
       );
       
       // Attach package info to each contact if package_id exists
@@ -136,7 +164,7 @@ class ContactController {
     try {
       const { contactId } = req.params;
       
-      const result = await contactService.markAsResolved(contactId);
+      const result = await contactService.markAsResolved(contactId, req.user.id);
       
       res.status(200).json({
         message: result.message,
@@ -152,7 +180,7 @@ class ContactController {
     try {
       const { contactId } = req.params;
       
-      const result = await contactService.markAsWaste(contactId);
+      const result = await contactService.markAsWaste(contactId, req.user.id);
       
       res.status(200).json({
         message: result.message,
@@ -163,6 +191,183 @@ class ContactController {
     }
   }
 
+  // Move a contact to another pipeline stage (admin only)
+  async updateStage(req, res, next) {
+    try {
+      const { contactId } = req.params;
+      const { stage, note } = req.body;
+
+      const result = await contactService.updateStage(contactId, stage, req.user.id, note);
+
+      res.status(200).json({
+        message: result.message,
+        contact: result.contact
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Assign a contact to a staff user (admin only)
+  async assignContact(req, res, next) {
+    try {
+      const { contactId } = req.params;
+
+      const result = await contactService.assignContact(contactId, req.body.userId, req.user.id);
+
+      res.status(200).json({
+        message: result.message,
+        contact: result.contact
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Set or clear a contact's follow-up date (admin only)
+  async setFollowUp(req, res, next) {
+    try {
+      const { contactId } = req.params;
+
+      const result = await contactService.setFollowUp(contactId, req.body.followUpAt);
+
+      res.status(200).json({
+        message: result.message,
+        contact: result.contact
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // List internal notes on a contact (admin only)
+  async getNotes(req, res, next) {
+    try {
+      const { contactId } = req.params;
+
+      const notes = await contactService.getNotes(contactId);
+
+      res.status(200).json({
+        message: 'Contact notes fetched successfully',
+        notes
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Add an internal note to a contact (admin only)
+  async addNote(req, res, next) {
+    try {
+      const { contactId } = req.params;
+
+      const note = await contactService.addNote(contactId, req.body.body.trim(), req.user.id);
+
+      res.status(201).json({
+        message: 'Note added successfully',
+        note
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delete an internal note (admin only)
+  async deleteNote(req, res, next) {
+    try {
+      const { contactId, noteId } = req.params;
+
+      const result = await contactService.deleteNote(contactId, noteId);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delivery log of the alert and auto-reply sent for a contact (admin only)
+  async getNotifications(req, res, next) {
+    try {
+      const { contactId } = req.params;
+
+      const notifications = await contactService.getNotifications(contactId);
+
+      res.status(200).json({
+        message: 'Contact notifications fetched successfully',
+        notifications
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Email the enquirer from the studio address (admin only)
+  async replyToContact(req, res, next) {
+    try {
+      const { contactId } = req.params;
+      const { subject, message } = req.body;
+
+      const reply = await contactThreadService.reply(contactId, { subject, message }, req.user.id);
+
+      res.status(202).json({
+        message: 'Reply queued for sending',
+        reply
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Email conversation with the enquirer (admin only)
+  async getMessages(req, res, next) {
+    try {
+      const { contactId } = req.params;
+
+      const messages = await contactThreadService.getMessages(contactId);
+
+      res.status(200).json({
+        message: 'Contact messages fetched successfully',
+        messages
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Inbound mail webhook: raw MIME or a provider's parsed fields
+  // The shared secret is only read from the X-Inbound-Secret header; URLs end up in access logs
+  async receiveInbound(req, res, next) {
+    try {
+      contactThreadService.assertInboundSecret(req.get('x-inbound-secret'));
+
+      const result = await contactThreadService.receiveInbound(req.body);
+
+      // Unmatched mail is still acknowledged so the provider doesn't keep retrying it
+      res.status(200).json({
+        message: result.matched ? 'Reply added to inquiry' : 'Email did not match an inquiry',
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Stage, status and assignment history of a contact (admin only)
+  async getHistory(req, res, next) {
+    try {
+      const { contactId } = req.params;
+
+      const history = await contactService.getHistory(contactId);
+
+      res.status(200).json({
+        message: 'Contact history fetched successfully',
+        history
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Delete contact submission (admin only)
   async deleteContactSubmission(req, res, next) {
     try {
@@ -285,7 +490,7 @@ class ContactController {
         throw new ValidationError('Contact IDs array is required');
       }
       
-      const result = await contactService.bulkMarkAsResolved(contactIds);
+      const result = await contactService.bulkMarkAsResolved(contactIds, req.user.id);
       
       res.status(200).json({
         message: result.message
@@ -304,7 +509,7 @@ class ContactController {
         throw new ValidationError('Contact IDs array is required');
       }
       
-      const result = await contactService.bulkMarkAsWaste(contactIds);
+      const result = await contactService.bulkMarkAsWaste(contactIds, req.user.id);
       
       res.status(200).json({
         message: result.message
@@ -328,36 +533,33 @@ class ContactController {
     }
   }
 
-  // Export contacts (admin only)
+  // Export contacts as JSON, CSV or XLSX with the list filters, a date range and column selection (admin only)
   async exportContacts(req, res, next) {
     try {
-      const { format = 'json', status } = req.query;
-      
-      // Get all contacts (no pagination for export)
-      const result = await contactService.getAllContactSubmissions(1, 1000, status);
-      
-      if (format === 'csv') {
-        // Convert to CSV format
-        const csvHeader = 'ID,Name,Email,Phone,Message,Is Read,Created At\n';
-        const csvRows = result.contacts.map(contact => 
-          `${contact.id},"${contact.name}","${contact.email}","${contact.phone || ''}","${contact.message.replace(/"/g, '""')}",${contact.is_read},"${contact.created_at}"`
-        ).join('\n');
-        
-        const csvContent = csvHeader + csvRows;
-        
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename=contacts.csv');
-        res.status(200).send(csvContent);
-      } else {
-        // Return JSON format
-        res.status(200).json({
-          message: 'Contacts exported successfully',
-          contacts: result.contacts,
-          total: result.contacts.length
-        });
-      }
+      const { format, columns: columnKeys, assignedTo, ...filters } = req.query;
+      const columns = contactExportService.getColumns(columnKeys, format);
+      const { contentType, extension } = contactExportService.getFormat(format);
+      const fileName = `contacts-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+      const total = await contactExportService.writeExport({
+        format,
+        columns,
+        filters: { ...filters, assignedTo: assignedTo === 'me' ? req.user.id : assignedTo }
+      }, res, () => {
+        res.status(200);
+        res.setHeader('Content-Type', contentType);
+        if (format !== 'json') {
+          res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+        }
+      });
+
+      console.log(`📤 Exported ${total} contact submission(s) as ${format}`);
     } catch (error) {
-      next(error);
+      if (!res.headersSent) return next(error);
+
+      // Part of the file is already out; cut the response so the download shows as failed
+      console.error('❌ Contact export failed:', error.message);
+      res.destroy(error);
     }
   }
 }
@@ -1,4 +1,5 @@
 const feedbackService = require('../services/feedbackService');
+const roleService = require('../services/roleService');
 const { ValidationError } = require('../middlewares/errorHandler');
 
 class FeedbackController {
@@ -306,8 +307,8 @@ class FeedbackController {
       const user = req.user;
       let feedback = [];
       let pagination = { page: parseInt(page), limit: parseInt(limit), total: 0, hasMore: false };
-      if (user && user.role === 'admin') {
-        // Admin: see all feedback
+      if (user && await roleService.hasPermission(user.role, 'feedback:read')) {
+        // Staff with feedback:read: see all feedback
         const result = await feedbackService.getAllProjectFeedbackAdmin(projectId, parseInt(page), parseInt(limit));
         feedback = result.feedback;
         pagination = result.pagination;
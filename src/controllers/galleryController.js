@@ -0,0 +1,394 @@
+const galleryService = require('../services/galleryService');
+const gallerySelectionService = require('../services/gallerySelectionService');
+const { toCsv } = require('../utils/csv');
+
+// Who is looking at a gallery: a logged-in user and/or a token from POST /:slug/access
+const getViewer = (req) => ({
+  user: req.user || null,
+  accessToken: req.get('x-gallery-token') || null
+});
+
+// Columns of the selection CSV handed to the editing team (one row per selected image)
+const SELECTION_CSV_COLUMNS = [
+  { header: 'Gallery', value: row => row.gallery.title },
+  { header: 'Gallery Slug', value: row => row.gallery.slug },
+  { header: 'Status', value: row => row.selection.status },
+  { header: 'Submitted At', value: row => row.selection.submittedAt },
+  { header: 'Order', value: row => row.image.displayOrder },
+  { header: 'Filename', value: row => row.image.filename },
+  { header: 'Favorite', value: row => (row.image.isFavorite ? 'yes' : 'no') },
+  { header: 'Comments', value: row => row.image.commentCount },
+  { header: 'Image ID', value: row => row.image.id }
+];
+
+const sendSelectionCsv = (res, selections, fileName) => {
+  const rows = selections.flatMap(({ gallery, selection, selectedImages }) =>
+    selectedImages.map(image => ({ gallery, selection, image }))
+  );
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+  res.status(200).send(toCsv(SELECTION_CSV_COLUMNS, rows));
+};
+
+const markImage = async (req, res, next, kind) => {
+  try {
+    const { slug, imageId } = req.params;
+
+    const result = await gallerySelectionService.setMark(slug, imageId, kind, req.method === 'PUT', getViewer(req));
+
+    res.status(200).json({
+      message: 'Selection updated',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+class GalleryController {
+  // Galleries assigned to the logged-in client
+  async getMyGalleries(req, res, next) {
+    try {
+      const galleries = await galleryService.listClientGalleries(req.user.id);
+
+      res.status(200).json({
+        message: 'Galleries fetched successfully',
+        galleries
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Unlock a gallery with an access code or a magic link token
+  async requestAccess(req, res, next) {
+    try {
+      const { code, token } = req.body;
+
+      const access = await galleryService.requestAccess(req.params.slug, { code, token }, req.ip);
+
+      res.status(200).json({
+        message: 'Gallery unlocked',
+        ...access
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // View a gallery (client, staff or X-Gallery-Token)
+  async getGallery(req, res, next) {
+    try {
+      const gallery = await galleryService.getGalleryForViewer(req.params.slug, getViewer(req));
+
+      res.status(200).json({
+        message: 'Gallery fetched successfully',
+        gallery
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Signed download URL for one image
+  async downloadImage(req, res, next) {
+    try {
+      const { slug, imageId } = req.params;
+
+      const download = await galleryService.getDownloadUrl(slug, imageId, getViewer(req));
+
+      res.status(200).json({
+        message: 'Download link created',
+        ...download
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Signed ZIP download link for the whole gallery
+  async downloadArchive(req, res, next) {
+    try {
+      const download = await galleryService.getArchiveLink(req.params.slug, req.query.size, getViewer(req));
+
+      res.status(200).json({
+        message: 'Download link created',
+        ...download
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Favorite (PUT) or unfavorite (DELETE) an image
+  async favoriteImage(req, res, next) {
+    return markImage(req, res, next, 'favorite');
+  }
+
+  // Add (PUT) or remove (DELETE) an image from the album selection
+  async selectImage(req, res, next) {
+    return markImage(req, res, next, 'selected');
+  }
+
+  // Comments on an image
+  async getComments(req, res, next) {
+    try {
+      const { slug, imageId } = req.params;
+
+      const comments = await gallerySelectionService.listComments(slug, imageId, getViewer(req));
+
+      res.status(200).json({
+        message: 'Comments fetched successfully',
+        comments
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Comment on an image
+  async addComment(req, res, next) {
+    try {
+      const { slug, imageId } = req.params;
+
+      const comment = await gallerySelectionService.addComment(slug, imageId, req.body, getViewer(req));
+
+      res.status(201).json({
+        message: 'Comment added successfully',
+        comment
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Submit the final selection
+  async submitSelection(req, res, next) {
+    try {
+      const selection = await gallerySelectionService.submitSelection(req.params.slug, req.body, getViewer(req));
+
+      res.status(200).json({
+        message: 'Selection submitted successfully',
+        selection
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Selection of one gallery, as JSON or ?format=csv (staff)
+  async getGallerySelection(req, res, next) {
+    try {
+      const selection = await gallerySelectionService.getGallerySelection(req.params.galleryId);
+
+      if (req.query.format === 'csv') {
+        return sendSelectionCsv(res, [selection], `selection-${selection.gallery.slug}.csv`);
+      }
+
+      res.status(200).json({
+        message: 'Selection fetched successfully',
+        ...selection
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Reopen a submitted selection (staff)
+  async reopenSelection(req, res, next) {
+    try {
+      const selection = await gallerySelectionService.reopenSelection(req.params.galleryId);
+
+      res.status(200).json({
+        message: 'Selection reopened successfully',
+        selection
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Selections of every gallery of a project, as JSON or ?format=csv (staff)
+  async getProjectSelections(req, res, next) {
+    try {
+      const { projectId } = req.params;
+
+      const selections = await gallerySelectionService.getProjectSelections(projectId);
+
+      if (req.query.format === 'csv') {
+        return sendSelectionCsv(res, selections, `selections-${projectId}.csv`);
+      }
+
+      res.status(200).json({
+        message: 'Selections fetched successfully',
+        selections
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // List galleries (staff)
+  async getAllGalleries(req, res, next) {
+    try {
+      const { page = 1, limit = 20, clientId, projectId, search } = req.query;
+
+      const result = await galleryService.listGalleries(
+        parseInt(page),
+        parseInt(limit),
+        { clientId, projectId, search }
+      );
+
+      res.status(200).json({
+        message: 'Galleries fetched successfully',
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a gallery with images and links (staff)
+  async getGalleryById(req, res, next) {
+    try {
+      const gallery = await galleryService.getGalleryById(req.params.galleryId);
+
+      res.status(200).json({
+        message: 'Gallery fetched successfully',
+        gallery
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create a gallery (staff)
+  async createGallery(req, res, next) {
+    try {
+      const gallery = await galleryService.createGallery(req.body, req.user.id);
+
+      res.status(201).json({
+        message: 'Gallery created successfully',
+        gallery
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update a gallery (staff)
+  async updateGallery(req, res, next) {
+    try {
+      const gallery = await galleryService.updateGallery(req.params.galleryId, req.body);
+
+      res.status(200).json({
+        message: 'Gallery updated successfully',
+        gallery
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delete a gallery (staff)
+  async deleteGallery(req, res, next) {
+    try {
+      await galleryService.deleteGallery(req.params.galleryId);
+
+      res.status(200).json({
+        message: 'Gallery deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Upload proofs (staff)
+  async addImages(req, res, next) {
+    try {
+      const images = await galleryService.addImages(req.params.galleryId, req.files);
+
+      res.status(201).json({
+        message: 'Images added successfully',
+        images
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Remove an image (staff)
+  async deleteImage(req, res, next) {
+    try {
+      const { galleryId, imageId } = req.params;
+
+      await galleryService.deleteImage(galleryId, imageId);
+
+      res.status(200).json({
+        message: 'Image removed successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Pull in images added to the linked project since the gallery was created (staff)
+  async importProjectImages(req, res, next) {
+    try {
+      const result = await galleryService.importProjectImages(req.params.galleryId);
+
+      res.status(200).json({
+        message: 'Project images imported successfully',
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // List magic links (staff)
+  async getLinks(req, res, next) {
+    try {
+      const links = await galleryService.listLinks(req.params.galleryId);
+
+      res.status(200).json({
+        message: 'Gallery links fetched successfully',
+        links
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create (and optionally email) a magic link (staff)
+  async createLink(req, res, next) {
+    try {
+      const link = await galleryService.createLink(req.params.galleryId, req.body, req.user.id);
+
+      res.status(201).json({
+        message: 'Gallery link created successfully',
+        link
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Revoke a magic link (staff)
+  async revokeLink(req, res, next) {
+    try {
+      const { galleryId, linkId } = req.params;
+
+      await galleryService.revokeLink(galleryId, linkId);
+
+      res.status(200).json({
+        message: 'Gallery link revoked successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new GalleryController();
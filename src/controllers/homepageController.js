@@ -1,4 +1,5 @@
 const homepageService = require('../services/homepageService');
+const mediaJobService = require('../services/mediaJobService');
 const { ValidationError } = require('../middlewares/errorHandler');
 const multer = require('multer');
 
@@ -48,72 +49,27 @@ class HomepageController {
   // Create new homepage element
   async createHomepageElement(req, res, next) {
     try {
-      const { type, title, subtitle, description, order_index, is_active, is_featured } = req.body;
+      const { type, title, subtitle, description, order_index, is_active, is_featured, hls } = req.body;
       const mediaFile = req.file;
-      
-      // Generate upload ID for progress tracking
-      const uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      // Store upload info
-      global.activeUploads.set(uploadId, {
-        status: 'starting',
-        progress: 0,
-        message: 'Starting upload...'
-      });
-      
-      // Send initial progress after a small delay to allow client to join room
-      if (global.io) {
-        setTimeout(() => {
-          global.io.to(uploadId).emit('upload-progress', {
-            uploadId,
-            status: 'starting',
-            progress: 0,
-            message: 'Starting upload...'
-          });
-        }, 100);
-      }
-      
-      const element = await homepageService.createHomepageElement(
-        { type, title, subtitle, description, order_index, is_active, is_featured },
-        req.user.id,
-        mediaFile,
-        uploadId
-      );
-      
-      // Send completion
-      if (global.io) {
-        global.io.to(uploadId).emit('upload-progress', {
-          uploadId,
-          status: 'completed',
-          progress: 100,
-          message: 'Upload completed successfully',
-          element
+      const elementData = { type, title, subtitle, description, order_index, is_active, is_featured, hls: hls === 'true' };
+
+      // Media is compressed/transcoded in the background; progress goes to the job's upload room
+      if (mediaFile) {
+        const job = await mediaJobService.queueHomepageElement(elementData, mediaFile, req.user.id);
+
+        return res.status(202).json({
+          message: 'Homepage element accepted and queued for media processing',
+          ...job
         });
       }
       
-      // Clean up after a delay to ensure message is sent
-      setTimeout(() => {
-        global.activeUploads.delete(uploadId);
-        console.log(`🧹 Cleaned up upload room: ${uploadId}`);
-      }, 1000);
+      const element = await homepageService.createHomepageElement(elementData, req.user.id);
       
       res.status(201).json({
         message: 'Homepage element created successfully',
-        element,
-        uploadId
+        element
       });
     } catch (error) {
-      // Send error to client
-      const uploadId = req.body.uploadId || (req.file ? `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}` : null);
-      if (global.io && uploadId) {
-        global.io.to(uploadId).emit('upload-progress', {
-          uploadId,
-          status: 'error',
-          progress: 0,
-          message: `Upload failed: ${error.message}`
-        });
-        global.activeUploads.delete(uploadId);
-      }
       next(error);
     }
   }
@@ -125,16 +81,16 @@ class HomepageController {
       const updateData = { ...req.body };
       // Remove media_file if present (should not be sent to DB)
       if (updateData.media_file) delete updateData.media_file;
-      // If a file is uploaded, update media separately
+      // If a file is uploaded, queue the media replacement separately
       if (req.file) {
-        const element = await homepageService.updateElementMedia(id, req.file);
-        // Then update other fields if any
-        if (Object.keys(updateData).length > 0) {
-          await homepageService.updateHomepageElement(id, updateData);
-        }
-        res.status(200).json({
-          message: 'Homepage element updated successfully',
-          element
+        const element = Object.keys(updateData).length > 0
+          ? await homepageService.updateHomepageElement(id, updateData)
+          : await homepageService.getHomepageElementById(id);
+        const job = await mediaJobService.queueHomepageElementMedia(id, req.file, req.user.id);
+        res.status(202).json({
+          message: 'Homepage element updated; new media queued for processing',
+          element,
+          ...job
         });
         return;
       }
@@ -302,11 +258,12 @@ class HomepageController {
         throw new ValidationError('Media file is required');
       }
       
-      const element = await homepageService.updateElementMedia(id, mediaFile);
+      await homepageService.getHomepageElementById(id);
+      const job = await mediaJobService.queueHomepageElementMedia(id, mediaFile, req.user.id);
       
-      res.status(200).json({
-        message: 'Element media updated successfully',
-        element
+      res.status(202).json({
+        message: 'Element media accepted and queued for processing',
+        ...job
       });
     } catch (error) {
       next(error);
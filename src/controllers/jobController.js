@@ -0,0 +1,60 @@
+const jobQueueService = require('../services/jobQueueService');
+
+class JobController {
+  // List media jobs (admin only)
+  async getJobs(req, res, next) {
+    try {
+      const { page = 1, limit = 20, status, type } = req.query;
+
+      const result = await jobQueueService.listJobs(
+        parseInt(page),
+        parseInt(limit),
+        { status, type }
+      );
+
+      res.status(200).json({
+        message: 'Jobs fetched successfully',
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get job status (admin only)
+  async getJobById(req, res, next) {
+    try {
+      const { jobId } = req.params;
+
+      const job = await jobQueueService.getJob(jobId);
+
+      res.status(200).json({
+        message: 'Job fetched successfully',
+        job: {
+          ...job,
+          uploadId: jobQueueService.getUploadRoom(job.id)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Requeue a failed job (admin only)
+  async retryJob(req, res, next) {
+    try {
+      const { jobId } = req.params;
+
+      const job = await jobQueueService.retryJob(jobId);
+
+      res.status(200).json({
+        message: 'Job queued for retry',
+        job
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new JobController();
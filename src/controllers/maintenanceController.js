@@ -0,0 +1,23 @@
+const storageCleanupService = require('../services/storageCleanupService');
+
+class MaintenanceController {
+  // Queue an orphaned storage scan (admin only); the report is the job result
+  async reconcileStorage(req, res, next) {
+    try {
+      const { dryRun = true, minAgeHours } = req.body;
+
+      const result = await storageCleanupService.queueReconcile({ dryRun, minAgeHours }, req.user.id);
+
+      res.status(202).json({
+        message: dryRun
+          ? 'Storage scan queued (dry run, nothing will be deleted)'
+          : 'Storage scan queued; orphaned files will be deleted',
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new MaintenanceController();
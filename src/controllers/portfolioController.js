@@ -2,6 +2,7 @@ const portfolioService = require('../services/portfolioService');
 const { supabase } = require('../config');
 const { ValidationError } = require('../middlewares/errorHandler');
 const s3Service = require('../services/s3Service');
+const mediaJobService = require('../services/mediaJobService');
 
 class PortfolioController {
   // Get all published projects (public)
@@ -22,6 +23,7 @@ class PortfolioController {
           .from('portfolio_project_images')
           .select('*')
           .eq('project_id', project.id)
+          .order('display_order', { ascending: true })
           .order('created_at', { ascending: true });
         if (imagesError) throw imagesError;
 
@@ -33,7 +35,7 @@ class PortfolioController {
           .order('order_index', { ascending: true });
         if (videosError) throw videosError;
 
-        return { ...project, images, videos };
+        return portfolioService.withProjectMedia(project, images, videos);
       }));
       res.status(200).json({
         message: 'Projects fetched successfully',
@@ -173,9 +175,12 @@ class PortfolioController {
         throw new ValidationError('You can upload a maximum of 10 media files');
       }
 
-      // Separate images and videos
-      const imageFiles = mediaFiles.filter(file => file.mimetype.startsWith('image/'));
-      const videoFiles = mediaFiles.filter(file => file.mimetype.startsWith('video/'));
+      // Separate images and videos; each keeps its upload position as its place in the media timeline
+      const positioned = mediaFiles.map((file, position) => ({ file, position }));
+      const images = positioned.filter(({ file }) => file.mimetype.startsWith('image/'));
+      const videos = positioned.filter(({ file }) => file.mimetype.startsWith('video/'));
+      const imageFiles = images.map(({ file }) => file);
+      const videoFiles = videos.map(({ file }) => file);
 
       console.log(`Found ${imageFiles.length} images and ${videoFiles.length} videos`);
 
@@ -203,31 +208,36 @@ class PortfolioController {
       const project = await portfolioService.createProject(
         projectData,
         imageFiles,
-        req.user.id
+        req.user.id,
+        { imageOrders: images.map(({ position }) => position) }
       );
 
-      // Upload videos if any
-      let uploadedVideos = [];
-      if (videoFiles.length > 0) {
-        console.log('Uploading videos to project...');
-        uploadedVideos = await portfolioService.bulkUploadProjectVideos(
+      // Queue videos for background processing, if any
+      const videoJobs = [];
+      for (let i = 0; i < videoFiles.length; i++) {
+        console.log('Queueing video for project...');
+        videoJobs.push(await mediaJobService.queueProjectVideo(
           project.id,
-          videoFiles,
+          videoFiles[i],
           {
             video_autoplay: false,
             video_loop: false,
-            order_index: 0
-          }
-        );
+            order_index: i,
+            display_order: videos[i].position
+          },
+          req.user.id
+        ));
       }
       
       // Get updated project with all media
       const updatedProject = await portfolioService.getProjectById(project.id);
       
       res.status(201).json({
-        message: 'Project created successfully with mixed media',
+        message: videoJobs.length > 0
+          ? 'Project created successfully; videos are being processed'
+          : 'Project created successfully with mixed media',
         project: updatedProject,
-        uploadedVideos: uploadedVideos
+        videoJobs
       });
     } catch (error) {
       console.error('Error in createProjectWithMedia:', error);
@@ -273,23 +283,9 @@ class PortfolioController {
   async deleteProject(req, res, next) {
     try {
       const { projectId } = req.params;
-      // Delete associated images from S3 and DB
-      const { data: images } = await supabase
-        .from('portfolio_project_images')
-        .select('image_public_id')
-        .eq('project_id', projectId);
-      if (images && images.length > 0) {
-        for (const img of images) {
-          if (img.image_public_id) {
-            try { await s3Service.deleteImage(img.image_public_id); } catch (e) { /* ignore */ }
-          }
-        }
-      }
-      await supabase.from('portfolio_project_images').delete().eq('project_id', projectId);
-      // Delete the project itself
-      const { error } = await supabase.from('portfolio_projects').delete().eq('id', projectId);
-      if (error) throw error;
-      res.status(200).json({ message: 'Project deleted successfully' });
+      // Removes images, videos, the cover and cached archives along with the project
+      const result = await portfolioService.deleteProject(projectId);
+      res.status(200).json(result);
     } catch (error) {
       next(error);
     }
@@ -309,6 +305,8 @@ class PortfolioController {
       if (imageError || !image) {
         return res.status(404).json({ message: 'Image not found for this project' });
       }
+      // Proofs imported into a client gallery share this image's row and files
+      await portfolioService.assertImagesNotInGalleries([image]);
       // Delete from S3
       if (image.image_public_id) {
         try { await s3Service.deleteImage(image.image_public_id); } catch (e) { /* ignore */ }
@@ -332,16 +330,10 @@ class PortfolioController {
           .from('portfolio_project_images')
           .select('*')
           .eq('project_id', projectId)
+          .order('display_order', { ascending: true })
           .limit(1);
         if (otherImages && otherImages.length > 0) {
-          await supabase
-            .from('portfolio_projects')
-            .update({
-              image_url: otherImages[0].image_url,
-              image_public_id: otherImages[0].image_public_id,
-              thumbnail_url: otherImages[0].thumbnail_url
-            })
-            .eq('id', projectId);
+          await portfolioService.applyCover(projectId, otherImages[0]);
         } else {
           // No images left, clear main image fields
           await supabase
@@ -349,7 +341,8 @@ class PortfolioController {
             .update({
               image_url: null,
               image_public_id: null,
-              thumbnail_url: null
+              thumbnail_url: null,
+              image_placeholder: null
             })
             .eq('id', projectId);
         }
@@ -360,6 +353,92 @@ class PortfolioController {
     }
   }
 
+  // Add images to an existing project (admin only)
+  async addProjectImages(req, res, next) {
+    try {
+      const { projectId } = req.params;
+
+      if (!req.files || req.files.length === 0) {
+        throw new ValidationError('At least one image is required');
+      }
+
+      const project = await portfolioService.addProjectImages(projectId, req.files);
+
+      res.status(201).json({
+        message: 'Images added successfully',
+        project
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Set caption / alt text of a project image (admin only)
+  async updateProjectImage(req, res, next) {
+    try {
+      const { projectId, imageId } = req.params;
+
+      const image = await portfolioService.updateProjectImage(projectId, imageId, req.body);
+
+      res.status(200).json({
+        message: 'Image updated successfully',
+        image
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Reorder project images (admin only)
+  async reorderProjectImages(req, res, next) {
+    try {
+      const { projectId } = req.params;
+      const { imageIds } = req.body;
+
+      await portfolioService.reorderProjectImages(projectId, imageIds);
+
+      res.status(200).json({
+        message: 'Images reordered successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Reorder images and videos together (admin only)
+  async reorderProjectMedia(req, res, next) {
+    try {
+      const { projectId } = req.params;
+      const { items } = req.body;
+
+      const project = await portfolioService.reorderProjectMedia(projectId, items);
+
+      res.status(200).json({
+        message: 'Media reordered successfully',
+        media: project.media
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Choose which project image is the cover (admin only)
+  async setProjectCover(req, res, next) {
+    try {
+      const { projectId } = req.params;
+      const { imageId } = req.body;
+
+      const project = await portfolioService.setProjectCover(projectId, imageId);
+
+      res.status(200).json({
+        message: 'Cover image updated successfully',
+        project
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Get all categories (public)
   async getCategories(req, res, next) {
     try {
@@ -618,6 +697,23 @@ class PortfolioController {
     }
   }
 
+  // Show or hide camera settings on a project's images (admin only)
+  async toggleCameraSettings(req, res, next) {
+    try {
+      const { projectId } = req.params;
+      const { showCameraSettings } = req.body;
+
+      const project = await portfolioService.setShowCameraSettings(projectId, showCameraSettings);
+
+      res.status(200).json({
+        message: `Camera settings ${showCameraSettings ? 'shown' : 'hidden'} successfully`,
+        project
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Get project statistics (admin only)
   async getProjectStats(req, res, next) {
     try {
@@ -680,6 +776,7 @@ class PortfolioController {
           .from('portfolio_project_images')
           .select('*')
           .eq('project_id', project.id)
+          .order('display_order', { ascending: true })
           .order('created_at', { ascending: true });
         if (imagesError) throw imagesError;
 
@@ -691,7 +788,7 @@ class PortfolioController {
           .order('order_index', { ascending: true });
         if (videosError) throw videosError;
 
-        return { ...project, images, videos };
+        return portfolioService.withProjectMedia(project, images, videos);
       }));
       res.status(200).json({
         message: 'Projects fetched successfully',
@@ -712,7 +809,8 @@ class PortfolioController {
         video_autoplay, 
         video_loop, 
         video_poster, 
-        order_index 
+        order_index,
+        hls
       } = req.body;
 
       if (!videoFile) {
@@ -723,14 +821,16 @@ class PortfolioController {
         video_autoplay: video_autoplay === 'true',
         video_loop: video_loop === 'true',
         video_poster: video_poster || null,
-        order_index: order_index ? parseInt(order_index) : 0
+        order_index: order_index ? parseInt(order_index) : 0,
+        hls: hls === 'true'
       };
 
-      const video = await portfolioService.uploadProjectVideo(projectId, videoFile, videoData);
+      await portfolioService.ensureProjectExists(projectId);
+      const job = await mediaJobService.queueProjectVideo(projectId, videoFile, videoData, req.user.id);
       
-      res.status(201).json({
-        message: 'Video uploaded successfully',
-        video
+      res.status(202).json({
+        message: 'Video upload accepted and queued for processing',
+        ...job
       });
     } catch (error) {
       next(error);
@@ -814,7 +914,8 @@ class PortfolioController {
         video_autoplay, 
         video_loop, 
         video_poster, 
-        order_index 
+        order_index,
+        hls
       } = req.body;
 
       if (!videoFiles || videoFiles.length === 0) {
@@ -829,14 +930,24 @@ class PortfolioController {
         video_autoplay: video_autoplay === 'true',
         video_loop: video_loop === 'true',
         video_poster: video_poster || null,
-        order_index: order_index ? parseInt(order_index) : 0
+        order_index: order_index ? parseInt(order_index) : 0,
+        hls: hls === 'true'
       };
 
-      const videos = await portfolioService.bulkUploadProjectVideos(projectId, videoFiles, videoData);
+      await portfolioService.ensureProjectExists(projectId);
+      const jobs = [];
+      for (let i = 0; i < videoFiles.length; i++) {
+        jobs.push(await mediaJobService.queueProjectVideo(
+          projectId,
+          videoFiles[i],
+          { ...videoData, order_index: videoData.order_index || i },
+          req.user.id
+        ));
+      }
       
-      res.status(201).json({
-        message: 'Videos uploaded successfully',
-        videos
+      res.status(202).json({
+        message: `${jobs.length} video(s) accepted and queued for processing`,
+        jobs
       });
     } catch (error) {
       next(error);
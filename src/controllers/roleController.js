@@ -0,0 +1,78 @@
+const roleService = require('../services/roleService');
+
+class RoleController {
+  // List roles and the available permissions
+  async getRoles(req, res, next) {
+    try {
+      const result = await roleService.listRoles();
+
+      res.status(200).json({
+        message: 'Roles fetched successfully',
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a single role
+  async getRole(req, res, next) {
+    try {
+      const role = await roleService.getRole(req.params.name);
+
+      res.status(200).json({
+        message: 'Role fetched successfully',
+        role
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create a custom role
+  async createRole(req, res, next) {
+    try {
+      const { name, description, permissions = [] } = req.body;
+
+      const role = await roleService.createRole({ name, description, permissions }, req.user);
+
+      res.status(201).json({
+        message: 'Role created successfully',
+        role
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update a role's description or permissions
+  async updateRole(req, res, next) {
+    try {
+      const { description, permissions } = req.body;
+
+      const role = await roleService.updateRole(req.params.name, { description, permissions }, req.user);
+
+      res.status(200).json({
+        message: 'Role updated successfully',
+        role
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delete a custom role
+  async deleteRole(req, res, next) {
+    try {
+      await roleService.deleteRole(req.params.name, req.user);
+
+      res.status(200).json({
+        message: 'Role deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new RoleController();
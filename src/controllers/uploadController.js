@@ -0,0 +1,189 @@
+const resumableUploadService = require('../services/resumableUploadService');
+const portfolioService = require('../services/portfolioService');
+const homepageService = require('../services/homepageService');
+const { ValidationError } = require('../middlewares/errorHandler');
+
+// Resumable uploads accept JSON, so flags may arrive as booleans or multipart-style strings
+const isTrue = (value) => value === true || value === 'true';
+
+// Which sessions a route may address, based on the URL it was called through
+const getUploadScope = (req) => {
+  if (req.params.projectId) {
+    return { targets: ['project-video'], targetId: req.params.projectId };
+  }
+  if (req.params.id) {
+    return { targets: ['homepage-element-media'], targetId: req.params.id };
+  }
+  return { targets: ['homepage-element'] };
+};
+
+class UploadController {
+  // Start a resumable project video upload (admin only)
+  async startProjectVideoUpload(req, res, next) {
+    try {
+      const { projectId } = req.params;
+      const { filename, mimetype, size, part_size, video_autoplay, video_loop, video_poster, order_index, hls } = req.body;
+
+      await portfolioService.ensureProjectExists(projectId);
+
+      const session = await resumableUploadService.createSession({
+        target: 'project-video',
+        targetId: projectId,
+        metadata: {
+          video_autoplay: isTrue(video_autoplay),
+          video_loop: isTrue(video_loop),
+          video_poster: video_poster || null,
+          order_index: order_index ? parseInt(order_index) : 0,
+          hls: isTrue(hls)
+        },
+        filename,
+        mimetype,
+        size,
+        partSize: part_size
+      }, req.user.id);
+
+      res.status(201).json({
+        message: 'Upload session created',
+        upload: session
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Start a resumable upload that creates a new homepage element (admin only)
+  async startHomepageElementUpload(req, res, next) {
+    try {
+      const { filename, mimetype, size, part_size, type, title, subtitle, description, order_index, is_active, is_featured, hls } = req.body;
+
+      if (!type) {
+        throw new ValidationError('Element type is required');
+      }
+
+      const session = await resumableUploadService.createSession({
+        target: 'homepage-element',
+        metadata: {
+          type,
+          title,
+          subtitle,
+          description,
+          order_index: order_index !== undefined ? parseInt(order_index) : undefined,
+          is_active: is_active !== undefined ? isTrue(is_active) : undefined,
+          is_featured: is_featured !== undefined ? isTrue(is_featured) : undefined,
+          hls: isTrue(hls)
+        },
+        filename,
+        mimetype,
+        size,
+        partSize: part_size
+      }, req.user.id);
+
+      res.status(201).json({
+        message: 'Upload session created',
+        upload: session
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Start a resumable upload that replaces an element's media (admin only)
+  async startElementMediaUpload(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { filename, mimetype, size, part_size } = req.body;
+
+      await homepageService.getHomepageElementById(id);
+
+      const session = await resumableUploadService.createSession({
+        target: 'homepage-element-media',
+        targetId: id,
+        filename,
+        mimetype,
+        size,
+        partSize: part_size
+      }, req.user.id);
+
+      res.status(201).json({
+        message: 'Upload session created',
+        upload: session
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Uploaded/missing parts, used by clients to resume (admin only)
+  async getUploadStatus(req, res, next) {
+    try {
+      const upload = await resumableUploadService.getSessionStatus(req.params.sessionId, getUploadScope(req));
+
+      res.status(200).json({
+        message: 'Upload session fetched successfully',
+        upload
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Receive one part as a raw application/octet-stream body (admin only)
+  async uploadPart(req, res, next) {
+    try {
+      // A parsed body means the bytes were already consumed by a body parser
+      if (req._body) {
+        throw new ValidationError('Upload parts must be sent as application/octet-stream');
+      }
+
+      const contentLength = parseInt(req.headers['content-length']);
+      if (!contentLength) {
+        throw new ValidationError('Content-Length header is required for upload parts');
+      }
+
+      const result = await resumableUploadService.uploadPart(
+        req.params.sessionId,
+        getUploadScope(req),
+        parseInt(req.params.partNumber),
+        req,
+        contentLength
+      );
+
+      res.status(200).json({
+        message: `Part ${result.part.partNumber} uploaded`,
+        upload: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Assemble the parts and queue processing (admin only)
+  async completeUpload(req, res, next) {
+    try {
+      const job = await resumableUploadService.completeSession(req.params.sessionId, getUploadScope(req), req.user.id);
+
+      res.status(202).json({
+        message: 'Upload complete and queued for processing',
+        ...job
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Abort an upload and discard stored parts (admin only)
+  async abortUpload(req, res, next) {
+    try {
+      const result = await resumableUploadService.abortSession(req.params.sessionId, getUploadScope(req));
+
+      res.status(200).json({
+        message: 'Upload aborted',
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new UploadController();
@@ -0,0 +1,53 @@
+const roleService = require('../services/roleService');
+
+class UserController {
+  // List users (filter by role, search by name or email)
+  async getUsers(req, res, next) {
+    try {
+      const { page = 1, limit = 20, role, search } = req.query;
+
+      const result = await roleService.listUsers(
+        parseInt(page),
+        parseInt(limit),
+        { role, search }
+      );
+
+      res.status(200).json({
+        message: 'Users fetched successfully',
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a user with their effective permissions
+  async getUserById(req, res, next) {
+    try {
+      const user = await roleService.getUserWithPermissions(req.params.userId);
+
+      res.status(200).json({
+        message: 'User fetched successfully',
+        user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Assign a role to a user
+  async updateUserRole(req, res, next) {
+    try {
+      const user = await roleService.updateUserRole(req.params.userId, req.body.role, req.user);
+
+      res.status(200).json({
+        message: 'User role updated successfully',
+        user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new UserController();
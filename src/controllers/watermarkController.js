@@ -0,0 +1,85 @@
+const watermarkService = require('../services/watermarkService');
+const mediaJobService = require('../services/mediaJobService');
+
+const updateOverride = async (req, res, next, scope, update) => {
+  try {
+    const row = await update();
+    const job = await mediaJobService.queueWatermarkRefresh(scope, req.user.id);
+
+    res.status(200).json({
+      message: 'Watermark updated; images are being re-rendered',
+      watermark: row.watermark,
+      job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+class WatermarkController {
+  // Site-wide watermark settings (admin only)
+  async getSettings(req, res, next) {
+    try {
+      const settings = await watermarkService.getSettings();
+
+      res.status(200).json({
+        message: 'Watermark settings fetched successfully',
+        settings: await watermarkService.formatSettings(settings)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update the site-wide settings and re-render every project (admin only)
+  async updateSettings(req, res, next) {
+    try {
+      const settings = await watermarkService.updateSettings(req.body, req.user.id);
+      const job = await mediaJobService.queueWatermarkRefresh({}, req.user.id);
+
+      res.status(200).json({
+        message: 'Watermark settings updated successfully',
+        settings: await watermarkService.formatSettings(settings),
+        job
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Upload the PNG used by logo watermarks (admin only)
+  async uploadLogo(req, res, next) {
+    try {
+      const settings = await watermarkService.uploadLogo(req.file, req.user.id);
+      const job = settings.enabled && settings.type === 'logo'
+        ? await mediaJobService.queueWatermarkRefresh({}, req.user.id)
+        : null;
+
+      res.status(200).json({
+        message: 'Watermark logo uploaded successfully',
+        settings: await watermarkService.formatSettings(settings),
+        job
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Override the watermark for one category's projects; null inherits the site settings (admin only)
+  async updateCategoryWatermark(req, res, next) {
+    const { categoryId } = req.params;
+    return updateOverride(req, res, next, { categoryId }, () =>
+      watermarkService.updateCategoryWatermark(categoryId, req.body.watermark)
+    );
+  }
+
+  // Override the watermark for one project; null inherits the category/site settings (admin only)
+  async updateProjectWatermark(req, res, next) {
+    const { projectId } = req.params;
+    return updateOverride(req, res, next, { projectId }, () =>
+      watermarkService.updateProjectWatermark(projectId, req.body.watermark)
+    );
+  }
+}
+
+module.exports = new WatermarkController();
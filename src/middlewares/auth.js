@@ -1,5 +1,7 @@
 const { verifyToken } = require('../utils/auth');
 const { supabase } = require('../config');
+const authSessionService = require('../services/authSessionService');
+const roleService = require('../services/roleService');
 
 // Extract token from Authorization header
 const extractToken = (req) => {
@@ -10,6 +12,17 @@ const extractToken = (req) => {
   return null;
 };
 
+// Reject tokens issued before a "log out everywhere" or whose session has been revoked
+const isTokenRevoked = async (decoded, user) => {
+  if ((decoded.tokenVersion || 0) !== (user.token_version || 0)) {
+    return true;
+  }
+  if (decoded.sessionId) {
+    return !(await authSessionService.isSessionActive(decoded.sessionId));
+  }
+  return false;
+};
+
 // Verify JWT and attach user to request
 const authenticateToken = async (req, res, next) => {
   try {
@@ -48,8 +61,14 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ error: 'User not found' });
     }
 
+    if (await isTokenRevoked(decoded, user)) {
+      console.log('Auth - Token has been revoked');
+      return res.status(401).json({ error: 'Token has been revoked' });
+    }
+
     console.log('Auth - User authenticated:', { id: user.id, email: user.email, role: user.role });
     req.user = user;
+    req.auth = { sessionId: decoded.sessionId || null, tokenVersion: decoded.tokenVersion || 0 };
     next();
   } catch (error) {
     console.error('Auth - Error:', error);
@@ -82,6 +101,37 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
+// Require every listed permission (granted by the user's role, see config/permissions.js)
+const requirePermission = (...permissions) => {
+  const checkPermission = async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+      const granted = await roleService.getPermissions(req.user.role);
+      const missing = permissions.filter(permission => !roleService.grants(granted, permission));
+
+      if (missing.length > 0) {
+        console.log('Permission check - Denied. Role:', req.user.role, 'missing:', missing);
+        return res.status(403).json({
+          error: 'You do not have permission to do this',
+          currentRole: req.user.role,
+          requiredPermissions: missing
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Lets scripts/check-route-permissions.js see what a route requires
+  checkPermission.permissions = permissions;
+  return checkPermission;
+};
+
 // Require client role
 const requireClient = (req, res, next) => {
   if (!req.user || req.user.role !== 'client') {
@@ -90,6 +140,20 @@ const requireClient = (req, res, next) => {
   next();
 };
 
+// Require a verified email address (e.g. before posting public content)
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (!req.user.email_verified_at) {
+    return res.status(403).json({
+      error: 'Please verify your email address first',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+  next();
+};
+
 // Optional authentication (for routes that work with or without auth)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -104,8 +168,9 @@ const optionalAuth = async (req, res, next) => {
           .eq('id', decoded.userId)
           .single();
 
-        if (!error && user) {
+        if (!error && user && !(await isTokenRevoked(decoded, user))) {
           req.user = user;
+          req.auth = { sessionId: decoded.sessionId || null, tokenVersion: decoded.tokenVersion || 0 };
         }
       }
     }
@@ -118,6 +183,8 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   authenticateToken,
   requireAdmin,
+  requirePermission,
   requireClient,
+  requireVerifiedEmail,
   optionalAuth,
 }; 
\ No newline at end of file
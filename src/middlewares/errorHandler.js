@@ -16,13 +16,22 @@ const errorHandler = (err, req, res, next) => {
     }
   } else if (err.name === 'UnauthorizedError') {
     statusCode = 401;
-    message = 'Unauthorized';
+    message = err.message || 'Unauthorized';
   } else if (err.name === 'ForbiddenError') {
     statusCode = 403;
-    message = 'Forbidden';
+    message = err.message || 'Forbidden';
   } else if (err.name === 'NotFoundError') {
     statusCode = 404;
     message = 'Resource not found';
+  } else if (err.name === 'ConflictError') {
+    statusCode = 409;
+    message = err.message || 'Conflict';
+  } else if (err.name === 'TooManyRequestsError') {
+    statusCode = 429;
+    message = err.message || 'Too many requests';
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
   } else if (err.code === '23505') { // PostgreSQL unique constraint violation
     statusCode = 409;
     message = 'Resource already exists';
@@ -77,10 +86,28 @@ class NotFoundError extends Error {
   }
 }
 
+class ConflictError extends Error {
+  constructor(message = 'Conflict') {
+    super(message);
+    this.name = 'ConflictError';
+  }
+}
+
+// retryAfter: seconds until the client may try again (sent as Retry-After)
+class TooManyRequestsError extends Error {
+  constructor(message = 'Too many requests', retryAfter = null) {
+    super(message);
+    this.name = 'TooManyRequestsError';
+    this.retryAfter = retryAfter;
+  }
+}
+
 module.exports = {
   errorHandler,
   ValidationError,
   UnauthorizedError,
   ForbiddenError,
   NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
 }; 
\ No newline at end of file
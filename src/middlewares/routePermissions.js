@@ -0,0 +1,50 @@
+const { authenticateToken, requirePermission, requireClient } = require('./auth');
+const { isKnownPermission } = require('../config/permissions');
+
+// Middleware chain for each access level that isn't a permission string
+const ACCESS_LEVELS = {
+  public: [],
+  authenticated: [authenticateToken],
+  client: [authenticateToken, requireClient]
+};
+
+const ROUTE_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Auth middleware for a permission map entry: an access level or a permission such as 'portfolio:write'
+const getAccessChain = (access) => {
+  if (ACCESS_LEVELS[access]) {
+    return ACCESS_LEVELS[access];
+  }
+  if (access && access.includes(':') && isKnownPermission(access)) {
+    return [authenticateToken, requirePermission(access)];
+  }
+  return null;
+};
+
+// Wrap an Express router so every route gets the auth middleware its permission map entry
+// asks for, ahead of any upload parsing or validation. Unmapped routes fail at startup.
+const protectRouter = (router, permissions) => {
+  ROUTE_METHODS.forEach(method => {
+    const register = router[method].bind(router);
+
+    router[method] = (path, ...handlers) => {
+      const routeKey = `${method.toUpperCase()} ${path}`;
+      const chain = getAccessChain(permissions[routeKey]);
+
+      if (!chain) {
+        throw new Error(`Route ${routeKey} has no valid access level or permission in the route permission map`);
+      }
+
+      return register(path, ...chain, ...handlers);
+    };
+  });
+
+  router.permissions = permissions;
+  return router;
+};
+
+module.exports = {
+  ACCESS_LEVELS,
+  getAccessChain,
+  protectRouter
+};
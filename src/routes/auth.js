@@ -1,8 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authenticateToken } = require('../middlewares/auth');
-const { registerSchema, loginSchema } = require('../utils/validation');
+const { authenticateToken, optionalAuth } = require('../middlewares/auth');
+const {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema
+} = require('../utils/validation');
 
 // Validation middleware
 const validate = (schema) => (req, res, next) => {
@@ -23,9 +30,16 @@ const validate = (schema) => (req, res, next) => {
 router.post('/register', validate(registerSchema), authController.register);
 router.post('/login', validate(loginSchema), authController.login);
 router.post('/admin/setup', validate(registerSchema), authController.createAdmin);
+router.post('/refresh', validate(refreshTokenSchema), authController.refresh);
+router.post('/logout', optionalAuth, authController.logout);
+router.post('/forgot-password', validate(forgotPasswordSchema), authController.forgotPassword);
+router.post('/reset-password', validate(resetPasswordSchema), authController.resetPassword);
+router.post('/verify-email', validate(verifyEmailSchema), authController.verifyEmail);
 
 // Protected routes
 router.get('/profile', authenticateToken, authController.getProfile);
 router.put('/profile', authenticateToken, authController.updateProfile);
+router.post('/logout-all', authenticateToken, authController.logoutAll);
+router.post('/verify-email/resend', authenticateToken, authController.resendVerification);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,8 +1,24 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const contactController = require('../controllers/contactController');
-const { authenticateToken, requireAdmin } = require('../middlewares/auth');
-const { contactSchema } = require('../utils/validation');
+const { authenticateToken, requirePermission } = require('../middlewares/auth');
+const {
+  contactSchema,
+  contactStageSchema,
+  contactAssignmentSchema,
+  contactFollowUpSchema,
+  contactNoteSchema,
+  contactReplySchema,
+  contactExportSchema,
+  contactListSchema
+} = require('../utils/validation');
+
+// Inbound mail webhooks post raw MIME or multipart form fields; attachments are ignored
+const inboundBody = [
+  express.raw({ type: ['message/rfc822', 'text/plain'], limit: '25mb' }),
+  multer({ storage: multer.memoryStorage(), limits: { fileSize: 25 * 1024 * 1024 } }).any()
+];
 
 // Validation middleware
 const validate = (schema) => (req, res, next) => {
@@ -19,30 +35,62 @@ const validate = (schema) => (req, res, next) => {
   }
 };
 
+// Query string validation; the parsed values (defaults, coerced types) replace req.query
+const validateQuery = (schema) => (req, res, next) => {
+  try {
+    req.query = schema.parse(req.query);
+    next();
+  } catch (error) {
+    res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        details: error.errors
+      }
+    });
+  }
+};
+
 // Public routes (no authentication required)
+router.get('/form-token', contactController.getFormToken);
 router.post('/', validate(contactSchema), contactController.createContactSubmission);
+router.post('/inbound', inboundBody, contactController.receiveInbound);
+
+// Admin routes: viewing needs contacts:read, triage needs contacts:write
+router.use(authenticateToken);
+
+const canRead = requirePermission('contacts:read');
+const canWrite = requirePermission('contacts:write');
 
-// Admin routes (require admin authentication)
-router.use(authenticateToken, requireAdmin);
+router.get('/admin/all', canRead, validateQuery(contactListSchema), contactController.getAllContactSubmissions);
+router.get('/admin/stats', canRead, contactController.getContactStats);
+router.get('/admin/unread-count', canRead, contactController.getUnreadCount);
+router.get('/admin/export', canRead, validateQuery(contactExportSchema), contactController.exportContacts);
 
-router.get('/admin/all', contactController.getAllContactSubmissions);
-router.get('/admin/stats', contactController.getContactStats);
-router.get('/admin/unread-count', contactController.getUnreadCount);
-router.get('/admin/export', contactController.exportContacts);
+router.get('/admin/:contactId', canRead, contactController.getContactSubmissionById);
+router.patch('/admin/:contactId/read', canWrite, contactController.markAsRead);
+router.patch('/admin/:contactId/unread', canWrite, contactController.markAsUnread);
+router.patch('/admin/:contactId/resolved', canWrite, contactController.markAsResolved);
+router.patch('/admin/:contactId/waste', canWrite, contactController.markAsWaste);
+router.delete('/admin/:contactId', canWrite, contactController.deleteContactSubmission);
 
-router.get('/admin/:contactId', contactController.getContactSubmissionById);
-router.patch('/admin/:contactId/read', contactController.markAsRead);
-router.patch('/admin/:contactId/unread', contactController.markAsUnread);
-router.patch('/admin/:contactId/resolved', contactController.markAsResolved);
-router.patch('/admin/:contactId/waste', contactController.markAsWaste);
-router.delete('/admin/:contactId', contactController.deleteContactSubmission);
+// Lead pipeline: stage, assignment, follow-ups, internal notes and change history
+router.patch('/admin/:contactId/stage', canWrite, validate(contactStageSchema), contactController.updateStage);
+router.patch('/admin/:contactId/assignment', canWrite, validate(contactAssignmentSchema), contactController.assignContact);
+router.patch('/admin/:contactId/follow-up', canWrite, validate(contactFollowUpSchema), contactController.setFollowUp);
+router.get('/admin/:contactId/notes', canRead, contactController.getNotes);
+router.post('/admin/:contactId/notes', canWrite, validate(contactNoteSchema), contactController.addNote);
+router.delete('/admin/:contactId/notes/:noteId', canWrite, contactController.deleteNote);
+router.get('/admin/:contactId/history', canRead, contactController.getHistory);
+router.get('/admin/:contactId/notifications', canRead, contactController.getNotifications);
+router.get('/admin/:contactId/messages', canRead, contactController.getMessages);
+router.post('/admin/:contactId/reply', canWrite, validate(contactReplySchema), contactController.replyToContact);
 
-router.get('/admin/search', contactController.searchContactSubmissions);
-router.get('/admin/email/:email', contactController.getContactsByEmail);
+router.get('/admin/search', canRead, contactController.searchContactSubmissions);
+router.get('/admin/email/:email', canRead, contactController.getContactsByEmail);
 
-router.post('/admin/bulk/read', contactController.bulkMarkAsRead);
-router.post('/admin/bulk/resolved', contactController.bulkMarkAsResolved);
-router.post('/admin/bulk/waste', contactController.bulkMarkAsWaste);
-router.post('/admin/bulk/delete', contactController.bulkDelete);
+router.post('/admin/bulk/read', canWrite, contactController.bulkMarkAsRead);
+router.post('/admin/bulk/resolved', canWrite, contactController.bulkMarkAsResolved);
+router.post('/admin/bulk/waste', canWrite, contactController.bulkMarkAsWaste);
+router.post('/admin/bulk/delete', canWrite, contactController.bulkDelete);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const archiveController = require('../controllers/archiveController');
+
+// Signed ZIP download links (created by the project and gallery archive endpoints)
+router.get('/archive/:token', archiveController.downloadArchive);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const feedbackController = require('../controllers/feedbackController');
-const { authenticateToken, requireAdmin, requireClient, optionalAuth } = require('../middlewares/auth');
+const { authenticateToken, requirePermission, requireClient, requireVerifiedEmail, optionalAuth } = require('../middlewares/auth');
 const { feedbackSchema, updateFeedbackSchema, updateUserFeedbackSchema } = require('../utils/validation');
 
 // Validation middleware
@@ -25,19 +25,22 @@ router.get('/summary', feedbackController.getFeedbackSummary);
 router.get('/project/:projectId', optionalAuth, feedbackController.getProjectFeedback);
 router.get('/:feedbackId', feedbackController.getFeedbackById);
 
-// Admin routes (require admin authentication) - must come before client routes
-router.get('/admin/all', authenticateToken, requireAdmin, feedbackController.getAllFeedback);
-router.get('/admin/stats', authenticateToken, requireAdmin, feedbackController.getFeedbackStats);
-router.get('/admin/stats/detailed', authenticateToken, requireAdmin, feedbackController.getAdminFeedbackStats);
+// Admin routes (require feedback permissions) - must come before client routes
+router.get('/admin/all', authenticateToken, requirePermission('feedback:read'), feedbackController.getAllFeedback);
+router.get('/admin/stats', authenticateToken, requirePermission('feedback:read'), feedbackController.getFeedbackStats);
+router.get('/admin/stats/detailed', authenticateToken, requirePermission('feedback:read'), feedbackController.getAdminFeedbackStats);
 
-router.put('/:feedbackId', authenticateToken, requireAdmin, validate(updateFeedbackSchema), feedbackController.updateFeedback);
-router.delete('/:feedbackId', authenticateToken, requireAdmin, feedbackController.deleteFeedback);
+router.put('/:feedbackId', authenticateToken, requirePermission('feedback:moderate'), validate(updateFeedbackSchema), feedbackController.updateFeedback);
+router.delete('/:feedbackId', authenticateToken, requirePermission('feedback:moderate'), feedbackController.deleteFeedback);
 
-router.patch('/:feedbackId/moderate', authenticateToken, requireAdmin, feedbackController.moderateFeedback);
-router.post('/bulk/moderate', authenticateToken, requireAdmin, feedbackController.bulkModerateFeedback);
+router.patch('/:feedbackId/moderate', authenticateToken, requirePermission('feedback:moderate'), feedbackController.moderateFeedback);
+router.post('/bulk/moderate', authenticateToken, requirePermission('feedback:moderate'), feedbackController.bulkModerateFeedback);
+
+// Optionally require a verified email before clients can post feedback
+const feedbackEmailCheck = process.env.REQUIRE_VERIFIED_EMAIL_FOR_FEEDBACK === 'true' ? [requireVerifiedEmail] : [];
 
 // Client routes (require client authentication)
-router.post('/', authenticateToken, requireClient, validate(feedbackSchema), feedbackController.createFeedback);
+router.post('/', authenticateToken, requireClient, ...feedbackEmailCheck, validate(feedbackSchema), feedbackController.createFeedback);
 router.get('/user/me', authenticateToken, requireClient, feedbackController.getUserFeedback);
 router.put('/:feedbackId/user', authenticateToken, requireClient, validate(updateUserFeedbackSchema), feedbackController.updateUserFeedback);
 router.delete('/:feedbackId/user', authenticateToken, requireClient, feedbackController.deleteUserFeedback);
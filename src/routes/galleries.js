@@ -0,0 +1,89 @@
+const express = require('express');
+const multer = require('multer');
+const galleryController = require('../controllers/galleryController');
+const archiveController = require('../controllers/archiveController');
+const { optionalAuth } = require('../middlewares/auth');
+const { protectRouter } = require('../middlewares/routePermissions');
+const routePermissions = require('../config/routePermissions');
+const {
+  gallerySchema,
+  updateGallerySchema,
+  galleryLinkSchema,
+  galleryAccessSchema,
+  galleryCommentSchema,
+  gallerySelectionSchema,
+  archiveBuildSchema
+} = require('../utils/validation');
+
+// Authentication for every route comes from the galleries entry in config/routePermissions.js
+const router = protectRouter(express.Router(), routePermissions.galleries);
+
+// Proofs are full-resolution images
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB per image
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'), false);
+    }
+  },
+});
+
+// Validation middleware
+const validate = (schema) => (req, res, next) => {
+  try {
+    schema.parse(req.body);
+    next();
+  } catch (error) {
+    res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        details: error.errors
+      }
+    });
+  }
+};
+
+// Staff routes (must come before the /:slug routes)
+router.get('/admin/all', galleryController.getAllGalleries);
+router.post('/admin', validate(gallerySchema), galleryController.createGallery);
+router.get('/admin/:galleryId', galleryController.getGalleryById);
+router.put('/admin/:galleryId', validate(updateGallerySchema), galleryController.updateGallery);
+router.delete('/admin/:galleryId', galleryController.deleteGallery);
+
+router.post('/admin/:galleryId/images', upload.array('images', 50), galleryController.addImages);
+router.post('/admin/:galleryId/images/import-project', galleryController.importProjectImages);
+router.delete('/admin/:galleryId/images/:imageId', galleryController.deleteImage);
+
+router.get('/admin/:galleryId/links', galleryController.getLinks);
+router.post('/admin/:galleryId/links', validate(galleryLinkSchema), galleryController.createLink);
+router.delete('/admin/:galleryId/links/:linkId', galleryController.revokeLink);
+
+router.get('/admin/:galleryId/selection', galleryController.getGallerySelection);
+router.delete('/admin/:galleryId/selection', galleryController.reopenSelection);
+router.get('/admin/projects/:projectId/selections', galleryController.getProjectSelections);
+
+router.get('/admin/:galleryId/archives', archiveController.getGalleryArchives);
+router.post('/admin/:galleryId/archives', validate(archiveBuildSchema), archiveController.buildGalleryArchive);
+
+// Client routes
+router.get('/', galleryController.getMyGalleries);
+
+// Gallery viewing: the service checks the client account, staff permission or X-Gallery-Token
+router.post('/:slug/access', validate(galleryAccessSchema), galleryController.requestAccess);
+router.get('/:slug', optionalAuth, galleryController.getGallery);
+router.get('/:slug/images/:imageId/download', optionalAuth, galleryController.downloadImage);
+router.get('/:slug/archive', optionalAuth, galleryController.downloadArchive);
+
+// Favorites, album selection and comments
+router.put('/:slug/images/:imageId/favorite', optionalAuth, galleryController.favoriteImage);
+router.delete('/:slug/images/:imageId/favorite', optionalAuth, galleryController.favoriteImage);
+router.put('/:slug/images/:imageId/select', optionalAuth, galleryController.selectImage);
+router.delete('/:slug/images/:imageId/select', optionalAuth, galleryController.selectImage);
+router.get('/:slug/images/:imageId/comments', optionalAuth, galleryController.getComments);
+router.post('/:slug/images/:imageId/comments', optionalAuth, validate(galleryCommentSchema), galleryController.addComment);
+router.post('/:slug/selection/submit', optionalAuth, validate(gallerySelectionSchema), galleryController.submitSelection);
+
+module.exports = router;
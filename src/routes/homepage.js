@@ -1,13 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const homepageController = require('../controllers/homepageController');
-const { authenticateToken, requireAdmin, optionalAuth } = require('../middlewares/auth');
+const uploadController = require('../controllers/uploadController');
+const { authenticateToken, requirePermission, optionalAuth } = require('../middlewares/auth');
 const { 
   homepageElementSchema, 
   updateHomepageElementSchema, 
   toggleActiveSchema, 
   reorderElementsSchema, 
-  bulkUploadSchema 
+  bulkUploadSchema,
+  uploadSessionSchema
 } = require('../utils/validation');
 const multer = require('multer');
 const path = require('path');
@@ -163,10 +165,10 @@ const handleMulterUpload = (uploadMiddleware) => {
   };
 };
 
-// Admin routes (require admin authentication)
+// Admin routes (require the homepage:write permission)
 router.post('/elements', 
   authenticateToken, 
-  requireAdmin, 
+  requirePermission('homepage:write'),
   handleMulterUpload(universalUpload.single('media_file')), 
   validate(homepageElementSchema),
   homepageController.createHomepageElement
@@ -174,48 +176,48 @@ router.post('/elements',
 
 router.put('/elements/:id', 
   authenticateToken, 
-  requireAdmin, 
+  requirePermission('homepage:write'),
   validate(updateHomepageElementSchema),
   homepageController.updateHomepageElement
 );
 
 router.delete('/elements/:id', 
   authenticateToken, 
-  requireAdmin, 
+  requirePermission('homepage:write'),
   homepageController.deleteHomepageElement
 );
 
 router.patch('/elements/:id/toggle-active', 
   authenticateToken, 
-  requireAdmin, 
+  requirePermission('homepage:write'),
   validate(toggleActiveSchema),
   homepageController.toggleElementActive
 );
 
 router.post('/elements/reorder', 
   authenticateToken, 
-  requireAdmin, 
+  requirePermission('homepage:write'),
   validate(reorderElementsSchema),
   homepageController.reorderElements
 );
 
 router.post('/elements/:id/media', 
   authenticateToken, 
-  requireAdmin, 
+  requirePermission('homepage:write'),
   handleMulterUpload(universalUpload.single('media_file')), 
   homepageController.updateElementMedia
 );
 
 router.get('/stats', 
   authenticateToken, 
-  requireAdmin, 
+  requirePermission('homepage:write'),
   homepageController.getHomepageStats
 );
 
-// Test video compression (admin only)
+// Test video compression (homepage editors only)
 router.post('/test-compression', 
   authenticateToken, 
-  requireAdmin, 
+  requirePermission('homepage:write'),
   handleMulterUpload(universalUpload.single('video_file')), 
   async (req, res) => {
     try {
@@ -250,10 +252,75 @@ router.post('/test-compression',
 
 router.post('/elements/bulk-upload', 
   authenticateToken, 
-  requireAdmin, 
+  requirePermission('homepage:write'),
   handleMulterUpload(universalUpload.array('files', 10)), // Allow up to 10 files
   validate(bulkUploadSchema),
   homepageController.bulkUploadElements
 );
 
+// Resumable uploads for large homepage media (homepage editors only)
+// init -> PUT each part as application/octet-stream -> complete (or DELETE to abort)
+router.post('/elements/uploads',
+  authenticateToken,
+  requirePermission('homepage:write'),
+  validate(uploadSessionSchema),
+  uploadController.startHomepageElementUpload
+);
+
+router.get('/elements/uploads/:sessionId',
+  authenticateToken,
+  requirePermission('homepage:write'),
+  uploadController.getUploadStatus
+);
+
+router.put('/elements/uploads/:sessionId/parts/:partNumber',
+  authenticateToken,
+  requirePermission('homepage:write'),
+  uploadController.uploadPart
+);
+
+router.post('/elements/uploads/:sessionId/complete',
+  authenticateToken,
+  requirePermission('homepage:write'),
+  uploadController.completeUpload
+);
+
+router.delete('/elements/uploads/:sessionId',
+  authenticateToken,
+  requirePermission('homepage:write'),
+  uploadController.abortUpload
+);
+
+// Resumable upload that replaces an existing element's media
+router.post('/elements/:id/media/uploads',
+  authenticateToken,
+  requirePermission('homepage:write'),
+  validate(uploadSessionSchema),
+  uploadController.startElementMediaUpload
+);
+
+router.get('/elements/:id/media/uploads/:sessionId',
+  authenticateToken,
+  requirePermission('homepage:write'),
+  uploadController.getUploadStatus
+);
+
+router.put('/elements/:id/media/uploads/:sessionId/parts/:partNumber',
+  authenticateToken,
+  requirePermission('homepage:write'),
+  uploadController.uploadPart
+);
+
+router.post('/elements/:id/media/uploads/:sessionId/complete',
+  authenticateToken,
+  requirePermission('homepage:write'),
+  uploadController.completeUpload
+);
+
+router.delete('/elements/:id/media/uploads/:sessionId',
+  authenticateToken,
+  requirePermission('homepage:write'),
+  uploadController.abortUpload
+);
+
 module.exports = router; 
\ No newline at end of file
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const instagramController = require('../controllers/instagramController');
-const { authenticateToken, requireAdmin } = require('../middlewares/auth');
+const { authenticateToken, requirePermission } = require('../middlewares/auth');
 
 // Public routes (no authentication required)
 router.get('/profile', instagramController.getUserProfile);
@@ -12,8 +12,8 @@ router.get('/type', instagramController.getPostsByType);
 router.get('/stories', instagramController.getStories);
 router.get('/post/:postId', instagramController.getPostById);
 
-// Admin routes (require authentication and admin role)
-router.use(authenticateToken, requireAdmin);
+// Admin routes (require authentication and the instagram:manage permission)
+router.use(authenticateToken, requirePermission('instagram:manage'));
 
 router.get('/post/:postId/insights', instagramController.getPostInsights);
 router.post('/refresh-token', instagramController.refreshToken);
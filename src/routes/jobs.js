@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const { authenticateToken, requirePermission } = require('../middlewares/auth');
+
+// Admin routes (require authentication plus the jobs permissions)
+router.use(authenticateToken);
+
+router.get('/', requirePermission('jobs:read'), jobController.getJobs);
+router.get('/:jobId', requirePermission('jobs:read'), jobController.getJobById);
+router.post('/:jobId/retry', requirePermission('jobs:write'), jobController.retryJob);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const maintenanceController = require('../controllers/maintenanceController');
+const { authenticateToken, requirePermission } = require('../middlewares/auth');
+const { storageReconcileSchema } = require('../utils/validation');
+
+// Validation middleware
+const validate = (schema) => (req, res, next) => {
+  try {
+    schema.parse(req.body);
+    next();
+  } catch (error) {
+    res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        details: error.errors
+      }
+    });
+  }
+};
+
+// Admin routes (require authentication plus storage:manage)
+router.use(authenticateToken, requirePermission('storage:manage'));
+
+router.post('/storage/reconcile', validate(storageReconcileSchema), maintenanceController.reconcileStorage);
+
+module.exports = router;
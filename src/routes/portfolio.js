@@ -1,9 +1,15 @@
 const express = require('express');
-const router = express.Router();
 const multer = require('multer');
 const portfolioController = require('../controllers/portfolioController');
-const { authenticateToken, requireAdmin } = require('../middlewares/auth');
-const { portfolioSchema, paginationSchema, searchSchema, categorySchema } = require('../utils/validation');
+const uploadController = require('../controllers/uploadController');
+const archiveController = require('../controllers/archiveController');
+const watermarkController = require('../controllers/watermarkController');
+const { protectRouter } = require('../middlewares/routePermissions');
+const routePermissions = require('../config/routePermissions');
+const { portfolioSchema, paginationSchema, searchSchema, categorySchema, uploadSessionSchema, archiveBuildSchema, watermarkOverrideSchema, cameraSettingsSchema, projectImageSchema, reorderProjectImagesSchema, reorderProjectMediaSchema, projectCoverSchema } = require('../utils/validation');
+
+// Authentication for every route comes from the portfolio entry in config/routePermissions.js
+const router = protectRouter(express.Router(), routePermissions.portfolio);
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -69,7 +75,7 @@ router.get('/featured', portfolioController.getFeaturedProjects);
 router.get('/published', portfolioController.getPublishedProjects);
 router.get('/categories', portfolioController.getCategories);
 
-// CRUD routes for packages (move these above dynamic routes)
+// CRUD routes for packages (move these above dynamic routes; writes are admin only)
 router.get('/packages', portfolioController.getPackages);
 router.post('/packages', portfolioController.createPackage);
 router.get('/packages/:id', portfolioController.getPackageById);
@@ -105,6 +111,7 @@ function asyncHandler(fn) {
 // Category management (admin only)
 router.post('/categories', validate(categorySchema), portfolioController.createCategory);
 router.put('/categories/:categoryId', validate(portfolioSchema), portfolioController.updateCategory);
+router.put('/categories/:categoryId/watermark', validate(watermarkOverrideSchema), watermarkController.updateCategoryWatermark);
 // router.delete('/categories/:categoryId', portfolioController.deleteCategory); // Removed: No such function in controller
 
 // Subcategory management (admin only)
@@ -122,7 +129,6 @@ router.delete('/subcategories/:subcategoryId', portfolioController.deleteSubcate
 
 // Create new project (with image upload)
 router.post('/', 
-  authenticateToken, requireAdmin,
   upload.array('images', 10),
   validate(portfolioSchema),
   portfolioController.createProject
@@ -130,7 +136,6 @@ router.post('/',
 
 // Create new project with mixed media (images and/or videos)
 router.post('/with-media', 
-  authenticateToken, requireAdmin,
   mixedUpload.array('media', 10),
   validate(portfolioSchema),
   portfolioController.createProjectWithMedia
@@ -144,22 +149,65 @@ router.put('/:projectId',
 );
 
 // Admin-only delete routes
-router.delete('/project/:projectId', authenticateToken, requireAdmin, portfolioController.deleteProject);
-router.delete('/category/:slug', authenticateToken, requireAdmin, portfolioController.deleteCategoryBySlug);
+router.delete('/project/:projectId', portfolioController.deleteProject);
+router.delete('/category/:slug', portfolioController.deleteCategoryBySlug);
 // Optionally keep the public delete by projectId (not recommended for production)
 // router.delete('/:projectId', portfolioController.deleteProject);
 
-// Toggle publish status
+// Toggle publish status (admin only)
 router.patch('/:projectId/publish', portfolioController.togglePublishStatus);
 
+// Show or hide camera settings (EXIF) on the project's images (admin only)
+router.patch('/:projectId/camera-settings', validate(cameraSettingsSchema), portfolioController.toggleCameraSettings);
+
+// Add images to an existing project (admin only)
+router.post('/:projectId/images',
+  upload.array('images', 10),
+  portfolioController.addProjectImages
+);
+
+// Reorder project images (admin only; registered before /images/:imageId)
+router.put('/:projectId/images/reorder',
+  validate(reorderProjectImagesSchema),
+  portfolioController.reorderProjectImages
+);
+
+// Caption and alt text of a project image (admin only)
+router.put('/:projectId/images/:imageId',
+  validate(projectImageSchema),
+  portfolioController.updateProjectImage
+);
+
 // Delete a specific image from a project (admin only)
-router.delete('/:projectId/images/:imageId', authenticateToken, requireAdmin, portfolioController.deleteProjectImage);
+router.delete('/:projectId/images/:imageId', portfolioController.deleteProjectImage);
+
+// Reorder images and videos in one timeline (admin only)
+router.put('/:projectId/media/reorder',
+  validate(reorderProjectMediaSchema),
+  portfolioController.reorderProjectMedia
+);
+
+// Choose the project's cover from its images (admin only)
+router.put('/:projectId/cover',
+  validate(projectCoverSchema),
+  portfolioController.setProjectCover
+);
+
+// Watermark override for a project's public images (admin only)
+router.put('/:projectId/watermark', validate(watermarkOverrideSchema), watermarkController.updateProjectWatermark);
+
+// ZIP downloads of a project's images (admin only)
+// ?size=original|large|medium|small; served from a pre-built archive when one is up to date
+router.get('/:projectId/archive', archiveController.getProjectArchiveLink);
+router.get('/:projectId/archives', archiveController.getProjectArchives);
+router.post('/:projectId/archives',
+  validate(archiveBuildSchema),
+  archiveController.buildProjectArchive
+);
 
 // Video management routes
 // Upload single video to project (admin only)
 router.post('/:projectId/videos', 
-  authenticateToken, 
-  requireAdmin,
   videoUpload.single('video'),
   portfolioController.uploadProjectVideo
 );
@@ -169,31 +217,46 @@ router.get('/:projectId/videos', portfolioController.getProjectVideos);
 
 // Update project video (admin only)
 router.put('/videos/:videoId', 
-  authenticateToken, 
-  requireAdmin,
   portfolioController.updateProjectVideo
 );
 
 // Delete project video (admin only)
 router.delete('/videos/:videoId', 
-  authenticateToken, 
-  requireAdmin,
   portfolioController.deleteProjectVideo
 );
 
 // Reorder project videos (admin only)
 router.put('/:projectId/videos/reorder', 
-  authenticateToken, 
-  requireAdmin,
   portfolioController.reorderProjectVideos
 );
 
 // Bulk upload videos to project (admin only)
 router.post('/:projectId/videos/bulk', 
-  authenticateToken, 
-  requireAdmin,
   videoUpload.array('videos', 10),
   portfolioController.bulkUploadProjectVideos
 );
 
+// Resumable video uploads (admin only)
+// init -> PUT each part as application/octet-stream -> complete (or DELETE to abort)
+router.post('/:projectId/videos/uploads',
+  validate(uploadSessionSchema),
+  uploadController.startProjectVideoUpload
+);
+
+router.get('/:projectId/videos/uploads/:sessionId',
+  uploadController.getUploadStatus
+);
+
+router.put('/:projectId/videos/uploads/:sessionId/parts/:partNumber',
+  uploadController.uploadPart
+);
+
+router.post('/:projectId/videos/uploads/:sessionId/complete',
+  uploadController.completeUpload
+);
+
+router.delete('/:projectId/videos/uploads/:sessionId',
+  uploadController.abortUpload
+);
+
 module.exports = router; 
\ No newline at end of file
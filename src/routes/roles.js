@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const roleController = require('../controllers/roleController');
+const { authenticateToken, requirePermission } = require('../middlewares/auth');
+const { roleSchema, updateRoleSchema } = require('../utils/validation');
+
+// Validation middleware
+const validate = (schema) => (req, res, next) => {
+  try {
+    schema.parse(req.body);
+    next();
+  } catch (error) {
+    res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        details: error.errors
+      }
+    });
+  }
+};
+
+// Admin routes (require the users:manage permission)
+router.use(authenticateToken, requirePermission('users:manage'));
+
+router.get('/', roleController.getRoles);
+router.post('/', validate(roleSchema), roleController.createRole);
+router.get('/:name', roleController.getRole);
+router.put('/:name', validate(updateRoleSchema), roleController.updateRole);
+router.delete('/:name', roleController.deleteRole);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const teamController = require('../controllers/teamController');
-const { authenticateToken, requireAdmin } = require('../middlewares/auth');
+const { authenticateToken, requirePermission } = require('../middlewares/auth');
 const multer = require('multer');
 const path = require('path');
 
@@ -26,9 +26,9 @@ const photoUpload = multer({
 router.get('/', teamController.getAllTeamMembers);
 router.get('/:id', teamController.getTeamMemberById);
 
-// Admin routes
-router.post('/', authenticateToken, requireAdmin, photoUpload.single('photo'), teamController.createTeamMember);
-router.put('/:id', authenticateToken, requireAdmin, photoUpload.single('photo'), teamController.updateTeamMember);
-router.delete('/:id', authenticateToken, requireAdmin, teamController.deleteTeamMember);
+// Admin routes (require the team:write permission)
+router.post('/', authenticateToken, requirePermission('team:write'), photoUpload.single('photo'), teamController.createTeamMember);
+router.put('/:id', authenticateToken, requirePermission('team:write'), photoUpload.single('photo'), teamController.updateTeamMember);
+router.delete('/:id', authenticateToken, requirePermission('team:write'), teamController.deleteTeamMember);
 
 module.exports = router; 
\ No newline at end of file
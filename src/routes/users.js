@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { authenticateToken, requirePermission } = require('../middlewares/auth');
+const { userRoleSchema } = require('../utils/validation');
+
+// Validation middleware
+const validate = (schema) => (req, res, next) => {
+  try {
+    schema.parse(req.body);
+    next();
+  } catch (error) {
+    res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        details: error.errors
+      }
+    });
+  }
+};
+
+// Admin routes (require the users:manage permission)
+router.use(authenticateToken, requirePermission('users:manage'));
+
+router.get('/', userController.getUsers);
+router.get('/:userId', userController.getUserById);
+router.patch('/:userId/role', validate(userRoleSchema), userController.updateUserRole);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const watermarkController = require('../controllers/watermarkController');
+const { authenticateToken, requirePermission } = require('../middlewares/auth');
+const { watermarkSettingsSchema } = require('../utils/validation');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB logo
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'image/png') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PNG files are allowed'), false);
+    }
+  },
+});
+
+// Validation middleware
+const validate = (schema) => (req, res, next) => {
+  try {
+    schema.parse(req.body);
+    next();
+  } catch (error) {
+    res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        details: error.errors
+      }
+    });
+  }
+};
+
+// Admin routes (watermarks are part of the portfolio)
+router.use(authenticateToken, requirePermission('portfolio:write'));
+
+router.get('/', watermarkController.getSettings);
+router.put('/', validate(watermarkSettingsSchema), watermarkController.updateSettings);
+router.post('/logo', upload.single('logo'), watermarkController.uploadLogo);
+
+module.exports = router;
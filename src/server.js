@@ -1,5 +1,6 @@
 require('dotenv').config();
 const { app, server } = require('./app');
+const { startWorker } = require('./worker');
 
 const PORT = process.env.PORT || 5001;
 
@@ -18,6 +19,11 @@ process.on('unhandledRejection', (reason, promise) => {
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Socket.IO server ready for real-time progress tracking`);
+
+  // Run the job worker in this process unless it runs separately (npm run worker)
+  if (process.env.MEDIA_WORKER_ENABLED !== 'false') {
+    startWorker();
+  }
 });
 
 // Set server timeout for large file uploads
@@ -0,0 +1,81 @@
+const { supabase } = require('../config');
+const { generateOpaqueToken, hashToken } = require('../utils/auth');
+const { ValidationError } = require('../middlewares/errorHandler');
+
+// Lifetime of each token type in minutes
+const TOKEN_TTL_MINUTES = {
+  email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60,
+  password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60
+};
+
+// Single-use, expiring tokens for email links; only hashes are stored
+class AccountTokenService {
+  // Issue a token, invalidating any earlier unused token of the same type
+  async issue(userId, type) {
+    try {
+      if (!TOKEN_TTL_MINUTES[type]) {
+        throw new ValidationError(`Unknown token type: ${type}`);
+      }
+
+      const now = new Date();
+      await supabase
+        .from('account_tokens')
+        .update({ used_at: now.toISOString() })
+        .eq('user_id', userId)
+        .eq('type', type)
+        .is('used_at', null);
+
+      const token = generateOpaqueToken(32);
+      const { error } = await supabase
+        .from('account_tokens')
+        .insert({
+          user_id: userId,
+          type,
+          token_hash: hashToken(token),
+          expires_at: new Date(now.getTime() + TOKEN_TTL_MINUTES[type] * 60 * 1000).toISOString()
+        });
+
+      if (error) throw error;
+
+      return { token, expiresInMinutes: TOKEN_TTL_MINUTES[type] };
+    } catch (error) {
+      if (error.name === 'ValidationError') throw error;
+      throw new Error('Failed to issue token: ' + error.message);
+    }
+  }
+
+  // Mark a token as used and return its user ID; fails for unknown, used or expired tokens
+  async consume(token, type) {
+    const { data: consumed, error } = await supabase
+      .from('account_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('token_hash', hashToken(token || ''))
+      .eq('type', type)
+      .is('used_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .select('user_id')
+      .maybeSingle();
+
+    if (error) throw new Error('Failed to verify token: ' + error.message);
+    if (!consumed) {
+      throw new ValidationError('This link is invalid or has expired');
+    }
+
+    return consumed.user_id;
+  }
+
+  // Human-readable lifetime for email copy
+  describeTtl(minutes) {
+    if (minutes % (24 * 60) === 0) {
+      const days = minutes / (24 * 60);
+      return `${days} day${days === 1 ? '' : 's'}`;
+    }
+    if (minutes % 60 === 0) {
+      const hours = minutes / 60;
+      return `${hours} hour${hours === 1 ? '' : 's'}`;
+    }
+    return `${minutes} minutes`;
+  }
+}
+
+module.exports = new AccountTokenService();
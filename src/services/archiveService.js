@@ -0,0 +1,384 @@
+const crypto = require('crypto');
+const path = require('path');
+const { once } = require('events');
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+const jwt = require('jsonwebtoken');
+const { supabase, jwt: jwtConfig } = require('../config');
+const storageConfig = require('../config/storage');
+const { ValidationError, NotFoundError, UnauthorizedError } = require('../middlewares/errorHandler');
+const storage = require('./storage');
+const s3Service = require('./s3Service');
+const jobQueueService = require('./jobQueueService');
+
+const LINK_AUDIENCE = 'archive-download';
+// 'original' is the stored file; the rest are the renditions generated on upload
+const ARCHIVE_SIZES = ['original', 'large', 'medium', 'small'];
+const RENDITION_FALLBACK = ['large', 'medium', 'small', 'thumbnail'];
+const SCOPE_TYPES = ['project', 'gallery'];
+
+// ZIP downloads of a project's or gallery's images, streamed straight from storage.
+// Pre-built archives are cached in storage and reused while the image set is unchanged.
+class ArchiveService {
+  constructor() {
+    this.linkTtlSeconds = (parseInt(process.env.ARCHIVE_LINK_TTL_MINUTES) || 60) * 60;
+    jobQueueService.register('build-archive', (payload, context) => this.buildArchive(payload, context));
+  }
+
+  // Signed, expiring download link; points at a pre-built archive when one is up to date
+  async createDownloadLink(scope, size = 'original') {
+    try {
+      this.assertScope(scope, size);
+
+      const { entries, name } = await this.getEntries(scope, size);
+      if (entries.length === 0) {
+        throw new ValidationError('There are no images to download');
+      }
+
+      const expiresAt = new Date(Date.now() + this.linkTtlSeconds * 1000).toISOString();
+      const fileName = this.getFileName(name, size);
+      const cached = await this.getArchive(scope, size);
+
+      if (cached && cached.status === 'ready' && cached.fingerprint === this.getFingerprint(entries)) {
+        return {
+          url: await s3Service.getSignedUrl(cached.storage_key, { expiresIn: this.linkTtlSeconds, filename: fileName }),
+          fileName,
+          fileCount: entries.length,
+          expiresAt,
+          prebuilt: true
+        };
+      }
+
+      const token = jwt.sign(
+        { type: scope.type, id: scope.id, size },
+        jwtConfig.secret,
+        { audience: LINK_AUDIENCE, expiresIn: this.linkTtlSeconds }
+      );
+
+      return {
+        url: `${storageConfig.publicBaseUrl}/api/downloads/archive/${token}`,
+        fileName,
+        fileCount: entries.length,
+        expiresAt,
+        prebuilt: false
+      };
+    } catch (error) {
+      if (error.name === 'ValidationError' || error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to create download link: ' + error.message);
+    }
+  }
+
+  // Resolve a download link token back to { scope, size }
+  verifyDownloadToken(token) {
+    try {
+      const claims = jwt.verify(token, jwtConfig.secret, { audience: LINK_AUDIENCE });
+      return { scope: { type: claims.type, id: claims.id }, size: claims.size };
+    } catch (error) {
+      throw new UnauthorizedError('This download link is invalid or has expired');
+    }
+  }
+
+  // Stream a ZIP of the scope into a response (or any writable), one storage object at a time
+  async streamArchive(scope, size, output) {
+    const { entries, name } = await this.getEntries(scope, size);
+    if (entries.length === 0) {
+      throw new NotFoundError('There are no images to download');
+    }
+
+    if (typeof output.setHeader === 'function') {
+      output.setHeader('Content-Type', 'application/zip');
+      output.setHeader('Content-Disposition', `attachment; filename="${this.getFileName(name, size)}"`);
+    }
+
+    await this.writeArchive(entries, output);
+  }
+
+  // Queue building a cached archive (staff)
+  async queueBuild(scope, size, userId) {
+    this.assertScope(scope, size);
+    await this.getEntries(scope, size);
+
+    const job = await jobQueueService.enqueue('build-archive', { scope, size }, { createdBy: userId });
+    return { jobId: job.id, uploadId: jobQueueService.getJobRoom(job), status: job.status };
+  }
+
+  // Job handler: write the archive to storage and record it
+  async buildArchive({ scope, size }, { onProgress }) {
+    const { entries } = await this.getEntries(scope, size);
+    const key = `${storageConfig.privatePrefix}/archives/${scope.type}-${scope.id}-${size}.zip`;
+    const fingerprint = this.getFingerprint(entries);
+
+    const existing = await this.getArchive(scope, size);
+    const record = await this.saveArchive(existing, {
+      scope_type: scope.type,
+      scope_id: scope.id,
+      size,
+      storage_key: key,
+      fingerprint,
+      status: 'building'
+    });
+
+    const body = new PassThrough();
+    const counter = new PassThrough();
+    let byteSize = 0;
+    counter.on('data', chunk => { byteSize += chunk.length; });
+
+    try {
+      const upload = storage.put(key, body, { contentType: 'application/zip' });
+      await this.writeArchive(entries, body, (done) => {
+        onProgress(Math.round((done / entries.length) * 95), `Archived ${done} of ${entries.length} images`);
+      }, counter);
+      await upload;
+
+      await this.saveArchive(record, {
+        status: 'ready',
+        file_count: entries.length,
+        byte_size: byteSize,
+        built_at: new Date().toISOString()
+      });
+
+      console.log(`🗜️ Built ${key} (${entries.length} files, ${(byteSize / (1024 * 1024)).toFixed(2)} MB)`);
+      return { key, fileCount: entries.length, byteSize };
+    } catch (error) {
+      await this.saveArchive(record, { status: 'failed' }).catch(() => {});
+      throw error;
+    }
+  }
+
+  // Cached archives of a scope
+  async listArchives(scope) {
+    const { data: archives, error } = await supabase
+      .from('download_archives')
+      .select('*')
+      .eq('scope_type', scope.type)
+      .eq('scope_id', scope.id);
+
+    if (error) throw new Error('Failed to fetch archives: ' + error.message);
+    return archives;
+  }
+
+  // Remove cached archives, e.g. when their gallery is deleted
+  async deleteArchives(scope) {
+    const archives = await this.listArchives(scope);
+    if (archives.length === 0) return;
+
+    await storage.deleteMany(archives.map(archive => archive.storage_key));
+    const { error } = await supabase
+      .from('download_archives')
+      .delete()
+      .eq('scope_type', scope.type)
+      .eq('scope_id', scope.id);
+
+    if (error) throw new Error('Failed to delete archives: ' + error.message);
+  }
+
+  // Drop archives holding a project's images, e.g. after they were re-rendered with a new watermark
+  // (their storage keys, and so their fingerprints, don't change)
+  async deleteProjectArchives(projectId) {
+    await this.deleteArchives({ type: 'project', id: projectId });
+
+    const { data: galleries, error } = await supabase
+      .from('galleries')
+      .select('id')
+      .eq('project_id', projectId);
+
+    if (error) throw new Error('Failed to fetch project galleries: ' + error.message);
+    for (const gallery of galleries) {
+      await this.deleteArchives({ type: 'gallery', id: gallery.id });
+    }
+  }
+
+  // Append entries one by one so only a single storage stream is open at a time;
+  // archiver honours backpressure from the output, so nothing is buffered in memory
+  async writeArchive(entries, output, onEntry = () => {}, tap = null) {
+    // Photos are already compressed; storing them is as small and far cheaper
+    const archive = archiver('zip', { store: true });
+    let source = null;
+
+    const abort = () => {
+      if (source) source.destroy();
+      archive.abort();
+    };
+    output.on('close', abort);
+
+    if (tap) {
+      archive.pipe(tap).pipe(output);
+    } else {
+      archive.pipe(output);
+    }
+
+    try {
+      for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        const added = once(archive, 'entry');
+        source = storage.getStream(entry.key);
+        archive.append(source, { name: entry.name });
+        await added;
+        onEntry(i + 1);
+      }
+
+      const finished = once(output, 'finish');
+      await archive.finalize();
+      await finished;
+    } catch (error) {
+      abort();
+      output.destroy(error);
+      throw error;
+    } finally {
+      output.removeListener('close', abort);
+    }
+  }
+
+  // Storage keys and archive paths for the scope at the requested size
+  async getEntries(scope, size) {
+    const { name, images } = scope.type === 'project'
+      ? await this.getProjectImages(scope.id)
+      : await this.getGalleryImages(scope.id);
+
+    const usedNames = new Set();
+    const entries = images.map((image, index) => {
+      const { key, extension } = this.getSourceKey(image, size);
+      const baseName = image.filename
+        ? path.parse(image.filename).name
+        : `${name}-${String(index + 1).padStart(3, '0')}`;
+
+      let entryName = `${baseName}.${extension}`;
+      for (let n = 2; usedNames.has(entryName); n++) {
+        entryName = `${baseName}-${n}.${extension}`;
+      }
+      usedNames.add(entryName);
+
+      return { key, name: entryName };
+    });
+
+    return { name, entries };
+  }
+
+  async getProjectImages(projectId) {
+    const { data: project, error } = await supabase
+      .from('portfolio_projects')
+      .select('id, title')
+      .eq('id', projectId)
+      .single();
+
+    if (error || !project) {
+      throw new NotFoundError('Project not found');
+    }
+
+    const { data: images, error: imagesError } = await supabase
+      .from('portfolio_project_images')
+      .select('*')
+      .eq('project_id', projectId)
+      .order('display_order', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (imagesError) throw new Error('Failed to fetch project images: ' + imagesError.message);
+
+    return {
+      name: this.slugify(project.title) || 'project',
+      images: images.map(image => ({
+        storageKey: image.original_key || image.image_public_id,
+        renditionBase: image.image_public_id,
+        renditions: image.renditions,
+        filename: null
+      }))
+    };
+  }
+
+  async getGalleryImages(galleryId) {
+    const { data: gallery, error } = await supabase
+      .from('galleries')
+      .select('id, slug')
+      .eq('id', galleryId)
+      .single();
+
+    if (error || !gallery) {
+      throw new NotFoundError('Gallery not found');
+    }
+
+    const { data: images, error: imagesError } = await supabase
+      .from('gallery_images')
+      .select('*')
+      .eq('gallery_id', galleryId)
+      .order('display_order', { ascending: true });
+
+    if (imagesError) throw new Error('Failed to fetch gallery images: ' + imagesError.message);
+
+    return {
+      name: gallery.slug,
+      images: images.map(image => ({
+        storageKey: image.original_key || image.storage_key,
+        renditionBase: image.storage_key,
+        renditions: image.renditions,
+        filename: image.filename
+      }))
+    };
+  }
+
+  // The clean original, or the requested rendition (falling back to the next smaller one that exists)
+  getSourceKey(image, size) {
+    if (size !== 'original') {
+      const available = RENDITION_FALLBACK
+        .slice(RENDITION_FALLBACK.indexOf(size))
+        .find(name => image.renditions && image.renditions[name]);
+      if (available) {
+        return { key: s3Service.getRenditionKey(image.renditionBase, available, 'jpeg'), extension: 'jpg' };
+      }
+    }
+
+    return { key: image.storageKey, extension: path.extname(image.storageKey).slice(1) || 'jpg' };
+  }
+
+  // Changes whenever images are added, removed or replaced
+  getFingerprint(entries) {
+    const hash = crypto.createHash('sha256');
+    entries.forEach(entry => hash.update(`${entry.key}\n${entry.name}\n`));
+    return hash.digest('hex');
+  }
+
+  getFileName(name, size) {
+    return size === 'original' ? `${name}.zip` : `${name}-${size}.zip`;
+  }
+
+  assertScope(scope, size) {
+    if (!SCOPE_TYPES.includes(scope.type)) {
+      throw new ValidationError(`Unknown archive scope: ${scope.type}`);
+    }
+    if (!ARCHIVE_SIZES.includes(size)) {
+      throw new ValidationError(`Size must be one of: ${ARCHIVE_SIZES.join(', ')}`);
+    }
+  }
+
+  async getArchive(scope, size) {
+    const { data: archive, error } = await supabase
+      .from('download_archives')
+      .select('*')
+      .eq('scope_type', scope.type)
+      .eq('scope_id', scope.id)
+      .eq('size', size)
+      .maybeSingle();
+
+    if (error) throw new Error('Failed to fetch archive: ' + error.message);
+    return archive;
+  }
+
+  async saveArchive(existing, fields) {
+    const query = existing
+      ? supabase.from('download_archives').update({ ...fields, updated_at: new Date().toISOString() }).eq('id', existing.id)
+      : supabase.from('download_archives').insert(fields);
+
+    const { data: archive, error } = await query.select('*').single();
+    if (error) throw new Error('Failed to save archive: ' + error.message);
+    return archive;
+  }
+
+  slugify(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 80);
+  }
+}
+
+module.exports = new ArchiveService();
@@ -0,0 +1,252 @@
+const { supabase, jwt: jwtConfig } = require('../config');
+const { generateToken, generateOpaqueToken, hashToken } = require('../utils/auth');
+const { UnauthorizedError, NotFoundError } = require('../middlewares/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Login sessions: short-lived access JWTs plus rotating refresh tokens stored hashed
+class AuthSessionService {
+  // Start a session for a freshly authenticated user and issue its first token pair
+  async createSession(user, context = {}) {
+    try {
+      const { data: session, error } = await supabase
+        .from('auth_sessions')
+        .insert({
+          user_id: user.id,
+          user_agent: context.userAgent || null,
+          ip_address: context.ip || null,
+          expires_at: new Date(Date.now() + jwtConfig.refreshTokenTtlDays * DAY_MS).toISOString()
+        })
+        .select('*')
+        .single();
+
+      if (error) throw error;
+
+      const refreshToken = await this.createRefreshToken(session);
+      return this.buildTokenResponse(user, session, refreshToken);
+    } catch (error) {
+      throw new Error('Failed to create session: ' + error.message);
+    }
+  }
+
+  // Exchange a refresh token for a new token pair, rotating the refresh token
+  async refresh(refreshToken, context = {}) {
+    const stored = await this.findRefreshToken(refreshToken);
+
+    if (!stored) {
+      throw new UnauthorizedError('Invalid refresh token');
+    }
+
+    // A rotated token being presented again means it was stolen (or replayed): kill the family
+    if (stored.revoked_at) {
+      await this.revokeSession(stored.session_id, 'token_reuse');
+      console.warn(`🚨 Refresh token reuse detected for user ${stored.user_id}, session ${stored.session_id} revoked`);
+      throw new UnauthorizedError('Refresh token has already been used');
+    }
+
+    if (new Date(stored.expires_at) < new Date()) {
+      throw new UnauthorizedError('Refresh token has expired');
+    }
+
+    const session = await this.getSession(stored.session_id);
+    if (session.revoked_at || new Date(session.expires_at) < new Date()) {
+      throw new UnauthorizedError('Session has ended');
+    }
+
+    // Claim the token; losing this race means someone else just used it
+    const { data: claimed, error: claimError } = await supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', stored.id)
+      .is('revoked_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (claimError) throw new Error('Failed to refresh session: ' + claimError.message);
+    if (!claimed) {
+      await this.revokeSession(stored.session_id, 'token_reuse');
+      throw new UnauthorizedError('Refresh token has already been used');
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', stored.user_id)
+      .single();
+
+    if (userError || !user) {
+      throw new UnauthorizedError('User not found');
+    }
+
+    const nextToken = await this.createRefreshToken(session);
+    await supabase
+      .from('refresh_tokens')
+      .update({ replaced_by: nextToken.id })
+      .eq('id', stored.id);
+    await supabase
+      .from('auth_sessions')
+      .update({
+        last_used_at: new Date().toISOString(),
+        ...(context.ip ? { ip_address: context.ip } : {}),
+        ...(context.userAgent ? { user_agent: context.userAgent } : {})
+      })
+      .eq('id', session.id);
+
+    const { password: _, ...userWithoutPassword } = user;
+    return {
+      user: userWithoutPassword,
+      ...this.buildTokenResponse(user, session, nextToken)
+    };
+  }
+
+  // Log out one session, identified by its refresh token or by the session ID in the access token
+  async logout({ refreshToken, sessionId, userId }) {
+    if (refreshToken) {
+      const stored = await this.findRefreshToken(refreshToken);
+      if (stored) {
+        await this.revokeSession(stored.session_id, 'logout');
+      }
+      return;
+    }
+
+    if (sessionId) {
+      const session = await this.getSession(sessionId);
+      if (session.user_id === userId) {
+        await this.revokeSession(sessionId, 'logout');
+      }
+    }
+  }
+
+  // Log out everywhere: end every session and invalidate outstanding access tokens
+  async logoutAll(userId, reason = 'logout_all') {
+    try {
+      const { data: user, error } = await supabase
+        .from('users')
+        .select('token_version')
+        .eq('id', userId)
+        .single();
+
+      if (error || !user) {
+        throw new NotFoundError('User not found');
+      }
+
+      const { error: updateError } = await supabase
+        .from('users')
+        .update({ token_version: (user.token_version || 0) + 1 })
+        .eq('id', userId);
+
+      if (updateError) throw updateError;
+
+      const now = new Date().toISOString();
+      await supabase
+        .from('auth_sessions')
+        .update({ revoked_at: now, revoked_reason: reason })
+        .eq('user_id', userId)
+        .is('revoked_at', null);
+      await supabase
+        .from('refresh_tokens')
+        .update({ revoked_at: now })
+        .eq('user_id', userId)
+        .is('revoked_at', null);
+    } catch (error) {
+      if (error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to revoke sessions: ' + error.message);
+    }
+  }
+
+  // Revoke a session and every refresh token in it
+  async revokeSession(sessionId, reason = 'logout') {
+    const now = new Date().toISOString();
+
+    const { error } = await supabase
+      .from('auth_sessions')
+      .update({ revoked_at: now, revoked_reason: reason })
+      .eq('id', sessionId)
+      .is('revoked_at', null);
+
+    if (error) throw new Error('Failed to revoke session: ' + error.message);
+
+    await supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: now })
+      .eq('session_id', sessionId)
+      .is('revoked_at', null);
+  }
+
+  // Whether an access token's session is still live (used by authenticateToken)
+  async isSessionActive(sessionId) {
+    const { data: session, error } = await supabase
+      .from('auth_sessions')
+      .select('id, revoked_at, expires_at')
+      .eq('id', sessionId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return Boolean(session && !session.revoked_at && new Date(session.expires_at) > new Date());
+  }
+
+  async getSession(sessionId) {
+    const { data: session, error } = await supabase
+      .from('auth_sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .single();
+
+    if (error || !session) {
+      throw new UnauthorizedError('Session not found');
+    }
+
+    return session;
+  }
+
+  async findRefreshToken(refreshToken) {
+    if (!refreshToken) return null;
+
+    const { data: stored, error } = await supabase
+      .from('refresh_tokens')
+      .select('*')
+      .eq('token_hash', hashToken(refreshToken))
+      .maybeSingle();
+
+    if (error) throw new Error('Failed to look up refresh token: ' + error.message);
+    return stored;
+  }
+
+  // Persist a new refresh token for the session; the plain value is only returned once
+  async createRefreshToken(session) {
+    const token = generateOpaqueToken();
+
+    const { data: stored, error } = await supabase
+      .from('refresh_tokens')
+      .insert({
+        session_id: session.id,
+        user_id: session.user_id,
+        token_hash: hashToken(token),
+        expires_at: session.expires_at
+      })
+      .select('id')
+      .single();
+
+    if (error) throw new Error('Failed to issue refresh token: ' + error.message);
+
+    return { id: stored.id, token };
+  }
+
+  buildTokenResponse(user, session, refreshToken) {
+    const accessToken = generateToken({
+      userId: user.id,
+      role: user.role,
+      sessionId: session.id,
+      tokenVersion: user.token_version || 0
+    });
+
+    return {
+      token: accessToken,
+      refreshToken: refreshToken.token,
+      expiresIn: jwtConfig.expiresIn,
+      refreshTokenExpiresAt: session.expires_at
+    };
+  }
+}
+
+module.exports = new AuthSessionService();
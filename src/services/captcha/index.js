@@ -0,0 +1,18 @@
+const spamConfig = require('../../config/spam');
+
+// The active CAPTCHA verifier, selected by CAPTCHA_PROVIDER (see config/spam.js)
+// Every verifier has: name, enabled and verify(token, ip) -> { success, score, errors }
+const createCaptchaVerifier = ({ provider, secret, minScore }) => {
+  if (provider === 'none') {
+    return {
+      name: 'none',
+      enabled: false,
+      verify: async () => ({ success: true, score: null, errors: [] })
+    };
+  }
+
+  const SiteVerifyVerifier = require('./siteVerifyVerifier');
+  return new SiteVerifyVerifier(provider, { secret, minScore });
+};
+
+module.exports = createCaptchaVerifier(spamConfig.captcha);
@@ -0,0 +1,43 @@
+// Turnstile, hCaptcha and reCAPTCHA all verify a token by POSTing it with the secret to a
+// "siteverify" endpoint and answer with { success, score?, 'error-codes'? }
+const VERIFY_URLS = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify'
+};
+
+class SiteVerifyVerifier {
+  constructor(provider, { secret, minScore }) {
+    this.name = provider;
+    this.enabled = true;
+    this.url = VERIFY_URLS[provider];
+    this.secret = secret;
+    this.minScore = minScore;
+  }
+
+  async verify(token, ip) {
+    const body = new URLSearchParams({ secret: this.secret, response: token });
+    if (ip) body.set('remoteip', ip);
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      body,
+      signal: AbortSignal.timeout(5000)
+    });
+    if (!response.ok) {
+      throw new Error(`${this.name} verification returned HTTP ${response.status}`);
+    }
+
+    const result = await response.json();
+    // Only reCAPTCHA v3 returns a score; a passing v2/Turnstile/hCaptcha check has none
+    const scoreOk = typeof result.score !== 'number' || result.score >= this.minScore;
+
+    return {
+      success: Boolean(result.success) && scoreOk,
+      score: typeof result.score === 'number' ? result.score : null,
+      errors: result['error-codes'] || []
+    };
+  }
+}
+
+module.exports = SiteVerifyVerifier;
@@ -0,0 +1,170 @@
+const ExcelJS = require('exceljs');
+const { supabase } = require('../config');
+const { ValidationError } = require('../middlewares/errorHandler');
+const contactService = require('./contactService');
+const { toCsvRow } = require('../utils/csv');
+
+const toDate = (value) => (value ? new Date(value) : null);
+const yesNo = (value) => (value ? 'yes' : 'no');
+
+// Columns that can be picked with ?columns=; `default` ones are exported when none are given
+const EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID', width: 38, default: true, value: contact => contact.id },
+  { key: 'submittedAt', header: 'Submitted At', width: 22, default: true, value: contact => toDate(contact.created_at) },
+  { key: 'name', header: 'Name', width: 24, default: true, value: contact => contact.name },
+  { key: 'email', header: 'Email', width: 30, default: true, value: contact => contact.email },
+  { key: 'phone', header: 'Phone', width: 16, default: true, value: contact => contact.phone },
+  { key: 'location', header: 'Location', width: 20, default: true, value: contact => contact.location },
+  { key: 'package', header: 'Package', width: 20, default: true, value: (contact, packages) => packages.get(contact.package_id) || null },
+  { key: 'message', header: 'Message', width: 60, default: true, value: contact => contact.message },
+  { key: 'status', header: 'Status', width: 10, default: true, value: contact => contact.status },
+  { key: 'read', header: 'Read', width: 6, default: true, value: contact => yesNo(contact.is_read) },
+  { key: 'stage', header: 'Stage', width: 10, default: true, value: contact => contact.stage },
+  { key: 'assignedTo', header: 'Assigned To', width: 24, default: true, value: contact => (contact.assignee ? contact.assignee.name || contact.assignee.email : null) },
+  { key: 'followUpAt', header: 'Follow Up At', width: 22, default: true, value: contact => toDate(contact.follow_up_at) },
+  { key: 'stageUpdatedAt', header: 'Stage Updated At', width: 22, value: contact => toDate(contact.stage_updated_at) },
+  { key: 'spamScore', header: 'Spam Score', width: 10, value: contact => contact.spam_score },
+  { key: 'ipAddress', header: 'IP Address', width: 16, value: contact => contact.ip_address }
+];
+
+const FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Resolves once the output can take more data (or is gone)
+const waitForDrain = (output) => new Promise(resolve => {
+  if (!output.writableNeedDrain || output.destroyed) return resolve();
+
+  const done = () => {
+    output.removeListener('drain', done);
+    output.removeListener('close', done);
+    resolve();
+  };
+  output.on('drain', done);
+  output.on('close', done);
+});
+
+// Row writers; each gets the picked columns and the response stream
+const writers = {
+  // RFC 4180 lines (CRLF); the BOM makes Excel read the file as UTF-8
+  csv: (columns, output) => ({
+    start: () => output.write('\uFEFF' + toCsvRow(columns.map(column => column.header)) + '\r\n'),
+    row: (values) => output.write(toCsvRow(values) + '\r\n'),
+    end: async () => output.end()
+  }),
+
+  // Streamed workbook: rows are committed as they come so the sheet is never held in memory.
+  // Cells are written as plain strings, so nothing in them is ever evaluated as a formula.
+  xlsx: (columns, output) => {
+    let workbook;
+    let sheet;
+    return {
+      start: () => {
+        workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true, useSharedStrings: false });
+        sheet = workbook.addWorksheet('Contacts', { views: [{ state: 'frozen', ySplit: 1 }] });
+        sheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: column.width }));
+        sheet.getRow(1).font = { bold: true };
+        sheet.getRow(1).commit();
+      },
+      row: (values) => sheet.addRow(values).commit(),
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      }
+    };
+  },
+
+  // { message, contacts, total }. Without ?columns= each contact is the full stored row (snake_case),
+  // as before columns could be picked; with them, an object keyed by the picked column keys.
+  json: (columns, output) => {
+    let total = 0;
+    return {
+      start: () => output.write('{"message":"Contacts exported successfully","contacts":['),
+      row: (values) => {
+        const contact = columns
+          ? Object.fromEntries(columns.map((column, i) => [column.key, values[i] ?? null]))
+          : values;
+        output.write((total++ > 0 ? ',' : '') + JSON.stringify(contact));
+      },
+      end: async () => output.end(`],"total":${total}}`)
+    };
+  }
+};
+
+// Streams filtered contact submissions as JSON, CSV or XLSX, paging through the table
+class ContactExportService {
+  getFormat(format) {
+    return FORMATS[format];
+  }
+
+  // Columns for the requested keys, in the order given; null for a JSON export without
+  // ?columns=, which keeps returning full rows
+  getColumns(keys, format) {
+    if (!keys || keys.length === 0) {
+      return format === 'json' ? null : EXPORT_COLUMNS.filter(column => column.default);
+    }
+
+    const unknown = keys.filter(key => !EXPORT_COLUMNS.some(column => column.key === key));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown export column(s): ${unknown.join(', ')}`, {
+        available: EXPORT_COLUMNS.map(column => column.key)
+      });
+    }
+
+    return [...new Set(keys)].map(key => EXPORT_COLUMNS.find(column => column.key === key));
+  }
+
+  // Write the export to output; onStart runs right before the first byte (set headers there),
+  // so a failure on the first query can still be answered with a normal error response.
+  // Resolves with the number of rows written.
+  async writeExport({ format, columns, filters }, output, onStart = () => {}) {
+    const writer = writers[format](columns, output);
+    const needsPackages = Boolean(columns) && columns.some(column => column.key === 'package');
+    const packages = new Map();
+    let started = false;
+    let total = 0;
+
+    await contactService.forEachContactSubmissionPage(filters, async (contacts) => {
+      // The client went away; stop paging
+      if (output.destroyed) return false;
+
+      if (needsPackages) await this.loadPackageNames(contacts, packages);
+
+      if (!started) {
+        onStart();
+        writer.start();
+        started = true;
+      }
+
+      for (const contact of contacts) {
+        writer.row(columns ? columns.map(column => column.value(contact, packages)) : contact);
+      }
+      total += contacts.length;
+
+      await waitForDrain(output);
+      return true;
+    });
+
+    if (!output.destroyed) await writer.end();
+    return total;
+  }
+
+  // Package names for a page of contacts, cached across pages
+  async loadPackageNames(contacts, packages) {
+    const ids = [...new Set(contacts.map(contact => contact.package_id).filter(id => id && !packages.has(id)))];
+    if (ids.length === 0) return;
+
+    const { data, error } = await supabase
+      .from('packages')
+      .select('id, name')
+      .in('id', ids);
+
+    if (error) throw new Error('Failed to fetch packages: ' + error.message);
+    ids.forEach(id => packages.set(id, null));
+    data.forEach(pkg => packages.set(pkg.id, pkg.name));
+  }
+}
+
+module.exports = new ContactExportService();
@@ -1,14 +1,75 @@
+const { v4: uuidv4 } = require('uuid');
 const { supabase } = require('../config');
 const { ValidationError, NotFoundError } = require('../middlewares/errorHandler');
+const roleService = require('./roleService');
+const notificationService = require('./notificationService');
+const contactSpamService = require('./contactSpamService');
+
+// Lead pipeline an inquiry moves through; status (pending/resolved/waste) is the separate inbox triage flag
+const LEAD_STAGES = ['new', 'contacted', 'quoted', 'booked', 'lost'];
+const OPEN_STAGES = ['new', 'contacted', 'quoted'];
+
+// name/email/location/message match for PostgREST's or(); characters that are part of its
+// filter syntax are dropped from the term
+const searchFilter = (term) => {
+  const text = String(term).replace(/[,()*%\\:"]/g, ' ').trim();
+  return ['name', 'email', 'location', 'message'].map(column => `${column}.ilike.%${text}%`).join(',');
+};
+
+// Listing filters shared by the admin list and the export
+// filters: { status, readStatus, stage, assignedTo (user id or 'unassigned'), followUpDue, from, to, search }
+const applyContactFilters = (query, filters = {}) => {
+  // Filter by contact status (resolved, waste, pending)
+  if (filters.status && ['pending', 'resolved', 'waste'].includes(filters.status)) {
+    query = query.eq('status', filters.status);
+  }
+
+  // Filter by read status
+  if (filters.readStatus === 'read') {
+    query = query.eq('is_read', true);
+  } else if (filters.readStatus === 'unread') {
+    query = query.eq('is_read', false);
+  }
+
+  // Pipeline filters
+  if (filters.stage && LEAD_STAGES.includes(filters.stage)) {
+    query = query.eq('stage', filters.stage);
+  }
+  if (filters.assignedTo === 'unassigned') {
+    query = query.is('assigned_to', null);
+  } else if (filters.assignedTo) {
+    query = query.eq('assigned_to', filters.assignedTo);
+  }
+  if (filters.followUpDue) {
+    // Booked and lost leads need no more chasing
+    query = query
+      .lte('follow_up_at', new Date().toISOString())
+      .in('stage', OPEN_STAGES);
+  }
+
+  if (filters.from) query = query.gte('created_at', filters.from);
+  if (filters.to) query = query.lte('created_at', filters.to);
+  if (filters.search) query = query.or(searchFilter(filters.search));
+
+  return query;
+};
 
 class ContactService {
   // Create new contact submission (public)
-  async createContactSubmission(contactData) {
+  // context: { ip, userAgent } of the request. Resolves with null when the submission was
+  // silently discarded as a bot (honeypot filled or form sent too fast).
+  async createContactSubmission(contactData, context = {}) {
     try {
       const { name, email, phone, location, message, package_id } = contactData;
 
       console.log('📝 Creating contact submission:', { name, email, phone, location, message, package_id });
 
+      const spam = await contactSpamService.assess(contactData, context);
+      if (spam.drop) {
+        console.warn(`🚫 Contact submission from ${context.ip || 'unknown IP'} discarded (${spam.reason})`);
+        return this.getDiscardedContact(contactData);
+      }
+
       // Create contact submission
       const { data: contact, error } = await supabase
         .from('contact_submissions')
@@ -19,42 +80,68 @@ class ContactService {
           location: location || null,
           message,
           package_id: package_id || null,
-          is_read: false
+          is_read: false,
+          ip_address: context.ip || null,
+          user_agent: context.userAgent || null,
+          spam_score: spam.score,
+          spam_reasons: spam.reasons,
+          form_token_id: spam.formTokenId || null,
+          // Likely spam goes straight to waste and out of the pipeline
+          ...(spam.isSpam ? { status: 'waste', stage: 'lost' } : {})
         })
         .select('*')
         .single();
 
+      // Two sends of one form racing each other: the first one is kept
+      if (error && error.code === '23505') {
+        console.warn(`🚫 Contact submission from ${context.ip || 'unknown IP'} discarded (form token already used)`);
+        return this.getDiscardedContact(contactData);
+      }
       if (error) {
         console.error('❌ Database error:', error);
         throw new Error('Failed to create contact submission: ' + error.message);
       }
 
       console.log('✅ Contact submission created successfully:', contact.id);
+
+      if (spam.isSpam) {
+        console.warn(`🗑️ Contact submission ${contact.id} marked as waste (spam score ${spam.score})`);
+        return contact;
+      }
+
+      // Alert the studio and reply to the enquirer; the inquiry is saved either way
+      try {
+        await notificationService.notifyNewContact(contact);
+      } catch (notifyError) {
+        console.error('❌ Failed to queue contact notifications:', notifyError.message);
+      }
+
       return contact;
     } catch (error) {
+      if (error.name === 'ValidationError' || error.name === 'TooManyRequestsError') throw error;
       throw new Error('Failed to create contact submission: ' + error.message);
     }
   }
 
+  // Stands in for the row of a discarded submission, so the response looks the same as for a stored one
+  getDiscardedContact({ name, email, location }) {
+    return {
+      id: uuidv4(),
+      name,
+      email,
+      location: location || null,
+      created_at: new Date().toISOString()
+    };
+  }
+
   // Get all contact submissions (admin only)
-  async getAllContactSubmissions(page = 1, limit = 10, status = null, readStatus = null) {
+  // filters: { stage, assignedTo (user id or 'unassigned'), followUpDue, from, to, search }
+  async getAllContactSubmissions(page = 1, limit = 10, status = null, readStatus = null, filters = {}) {
     try {
-      let query = supabase
-        .from('contact_submissions')
-        .select('*')
-        .order('created_at', { ascending: false });
-
-      // Filter by contact status (resolved, waste, pending)
-      if (status && ['pending', 'resolved', 'waste'].includes(status)) {
-        query = query.eq('status', status);
-      }
-
-      // Filter by read status
-      if (readStatus === 'read') {
-        query = query.eq('is_read', true);
-      } else if (readStatus === 'unread') {
-        query = query.eq('is_read', false);
-      }
+      let query = applyContactFilters(
+        supabase.from('contact_submissions').select('*'),
+        { ...filters, status, readStatus }
+      ).order('created_at', { ascending: false });
 
       // Add pagination
       const offset = (page - 1) * limit;
@@ -78,12 +165,40 @@ class ContactService {
     }
   }
 
+  // Every submission matching the filters, newest first, handed to onPage one page at a time so
+  // exports never hold the whole table. Rows submitted after the export started are left out,
+  // which keeps the page offsets stable; onPage may return false to stop early.
+  async forEachContactSubmissionPage(filters, onPage, pageSize = 500) {
+    const startedAt = new Date().toISOString();
+
+    for (let from = 0; ; from += pageSize) {
+      const { data: contacts, error } = await applyContactFilters(
+        supabase
+          .from('contact_submissions')
+          .select('*, assignee:users!contact_submissions_assigned_to_fkey(id, name, email)'),
+        filters
+      )
+        .lte('created_at', startedAt)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: true })
+        .range(from, from + pageSize - 1);
+
+      if (error) throw new Error('Failed to fetch contact submissions: ' + error.message);
+
+      const keepGoing = await onPage(contacts);
+      if (keepGoing === false || contacts.length < pageSize) return;
+    }
+  }
+
   // Get contact submission by ID (admin only)
   async getContactSubmissionById(contactId) {
     try {
       const { data: contact, error } = await supabase
         .from('contact_submissions')
-        .select('*')
+        .select(`
+          *,
+          assignee:users!contact_submissions_assigned_to_fkey(id, name, email)
+        `)
         .eq('id', contactId)
         .single();
 
@@ -141,12 +256,14 @@ class ContactService {
   }
 
   // Update contact status (admin only)
-  async updateContactStatus(contactId, status) {
+  async updateContactStatus(contactId, status, userId = null) {
     try {
       if (!['pending', 'resolved', 'waste'].includes(status)) {
         throw new ValidationError('Status must be pending, resolved, or waste');
       }
 
+      const current = await this.getContactSubmissionById(contactId);
+
       const { data: contact, error } = await supabase
         .from('contact_submissions')
         .update({ 
@@ -159,24 +276,246 @@ class ContactService {
 
       if (error) throw error;
 
+      if (current.status !== status) {
+        await this.recordHistory([{ contact_id: contactId, field: 'status', from_value: current.status, to_value: status, changed_by: userId }]);
+      }
+
       return {
         message: `Contact marked as ${status}`,
         contact
       };
     } catch (error) {
-      if (error.name === 'ValidationError') throw error;
+      if (error.name === 'ValidationError' || error.name === 'NotFoundError') throw error;
       throw new Error('Failed to update contact status: ' + error.message);
     }
   }
 
   // Mark contact as resolved (admin only)
-  async markAsResolved(contactId) {
-    return this.updateContactStatus(contactId, 'resolved');
+  async markAsResolved(contactId, userId = null) {
+    return this.updateContactStatus(contactId, 'resolved', userId);
   }
 
   // Mark contact as waste (admin only)
-  async markAsWaste(contactId) {
-    return this.updateContactStatus(contactId, 'waste');
+  async markAsWaste(contactId, userId = null) {
+    return this.updateContactStatus(contactId, 'waste', userId);
+  }
+
+  // Move an inquiry to another pipeline stage, optionally with the reason (admin only)
+  async updateStage(contactId, stage, userId, note = null) {
+    try {
+      if (!LEAD_STAGES.includes(stage)) {
+        throw new ValidationError(`Stage must be one of: ${LEAD_STAGES.join(', ')}`);
+      }
+
+      const current = await this.getContactSubmissionById(contactId);
+      if (current.stage === stage) {
+        return { message: `Contact is already ${stage}`, contact: current };
+      }
+
+      const { data: contact, error } = await supabase
+        .from('contact_submissions')
+        .update({
+          stage,
+          stage_updated_at: new Date().toISOString(),
+          is_read: true
+        })
+        .eq('id', contactId)
+        .select('*')
+        .single();
+
+      if (error) throw error;
+
+      await this.recordHistory([{ contact_id: contactId, field: 'stage', from_value: current.stage, to_value: stage, note: note || null, changed_by: userId }]);
+
+      return {
+        message: `Contact moved to ${stage}`,
+        contact
+      };
+    } catch (error) {
+      if (error.name === 'ValidationError' || error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to update contact stage: ' + error.message);
+    }
+  }
+
+  // Assign an inquiry to a staff user, or unassign it with null (admin only)
+  async assignContact(contactId, assigneeId, userId) {
+    try {
+      const current = await this.getContactSubmissionById(contactId);
+      if (assigneeId) await this.assertAssignee(assigneeId);
+
+      const { data: contact, error } = await supabase
+        .from('contact_submissions')
+        .update({ assigned_to: assigneeId || null })
+        .eq('id', contactId)
+        .select('*')
+        .single();
+
+      if (error) throw error;
+
+      if ((current.assigned_to || null) !== (assigneeId || null)) {
+        await this.recordHistory([{ contact_id: contactId, field: 'assigned_to', from_value: current.assigned_to || null, to_value: assigneeId || null, changed_by: userId }]);
+      }
+
+      return {
+        message: assigneeId ? 'Contact assigned' : 'Contact unassigned',
+        contact
+      };
+    } catch (error) {
+      if (error.name === 'ValidationError' || error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to assign contact: ' + error.message);
+    }
+  }
+
+  // Set or clear the follow-up due date (admin only)
+  async setFollowUp(contactId, followUpAt) {
+    try {
+      await this.getContactSubmissionById(contactId);
+
+      const { data: contact, error } = await supabase
+        .from('contact_submissions')
+        .update({ follow_up_at: followUpAt || null })
+        .eq('id', contactId)
+        .select('*')
+        .single();
+
+      if (error) throw error;
+
+      return {
+        message: followUpAt ? 'Follow-up scheduled' : 'Follow-up cleared',
+        contact
+      };
+    } catch (error) {
+      if (error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to set follow-up: ' + error.message);
+    }
+  }
+
+  // Internal notes on an inquiry, oldest first (admin only)
+  async getNotes(contactId) {
+    try {
+      await this.getContactSubmissionById(contactId);
+
+      const { data: notes, error } = await supabase
+        .from('contact_notes')
+        .select(`
+          *,
+          author:users!contact_notes_author_id_fkey(id, name, email)
+        `)
+        .eq('contact_id', contactId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return notes;
+    } catch (error) {
+      if (error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to fetch contact notes: ' + error.message);
+    }
+  }
+
+  // Add an internal note (admin only)
+  async addNote(contactId, body, authorId) {
+    try {
+      await this.getContactSubmissionById(contactId);
+
+      const { data: note, error } = await supabase
+        .from('contact_notes')
+        .insert({
+          contact_id: contactId,
+          body,
+          author_id: authorId
+        })
+        .select('*')
+        .single();
+
+      if (error) throw error;
+
+      return note;
+    } catch (error) {
+      if (error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to add contact note: ' + error.message);
+    }
+  }
+
+  // Delete an internal note (admin only)
+  async deleteNote(contactId, noteId) {
+    try {
+      const { data: note, error } = await supabase
+        .from('contact_notes')
+        .delete()
+        .eq('id', noteId)
+        .eq('contact_id', contactId)
+        .select('id')
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!note) {
+        throw new NotFoundError('Note not found for this contact');
+      }
+
+      return { message: 'Note deleted successfully' };
+    } catch (error) {
+      if (error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to delete contact note: ' + error.message);
+    }
+  }
+
+  // Emails sent about an inquiry and whether they were delivered (admin only)
+  async getNotifications(contactId) {
+    try {
+      await this.getContactSubmissionById(contactId);
+      return await notificationService.getDeliveries('contact', contactId);
+    } catch (error) {
+      if (error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to fetch contact notifications: ' + error.message);
+    }
+  }
+
+  // Stage, status and assignment changes, oldest first (admin only)
+  async getHistory(contactId) {
+    try {
+      await this.getContactSubmissionById(contactId);
+
+      const { data: history, error } = await supabase
+        .from('contact_status_history')
+        .select(`
+          *,
+          changed_by_user:users!contact_status_history_changed_by_fkey(id, name, email)
+        `)
+        .eq('contact_id', contactId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return history;
+    } catch (error) {
+      if (error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to fetch contact history: ' + error.message);
+    }
+  }
+
+  async recordHistory(entries) {
+    if (entries.length === 0) return;
+
+    const { error } = await supabase
+      .from('contact_status_history')
+      .insert(entries);
+
+    if (error) throw new Error('Failed to record contact history: ' + error.message);
+  }
+
+  // Inquiries can only be assigned to staff who can see them
+  async assertAssignee(userId) {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, role')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!user || !(await roleService.hasPermission(user.role, 'contacts:read'))) {
+      throw new ValidationError('Contacts can only be assigned to staff with access to contacts');
+    }
   }
 
   // Delete contact submission (admin only)
@@ -200,7 +539,7 @@ class ContactService {
     try {
       const { data: contacts, error } = await supabase
         .from('contact_submissions')
-        .select('is_read, status, created_at');
+        .select('is_read, status, stage, follow_up_at, created_at');
 
       if (error) throw error;
 
@@ -213,6 +552,15 @@ class ContactService {
       const resolvedContacts = contacts.filter(c => c.status === 'resolved').length;
       const wasteContacts = contacts.filter(c => c.status === 'waste').length;
 
+      // Pipeline statistics
+      const stages = Object.fromEntries(LEAD_STAGES.map(stage =>
+        [stage, contacts.filter(c => c.stage === stage).length]
+      ));
+      const now = new Date();
+      const followUpsDue = contacts.filter(c =>
+        c.follow_up_at && new Date(c.follow_up_at) <= now && OPEN_STAGES.includes(c.stage)
+      ).length;
+
       // Get contacts by month (last 6 months)
       const sixMonthsAgo = new Date();
       sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
@@ -239,6 +587,8 @@ class ContactService {
         pendingContacts,
         resolvedContacts,
         wasteContacts,
+        stages,
+        followUpsDue,
         monthlyStats
       };
     } catch (error) {
@@ -252,7 +602,7 @@ class ContactService {
       const { data: contacts, error } = await supabase
         .from('contact_submissions')
         .select('*')
-        .or(`name.ilike.%${query}%,email.ilike.%${query}%,location.ilike.%${query}%,message.ilike.%${query}%`)
+        .or(searchFilter(query))
         .order('created_at', { ascending: false })
         .range((page - 1) * limit, page * limit - 1);
 
@@ -335,7 +685,7 @@ class ContactService {
   }
 
   // Bulk update status (admin only)
-  async bulkUpdateStatus(contactIds, status) {
+  async bulkUpdateStatus(contactIds, status, userId = null) {
     try {
       if (!Array.isArray(contactIds) || contactIds.length === 0) {
         throw new ValidationError('Contact IDs array is required');
@@ -345,6 +695,13 @@ class ContactService {
         throw new ValidationError('Status must be pending, resolved, or waste');
       }
 
+      const { data: current, error: fetchError } = await supabase
+        .from('contact_submissions')
+        .select('id, status')
+        .in('id', contactIds);
+
+      if (fetchError) throw fetchError;
+
       const { error } = await supabase
         .from('contact_submissions')
         .update({ 
@@ -355,6 +712,10 @@ class ContactService {
 
       if (error) throw error;
 
+      await this.recordHistory(current
+        .filter(contact => contact.status !== status)
+        .map(contact => ({ contact_id: contact.id, field: 'status', from_value: contact.status, to_value: status, changed_by: userId })));
+
       return { message: `${contactIds.length} contact(s) marked as ${status}` };
     } catch (error) {
       if (error.name === 'ValidationError') throw error;
@@ -363,13 +724,13 @@ class ContactService {
   }
 
   // Bulk mark as resolved (admin only)
-  async bulkMarkAsResolved(contactIds) {
-    return this.bulkUpdateStatus(contactIds, 'resolved');
+  async bulkMarkAsResolved(contactIds, userId = null) {
+    return this.bulkUpdateStatus(contactIds, 'resolved', userId);
   }
 
   // Bulk mark as waste (admin only)
-  async bulkMarkAsWaste(contactIds) {
-    return this.bulkUpdateStatus(contactIds, 'waste');
+  async bulkMarkAsWaste(contactIds, userId = null) {
+    return this.bulkUpdateStatus(contactIds, 'waste', userId);
   }
 }
 
@@ -0,0 +1,154 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { supabase, jwt: jwtConfig } = require('../config');
+const spamConfig = require('../config/spam');
+const { ValidationError, TooManyRequestsError } = require('../middlewares/errorHandler');
+const captchaVerifier = require('./captcha');
+const { scoreContactSubmission } = require('../utils/spamScore');
+
+const FORM_TOKEN_AUDIENCE = 'contact-form';
+const RECENT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Layered checks for the public contact form, cheapest first:
+// honeypot -> form fill time -> rate limits -> CAPTCHA -> content score
+class ContactSpamService {
+  // Signed token the form fetches when it is shown; its issue time tells how long filling it took.
+  // Its id is stored with the submission, so each token sends one message.
+  createFormToken() {
+    const token = jwt.sign({}, jwtConfig.secret, {
+      audience: FORM_TOKEN_AUDIENCE,
+      expiresIn: spamConfig.formTokenTtlSeconds,
+      jwtid: uuidv4()
+    });
+
+    return {
+      token,
+      minFillSeconds: spamConfig.minFillSeconds,
+      captchaProvider: captchaVerifier.name
+    };
+  }
+
+  // Returns { drop, reason } for submissions to discard silently (so bots get no signal),
+  // otherwise { drop: false, score, reasons, isSpam, formTokenId }. Throws for rate limits and failed CAPTCHAs.
+  async assess(contactData, context = {}) {
+    if (contactData[spamConfig.honeypotField]) {
+      return { drop: true, reason: 'honeypot' };
+    }
+
+    const formToken = this.checkFormToken(contactData.formToken);
+    if (formToken.tooFast) {
+      return { drop: true, reason: 'filled too fast' };
+    }
+    // A second send of the same form (a replayed token, or a double click) is answered but not stored
+    if (formToken.id && await this.isFormTokenUsed(formToken.id)) {
+      return { drop: true, reason: 'form token already used' };
+    }
+
+    const recentSubmissions = await this.checkRateLimits(contactData.email, context.ip);
+    const captcha = await this.checkCaptcha(contactData.captchaToken, context.ip);
+
+    let { score, reasons } = scoreContactSubmission(contactData, {
+      blockedKeywords: spamConfig.blockedKeywords,
+      recentSubmissions,
+      hasFormToken: formToken.present
+    });
+    if (captcha.unavailable) {
+      score += 2;
+      reasons.push({ reason: 'CAPTCHA could not be verified', points: 2 });
+    }
+
+    return { drop: false, score, reasons, isSpam: score >= spamConfig.threshold, formTokenId: formToken.id };
+  }
+
+  checkFormToken(token) {
+    if (!token) {
+      if (spamConfig.requireFormToken) {
+        throw new ValidationError('The form has expired, please reload the page and try again');
+      }
+      return { present: false, tooFast: false, id: null };
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, jwtConfig.secret, { audience: FORM_TOKEN_AUDIENCE });
+    } catch (error) {
+      throw new ValidationError('The form has expired, please reload the page and try again');
+    }
+
+    const elapsedSeconds = Date.now() / 1000 - claims.iat;
+    // Tokens issued before they carried an id can't be tracked; they expire within a day
+    return { present: true, tooFast: elapsedSeconds < spamConfig.minFillSeconds, id: claims.jti || null };
+  }
+
+  async isFormTokenUsed(formTokenId) {
+    const { data, error } = await supabase
+      .from('contact_submissions')
+      .select('id')
+      .eq('form_token_id', formTokenId)
+      .limit(1);
+
+    if (error) throw new Error('Failed to check form token: ' + error.message);
+    return data.length > 0;
+  }
+
+  // Limits come from the stored submissions themselves, so they hold across server instances.
+  // Resolves with the sender's submissions from the last 24 hours (for the repeat check).
+  async checkRateLimits(email, ip) {
+    const since = new Date(Date.now() - RECENT_WINDOW_MS).toISOString();
+    const byEmail = await this.getRecentSubmissions('email', email, since);
+    const byIp = ip ? await this.getRecentSubmissions('ip_address', ip, since) : [];
+
+    const { windowMinutes, perIp, perEmail } = spamConfig.rateLimits;
+    const windowMs = windowMinutes * 60 * 1000;
+    const inWindow = (submissions) => submissions.filter(submission =>
+      Date.now() - new Date(submission.created_at).getTime() < windowMs
+    );
+
+    for (const [submissions, limit] of [[inWindow(byIp), perIp], [inWindow(byEmail), perEmail]]) {
+      if (submissions.length >= limit) {
+        const oldest = Math.min(...submissions.map(submission => new Date(submission.created_at).getTime()));
+        const retryAfter = Math.max(1, Math.ceil((oldest + windowMs - Date.now()) / 1000));
+        throw new TooManyRequestsError('Too many messages sent, please try again later', retryAfter);
+      }
+    }
+
+    const recent = new Map([...byEmail, ...byIp].map(submission => [submission.id, submission]));
+    return [...recent.values()];
+  }
+
+  async getRecentSubmissions(column, value, since) {
+    const { data, error } = await supabase
+      .from('contact_submissions')
+      .select('id, message, created_at')
+      .eq(column, value)
+      .gte('created_at', since)
+      .order('created_at', { ascending: false })
+      .limit(100);
+
+    if (error) throw new Error('Failed to check recent submissions: ' + error.message);
+    return data;
+  }
+
+  async checkCaptcha(token, ip) {
+    if (!captchaVerifier.enabled) return { verified: false };
+    if (!token) {
+      throw new ValidationError('Please complete the CAPTCHA');
+    }
+
+    let result;
+    try {
+      result = await captchaVerifier.verify(token, ip);
+    } catch (error) {
+      // An outage at the provider shouldn't cost us real inquiries; the score goes up instead
+      console.warn(`⚠️ ${captchaVerifier.name} verification unavailable:`, error.message);
+      return { verified: false, unavailable: true };
+    }
+
+    if (!result.success) {
+      throw new ValidationError('CAPTCHA verification failed, please try again', { errors: result.errors });
+    }
+    return { verified: true, score: result.score };
+  }
+}
+
+module.exports = new ContactSpamService();
@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const { simpleParser } = require('mailparser');
+const { supabase } = require('../config');
+const mailConfig = require('../config/mail');
+const { UnauthorizedError } = require('../middlewares/errorHandler');
+const mailService = require('./mailService');
+const notificationService = require('./notificationService');
+const contactService = require('./contactService');
+
+const UUID_PATTERN = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+
+// "Jo <jo@example.com>" -> "jo@example.com"
+const parseAddress = (value) => {
+  if (!value) return null;
+  const match = String(value).match(/<([^>]+)>/);
+  return (match ? match[1] : String(value)).trim().toLowerCase() || null;
+};
+
+// Plain text of an HTML-only body, converted the way mailparser does it for MIME messages
+const htmlToText = async (html) => {
+  const parsed = await simpleParser(`Content-Type: text/html; charset=utf-8\r\n\r\n${html}`);
+  return parsed.text || null;
+};
+
+// Message-IDs from a References / In-Reply-To value (string or array)
+const parseMessageIds = (value) => {
+  const text = Array.isArray(value) ? value.join(' ') : String(value || '');
+  return text.match(/<[^<>\s]+>/g) || [];
+};
+
+// Email conversation on a contact submission: admin replies go out through the notification
+// queue, client answers come back through an inbound mail webhook. Only the plain text of
+// inbound mail is kept, so nobody's HTML ends up rendered in the admin panel.
+class ContactThreadService {
+  // Thread of a submission, oldest first, with the delivery status of outbound messages
+  async getMessages(contactId) {
+    try {
+      await contactService.getContactSubmissionById(contactId);
+
+      const { data: messages, error } = await supabase
+        .from('contact_messages')
+        .select(`
+          id, contact_id, direction, from_email, to_email, subject, body_text,
+          message_id, in_reply_to, sent_by, delivery_id, created_at,
+          sender:users!contact_messages_sent_by_fkey(id, name, email),
+          delivery:notification_deliveries(status, attempts, last_error, sent_at)
+        `)
+        .eq('contact_id', contactId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return messages;
+    } catch (error) {
+      if (error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to fetch contact messages: ' + error.message);
+    }
+  }
+
+  // Email the enquirer from the studio address, threaded after the last message
+  async reply(contactId, { subject, message }, userId) {
+    try {
+      const contact = await contactService.getContactSubmissionById(contactId);
+      const previous = await this.getLastMessage(contactId);
+
+      const messageId = mailService.createMessageId();
+      const references = previous ? [...previous.references, previous.message_id].filter(Boolean) : [];
+      const replySubject = subject || (previous && previous.subject
+        ? `Re: ${previous.subject.replace(/^(re:\s*)+/i, '')}`
+        : 'Re: Your inquiry to Manish Photography');
+
+      const { data: outbound, error } = await supabase
+        .from('contact_messages')
+        .insert({
+          contact_id: contactId,
+          direction: 'outbound',
+          from_email: parseAddress(mailConfig.from),
+          to_email: contact.email,
+          subject: replySubject,
+          body_text: message,
+          message_id: messageId,
+          in_reply_to: previous ? previous.message_id : null,
+          sent_by: userId
+        })
+        .select('*')
+        .single();
+
+      if (error) throw error;
+
+      const delivery = await notificationService.queue('contact-reply', contact.email, {
+        subject: replySubject,
+        name: contact.name,
+        message,
+        inquiry: contact.message,
+        inquiryDate: new Date(contact.created_at).toUTCString()
+      }, {
+        replyTo: this.getReplyAddress(contactId),
+        related: { type: 'contact', id: contactId },
+        mailOptions: {
+          messageId,
+          ...(previous && previous.message_id ? { inReplyTo: previous.message_id, references: references.join(' ') } : {})
+        }
+      });
+
+      await supabase
+        .from('contact_messages')
+        .update({ delivery_id: delivery.id })
+        .eq('id', outbound.id);
+
+      // Answering a new lead means it has been contacted
+      if (contact.stage === 'new') {
+        await contactService.updateStage(contactId, 'contacted', userId, 'Replied by email');
+      }
+
+      return { ...outbound, delivery_id: delivery.id, delivery: { status: delivery.status } };
+    } catch (error) {
+      if (error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to send reply: ' + error.message);
+    }
+  }
+
+  // Last threaded message, with the chain of Message-IDs before it
+  async getLastMessage(contactId) {
+    const { data: messages, error } = await supabase
+      .from('contact_messages')
+      .select('message_id, in_reply_to, subject')
+      .eq('contact_id', contactId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    if (messages.length === 0) return null;
+
+    return {
+      ...messages[messages.length - 1],
+      references: messages.slice(0, -1).map(item => item.message_id).filter(Boolean)
+    };
+  }
+
+  // replies@studio.com -> replies+<contactId>@studio.com, so answers can be matched without headers
+  getReplyAddress(contactId) {
+    const address = mailConfig.contactReplyAddress;
+    if (!address) return null;
+
+    const [local, domain] = address.split('@');
+    return `${local}+${contactId}@${domain}`;
+  }
+
+  assertInboundSecret(provided) {
+    const secret = mailConfig.inboundSecret;
+    const expected = crypto.createHash('sha256').update(String(secret || '')).digest();
+    const actual = crypto.createHash('sha256').update(String(provided || '')).digest();
+
+    if (!secret || !provided || !crypto.timingSafeEqual(expected, actual)) {
+      throw new UnauthorizedError('Invalid inbound mail secret');
+    }
+  }
+
+  // Normalise a raw MIME message or a provider's parsed webhook fields into one shape
+  async parseInbound(payload) {
+    const raw = Buffer.isBuffer(payload) ? payload : (payload.raw || payload.email);
+    if (raw) {
+      const parsed = await simpleParser(raw);
+      return {
+        from: parsed.from ? parseAddress(parsed.from.value[0] && parsed.from.value[0].address) : null,
+        to: parsed.to ? [].concat(parsed.to).flatMap(group => group.value.map(entry => parseAddress(entry.address))) : [],
+        subject: parsed.subject || null,
+        // mailparser already converts HTML-only messages to text
+        text: parsed.text || null,
+        messageId: parsed.messageId || null,
+        inReplyTo: parsed.inReplyTo || null,
+        references: parseMessageIds(parsed.references)
+      };
+    }
+
+    // Providers that post the headers as one block (e.g. SendGrid) get them parsed the same way
+    const headers = typeof payload.headers === 'string'
+      ? await simpleParser(`${payload.headers.trim()}\r\n\r\n`)
+      : { headers: new Map(Object.entries(payload.headers || {}).map(([key, value]) => [key.toLowerCase(), value])) };
+    const header = (name) => payload[name] || (headers.headers && headers.headers.get(name.toLowerCase()));
+
+    const html = payload.html || payload['body-html'];
+
+    return {
+      from: parseAddress(payload.from || payload.sender),
+      to: String(payload.to || payload.recipient || '').split(',').map(parseAddress).filter(Boolean),
+      subject: payload.subject || null,
+      text: payload.text || payload['body-plain'] || (html ? await htmlToText(html) : null),
+      messageId: headers.messageId || header('Message-Id') || null,
+      inReplyTo: headers.inReplyTo || header('In-Reply-To') || null,
+      references: parseMessageIds(headers.references || header('References'))
+    };
+  }
+
+  // Append a client's emailed reply to its inquiry; resolves with { matched, contactId, messageId }
+  async receiveInbound(payload) {
+    try {
+      const email = await this.parseInbound(payload);
+      if (!email.from) {
+        return { matched: false, reason: 'No sender address' };
+      }
+
+      if (email.messageId) {
+        const { data: existing } = await supabase
+          .from('contact_messages')
+          .select('id, contact_id')
+          .eq('message_id', email.messageId)
+          .maybeSingle();
+
+        // Providers retry webhooks; the same email is only stored once
+        if (existing) {
+          return { matched: true, contactId: existing.contact_id, messageId: existing.id, duplicate: true };
+        }
+      }
+
+      const contactId = await this.findContactForInbound(email);
+      if (!contactId) {
+        console.warn(`⚠️ Inbound email from ${email.from} did not match any inquiry`);
+        return { matched: false, reason: 'No matching inquiry' };
+      }
+
+      const { data: message, error } = await supabase
+        .from('contact_messages')
+        .insert({
+          contact_id: contactId,
+          direction: 'inbound',
+          from_email: email.from,
+          to_email: email.to[0] || null,
+          subject: email.subject,
+          body_text: email.text,
+          message_id: email.messageId,
+          in_reply_to: email.inReplyTo
+        })
+        .select('id')
+        .single();
+
+      if (error) throw error;
+
+      // Flag the inquiry so the reply shows up as unread in the admin panel
+      await supabase
+        .from('contact_submissions')
+        .update({ is_read: false })
+        .eq('id', contactId);
+
+      console.log(`📨 Inbound reply from ${email.from} added to inquiry ${contactId}`);
+      return { matched: true, contactId, messageId: message.id };
+    } catch (error) {
+      throw new Error('Failed to process inbound email: ' + error.message);
+    }
+  }
+
+  // Match by threading headers, then the tagged reply address. The sender address alone is
+  // never enough: From is trivially forged, and would let anyone write into someone's inquiry.
+  async findContactForInbound(email) {
+    const threadIds = [email.inReplyTo, ...email.references].filter(Boolean);
+    if (threadIds.length > 0) {
+      const { data: messages, error } = await supabase
+        .from('contact_messages')
+        .select('contact_id')
+        .in('message_id', threadIds)
+        .limit(1);
+      if (error) throw error;
+      if (messages.length > 0) return messages[0].contact_id;
+
+      // A reply to the automatic acknowledgement
+      const { data: deliveries, error: deliveryError } = await supabase
+        .from('notification_deliveries')
+        .select('related_id')
+        .eq('related_type', 'contact')
+        .in('message_id', threadIds)
+        .limit(1);
+      if (deliveryError) throw deliveryError;
+      if (deliveries.length > 0) return deliveries[0].related_id;
+    }
+
+    const tagged = email.to
+      .map(address => address.match(new RegExp(`\\+(${UUID_PATTERN})@`, 'i')))
+      .find(Boolean);
+    if (tagged) {
+      const { data: contact } = await supabase
+        .from('contact_submissions')
+        .select('id')
+        .eq('id', tagged[1])
+        .maybeSingle();
+      if (contact) return contact.id;
+    }
+
+    return null;
+  }
+}
+
+module.exports = new ContactThreadService();
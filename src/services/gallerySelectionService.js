@@ -0,0 +1,266 @@
+const { supabase } = require('../config');
+const { ValidationError, NotFoundError } = require('../middlewares/errorHandler');
+const galleryService = require('./galleryService');
+
+const MARK_KINDS = ['favorite', 'selected'];
+
+// Client favorites, per-image comments and the final (limited) album selection
+class GallerySelectionService {
+  // Favorite / unfavorite or select / unselect an image
+  async setMark(slug, imageId, kind, marked, viewer) {
+    try {
+      if (!MARK_KINDS.includes(kind)) {
+        throw new ValidationError(`Unknown mark: ${kind}`);
+      }
+
+      const { gallery, access } = await galleryService.openGallery(slug, viewer);
+      await this.getGalleryImage(gallery.id, imageId);
+
+      if (kind === 'selected' && gallery.selection_status === 'submitted') {
+        throw new ValidationError('Your selection has already been submitted');
+      }
+
+      if (marked) {
+        const { data: existing, error: existingError } = await supabase
+          .from('gallery_image_marks')
+          .select('id')
+          .eq('image_id', imageId)
+          .eq('kind', kind)
+          .maybeSingle();
+
+        if (existingError) throw existingError;
+
+        if (!existing) {
+          if (kind === 'selected' && gallery.selection_limit) {
+            const selectedCount = await this.countSelected(gallery.id);
+            if (selectedCount >= gallery.selection_limit) {
+              throw new ValidationError(`You can select up to ${gallery.selection_limit} image${gallery.selection_limit === 1 ? '' : 's'}`);
+            }
+          }
+
+          const { error } = await supabase
+            .from('gallery_image_marks')
+            .insert({
+              gallery_id: gallery.id,
+              image_id: imageId,
+              kind,
+              created_via: access.via,
+              user_id: access.userId
+            });
+
+          // A concurrent request marking the same image is fine
+          if (error && error.code !== '23505') throw error;
+        }
+      } else {
+        const { error } = await supabase
+          .from('gallery_image_marks')
+          .delete()
+          .eq('image_id', imageId)
+          .eq('kind', kind);
+
+        if (error) throw error;
+      }
+
+      return {
+        imageId,
+        kind,
+        marked,
+        selection: galleryService.formatSelection(gallery, await this.countSelected(gallery.id))
+      };
+    } catch (error) {
+      if (['ValidationError', 'NotFoundError', 'UnauthorizedError', 'ForbiddenError'].includes(error.name)) throw error;
+      throw new Error('Failed to update selection: ' + error.message);
+    }
+  }
+
+  // Comments on an image, oldest first
+  async listComments(slug, imageId, viewer) {
+    const { gallery } = await galleryService.openGallery(slug, viewer);
+    await this.getGalleryImage(gallery.id, imageId);
+
+    const { data: comments, error } = await supabase
+      .from('gallery_comments')
+      .select('id, body, author_name, is_staff, created_at')
+      .eq('image_id', imageId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error('Failed to fetch comments: ' + error.message);
+    return comments;
+  }
+
+  // Comment on an image; staff replies are flagged so the client can tell them apart
+  async addComment(slug, imageId, { body, author_name }, viewer) {
+    try {
+      const { gallery, access } = await galleryService.openGallery(slug, viewer);
+      await this.getGalleryImage(gallery.id, imageId);
+
+      const { data: comment, error } = await supabase
+        .from('gallery_comments')
+        .insert({
+          gallery_id: gallery.id,
+          image_id: imageId,
+          body: body.trim(),
+          author_name: viewer.user ? viewer.user.name : (author_name || 'Guest'),
+          user_id: access.userId,
+          is_staff: access.via === 'staff'
+        })
+        .select('id, body, author_name, is_staff, created_at')
+        .single();
+
+      if (error) throw error;
+      return comment;
+    } catch (error) {
+      if (['ValidationError', 'NotFoundError', 'UnauthorizedError', 'ForbiddenError'].includes(error.name)) throw error;
+      throw new Error('Failed to add comment: ' + error.message);
+    }
+  }
+
+  // Lock in the selected images; the studio can reopen the selection for changes
+  async submitSelection(slug, { note }, viewer) {
+    try {
+      const { gallery } = await galleryService.openGallery(slug, viewer);
+
+      if (gallery.selection_status === 'submitted') {
+        throw new ValidationError('Your selection has already been submitted');
+      }
+
+      const selectedCount = await this.countSelected(gallery.id);
+      if (selectedCount === 0) {
+        throw new ValidationError('Select at least one image before submitting');
+      }
+      if (gallery.selection_limit && selectedCount > gallery.selection_limit) {
+        throw new ValidationError(`You can select up to ${gallery.selection_limit} images (currently ${selectedCount})`);
+      }
+
+      const { data: submitted, error } = await supabase
+        .from('galleries')
+        .update({
+          selection_status: 'submitted',
+          selection_submitted_at: new Date().toISOString(),
+          selection_note: note || null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', gallery.id)
+        .eq('selection_status', 'open')
+        .select('*')
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!submitted) {
+        throw new ValidationError('Your selection has already been submitted');
+      }
+
+      console.log(`✅ Selection submitted for gallery ${gallery.slug}: ${selectedCount} image(s)`);
+      return galleryService.formatSelection(submitted, selectedCount);
+    } catch (error) {
+      if (['ValidationError', 'NotFoundError', 'UnauthorizedError', 'ForbiddenError'].includes(error.name)) throw error;
+      throw new Error('Failed to submit selection: ' + error.message);
+    }
+  }
+
+  // Let the client change a submitted selection again (staff)
+  async reopenSelection(galleryId) {
+    try {
+      const gallery = await galleryService.getGalleryRow('id', galleryId);
+
+      const { data: reopened, error } = await supabase
+        .from('galleries')
+        .update({
+          selection_status: 'open',
+          selection_submitted_at: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', gallery.id)
+        .select('*')
+        .single();
+
+      if (error) throw error;
+      return galleryService.formatSelection(reopened, await this.countSelected(gallery.id));
+    } catch (error) {
+      if (error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to reopen selection: ' + error.message);
+    }
+  }
+
+  // Selection of one gallery with filenames, favorites and comments (staff)
+  async getGallerySelection(galleryId) {
+    const gallery = await galleryService.getGalleryRow('id', galleryId);
+    return this.buildSelection(gallery);
+  }
+
+  // Selections of every gallery linked to a project (staff)
+  async getProjectSelections(projectId) {
+    const { data: galleries, error } = await supabase
+      .from('galleries')
+      .select('*')
+      .eq('project_id', projectId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error('Failed to fetch project galleries: ' + error.message);
+
+    const selections = [];
+    for (const gallery of galleries) {
+      selections.push(await this.buildSelection(gallery));
+    }
+    return selections;
+  }
+
+  async buildSelection(gallery) {
+    const images = await galleryService.getImages(gallery.id);
+    const marks = await galleryService.getMarks(gallery.id);
+    const commentCounts = await galleryService.getCommentCounts(gallery.id);
+    const idsMarkedAs = (kind) => new Set(marks.filter(mark => mark.kind === kind).map(mark => mark.image_id));
+    const selected = idsMarkedAs('selected');
+    const favorites = idsMarkedAs('favorite');
+
+    const describe = (image) => ({
+      id: image.id,
+      filename: image.filename,
+      displayOrder: image.display_order,
+      isFavorite: favorites.has(image.id),
+      isSelected: selected.has(image.id),
+      commentCount: commentCounts[image.id] || 0
+    });
+
+    return {
+      gallery: {
+        id: gallery.id,
+        slug: gallery.slug,
+        title: gallery.title,
+        projectId: gallery.project_id,
+        clientId: gallery.client_id
+      },
+      selection: galleryService.formatSelection(gallery, selected.size),
+      selectedImages: images.filter(image => selected.has(image.id)).map(describe),
+      favoriteImages: images.filter(image => favorites.has(image.id)).map(describe)
+    };
+  }
+
+  async countSelected(galleryId) {
+    const { count, error } = await supabase
+      .from('gallery_image_marks')
+      .select('id', { count: 'exact', head: true })
+      .eq('gallery_id', galleryId)
+      .eq('kind', 'selected');
+
+    if (error) throw error;
+    return count || 0;
+  }
+
+  async getGalleryImage(galleryId, imageId) {
+    const { data: image, error } = await supabase
+      .from('gallery_images')
+      .select('id')
+      .eq('id', imageId)
+      .eq('gallery_id', galleryId)
+      .maybeSingle();
+
+    if (error) throw new Error('Failed to fetch gallery image: ' + error.message);
+    if (!image) {
+      throw new NotFoundError('Gallery image not found');
+    }
+    return image;
+  }
+}
+
+module.exports = new GallerySelectionService();
@@ -0,0 +1,823 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { supabase, jwt: jwtConfig } = require('../config');
+const mailConfig = require('../config/mail');
+const storageConfig = require('../config/storage');
+const { hashPassword, verifyPassword, generateOpaqueToken, hashToken } = require('../utils/auth');
+const { ValidationError, NotFoundError, UnauthorizedError, ForbiddenError, TooManyRequestsError } = require('../middlewares/errorHandler');
+const s3Service = require('./s3Service');
+const roleService = require('./roleService');
+const mailService = require('./mailService');
+const archiveService = require('./archiveService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const ACCESS_TOKEN_AUDIENCE = 'gallery-access';
+// Lifetime of the signed image and download URLs handed to viewers
+const SIGNED_URL_TTL_SECONDS = 60 * 60;
+// Largest first: 'web' downloads use the biggest rendition that exists
+const WEB_DOWNLOAD_SIZES = ['large', 'medium', 'small', 'thumbnail'];
+
+// Private client proofing galleries: access codes, magic links and client accounts
+class GalleryService {
+  constructor() {
+    this.accessTtlMs = (parseInt(process.env.GALLERY_ACCESS_TTL_HOURS) || 12) * HOUR_MS;
+    this.linkTtlDays = parseInt(process.env.GALLERY_LINK_TTL_DAYS) || 30;
+    // Failed unlock attempts allowed per window, from one IP (across galleries) and against one gallery
+    this.accessAttemptLimits = {
+      windowMinutes: parseInt(process.env.GALLERY_ACCESS_ATTEMPT_WINDOW_MINUTES) || 15,
+      perIp: parseInt(process.env.GALLERY_ACCESS_ATTEMPTS_PER_IP) || 10,
+      perGallery: parseInt(process.env.GALLERY_ACCESS_ATTEMPTS_PER_GALLERY) || 50
+    };
+  }
+
+  // List galleries (staff)
+  async listGalleries(page = 1, limit = 20, filters = {}) {
+    try {
+      let query = supabase
+        .from('galleries')
+        .select('*', { count: 'exact' })
+        .order('created_at', { ascending: false });
+
+      if (filters.clientId) {
+        query = query.eq('client_id', filters.clientId);
+      }
+      if (filters.projectId) {
+        query = query.eq('project_id', filters.projectId);
+      }
+      if (filters.search) {
+        query = query.or(`title.ilike.%${filters.search}%,slug.ilike.%${filters.search}%`);
+      }
+
+      const offset = (page - 1) * limit;
+      query = query.range(offset, offset + limit - 1);
+
+      const { data: galleries, error, count } = await query;
+
+      if (error) throw error;
+
+      return {
+        galleries: galleries.map(gallery => this.formatGallery(gallery)),
+        pagination: {
+          page,
+          limit,
+          total: count || galleries.length,
+          hasMore: offset + galleries.length < (count || 0)
+        }
+      };
+    } catch (error) {
+      throw new Error('Failed to fetch galleries: ' + error.message);
+    }
+  }
+
+  // Get a gallery with its images and magic links (staff)
+  async getGalleryById(galleryId) {
+    const gallery = await this.getGalleryRow('id', galleryId);
+    const images = await this.getImages(gallery.id);
+    const links = await this.listLinks(gallery.id);
+
+    return {
+      ...this.formatGallery(gallery),
+      images: await Promise.all(images.map(image => this.formatImage(gallery, image))),
+      links
+    };
+  }
+
+  // Create a gallery; a linked project's images are imported straight away
+  async createGallery(galleryData, userId) {
+    try {
+      const {
+        title,
+        slug,
+        description,
+        project_id,
+        client_id,
+        access_code,
+        download_access = 'none',
+        expires_at,
+        is_active = true,
+        selection_limit
+      } = galleryData;
+
+      const gallerySlug = slug || this.generateSlug(title);
+      await this.assertSlugAvailable(gallerySlug);
+      if (client_id) await this.assertClient(client_id);
+
+      const { data: gallery, error } = await supabase
+        .from('galleries')
+        .insert({
+          slug: gallerySlug,
+          title,
+          description: description || null,
+          project_id: project_id || null,
+          client_id: client_id || null,
+          access_code_hash: access_code ? await hashPassword(access_code) : null,
+          download_access,
+          expires_at: expires_at || null,
+          is_active,
+          selection_limit: selection_limit || null,
+          created_by: userId
+        })
+        .select('*')
+        .single();
+
+      if (error) throw error;
+
+      if (gallery.project_id) {
+        await this.importProjectImages(gallery.id);
+      }
+
+      console.log(`🖼️ Gallery ${gallery.slug} created`);
+      return this.formatGallery(gallery);
+    } catch (error) {
+      if (error.name === 'ValidationError') throw error;
+      throw new Error('Failed to create gallery: ' + error.message);
+    }
+  }
+
+  // Update a gallery; access_code null removes the code, a new code locks out earlier visitors
+  async updateGallery(galleryId, updateData) {
+    try {
+      const gallery = await this.getGalleryRow('id', galleryId);
+      const updates = { updated_at: new Date().toISOString() };
+
+      ['title', 'description', 'project_id', 'client_id', 'download_access', 'expires_at', 'is_active', 'selection_limit']
+        .filter(field => updateData[field] !== undefined)
+        .forEach(field => { updates[field] = updateData[field]; });
+
+      if (updateData.slug !== undefined && updateData.slug !== gallery.slug) {
+        await this.assertSlugAvailable(updateData.slug);
+        updates.slug = updateData.slug;
+      }
+      if (updates.client_id) {
+        await this.assertClient(updates.client_id);
+      }
+      if (updateData.access_code !== undefined) {
+        updates.access_code_hash = updateData.access_code ? await hashPassword(updateData.access_code) : null;
+      }
+
+      const { data: updated, error } = await supabase
+        .from('galleries')
+        .update(updates)
+        .eq('id', gallery.id)
+        .select('*')
+        .single();
+
+      if (error) throw error;
+
+      if (updated.project_id && updated.project_id !== gallery.project_id) {
+        await this.importProjectImages(updated.id);
+      }
+
+      return this.formatGallery(updated);
+    } catch (error) {
+      if (error.name === 'ValidationError' || error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to update gallery: ' + error.message);
+    }
+  }
+
+  // Delete a gallery and the proofs uploaded to it (imported project images are left alone)
+  async deleteGallery(galleryId) {
+    try {
+      const gallery = await this.getGalleryRow('id', galleryId);
+      const images = await this.getImages(gallery.id);
+
+      for (const image of images.filter(image => !image.project_image_id)) {
+        await s3Service.deleteImage(image.storage_key).catch(err =>
+          console.warn(`⚠️ Failed to delete gallery image ${image.storage_key}:`, err.message)
+        );
+      }
+
+      const { error } = await supabase
+        .from('galleries')
+        .delete()
+        .eq('id', gallery.id);
+
+      if (error) throw error;
+
+      await archiveService.deleteArchives({ type: 'gallery', id: gallery.id }).catch(err =>
+        console.warn(`⚠️ Failed to delete archives of gallery ${gallery.slug}:`, err.message)
+      );
+
+      console.log(`🗑️ Gallery ${gallery.slug} deleted with ${images.length} image(s)`);
+    } catch (error) {
+      if (error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to delete gallery: ' + error.message);
+    }
+  }
+
+  // Upload proofs into private storage
+  async addImages(galleryId, files) {
+    try {
+      const gallery = await this.getGalleryRow('id', galleryId);
+      if (!files || files.length === 0) {
+        throw new ValidationError('No images provided');
+      }
+
+      let displayOrder = await this.getNextDisplayOrder(gallery.id);
+      const rows = [];
+
+      for (const file of files) {
+        // Proofs may be downloaded as originals, so keep (almost) full resolution
+        const result = await s3Service.uploadImage(file, {
+          folder: `${storageConfig.privatePrefix}/galleries/${gallery.id}`,
+          maxWidth: 8192,
+          maxHeight: 8192,
+          quality: 92
+        });
+
+        rows.push({
+          gallery_id: gallery.id,
+          storage_key: result.publicId,
+          filename: file.originalname,
+          width: result.width,
+          height: result.height,
+          size: result.size,
+          renditions: result.renditions,
+          placeholder: result.placeholder,
+          display_order: displayOrder++
+        });
+      }
+
+      const { data: images, error } = await supabase
+        .from('gallery_images')
+        .insert(rows)
+        .select('*');
+
+      if (error) throw error;
+
+      console.log(`🖼️ Added ${images.length} image(s) to gallery ${gallery.slug}`);
+      return Promise.all(images.map(image => this.formatImage(gallery, image)));
+    } catch (error) {
+      if (error.name === 'ValidationError' || error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to add gallery images: ' + error.message);
+    }
+  }
+
+  // Remove an image from a gallery, deleting the file if it was uploaded to the gallery
+  async deleteImage(galleryId, imageId) {
+    try {
+      const { data: image, error } = await supabase
+        .from('gallery_images')
+        .select('*')
+        .eq('id', imageId)
+        .eq('gallery_id', galleryId)
+        .single();
+
+      if (error || !image) {
+        throw new NotFoundError('Gallery image not found');
+      }
+
+      const { error: deleteError } = await supabase
+        .from('gallery_images')
+        .delete()
+        .eq('id', image.id);
+
+      if (deleteError) throw deleteError;
+
+      if (!image.project_image_id) {
+        await s3Service.deleteImage(image.storage_key);
+      }
+    } catch (error) {
+      if (error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to delete gallery image: ' + error.message);
+    }
+  }
+
+  // Add the linked project's images that aren't in the gallery yet (by reference, no copies)
+  async importProjectImages(galleryId) {
+    try {
+      const gallery = await this.getGalleryRow('id', galleryId);
+      if (!gallery.project_id) {
+        throw new ValidationError('Gallery is not linked to a project');
+      }
+
+      const { data: projectImages, error } = await supabase
+        .from('portfolio_project_images')
+        .select('*')
+        .eq('project_id', gallery.project_id)
+        .order('display_order', { ascending: true })
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      const existing = new Set((await this.getImages(gallery.id)).map(image => image.project_image_id));
+      let displayOrder = await this.getNextDisplayOrder(gallery.id);
+
+      const rows = projectImages
+        .filter(image => !existing.has(image.id))
+        .map(image => ({
+          gallery_id: gallery.id,
+          project_image_id: image.id,
+          storage_key: image.image_public_id,
+          original_key: image.original_key || null,
+          // Images uploaded before original names were kept fall back to their storage name
+          filename: image.original_filename || image.image_public_id.split('/').pop(),
+          width: image.width || null,
+          height: image.height || null,
+          renditions: image.renditions || null,
+          placeholder: image.placeholder || null,
+          display_order: displayOrder++
+        }));
+
+      if (rows.length > 0) {
+        const { error: insertError } = await supabase
+          .from('gallery_images')
+          .insert(rows);
+
+        if (insertError) throw insertError;
+      }
+
+      return { imported: rows.length };
+    } catch (error) {
+      if (error.name === 'ValidationError' || error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to import project images: ' + error.message);
+    }
+  }
+
+  // Magic links of a gallery (tokens are never returned after creation)
+  async listLinks(galleryId) {
+    const { data: links, error } = await supabase
+      .from('gallery_links')
+      .select('id, email, expires_at, last_used_at, revoked_at, created_at')
+      .eq('gallery_id', galleryId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw new Error('Failed to fetch gallery links: ' + error.message);
+    return links;
+  }
+
+  // Create a magic link, optionally emailing it to the client
+  async createLink(galleryId, { email, expires_in_days, send_email = false }, userId) {
+    try {
+      const gallery = await this.getGalleryRow('id', galleryId);
+      if (send_email && !email) {
+        throw new ValidationError('An email address is required to send the link');
+      }
+
+      const token = generateOpaqueToken(32);
+      const days = expires_in_days || this.linkTtlDays;
+      let expiresAt = new Date(Date.now() + days * DAY_MS);
+      if (gallery.expires_at && new Date(gallery.expires_at) < expiresAt) {
+        expiresAt = new Date(gallery.expires_at);
+      }
+
+      const { data: link, error } = await supabase
+        .from('gallery_links')
+        .insert({
+          gallery_id: gallery.id,
+          token_hash: hashToken(token),
+          email: email || null,
+          expires_at: expiresAt.toISOString(),
+          created_by: userId
+        })
+        .select('id, email, expires_at, created_at')
+        .single();
+
+      if (error) throw error;
+
+      const url = `${mailConfig.appUrl}/galleries/${encodeURIComponent(gallery.slug)}?token=${token}`;
+
+      if (send_email) {
+        await mailService.sendTemplate('gallery-invite', email, {
+          title: gallery.title,
+          link: url,
+          expiresAt: expiresAt.toUTCString()
+        });
+      }
+
+      return { ...link, url, emailed: Boolean(send_email) };
+    } catch (error) {
+      if (error.name === 'ValidationError' || error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to create gallery link: ' + error.message);
+    }
+  }
+
+  // Revoke a magic link; visitors who opened it lose access on their next request
+  async revokeLink(galleryId, linkId) {
+    const { data: link, error } = await supabase
+      .from('gallery_links')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', linkId)
+      .eq('gallery_id', galleryId)
+      .select('id')
+      .maybeSingle();
+
+    if (error) throw new Error('Failed to revoke gallery link: ' + error.message);
+    if (!link) {
+      throw new NotFoundError('Gallery link not found');
+    }
+  }
+
+  // Galleries assigned to a client account
+  async listClientGalleries(userId) {
+    try {
+      const { data: galleries, error } = await supabase
+        .from('galleries')
+        .select('*')
+        .eq('client_id', userId)
+        .eq('is_active', true)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      return galleries
+        .filter(gallery => !this.isExpired(gallery))
+        .map(gallery => this.formatViewerGallery(gallery));
+    } catch (error) {
+      throw new Error('Failed to fetch galleries: ' + error.message);
+    }
+  }
+
+  // Exchange an access code or magic link token for a gallery access token
+  // Failed attempts are recorded and limited per IP and per gallery, so codes can't be guessed
+  async requestAccess(slug, { code, token }, ip = null) {
+    const gallery = await this.getViewableGallery(slug);
+    let claims;
+
+    if (code || token) {
+      await this.checkAccessAttempts(gallery.id, ip);
+    }
+
+    if (token) {
+      const { data: link, error } = await supabase
+        .from('gallery_links')
+        .select('*')
+        .eq('token_hash', hashToken(token))
+        .eq('gallery_id', gallery.id)
+        .maybeSingle();
+
+      if (error) throw new Error('Failed to verify gallery link: ' + error.message);
+      if (!link || link.revoked_at || (link.expires_at && new Date(link.expires_at) < new Date())) {
+        await this.recordFailedAccess(gallery.id, ip);
+        throw new UnauthorizedError('This gallery link is invalid or has expired');
+      }
+
+      await supabase
+        .from('gallery_links')
+        .update({ last_used_at: new Date().toISOString() })
+        .eq('id', link.id);
+
+      claims = { linkId: link.id };
+    } else if (code) {
+      if (!gallery.access_code_hash || !(await verifyPassword(code, gallery.access_code_hash))) {
+        await this.recordFailedAccess(gallery.id, ip);
+        throw new UnauthorizedError('Incorrect access code');
+      }
+      claims = { codeFingerprint: this.getCodeFingerprint(gallery) };
+    } else {
+      throw new ValidationError('An access code or link token is required');
+    }
+
+    let expiresAt = new Date(Date.now() + this.accessTtlMs);
+    if (gallery.expires_at && new Date(gallery.expires_at) < expiresAt) {
+      expiresAt = new Date(gallery.expires_at);
+    }
+
+    const accessToken = jwt.sign(
+      { galleryId: gallery.id, ...claims },
+      jwtConfig.secret,
+      { audience: ACCESS_TOKEN_AUDIENCE, expiresIn: Math.floor((expiresAt.getTime() - Date.now()) / 1000) }
+    );
+
+    return { accessToken, expiresAt: expiresAt.toISOString() };
+  }
+
+  // Limits come from the stored attempts, so they hold across server instances
+  async checkAccessAttempts(galleryId, ip) {
+    const { windowMinutes, perIp, perGallery } = this.accessAttemptLimits;
+    const windowMs = windowMinutes * 60 * 1000;
+    const since = new Date(Date.now() - windowMs).toISOString();
+    const checks = [['gallery_id', galleryId, perGallery]];
+    if (ip) checks.unshift(['ip_address', ip, perIp]);
+
+    for (const [column, value, limit] of checks) {
+      const { data: attempts, error } = await supabase
+        .from('gallery_access_attempts')
+        .select('created_at')
+        .eq(column, value)
+        .gte('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw new Error('Failed to check gallery access attempts: ' + error.message);
+
+      if (attempts.length >= limit) {
+        // Another attempt is allowed once the oldest of the last `limit` falls out of the window
+        const oldest = new Date(attempts[attempts.length - 1].created_at).getTime();
+        const retryAfter = Math.max(1, Math.ceil((oldest + windowMs - Date.now()) / 1000));
+        throw new TooManyRequestsError('Too many attempts, please try again later', retryAfter);
+      }
+    }
+  }
+
+  async recordFailedAccess(galleryId, ip) {
+    const { error } = await supabase
+      .from('gallery_access_attempts')
+      .insert({ gallery_id: galleryId, ip_address: ip });
+
+    if (error) throw new Error('Failed to record gallery access attempt: ' + error.message);
+
+    // Attempts older than a day no longer count towards any limit
+    await supabase
+      .from('gallery_access_attempts')
+      .delete()
+      .eq('gallery_id', galleryId)
+      .lt('created_at', new Date(Date.now() - DAY_MS).toISOString());
+  }
+
+  // Gallery with signed image URLs for someone who may view it
+  // Includes the viewer-facing favorite/selected flags, comment counts and selection state
+  async getGalleryForViewer(slug, viewer) {
+    const { gallery } = await this.openGallery(slug, viewer);
+
+    const images = await this.getImages(gallery.id);
+    const marks = await this.getMarks(gallery.id);
+    const commentCounts = await this.getCommentCounts(gallery.id);
+    const markedAs = (kind, imageId) => marks.some(mark => mark.kind === kind && mark.image_id === imageId);
+
+    return {
+      ...this.formatViewerGallery(gallery),
+      selection: this.formatSelection(gallery, marks.filter(mark => mark.kind === 'selected').length),
+      images: await Promise.all(images.map(async image => ({
+        ...(await this.formatImage(gallery, image)),
+        isFavorite: markedAs('favorite', image.id),
+        isSelected: markedAs('selected', image.id),
+        commentCount: commentCounts[image.id] || 0
+      })))
+    };
+  }
+
+  // Signed download URL for one image, honouring the gallery's download permission
+  async getDownloadUrl(slug, imageId, viewer) {
+    const { gallery } = await this.openGallery(slug, viewer);
+
+    if (gallery.download_access === 'none') {
+      throw new ForbiddenError('Downloads are not enabled for this gallery');
+    }
+
+    const { data: image, error } = await supabase
+      .from('gallery_images')
+      .select('*')
+      .eq('id', imageId)
+      .eq('gallery_id', gallery.id)
+      .single();
+
+    if (error || !image) {
+      throw new NotFoundError('Gallery image not found');
+    }
+
+    const baseName = (image.filename || image.storage_key.split('/').pop()).replace(/\.[^/.]+$/, '');
+    let key = image.original_key || image.storage_key;
+    let filename = image.filename || image.storage_key.split('/').pop();
+
+    if (gallery.download_access === 'web') {
+      const size = WEB_DOWNLOAD_SIZES.find(name => image.renditions && image.renditions[name]);
+      if (size) {
+        key = s3Service.getRenditionKey(image.storage_key, size, 'jpeg');
+        filename = `${baseName}-${size}.jpg`;
+      }
+    }
+
+    return {
+      url: await s3Service.getSignedUrl(key, { expiresIn: SIGNED_URL_TTL_SECONDS, filename }),
+      filename,
+      expiresIn: SIGNED_URL_TTL_SECONDS
+    };
+  }
+
+  // Signed link to a ZIP of the whole gallery; 'web' galleries only offer renditions
+  async getArchiveLink(slug, size, viewer) {
+    const { gallery } = await this.openGallery(slug, viewer);
+
+    if (gallery.download_access === 'none') {
+      throw new ForbiddenError('Downloads are not enabled for this gallery');
+    }
+
+    const archiveSize = size || (gallery.download_access === 'original' ? 'original' : 'large');
+    if (gallery.download_access === 'web' && archiveSize === 'original') {
+      throw new ForbiddenError('Original files are not available for this gallery');
+    }
+
+    return archiveService.createDownloadLink({ type: 'gallery', id: gallery.id }, archiveSize);
+  }
+
+  // Inactive and expired galleries are hidden from everyone but staff
+  async getViewableGallery(slug, viewer = {}) {
+    const gallery = await this.getGalleryRow('slug', slug);
+    if (viewer.user && await this.isStaff(viewer.user)) {
+      return gallery;
+    }
+
+    if (!gallery.is_active) {
+      throw new NotFoundError('Gallery not found');
+    }
+    if (this.isExpired(gallery)) {
+      throw new ForbiddenError('This gallery has expired');
+    }
+    return gallery;
+  }
+
+  // Load a gallery by slug for a viewer, failing unless they may see it
+  async openGallery(slug, viewer = {}) {
+    const gallery = await this.getViewableGallery(slug, viewer);
+    const access = await this.assertAccess(gallery, viewer);
+    return { gallery, access };
+  }
+
+  // Staff, the assigned client, or a valid gallery access token.
+  // Returns how the viewer got in: { via: 'client' | 'staff' | 'code' | 'link', userId, linkId }
+  async assertAccess(gallery, viewer = {}) {
+    const userId = viewer.user ? viewer.user.id : null;
+
+    if (viewer.user && viewer.user.id === gallery.client_id) {
+      return { via: 'client', userId, linkId: null };
+    }
+    if (viewer.user && await this.isStaff(viewer.user)) {
+      return { via: 'staff', userId, linkId: null };
+    }
+
+    if (viewer.accessToken) {
+      let claims;
+      try {
+        claims = jwt.verify(viewer.accessToken, jwtConfig.secret, { audience: ACCESS_TOKEN_AUDIENCE });
+      } catch (error) {
+        throw new UnauthorizedError('Gallery access has expired, please unlock the gallery again');
+      }
+
+      if (claims.galleryId === gallery.id && await this.isAccessClaimValid(gallery, claims)) {
+        return { via: claims.linkId ? 'link' : 'code', userId, linkId: claims.linkId || null };
+      }
+    }
+
+    throw new UnauthorizedError('This gallery is private');
+  }
+
+  // Codes must not have changed and links must not have been revoked since the token was issued
+  async isAccessClaimValid(gallery, claims) {
+    if (claims.codeFingerprint) {
+      return Boolean(gallery.access_code_hash) && claims.codeFingerprint === this.getCodeFingerprint(gallery);
+    }
+
+    if (claims.linkId) {
+      const { data: link, error } = await supabase
+        .from('gallery_links')
+        .select('id, revoked_at')
+        .eq('id', claims.linkId)
+        .maybeSingle();
+
+      if (error) throw new Error('Failed to verify gallery link: ' + error.message);
+      return Boolean(link && !link.revoked_at);
+    }
+
+    return false;
+  }
+
+  async isStaff(user) {
+    return roleService.hasPermission(user.role, 'galleries:manage');
+  }
+
+  isExpired(gallery) {
+    return Boolean(gallery.expires_at && new Date(gallery.expires_at) < new Date());
+  }
+
+  getCodeFingerprint(gallery) {
+    return crypto.createHash('sha256').update(gallery.access_code_hash).digest('hex').slice(0, 16);
+  }
+
+  async getGalleryRow(field, value) {
+    const { data: gallery, error } = await supabase
+      .from('galleries')
+      .select('*')
+      .eq(field, value)
+      .single();
+
+    if (error || !gallery) {
+      throw new NotFoundError('Gallery not found');
+    }
+
+    return gallery;
+  }
+
+  async getImages(galleryId) {
+    const { data: images, error } = await supabase
+      .from('gallery_images')
+      .select('*')
+      .eq('gallery_id', galleryId)
+      .order('display_order', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error('Failed to fetch gallery images: ' + error.message);
+    return images;
+  }
+
+  // Favorite and selected marks of every image in a gallery
+  async getMarks(galleryId) {
+    const { data: marks, error } = await supabase
+      .from('gallery_image_marks')
+      .select('image_id, kind')
+      .eq('gallery_id', galleryId);
+
+    if (error) throw new Error('Failed to fetch gallery selections: ' + error.message);
+    return marks;
+  }
+
+  // { [imageId]: number of comments }
+  async getCommentCounts(galleryId) {
+    const { data: comments, error } = await supabase
+      .from('gallery_comments')
+      .select('image_id')
+      .eq('gallery_id', galleryId);
+
+    if (error) throw new Error('Failed to fetch gallery comments: ' + error.message);
+    return comments.reduce((counts, comment) => {
+      counts[comment.image_id] = (counts[comment.image_id] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  async getNextDisplayOrder(galleryId) {
+    const images = await this.getImages(galleryId);
+    return images.reduce((max, image) => Math.max(max, image.display_order + 1), 0);
+  }
+
+  async assertSlugAvailable(slug) {
+    const { data: existing, error } = await supabase
+      .from('galleries')
+      .select('id')
+      .eq('slug', slug)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (existing) {
+      throw new ValidationError('A gallery with this slug already exists');
+    }
+  }
+
+  async assertClient(userId) {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, role')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!user || user.role !== 'client') {
+      throw new ValidationError('Galleries can only be assigned to client accounts');
+    }
+  }
+
+  // Readable but hard to guess: "smith-wedding-3f9a1c"
+  generateSlug(title) {
+    const base = title
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 100);
+    return `${base || 'gallery'}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  // Staff view; the access code hash never leaves the service
+  formatGallery(gallery) {
+    const { access_code_hash, ...rest } = gallery;
+    return { ...rest, has_access_code: Boolean(access_code_hash) };
+  }
+
+  formatViewerGallery(gallery) {
+    return {
+      id: gallery.id,
+      slug: gallery.slug,
+      title: gallery.title,
+      description: gallery.description,
+      downloadAccess: gallery.download_access,
+      expiresAt: gallery.expires_at
+    };
+  }
+
+  formatSelection(gallery, selectedCount) {
+    return {
+      limit: gallery.selection_limit || null,
+      status: gallery.selection_status || 'open',
+      selectedCount,
+      submittedAt: gallery.selection_submitted_at || null,
+      note: gallery.selection_note || null
+    };
+  }
+
+  async formatImage(gallery, image) {
+    return {
+      id: image.id,
+      filename: image.filename,
+      width: image.width,
+      height: image.height,
+      displayOrder: image.display_order,
+      renditions: await s3Service.signRenditions(image.storage_key, image.renditions, { expiresIn: SIGNED_URL_TTL_SECONDS }),
+      placeholder: image.placeholder || null,
+      canDownload: gallery.download_access !== 'none'
+    };
+  }
+}
+
+module.exports = new GalleryService();
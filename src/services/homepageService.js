@@ -75,7 +75,7 @@ class HomepageService {
   }
 
   // Create new homepage element
-  async createHomepageElement(elementData, userId, mediaFile = null, uploadId = null) {
+  async createHomepageElement(elementData, userId, mediaFile = null, onProgress = null) {
     try {
       const { 
         type, 
@@ -88,7 +88,8 @@ class HomepageService {
         video_autoplay,
         video_muted,
         video_loop,
-        video_poster
+        video_poster,
+        hls
       } = elementData;
 
       // Validate type
@@ -113,14 +114,8 @@ class HomepageService {
         if (isVideo) {
           uploadResult = await s3Service.uploadVideo(mediaFile, { 
             folder: 'homepage-elements',
-            onProgress: uploadId ? (progress) => {
-              if (global.io) {
-                global.io.to(uploadId).emit('upload-progress', {
-                  uploadId,
-                  ...progress
-                });
-              }
-            } : null
+            hls: Boolean(hls),
+            onProgress
           });
           mediaType = 'video';
         } else {
@@ -168,6 +163,10 @@ class HomepageService {
         media_url: mediaUrl,
         media_public_id: mediaPublicId,
         media_type: mediaType,
+        media_width: uploadResult ? uploadResult.width : null,
+        media_height: uploadResult ? uploadResult.height : null,
+        media_renditions: !isVideo && uploadResult ? uploadResult.renditions : null,
+        media_placeholder: !isVideo && uploadResult ? uploadResult.placeholder : null,
         order_index: finalOrderIndex,
         is_active: is_active !== undefined ? Boolean(is_active) : true,
         is_featured: is_featured !== undefined ? Boolean(is_featured) : false,
@@ -177,6 +176,10 @@ class HomepageService {
         video_poster: video_poster || (isVideo && uploadResult ? uploadResult.thumbnailUrl : null),
         video_duration: isVideo && uploadResult && uploadResult.duration ? Math.round(parseFloat(uploadResult.duration)) : null,
         video_thumbnail_url: isVideo && uploadResult ? uploadResult.thumbnailUrl : null,
+        video_codec: isVideo && uploadResult ? uploadResult.codec : null,
+        video_posters: isVideo && uploadResult ? uploadResult.posters : null,
+        video_hls_url: isVideo && uploadResult && uploadResult.hls ? uploadResult.hls.playlistUrl : null,
+        video_hls_variants: isVideo && uploadResult && uploadResult.hls ? uploadResult.hls.variants : null,
         created_by: userId
       };
 
@@ -476,7 +479,7 @@ class HomepageService {
   }
 
   // Update element media
-  async updateElementMedia(elementId, mediaFile) {
+  async updateElementMedia(elementId, mediaFile, options = {}) {
     try {
       // Get current element
       const { data: currentElement, error: fetchError } = await supabase
@@ -489,15 +492,6 @@ class HomepageService {
         throw new NotFoundError('Homepage element not found');
       }
 
-      // Delete old media from S3 if exists
-      if (currentElement.media_public_id) {
-        try {
-          await s3Service.deleteImage(currentElement.media_public_id);
-        } catch (s3Error) {
-          console.error('Failed to delete old media from S3:', s3Error);
-        }
-      }
-
       // Upload new media
       const videoExtensions = ['mp4', 'mov', 'avi', 'wmv', 'flv', 'webm'];
       const fileExtension = mediaFile.originalname.split('.').pop().toLowerCase();
@@ -505,7 +499,10 @@ class HomepageService {
 
       let uploadResult;
       if (isVideo) {
-        uploadResult = await s3Service.uploadVideo(mediaFile, { folder: 'homepage-elements' });
+        uploadResult = await s3Service.uploadVideo(mediaFile, {
+          folder: 'homepage-elements',
+          onProgress: options.onProgress || null
+        });
       } else {
         uploadResult = await s3Service.uploadImage(mediaFile, { 
           folder: 'homepage-elements',
@@ -520,9 +517,14 @@ class HomepageService {
       const { data: element, error } = await supabase
         .from('homepage_elements')
         .update({
-          media_url: uploadResult.secure_url,
-          media_public_id: uploadResult.public_id,
-          media_type: mediaType
+          media_url: uploadResult.url,
+          media_public_id: uploadResult.publicId,
+          media_type: mediaType,
+          media_width: uploadResult.width,
+          media_height: uploadResult.height,
+          media_renditions: isVideo ? null : uploadResult.renditions,
+          media_placeholder: isVideo ? null : uploadResult.placeholder,
+          ...(isVideo ? this.buildVideoFields(uploadResult) : {})
         })
         .eq('id', elementId)
         .select(`
@@ -531,7 +533,20 @@ class HomepageService {
         `)
         .single();
 
-      if (error) throw error;
+      if (error) {
+        // The element keeps its old media, so the new upload is the one to drop
+        await s3Service.deleteImage(uploadResult.publicId).catch(() => {});
+        throw error;
+      }
+
+      // Only remove the old media once nothing points at it any more
+      if (currentElement.media_public_id && currentElement.media_public_id !== uploadResult.publicId) {
+        try {
+          await s3Service.deleteImage(currentElement.media_public_id);
+        } catch (s3Error) {
+          console.error('Failed to delete old media from S3:', s3Error);
+        }
+      }
 
       return element;
     } catch (error) {
@@ -540,6 +555,19 @@ class HomepageService {
     }
   }
 
+  // Map probe results and poster frames of an uploaded video onto element columns
+  buildVideoFields(uploadResult) {
+    return {
+      video_duration: uploadResult.duration ? Math.round(parseFloat(uploadResult.duration)) : null,
+      video_thumbnail_url: uploadResult.thumbnailUrl,
+      video_poster: uploadResult.thumbnailUrl,
+      video_codec: uploadResult.codec,
+      video_posters: uploadResult.posters,
+      video_hls_url: uploadResult.hls ? uploadResult.hls.playlistUrl : null,
+      video_hls_variants: uploadResult.hls ? uploadResult.hls.variants : null
+    };
+  }
+
   // Get homepage statistics
   async getHomepageStats() {
     try {
@@ -610,9 +638,14 @@ class HomepageService {
           .insert({
             type,
             title: `Uploaded ${type} ${i + 1}`,
-            media_url: uploadResult.secure_url,
-            media_public_id: uploadResult.public_id,
+            media_url: uploadResult.url,
+            media_public_id: uploadResult.publicId,
             media_type: mediaType,
+            media_width: uploadResult.width,
+            media_height: uploadResult.height,
+            media_renditions: isVideo ? null : uploadResult.renditions,
+            media_placeholder: isVideo ? null : uploadResult.placeholder,
+            ...(isVideo ? this.buildVideoFields(uploadResult) : {}),
             order_index: orderIndex,
             is_active: isActive,
             is_featured: isFeatured,
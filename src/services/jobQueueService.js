@@ -0,0 +1,438 @@
+const os = require('os');
+const { supabase } = require('../config');
+const { ValidationError, NotFoundError } = require('../middlewares/errorHandler');
+
+const JOB_STATUSES = ['queued', 'processing', 'completed', 'failed'];
+
+// Postgres-backed job queue (media_jobs table) with an in-process worker.
+// Job types are grouped in lanes that are drained independently, one job at a time each, so quick
+// jobs (e.g. notification emails) never wait behind a long transcode in the media lane.
+class JobQueueService {
+  constructor() {
+    this.handlers = new Map();
+    this.lanes = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollIntervalMs = parseInt(process.env.MEDIA_JOB_POLL_INTERVAL_MS) || 5000;
+    // Running jobs refresh their lock on a heartbeat, so a lock this old means the worker is gone
+    this.staleLockMs = parseInt(process.env.MEDIA_JOB_STALE_LOCK_MS) || 10 * 60 * 1000;
+    this.heartbeatMs = Math.max(1000, Math.floor(this.staleLockMs / 4));
+    // With a single worker, anything another worker id left in processing at start-up is abandoned;
+    // deployments where several instances share the queue rely on the stale-lock sweep instead
+    this.sharedQueue = process.env.MEDIA_JOB_SHARED_QUEUE === 'true';
+    this.running = false;
+    this.sweepTimer = null;
+  }
+
+  // Register the function that processes jobs of a given type
+  // handler(payload, { job, onProgress }) resolves with the job result
+  // options.lane: worker lane the type runs in (default 'media')
+  register(type, handler, options = {}) {
+    const lane = this.getLane(options.lane || 'media');
+    this.handlers.set(type, { handler, lane });
+    lane.types.push(type);
+    if (this.running) this.schedule(lane, 0);
+  }
+
+  getLane(name) {
+    if (!this.lanes.has(name)) {
+      this.lanes.set(name, { name, types: [], busy: false, timer: null });
+    }
+    return this.lanes.get(name);
+  }
+
+  // Add a job to the queue
+  async enqueue(type, payload, options = {}) {
+    try {
+      if (!this.handlers.has(type)) {
+        throw new ValidationError(`Unknown job type: ${type}`);
+      }
+
+      const { data: job, error } = await supabase
+        .from('media_jobs')
+        .insert({
+          type,
+          payload: options.uploadRoom ? { ...payload, uploadRoom: options.uploadRoom } : payload,
+          status: 'queued',
+          progress: 0,
+          message: 'Waiting for a worker...',
+          attempts: 0,
+          max_attempts: options.maxAttempts || 3,
+          run_at: new Date().toISOString(),
+          created_by: options.createdBy || null
+        })
+        .select('*')
+        .single();
+
+      if (error) throw error;
+
+      console.log(`📥 Queued ${type} job ${job.id}`);
+      this.nudge(type);
+      return job;
+    } catch (error) {
+      if (error.name === 'ValidationError') throw error;
+      throw new Error('Failed to enqueue job: ' + error.message);
+    }
+  }
+
+  // Get a job by ID
+  async getJob(jobId) {
+    try {
+      const { data: job, error } = await supabase
+        .from('media_jobs')
+        .select('*')
+        .eq('id', jobId)
+        .single();
+
+      if (error || !job) {
+        throw new NotFoundError('Job not found');
+      }
+
+      return job;
+    } catch (error) {
+      if (error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to fetch job: ' + error.message);
+    }
+  }
+
+  // List jobs with optional status/type filters
+  async listJobs(page = 1, limit = 20, filters = {}) {
+    try {
+      let query = supabase
+        .from('media_jobs')
+        .select('*', { count: 'exact' })
+        .order('created_at', { ascending: false });
+
+      if (filters.status && JOB_STATUSES.includes(filters.status)) {
+        query = query.eq('status', filters.status);
+      }
+      if (filters.type) {
+        query = query.eq('type', filters.type);
+      }
+
+      const offset = (page - 1) * limit;
+      query = query.range(offset, offset + limit - 1);
+
+      const { data: jobs, error, count } = await query;
+
+      if (error) throw error;
+
+      return {
+        jobs,
+        pagination: {
+          page,
+          limit,
+          total: count || jobs.length,
+          hasMore: offset + jobs.length < (count || 0)
+        }
+      };
+    } catch (error) {
+      throw new Error('Failed to fetch jobs: ' + error.message);
+    }
+  }
+
+  // Put a failed job back on the queue
+  async retryJob(jobId) {
+    const job = await this.getJob(jobId);
+
+    if (job.status !== 'failed') {
+      throw new ValidationError('Only failed jobs can be retried');
+    }
+
+    const { data: updated, error } = await supabase
+      .from('media_jobs')
+      .update({
+        status: 'queued',
+        attempts: 0,
+        progress: 0,
+        message: 'Retry requested',
+        last_error: null,
+        run_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', jobId)
+      .select('*')
+      .single();
+
+    if (error) throw new Error('Failed to retry job: ' + error.message);
+
+    this.nudge(updated.type);
+    return updated;
+  }
+
+  // Socket.IO room that receives progress for a job
+  getUploadRoom(jobId) {
+    return `upload_${jobId}`;
+  }
+
+  // Jobs started from a resumable upload keep reporting to the upload session's room
+  getJobRoom(job) {
+    return (job.payload && job.payload.uploadRoom) || this.getUploadRoom(job.id);
+  }
+
+  // Start polling for queued jobs
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    await this.sweep({ otherWorkers: !this.sharedQueue });
+    this.sweepTimer = setInterval(() => this.sweep(), this.heartbeatMs);
+
+    console.log(`👷 Media job worker started (${this.workerId}, lanes: ${[...this.lanes.keys()].join(', ')})`);
+    this.lanes.forEach(lane => this.schedule(lane, 0));
+  }
+
+  stop() {
+    this.running = false;
+    this.lanes.forEach(lane => {
+      if (lane.timer) clearTimeout(lane.timer);
+      lane.timer = null;
+    });
+    if (this.sweepTimer) clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  async sweep(options) {
+    try {
+      const released = await this.releaseStaleJobs(options);
+      if (released > 0) this.lanes.forEach(lane => this.nudgeLane(lane));
+    } catch (error) {
+      console.warn('⚠️ Could not release stale media jobs:', error.message);
+    }
+  }
+
+  schedule(lane, delay = this.pollIntervalMs) {
+    if (!this.running) return;
+    if (lane.timer) clearTimeout(lane.timer);
+    lane.timer = setTimeout(() => this.poll(lane), delay);
+  }
+
+  // Pick up new work of a type right away instead of waiting for the next poll
+  nudge(type) {
+    const registered = this.handlers.get(type);
+    if (registered) this.nudgeLane(registered.lane);
+  }
+
+  nudgeLane(lane) {
+    if (this.running && !lane.busy) this.schedule(lane, 0);
+  }
+
+  async poll(lane) {
+    if (!this.running || lane.busy) return;
+    lane.busy = true;
+
+    try {
+      // Drain the lane one job at a time; media processing is CPU bound
+      let job = await this.claimNextJob(lane);
+      while (job && this.running) {
+        await this.runJob(job);
+        job = await this.claimNextJob(lane);
+      }
+    } catch (error) {
+      console.error(`❌ Job worker error (${lane.name} lane):`, error.message);
+    } finally {
+      lane.busy = false;
+      this.schedule(lane);
+    }
+  }
+
+  // Atomically move the oldest due job of the lane from queued to processing
+  async claimNextJob(lane) {
+    const { data: candidates, error } = await supabase
+      .from('media_jobs')
+      .select('*')
+      .eq('status', 'queued')
+      .in('type', lane.types)
+      .lte('run_at', new Date().toISOString())
+      .order('run_at', { ascending: true })
+      .limit(5);
+
+    if (error) throw error;
+
+    for (const candidate of candidates || []) {
+      const { data: claimed, error: claimError } = await supabase
+        .from('media_jobs')
+        .update({
+          status: 'processing',
+          attempts: candidate.attempts + 1,
+          locked_at: new Date().toISOString(),
+          locked_by: this.workerId,
+          message: 'Processing...',
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', candidate.id)
+        .eq('status', 'queued')
+        .select('*')
+        .maybeSingle();
+
+      if (claimError) throw claimError;
+      if (claimed) return claimed;
+    }
+
+    return null;
+  }
+
+  async runJob(job) {
+    const { handler } = this.handlers.get(job.type) || {};
+    const room = this.getJobRoom(job);
+    console.log(`⚙️ Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+    const heartbeat = setInterval(() => this.refreshLock(job), this.heartbeatMs);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+
+      const result = await handler(job.payload, {
+        job,
+        onProgress: this.createProgressReporter(job)
+      });
+
+      await this.updateJob(job.id, {
+        status: 'completed',
+        progress: 100,
+        message: 'Completed',
+        result: result || null,
+        locked_at: null,
+        completed_at: new Date().toISOString()
+      });
+      this.emit(room, {
+        jobId: job.id,
+        status: 'completed',
+        progress: 100,
+        message: 'Processing completed successfully',
+        result
+      });
+      console.log(`✅ Job ${job.id} completed`);
+    } catch (error) {
+      const willRetry = job.attempts < job.max_attempts;
+      // Exponential backoff: 30s, 60s, 120s...
+      const retryDelayMs = 30000 * Math.pow(2, job.attempts - 1);
+
+      await this.updateJob(job.id, {
+        status: willRetry ? 'queued' : 'failed',
+        message: willRetry ? `Attempt ${job.attempts} failed, retrying` : 'Failed',
+        last_error: error.message,
+        locked_at: null,
+        run_at: willRetry ? new Date(Date.now() + retryDelayMs).toISOString() : job.run_at
+      });
+      this.emit(room, {
+        jobId: job.id,
+        status: willRetry ? 'retrying' : 'error',
+        progress: 0,
+        message: willRetry
+          ? `Processing failed, retrying (attempt ${job.attempts + 1} of ${job.max_attempts})`
+          : `Processing failed: ${error.message}`
+      });
+      console.error(`❌ Job ${job.id} failed:`, error.message);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  // Keep the lock of a running job fresh so the sweep doesn't take it for abandoned
+  async refreshLock(job) {
+    const { error } = await supabase
+      .from('media_jobs')
+      .update({ locked_at: new Date().toISOString() })
+      .eq('id', job.id)
+      .eq('status', 'processing')
+      .eq('locked_by', this.workerId);
+
+    if (error) console.warn('⚠️ Failed to refresh job lock:', error.message);
+  }
+
+  // Persist progress (throttled) and push it over the upload-progress channel
+  createProgressReporter(job) {
+    const room = this.getJobRoom(job);
+    let lastPersistedAt = 0;
+
+    return (progress) => {
+      this.emit(room, { jobId: job.id, ...progress });
+
+      const now = Date.now();
+      if (now - lastPersistedAt < 2000) return;
+      lastPersistedAt = now;
+
+      this.updateJob(job.id, {
+        progress: Math.round(progress.progress || 0),
+        message: progress.message || null
+      }).catch(error => console.warn('⚠️ Failed to persist job progress:', error.message));
+    };
+  }
+
+  emit(room, payload) {
+    if (global.io) {
+      global.io.to(room).emit('upload-progress', { uploadId: room, ...payload });
+    }
+  }
+
+  async updateJob(jobId, fields) {
+    const { error } = await supabase
+      .from('media_jobs')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', jobId);
+
+    if (error) throw error;
+  }
+
+  // Requeue jobs whose worker died mid-processing: locks not refreshed for staleLockMs, or with
+  // otherWorkers (at start-up) every job held by another worker id. The interrupted run counted as
+  // an attempt when it was claimed, so a job that keeps taking its worker down (e.g. running it
+  // out of memory) fails once it has used up max_attempts instead of being requeued forever.
+  // Resolves with the number of jobs released.
+  async releaseStaleJobs({ otherWorkers = false } = {}) {
+    let query = supabase
+      .from('media_jobs')
+      .select('id, type, payload, attempts, max_attempts, locked_at, locked_by')
+      .eq('status', 'processing');
+
+    query = otherWorkers
+      ? query.neq('locked_by', this.workerId)
+      : query.lt('locked_at', new Date(Date.now() - this.staleLockMs).toISOString());
+
+    const { data: jobs, error } = await query;
+    if (error) throw error;
+
+    let released = 0;
+    for (const job of jobs) {
+      const exhausted = job.attempts >= job.max_attempts;
+
+      // Only release the job if nobody claimed or refreshed it in the meantime
+      const { data: updated, error: updateError } = await supabase
+        .from('media_jobs')
+        .update({
+          status: exhausted ? 'failed' : 'queued',
+          locked_at: null,
+          locked_by: null,
+          message: exhausted ? 'Failed' : 'Requeued after its worker stopped',
+          ...(exhausted ? { last_error: 'The worker stopped while processing this job' } : {}),
+          run_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', job.id)
+        .eq('status', 'processing')
+        .eq('locked_by', job.locked_by)
+        .eq('locked_at', job.locked_at)
+        .select('id')
+        .maybeSingle();
+
+      if (updateError) throw updateError;
+      if (!updated) continue;
+
+      released++;
+      if (exhausted) {
+        this.emit(this.getJobRoom(job), {
+          jobId: job.id,
+          status: 'error',
+          progress: 0,
+          message: 'Processing failed: the worker stopped while processing this job'
+        });
+      }
+      console.warn(`⚠️ Job ${job.id} (${job.type}) abandoned by ${job.locked_by}, ${exhausted ? 'marked failed' : 'requeued'} after ${job.attempts}/${job.max_attempts} attempts`);
+    }
+
+    return released;
+  }
+}
+
+module.exports = new JobQueueService();
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const mailConfig = require('../config/mail');
+const templates = require('../templates/emails');
+
+const TEMPLATE_DIR = path.join(__dirname, '../templates/emails');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Replace {{{raw}}} and {{escaped}} placeholders
+const interpolate = (template, data, escape) => template
+  .replace(/\{\{\{\s*(\w+)\s*\}\}\}/g, (match, key) => (data[key] ?? ''))
+  .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (escape ? escapeHtml(data[key] ?? '') : (data[key] ?? '')));
+
+// Sends email through the configured transport (SMTP, .eml files or the console)
+class MailService {
+  constructor() {
+    this.transportName = mailConfig.transport;
+    this.transporter = this.createTransport();
+    this.templateCache = new Map();
+  }
+
+  createTransport() {
+    if (this.transportName === 'smtp') {
+      const { host, port, secure, user, pass } = mailConfig.smtp;
+      return nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        ...(user ? { auth: { user, pass } } : {})
+      });
+    }
+
+    // file and console transports build the full MIME message without sending it
+    return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+
+  // Render a template from templates/emails into { subject, html, text }
+  render(templateName, data = {}) {
+    const definition = templates[templateName];
+    if (!definition) {
+      throw new Error(`Unknown email template: ${templateName}`);
+    }
+
+    const subject = interpolate(data.subject || definition.subject, data, false);
+    const content = interpolate(this.readTemplate(`${templateName}.html`), data, true);
+
+    return {
+      subject,
+      html: interpolate(this.readTemplate('layout.html'), { subject, content }, true),
+      text: interpolate(this.readTemplate(`${templateName}.txt`), data, false)
+    };
+  }
+
+  readTemplate(fileName) {
+    if (!this.templateCache.has(fileName)) {
+      this.templateCache.set(fileName, fs.readFileSync(path.join(TEMPLATE_DIR, fileName), 'utf8'));
+    }
+    return this.templateCache.get(fileName);
+  }
+
+  // A Message-ID on the sender's domain, for messages that must be threaded before they are sent
+  createMessageId() {
+    const address = mailConfig.from.match(/<([^>]+)>/);
+    const domain = (address ? address[1] : mailConfig.from).split('@')[1] || 'localhost';
+    return `<${crypto.randomUUID()}@${domain.trim()}>`;
+  }
+
+  // Send a rendered template
+  async sendTemplate(templateName, to, data = {}, options = {}) {
+    const rendered = this.render(templateName, data);
+    return this.send({ ...options, to, ...rendered });
+  }
+
+  // Send a message: { to, subject, html, text, replyTo, headers, attachments }
+  async send(message) {
+    try {
+      const info = await this.transporter.sendMail({
+        from: mailConfig.from,
+        ...message
+      });
+
+      if (this.transportName === 'file') {
+        await fs.promises.mkdir(mailConfig.fileDir, { recursive: true });
+        const fileName = `${Date.now()}-${String(info.messageId).replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+        await fs.promises.writeFile(path.join(mailConfig.fileDir, fileName), info.message);
+        console.log(`📧 Email to ${message.to} written to ${path.join(mailConfig.fileDir, fileName)}`);
+      } else if (this.transportName === 'console') {
+        console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text || ''}`);
+      } else {
+        console.log(`📧 Email sent to ${message.to}: ${message.subject}`);
+      }
+
+      return { messageId: info.messageId };
+    } catch (error) {
+      throw new Error('Failed to send email: ' + error.message);
+    }
+  }
+}
+
+module.exports = new MailService();
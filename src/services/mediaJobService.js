@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+const jobQueueService = require('./jobQueueService');
+const s3Service = require('./s3Service');
+const portfolioService = require('./portfolioService');
+const homepageService = require('./homepageService');
+const watermarkService = require('./watermarkService');
+
+// Media processing that runs on the job queue instead of inside the HTTP request
+class MediaJobService {
+  constructor() {
+    jobQueueService.register('project-video', (payload, context) => this.processProjectVideo(payload, context));
+    jobQueueService.register('homepage-element', (payload, context) => this.processHomepageElement(payload, context));
+    jobQueueService.register('homepage-element-media', (payload, context) => this.processHomepageElementMedia(payload, context));
+    jobQueueService.register('watermark-refresh', (payload, context) => this.processWatermarkRefresh(payload, context));
+    jobQueueService.register('project-watermark', (payload, context) => portfolioService.reapplyWatermark(payload.projectId, context));
+  }
+
+  // Queue re-rendering the public images affected by a watermark settings change.
+  // scope is {} (site-wide), { categoryId } or { projectId }; the job fans out per project from the worker.
+  async queueWatermarkRefresh(scope, userId) {
+    return this.enqueue('watermark-refresh', { scope }, userId);
+  }
+
+  // Stage a project video upload and queue its processing
+  async queueProjectVideo(projectId, videoFile, videoData, userId, options = {}) {
+    const staged = await this.stageFile(videoFile);
+    return this.enqueue('project-video', { projectId, videoData, file: staged }, userId, options);
+  }
+
+  // Stage a homepage element upload and queue the element creation
+  async queueHomepageElement(elementData, mediaFile, userId, options = {}) {
+    const staged = await this.stageFile(mediaFile);
+    return this.enqueue('homepage-element', { elementData, userId, file: staged }, userId, options);
+  }
+
+  // Stage replacement media for an existing homepage element
+  async queueHomepageElementMedia(elementId, mediaFile, userId, options = {}) {
+    const staged = await this.stageFile(mediaFile);
+    return this.enqueue('homepage-element-media', { elementId, file: staged }, userId, options);
+  }
+
+  // One 'project-watermark' job per project (each retried on its own), then the subcategory covers,
+  // which follow the category settings and so are left alone when only a project changed
+  async processWatermarkRefresh({ scope = {} }, { job, onProgress }) {
+    const projectIds = await watermarkService.getAffectedProjectIds(scope);
+    for (const projectId of projectIds) {
+      await this.enqueue('project-watermark', { projectId }, job.created_by);
+    }
+
+    const covers = scope.projectId
+      ? 0
+      : await portfolioService.reapplyCoverWatermarks(scope.categoryId || null, { onProgress });
+
+    return { projects: projectIds.length, covers };
+  }
+
+  async processProjectVideo(payload, { onProgress }) {
+    return this.withStagedFile(payload.file, async (file) => {
+      const video = await portfolioService.uploadProjectVideo(payload.projectId, file, payload.videoData, { onProgress });
+      return { video };
+    });
+  }
+
+  async processHomepageElement(payload, { onProgress }) {
+    return this.withStagedFile(payload.file, async (file) => {
+      const element = await homepageService.createHomepageElement(payload.elementData, payload.userId, file, onProgress);
+      return { element };
+    });
+  }
+
+  async processHomepageElementMedia(payload, { onProgress }) {
+    return this.withStagedFile(payload.file, async (file) => {
+      const element = await homepageService.updateElementMedia(payload.elementId, file, { onProgress });
+      return { element };
+    });
+  }
+
+  // Run fn with a staged upload downloaded to disk; the staged object is removed once fn
+  // succeeds (a failed attempt keeps it for the retry), the local copy always
+  async withStagedFile(staged, fn) {
+    const file = await this.loadStagedFile(staged);
+    try {
+      const result = await fn(file);
+      await this.discardStagedFile(staged);
+      return result;
+    } finally {
+      await fs.promises.rm(file.path, { force: true });
+    }
+  }
+
+  // options.uploadRoom: report progress to an existing upload room instead of a new one
+  async enqueue(type, payload, userId, options = {}) {
+    const job = await jobQueueService.enqueue(type, payload, {
+      createdBy: userId,
+      uploadRoom: options.uploadRoom
+    });
+    return {
+      jobId: job.id,
+      uploadId: jobQueueService.getJobRoom(job),
+      status: job.status
+    };
+  }
+
+  // Multer files are uploaded to staging; resumable uploads arrive already staged ({ key, ... })
+  async stageFile(file) {
+    if (!file.buffer && file.key) {
+      return file;
+    }
+
+    const key = await s3Service.uploadStagingFile(file);
+    return {
+      key,
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size
+    };
+  }
+
+  // Stream a staged upload to a temp file and describe it like a multer disk-storage file;
+  // resumable uploads can be several GB, so they are never read into memory
+  async loadStagedFile(staged) {
+    const dir = path.join(os.tmpdir(), 'photography-backend');
+    const filePath = path.join(dir, `staged_${uuidv4()}${path.extname(staged.originalname || '')}`);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    try {
+      await pipeline(storage.getStream(staged.key), fs.createWriteStream(filePath));
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
+      throw new Error('Failed to download staged upload: ' + error.message);
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    return {
+      path: filePath,
+      originalname: staged.originalname,
+      mimetype: staged.mimetype,
+      size
+    };
+  }
+
+  async discardStagedFile(staged) {
+    try {
+      await s3Service.deleteObject(staged.key);
+    } catch (error) {
+      console.warn('⚠️ Failed to remove staged upload:', error.message);
+    }
+  }
+}
+
+module.exports = new MediaJobService();
@@ -0,0 +1,166 @@
+const { supabase } = require('../config');
+const mailConfig = require('../config/mail');
+const mailService = require('./mailService');
+const jobQueueService = require('./jobQueueService');
+const portfolioService = require('./portfolioService');
+
+// Queues outgoing notifications, logs every delivery in notification_deliveries and sends them
+// from 'send-notification' jobs, so a failing mail server only delays them (the job queue retries
+// with backoff) instead of breaking the request that triggered them. They run in their own worker
+// lane, so an alert goes out while a video is still transcoding.
+class NotificationService {
+  constructor() {
+    jobQueueService.register('send-notification', (payload, context) => this.deliver(payload.deliveryId, context), {
+      lane: 'notifications'
+    });
+  }
+
+  // Admin alert plus the enquirer's auto-reply for a new contact submission
+  async notifyNewContact(contact) {
+    const data = await this.getContactTemplateData(contact);
+    const deliveries = [];
+
+    for (const recipient of mailConfig.contactNotifyTo) {
+      deliveries.push(await this.queue('contact-admin-alert', recipient, data, {
+        replyTo: contact.email,
+        related: { type: 'contact', id: contact.id }
+      }));
+    }
+
+    // The auto-reply shows nothing but our own package details
+    if (mailConfig.contactAutoReply) {
+      const { packageName, packageDetails } = data;
+      deliveries.push(await this.queue('contact-auto-reply', contact.email, { packageName, packageDetails }, {
+        related: { type: 'contact', id: contact.id }
+      }));
+    }
+
+    if (mailConfig.contactNotifyTo.length === 0) {
+      console.warn('⚠️ No CONTACT_NOTIFY_EMAILS or ADMIN_EMAIL configured, new inquiry alert not sent');
+    }
+    return deliveries;
+  }
+
+  // Snapshot of everything the contact templates show
+  async getContactTemplateData(contact) {
+    let pkg = null;
+    if (contact.package_id) {
+      pkg = await portfolioService.getPackageById(contact.package_id).catch(() => null);
+    }
+
+    return {
+      name: contact.name,
+      email: contact.email,
+      phone: contact.phone || 'Not given',
+      location: contact.location || 'Not given',
+      message: contact.message,
+      packageName: pkg ? pkg.name : 'No package selected',
+      packageDetails: pkg ? [(pkg.features || []).join(', '), pkg.note].filter(Boolean).join('. ') : ''
+    };
+  }
+
+  // Log a delivery and queue the job that sends it
+  async queue(template, recipient, data, options = {}) {
+    try {
+      const { data: delivery, error } = await supabase
+        .from('notification_deliveries')
+        .insert({
+          template,
+          recipient,
+          data,
+          reply_to: options.replyTo || null,
+          mail_options: options.mailOptions || null,
+          related_type: options.related ? options.related.type : null,
+          related_id: options.related ? options.related.id : null,
+          status: 'queued',
+          attempts: 0
+        })
+        .select('*')
+        .single();
+
+      if (error) throw error;
+
+      const job = await jobQueueService.enqueue('send-notification', { deliveryId: delivery.id }, {
+        maxAttempts: mailConfig.notificationMaxAttempts
+      });
+
+      await supabase
+        .from('notification_deliveries')
+        .update({ job_id: job.id })
+        .eq('id', delivery.id);
+
+      return { ...delivery, job_id: job.id };
+    } catch (error) {
+      throw new Error('Failed to queue notification: ' + error.message);
+    }
+  }
+
+  // Job handler: send one logged delivery and record the outcome
+  async deliver(deliveryId, { job }) {
+    const { data: delivery, error } = await supabase
+      .from('notification_deliveries')
+      .select('*')
+      .eq('id', deliveryId)
+      .maybeSingle();
+
+    if (error) throw new Error('Failed to fetch notification: ' + error.message);
+    if (!delivery) throw new Error(`Notification ${deliveryId} no longer exists`);
+
+    // A retried job must not send the same message twice
+    if (delivery.status === 'sent') {
+      return { deliveryId, status: 'sent', messageId: delivery.message_id };
+    }
+
+    const attempts = delivery.attempts + 1;
+    try {
+      const { messageId } = await mailService.sendTemplate(delivery.template, delivery.recipient, delivery.data, {
+        ...(delivery.mail_options || {}),
+        ...(delivery.reply_to ? { replyTo: delivery.reply_to } : {})
+      });
+
+      await this.updateDelivery(deliveryId, {
+        status: 'sent',
+        attempts,
+        message_id: messageId,
+        last_error: null,
+        sent_at: new Date().toISOString()
+      });
+
+      return { deliveryId, status: 'sent', messageId };
+    } catch (sendError) {
+      const willRetry = job && job.attempts < job.max_attempts;
+      await this.updateDelivery(deliveryId, {
+        status: willRetry ? 'retrying' : 'failed',
+        attempts,
+        last_error: sendError.message
+      });
+
+      console.warn(`⚠️ ${delivery.template} to ${delivery.recipient} failed (attempt ${attempts}):`, sendError.message);
+      throw sendError;
+    }
+  }
+
+  async updateDelivery(deliveryId, fields) {
+    const { error } = await supabase
+      .from('notification_deliveries')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', deliveryId);
+
+    if (error) console.error('❌ Failed to update notification delivery log:', error.message);
+  }
+
+  // Delivery log for one record, newest first (e.g. a contact's alert and auto-reply)
+  async getDeliveries(relatedType, relatedId) {
+    const { data: deliveries, error } = await supabase
+      .from('notification_deliveries')
+      .select('id, template, recipient, status, attempts, last_error, message_id, job_id, created_at, updated_at, sent_at')
+      .eq('related_type', relatedType)
+      .eq('related_id', relatedId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw new Error('Failed to fetch notification deliveries: ' + error.message);
+    return deliveries;
+  }
+}
+
+module.exports = new NotificationService();
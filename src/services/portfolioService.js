@@ -1,6 +1,9 @@
 const { supabase } = require('../config');
 const s3Service = require('./s3Service');
-const { ValidationError, NotFoundError } = require('../middlewares/errorHandler');
+const watermarkService = require('./watermarkService');
+const archiveService = require('./archiveService');
+const { filterImageMetadata } = require('../utils/imageMetadata');
+const { ValidationError, NotFoundError, ConflictError } = require('../middlewares/errorHandler');
 const sharp = require('sharp');
 
 class PortfolioService {
@@ -186,6 +189,7 @@ class PortfolioService {
         .from('portfolio_project_images')
         .select('*')
         .eq('project_id', projectId)
+        .order('display_order', { ascending: true })
         .order('created_at', { ascending: true });
       if (imagesError) throw imagesError;
 
@@ -198,7 +202,7 @@ class PortfolioService {
         .order('order_index', { ascending: true });
       if (videosError) throw videosError;
 
-      return { ...project, images, videos };
+      return this.withProjectMedia(project, images, videos);
     } catch (error) {
       if (error.name === 'NotFoundError') throw error;
       throw new Error('Failed to fetch project: ' + error.message);
@@ -206,7 +210,8 @@ class PortfolioService {
   }
 
   // Create new portfolio project
-  async createProject(projectData, imageFiles, adminId) {
+  // options.imageOrders: display_order of each image, when it is interleaved with videos (createProjectWithMedia)
+  async createProject(projectData, imageFiles, adminId, options = {}) {
     try {
       let subcategoryIdToUse = projectData.subcategoryId;
 
@@ -309,69 +314,73 @@ class PortfolioService {
 
       if (error) throw error;
 
-      // Upload all images and insert into portfolio_project_images
-      const imageResults = [];
-      if (imageFiles && imageFiles.length > 0) {
-        for (const file of imageFiles) {
-          let buffer = file.buffer;
-          let quality = 95;
-          // Compress if over 10MB, and keep compressing until under 10MB or quality too low
-          if (file.size > 10 * 1024 * 1024) {
-            let compressed = false;
-            while (!compressed && quality >= 20) { // Lowered minimum quality to 20
-              buffer = await sharp(file.buffer)
-                .resize({ width: 4000, withoutEnlargement: true })
-                .jpeg({ quality })
-                .toBuffer();
-              if (buffer.length <= 10 * 1024 * 1024) {
-                compressed = true;
-              } else {
-                quality -= 10;
-              }
-            }
-            if (buffer.length > 10 * 1024 * 1024) {
-              throw new ValidationError(`Image too large to upload even after compression. Final size: ${buffer.length} bytes. Please use a smaller image.`);
-            }
+      // Upload all images; the first one becomes the project's cover
+      const images = imageFiles && imageFiles.length > 0
+        ? await this.uploadProjectImages(project.id, imageFiles, options.imageOrders)
+        : [];
+      if (images.length > 0) {
+        await this.applyCover(project.id, images[0]);
+      }
+
+      return { ...project, images };
+    } catch (error) {
+      throw new Error('Failed to create project: ' + error.message);
+    }
+  }
+
+  // Upload images and add them to a project at the given positions of its media timeline
+  async uploadProjectImages(projectId, imageFiles, displayOrders = imageFiles.map((file, index) => index)) {
+    const watermark = await watermarkService.resolveForProject(projectId);
+    const imageResults = [];
+    for (const file of imageFiles) {
+      let buffer = file.buffer;
+      let quality = 95;
+      // Compress if over 10MB, and keep compressing until under 10MB or quality too low
+      if (file.size > 10 * 1024 * 1024) {
+        let compressed = false;
+        while (!compressed && quality >= 20) { // Lowered minimum quality to 20
+          // Keep EXIF (orientation, credits) and the colour profile for uploadImage to work from
+          buffer = await sharp(file.buffer)
+            .resize({ width: 4000, withoutEnlargement: true })
+            .keepMetadata()
+            .jpeg({ quality })
+            .toBuffer();
+          if (buffer.length <= 10 * 1024 * 1024) {
+            compressed = true;
+          } else {
+            quality -= 10;
           }
-          // Upload using the (possibly compressed) buffer
-          const imageResult = await s3Service.uploadImage({ ...file, buffer });
-          const thumbnailUrl = s3Service.generateThumbnailUrl(imageResult.publicId);
-          imageResults.push({
-            project_id: project.id,
-            image_url: imageResult.url,
-            image_public_id: imageResult.publicId,
-            thumbnail_url: thumbnailUrl
-          });
         }
-        
-        // Insert all images
-        const { data: images, error: imagesError } = await supabase
-          .from('portfolio_project_images')
-          .insert(imageResults)
-          .select('*');
-        if (imagesError) throw imagesError;
-
-        // Optionally, set the first image as the main image in the project
-        if (images && images.length > 0) {
-          await supabase
-            .from('portfolio_projects')
-            .update({
-              image_url: images[0].image_url,
-              image_public_id: images[0].image_public_id,
-              thumbnail_url: images[0].thumbnail_url
-            })
-            .eq('id', project.id);
+        if (buffer.length > 10 * 1024 * 1024) {
+          throw new ValidationError(`Image too large to upload even after compression. Final size: ${buffer.length} bytes. Please use a smaller image.`);
         }
-
-        // Return project with images
-        return { ...project, images };
-      } else {
-        // No images provided, return project without images
-        return { ...project, images: [] };
       }
-    } catch (error) {
-      throw new Error('Failed to create project: ' + error.message);
+      // Upload using the (possibly compressed) buffer
+      const imageResult = await s3Service.uploadImage({ ...file, buffer }, { watermark, keepOriginal: true });
+      const thumbnailUrl = s3Service.generateThumbnailUrl(imageResult.publicId);
+      imageResults.push({
+        project_id: projectId,
+        image_url: imageResult.url,
+        image_public_id: imageResult.publicId,
+        original_key: imageResult.originalKey,
+        original_filename: file.originalname || null,
+        metadata: imageResult.metadata,
+        thumbnail_url: thumbnailUrl,
+        width: imageResult.width,
+        height: imageResult.height,
+        renditions: imageResult.renditions,
+        placeholder: imageResult.placeholder,
+        display_order: displayOrders[imageResults.length]
+      });
     }
+
+    const { data: images, error } = await supabase
+      .from('portfolio_project_images')
+      .insert(imageResults)
+      .select('*');
+    if (error) throw error;
+
+    return images.sort((a, b) => a.display_order - b.display_order);
   }
 
   // Update portfolio project
@@ -397,14 +406,17 @@ class PortfolioService {
       if (imageFile) {
         // Get current project to delete old image
         const currentProject = await this.getProjectById(projectId);
-        
-        // Delete old image from S3
-        if (currentProject.image_public_id) {
+
+        // Delete old image from S3, unless the cover is one of the project images
+        if (this.isSeparateCover(currentProject, currentProject.images)) {
           await s3Service.deleteImage(currentProject.image_public_id);
         }
 
         // Upload new image
-        imageResult = await s3Service.uploadImage(imageFile);
+        imageResult = await s3Service.uploadImage(imageFile, {
+          watermark: await watermarkService.resolveForProject(projectId),
+          keepOriginal: true
+        });
         thumbnailUrl = s3Service.generateThumbnailUrl(imageResult.publicId);
       }
 
@@ -414,43 +426,295 @@ class PortfolioService {
         description: updateData.description,
         category: updateData.category, // Keep for backward compatibility
         tags: updateData.tags,
-        is_published: updateData.isPublished,
-        subcategory_id: updateData.subcategoryId || null
+        is_published: updateData.isPublished
       };
 
+      // Partial updates (e.g. togglePublishStatus) must leave the subcategory alone
+      if (updateData.subcategoryId !== undefined) {
+        updatePayload.subcategory_id = updateData.subcategoryId || null;
+      }
+
       // Add image data if new image was uploaded
       if (imageResult) {
         updatePayload.image_url = imageResult.url;
         updatePayload.image_public_id = imageResult.publicId;
         updatePayload.thumbnail_url = thumbnailUrl;
+        updatePayload.image_placeholder = imageResult.placeholder;
       }
 
       // Update project in database
       const { data: project, error } = await supabase
         .from('portfolio_projects')
         .update(updatePayload)
-        .single();
+        .eq('id', projectId)
+        .select('*')
+        .maybeSingle();
 
       if (error) throw error;
+      if (!project) {
+        throw new NotFoundError('Project not found');
+      }
 
       return project;
     } catch (error) {
+      if (error.name === 'NotFoundError') throw error;
       throw new Error('Failed to update project: ' + error.message);
     }
   }
 
-  // Delete portfolio project
-  async deleteProject(projectId) {
+  // Add images to an existing project, after the ones it already has
+  async addProjectImages(projectId, imageFiles) {
     try {
-      // Get project to delete image from S3
       const project = await this.getProjectById(projectId);
-      
-      // Delete image from S3
-      if (project.image_public_id) {
-        await s3Service.deleteImage(project.image_public_id);
+      const startOrder = await this.getNextMediaOrder(projectId);
+
+      const images = await this.uploadProjectImages(projectId, imageFiles, imageFiles.map((file, index) => startOrder + index));
+
+      // A project without a cover gets the first new image
+      if (!project.image_public_id && images.length > 0) {
+        await this.applyCover(projectId, images[0]);
+      }
+
+      return this.getProjectById(projectId);
+    } catch (error) {
+      if (error.name === 'NotFoundError' || error.name === 'ValidationError') throw error;
+      throw new Error('Failed to add project images: ' + error.message);
+    }
+  }
+
+  // Set the caption and alt text of a project image (null clears them)
+  async updateProjectImage(projectId, imageId, { caption, altText }) {
+    const { data: image, error } = await supabase
+      .from('portfolio_project_images')
+      .update({ caption, alt_text: altText })
+      .eq('id', imageId)
+      .eq('project_id', projectId)
+      .select('*')
+      .maybeSingle();
+
+    if (error) throw new Error('Failed to update project image: ' + error.message);
+    if (!image) {
+      throw new NotFoundError('Image not found for this project');
+    }
+
+    const { original_key, ...publicImage } = image;
+    return publicImage;
+  }
+
+  // Put a project's images in the given order; every image of the project must be listed once.
+  // Images swap places among the timeline positions they already hold, so videos stay where they are.
+  async reorderProjectImages(projectId, imageIds) {
+    try {
+      const { data: images, error } = await supabase
+        .from('portfolio_project_images')
+        .select('id, display_order')
+        .eq('project_id', projectId)
+        .order('display_order', { ascending: true });
+
+      if (error) throw error;
+
+      this.assertCompleteOrder(imageIds, images, 'imageIds must list every image of the project exactly once');
+
+      await Promise.all(imageIds.map(async (imageId, index) => {
+        const { error: updateError } = await supabase
+          .from('portfolio_project_images')
+          .update({ display_order: images[index].display_order })
+          .eq('id', imageId)
+          .eq('project_id', projectId);
+        if (updateError) throw updateError;
+      }));
+
+      console.log('✅ Project images reordered:', projectId);
+      return { message: 'Images reordered successfully' };
+    } catch (error) {
+      if (error.name === 'ValidationError') throw error;
+      throw new Error('Failed to reorder project images: ' + error.message);
+    }
+  }
+
+  // Make one of the project's images its cover (image_url / thumbnail_url)
+  async setProjectCover(projectId, imageId) {
+    try {
+      const project = await this.getProjectById(projectId);
+      const image = project.images.find(projectImage => projectImage.id === imageId);
+      if (!image) {
+        throw new NotFoundError('Image not found for this project');
+      }
+
+      const updated = await this.applyCover(projectId, image);
+
+      // A cover uploaded through updateProject has no other use once replaced
+      if (this.isSeparateCover(project, project.images)) {
+        await s3Service.deleteImage(project.image_public_id).catch(err =>
+          console.warn(`⚠️ Failed to delete old cover ${project.image_public_id}:`, err.message)
+        );
+      }
+
+      return updated;
+    } catch (error) {
+      if (error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to set project cover: ' + error.message);
+    }
+  }
+
+  async applyCover(projectId, image) {
+    const { data: project, error } = await supabase
+      .from('portfolio_projects')
+      .update({
+        image_url: image.image_url,
+        image_public_id: image.image_public_id,
+        thumbnail_url: image.thumbnail_url,
+        image_placeholder: image.placeholder || null
+      })
+      .eq('id', projectId)
+      .select('*')
+      .single();
+
+    if (error) throw error;
+    return project;
+  }
+
+  // Whether the cover is its own upload rather than one of the project images
+  isSeparateCover(project, images) {
+    return Boolean(project.image_public_id) &&
+      !images.some(image => image.image_public_id === project.image_public_id);
+  }
+
+  // Put a project's images and videos in one order; items are { type: 'image' | 'video', id }
+  // and must list every image and active video of the project once
+  async reorderProjectMedia(projectId, items) {
+    try {
+      await this.ensureProjectExists(projectId);
+      const { images, videos } = await this.getProjectMediaRows(projectId);
+
+      const imageIds = items.filter(item => item.type === 'image').map(item => item.id);
+      const videoIds = items.filter(item => item.type === 'video').map(item => item.id);
+      const message = 'items must list every image and video of the project exactly once';
+      this.assertCompleteOrder(imageIds, images, message);
+      this.assertCompleteOrder(videoIds, videos, message);
+
+      await Promise.all(items.map(async (item, index) => {
+        const { error } = item.type === 'image'
+          ? await supabase
+            .from('portfolio_project_images')
+            .update({ display_order: index })
+            .eq('id', item.id)
+            .eq('project_id', projectId)
+          // order_index keeps the video-only listings (getProjectVideos) in the same order
+          : await supabase
+            .from('portfolio_project_videos')
+            .update({ display_order: index, order_index: videoIds.indexOf(item.id) })
+            .eq('id', item.id)
+            .eq('project_id', projectId);
+        if (error) throw error;
+      }));
+
+      console.log('✅ Project media reordered:', projectId);
+      return this.getProjectById(projectId);
+    } catch (error) {
+      if (error.name === 'ValidationError' || error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to reorder project media: ' + error.message);
+    }
+  }
+
+  // Images and videos in one list, in timeline order; each item carries media_type
+  buildMediaTimeline(images, videos) {
+    return [
+      ...images.map(image => ({ ...image, media_type: 'image' })),
+      ...videos.map(video => ({ ...video, media_type: 'video' }))
+    ].sort((a, b) =>
+      (a.display_order || 0) - (b.display_order || 0) ||
+      String(a.created_at).localeCompare(String(b.created_at))
+    );
+  }
+
+  // Project as returned by the API, with its images, videos and the combined timeline
+  withProjectMedia(project, images, videos) {
+    const formattedImages = this.formatProjectImages(project, images);
+    return {
+      ...project,
+      images: formattedImages,
+      videos,
+      media: this.buildMediaTimeline(formattedImages, videos || [])
+    };
+  }
+
+  // Timeline position after the last image or video
+  async getNextMediaOrder(projectId) {
+    const { images, videos } = await this.getProjectMediaRows(projectId, { includeInactive: true });
+    return [...images, ...videos].reduce((max, item) => Math.max(max, (item.display_order || 0) + 1), 0);
+  }
+
+  async getProjectMediaRows(projectId, { includeInactive = false } = {}) {
+    const { data: images, error: imagesError } = await supabase
+      .from('portfolio_project_images')
+      .select('id, display_order')
+      .eq('project_id', projectId);
+    if (imagesError) throw imagesError;
+
+    let videoQuery = supabase
+      .from('portfolio_project_videos')
+      .select('id, display_order')
+      .eq('project_id', projectId);
+    if (!includeInactive) {
+      videoQuery = videoQuery.eq('is_active', true);
+    }
+    const { data: videos, error: videosError } = await videoQuery;
+    if (videosError) throw videosError;
+
+    return { images, videos };
+  }
+
+  // ids must name each row exactly once
+  assertCompleteOrder(ids, rows, message) {
+    const rowIds = new Set(rows.map(row => row.id));
+    const isComplete = ids.length === rowIds.size &&
+      new Set(ids).size === ids.length &&
+      ids.every(id => rowIds.has(id));
+    if (!isComplete) {
+      throw new ValidationError(message);
+    }
+  }
+
+  // Delete portfolio project with its images, videos, cover and cached archives.
+  // Rows go first so nothing points at a missing file; files that fail to delete are left
+  // for the storage reconciliation (storageCleanupService) to find.
+  async deleteProject(projectId) {
+    try {
+      const { data: project, error: projectError } = await supabase
+        .from('portfolio_projects')
+        .select('id, image_public_id')
+        .eq('id', projectId)
+        .maybeSingle();
+
+      if (projectError) throw projectError;
+      if (!project) {
+        throw new NotFoundError('Project not found');
+      }
+
+      const { data: images, error: imagesError } = await supabase
+        .from('portfolio_project_images')
+        .select('id, image_public_id')
+        .eq('project_id', projectId);
+      if (imagesError) throw imagesError;
+
+      // Galleries import project images by reference (same files, rows cascading from the project
+      // image), so deleting the project would take the proofs and the client's picks with it
+      await this.assertImagesNotInGalleries(images);
+
+      const { data: videos, error: videosError } = await supabase
+        .from('portfolio_project_videos')
+        .select('video_public_id')
+        .eq('project_id', projectId);
+      if (videosError) throw videosError;
+
+      await archiveService.deleteProjectArchives(projectId);
+
+      for (const table of ['portfolio_project_images', 'portfolio_project_videos']) {
+        const { error } = await supabase.from(table).delete().eq('project_id', projectId);
+        if (error) throw error;
       }
 
-      // Delete project from database
       const { error } = await supabase
         .from('portfolio_projects')
         .delete()
@@ -458,12 +722,46 @@ class PortfolioService {
 
       if (error) throw error;
 
+      const imageKeys = images.map(image => image.image_public_id);
+      if (this.isSeparateCover(project, images)) {
+        imageKeys.push(project.image_public_id);
+      }
+
+      for (const key of imageKeys.filter(Boolean)) {
+        await s3Service.deleteImage(key).catch(err =>
+          console.warn(`⚠️ Failed to delete project image ${key}:`, err.message)
+        );
+      }
+      for (const video of videos.filter(video => video.video_public_id)) {
+        await s3Service.deleteVideo(video.video_public_id).catch(err =>
+          console.warn(`⚠️ Failed to delete project video ${video.video_public_id}:`, err.message)
+        );
+      }
+
+      console.log(`🗑️ Deleted project ${projectId} (${imageKeys.length} image(s), ${videos.length} video(s))`);
+
       return { message: 'Project deleted successfully' };
     } catch (error) {
+      if (error.name === 'NotFoundError' || error.name === 'ConflictError') throw error;
       throw new Error('Failed to delete project: ' + error.message);
     }
   }
 
+  async assertImagesNotInGalleries(images) {
+    if (images.length === 0) return;
+
+    const { data: galleryImages, error } = await supabase
+      .from('gallery_images')
+      .select('gallery_id')
+      .in('project_image_id', images.map(image => image.id));
+    if (error) throw error;
+
+    const galleryCount = new Set(galleryImages.map(galleryImage => galleryImage.gallery_id)).size;
+    if (galleryCount > 0) {
+      throw new ConflictError(`Project images are used in ${galleryCount} client gallery(s); remove them from those galleries first`);
+    }
+  }
+
   // Get all categories (new hierarchical system)
   async getCategories() {
     try {
@@ -498,6 +796,7 @@ class PortfolioService {
             video_autoplay: video.video_autoplay,
             video_loop: video.video_loop,
             video_poster: video.video_poster,
+            video_hls_url: video.video_hls_url,
             order_index: video.order_index
           });
           return acc;
@@ -531,6 +830,7 @@ class PortfolioService {
             event_date,
             location,
             cover_image_url,
+            cover_placeholder,
             project_count:portfolio_projects(count)
           )
         `)
@@ -604,6 +904,7 @@ class PortfolioService {
             description,
             image_url,
             thumbnail_url,
+            image_placeholder,
             tags,
             view_count,
             created_at
@@ -652,12 +953,17 @@ class PortfolioService {
     try {
       let coverImageUrl = null;
       let coverImagePublicId = null;
+      let coverPlaceholder = null;
 
       // Upload cover image if provided
       if (imageFile) {
-        const imageResult = await s3Service.uploadImage(imageFile);
+        const imageResult = await s3Service.uploadImage(imageFile, {
+          watermark: await watermarkService.resolveForCategory(subcategoryData.categoryId),
+          keepOriginal: true
+        });
         coverImageUrl = imageResult.url;
         coverImagePublicId = imageResult.publicId;
+        coverPlaceholder = imageResult.placeholder;
       }
 
       const { data: subcategory, error } = await supabase
@@ -672,6 +978,7 @@ class PortfolioService {
           location: subcategoryData.location,
           cover_image_url: coverImageUrl,
           cover_image_public_id: coverImagePublicId,
+          cover_placeholder: coverPlaceholder,
           display_order: subcategoryData.displayOrder || 0
         })
         .select(`
@@ -721,17 +1028,18 @@ class PortfolioService {
     try {
       let coverImageUrl = null;
       let coverImagePublicId = null;
+      let coverPlaceholder = null;
 
       // Upload new cover image if provided
       if (imageFile) {
         // Get current subcategory to delete old image
         const currentSubcategory = await supabase
           .from('portfolio_subcategories')
-          .select('cover_image_public_id')
+          .select('cover_image_public_id, category_id')
           .eq('id', subcategoryId)
           .single();
 
-        if (error) throw error;
+        if (currentSubcategory.error) throw currentSubcategory.error;
 
         // Delete old image from S3
         if (currentSubcategory.data?.cover_image_public_id) {
@@ -739,9 +1047,13 @@ class PortfolioService {
         }
 
         // Upload new image
-        const imageResult = await s3Service.uploadImage(imageFile);
+        const imageResult = await s3Service.uploadImage(imageFile, {
+          watermark: await watermarkService.resolveForCategory(currentSubcategory.data.category_id),
+          keepOriginal: true
+        });
         coverImageUrl = imageResult.url;
         coverImagePublicId = imageResult.publicId;
+        coverPlaceholder = imageResult.placeholder;
       }
 
       // Prepare update data
@@ -760,6 +1072,7 @@ class PortfolioService {
       if (coverImageUrl) {
         updatePayload.cover_image_url = coverImageUrl;
         updatePayload.cover_image_public_id = coverImagePublicId;
+        updatePayload.cover_placeholder = coverPlaceholder;
       }
 
       const { data: subcategory, error } = await supabase
@@ -806,7 +1119,7 @@ class PortfolioService {
         .delete()
         .eq('id', subcategoryId);
 
-      if (error) throw error;
+      if (deleteError) throw deleteError;
 
       return { message: 'Subcategory deleted successfully' };
     } catch (error) {
@@ -920,27 +1233,137 @@ class PortfolioService {
     }
   }
 
+  // Throw NotFoundError unless the project exists
+  async ensureProjectExists(projectId) {
+    const { data: project, error } = await supabase
+      .from('portfolio_projects')
+      .select('id')
+      .eq('id', projectId)
+      .single();
+
+    if (error || !project) {
+      throw new NotFoundError('Project not found');
+    }
+
+    return project;
+  }
+
+  // Show or hide camera settings (camera, lens, exposure) on a project's images
+  async setShowCameraSettings(projectId, showCameraSettings) {
+    const { data: project, error } = await supabase
+      .from('portfolio_projects')
+      .update({ show_camera_settings: showCameraSettings })
+      .eq('id', projectId)
+      .select('*')
+      .maybeSingle();
+
+    if (error) throw new Error('Failed to update project: ' + error.message);
+    if (!project) {
+      throw new NotFoundError('Project not found');
+    }
+    return project;
+  }
+
+  // Project images as returned by the API: camera settings only when the project shows them,
+  // and without the key of the private original
+  formatProjectImages(project, images) {
+    return (images || []).map(({ original_key, ...image }) => ({
+      ...image,
+      is_cover: image.image_public_id === project.image_public_id,
+      metadata: filterImageMetadata(image.metadata, { showCameraSettings: project.show_camera_settings })
+    }));
+  }
+
+  // Re-render a project's public images with its current watermark settings
+  async reapplyWatermark(projectId, { onProgress = () => {} } = {}) {
+    const watermark = await watermarkService.resolveForProject(projectId);
+
+    const { data: project, error: projectError } = await supabase
+      .from('portfolio_projects')
+      .select('id, image_public_id')
+      .eq('id', projectId)
+      .single();
+    if (projectError || !project) {
+      throw new NotFoundError('Project not found');
+    }
+
+    const { data: images, error } = await supabase
+      .from('portfolio_project_images')
+      .select('id, image_public_id')
+      .eq('project_id', projectId);
+    if (error) throw new Error('Failed to fetch project images: ' + error.message);
+
+    for (let i = 0; i < images.length; i++) {
+      const result = await s3Service.addWatermark(images[i].image_public_id, watermark);
+
+      const { error: updateError } = await supabase
+        .from('portfolio_project_images')
+        .update({ original_key: result.originalKey, renditions: result.renditions })
+        .eq('id', images[i].id);
+      if (updateError) throw updateError;
+
+      onProgress({
+        status: 'processing',
+        progress: Math.round(((i + 1) / images.length) * 95),
+        message: `Watermarked ${i + 1} of ${images.length} images`
+      });
+    }
+
+    // A cover uploaded through updateProject isn't one of the project images
+    if (this.isSeparateCover(project, images)) {
+      await s3Service.addWatermark(project.image_public_id, watermark);
+    }
+
+    await archiveService.deleteProjectArchives(projectId);
+
+    console.log(`💧 ${watermark ? 'Watermarked' : 'Removed watermark from'} ${images.length} image(s) of project ${projectId}`);
+    return { projectId, images: images.length, watermarked: Boolean(watermark) };
+  }
+
+  // Re-render subcategory covers (of one category, or all) with their category's watermark settings
+  async reapplyCoverWatermarks(categoryId = null, { onProgress = () => {} } = {}) {
+    let query = supabase
+      .from('portfolio_subcategories')
+      .select('id, category_id, cover_image_public_id')
+      .not('cover_image_public_id', 'is', null);
+    if (categoryId) {
+      query = query.eq('category_id', categoryId);
+    }
+
+    const { data: subcategories, error } = await query;
+    if (error) throw new Error('Failed to fetch subcategories: ' + error.message);
+
+    const watermarks = new Map();
+    for (let i = 0; i < subcategories.length; i++) {
+      const subcategory = subcategories[i];
+      if (!watermarks.has(subcategory.category_id)) {
+        watermarks.set(subcategory.category_id, await watermarkService.resolveForCategory(subcategory.category_id));
+      }
+      await s3Service.addWatermark(subcategory.cover_image_public_id, watermarks.get(subcategory.category_id));
+
+      onProgress({
+        status: 'processing',
+        progress: Math.round(((i + 1) / subcategories.length) * 95),
+        message: `Watermarked ${i + 1} of ${subcategories.length} subcategory covers`
+      });
+    }
+
+    return subcategories.length;
+  }
+
   // Upload video to project
-  async uploadProjectVideo(projectId, videoFile, videoData = {}) {
+  async uploadProjectVideo(projectId, videoFile, videoData = {}, options = {}) {
     try {
       console.log('📹 Uploading video to project:', { projectId, videoData });
 
-      // Validate project exists
-      const { data: project, error: projectError } = await supabase
-        .from('portfolio_projects')
-        .select('id')
-        .eq('id', projectId)
-        .single();
-
-      if (projectError || !project) {
-        throw new NotFoundError('Project not found');
-      }
+      await this.ensureProjectExists(projectId);
 
       // Upload video to S3
       const videoResult = await s3Service.uploadVideo(videoFile, {
         resource_type: 'video',
         folder: 'portfolio-videos',
-        ...videoData
+        ...videoData,
+        onProgress: options.onProgress || null
       });
 
       console.log('✅ Video uploaded to S3:', videoResult.publicId);
@@ -953,12 +1376,21 @@ class PortfolioService {
         project_id: projectId,
         video_url: videoResult.url,
         video_public_id: videoResult.publicId,
-        video_thumbnail_url: videoResult.thumbnail_url,
+        video_thumbnail_url: videoResult.thumbnailUrl,
         video_duration: duration,
+        video_width: videoResult.width,
+        video_height: videoResult.height,
+        video_codec: videoResult.codec,
+        video_posters: videoResult.posters,
+        video_hls_url: videoResult.hls ? videoResult.hls.playlistUrl : null,
+        video_hls_variants: videoResult.hls ? videoResult.hls.variants : null,
         video_autoplay: videoData.video_autoplay || false,
         video_loop: videoData.video_loop || false,
-        video_poster: videoData.video_poster || null,
-        order_index: videoData.order_index || 0
+        video_poster: videoData.video_poster || videoResult.thumbnailUrl,
+        order_index: videoData.order_index || 0,
+        display_order: videoData.display_order !== undefined
+          ? videoData.display_order
+          : await this.getNextMediaOrder(projectId)
       };
 
       // Insert video into database
@@ -1060,17 +1492,27 @@ class PortfolioService {
     try {
       console.log('🔄 Reordering project videos:', { projectId, videoIds });
 
-      const updates = videoIds.map((videoId, index) => ({
-        id: videoId,
-        order_index: index
-      }));
-
-      const { error } = await supabase
+      // The listed videos also swap their positions in the media timeline, leaving images in place
+      const { data: videos, error } = await supabase
         .from('portfolio_project_videos')
-        .upsert(updates, { onConflict: 'id' });
+        .select('id, display_order')
+        .eq('project_id', projectId)
+        .in('id', videoIds);
 
       if (error) throw error;
 
+      const slots = videos.map(video => video.display_order || 0).sort((a, b) => a - b);
+      const listedIds = videoIds.filter(videoId => videos.some(video => video.id === videoId));
+
+      await Promise.all(listedIds.map(async (videoId, index) => {
+        const { error: updateError } = await supabase
+          .from('portfolio_project_videos')
+          .update({ order_index: index, display_order: slots[index] })
+          .eq('id', videoId)
+          .eq('project_id', projectId);
+        if (updateError) throw updateError;
+      }));
+
       console.log('✅ Videos reordered successfully');
       return { message: 'Videos reordered successfully' };
     } catch (error) {
@@ -1153,6 +1595,7 @@ class PortfolioService {
             video_autoplay: video.video_autoplay,
             video_loop: video.video_loop,
             video_poster: video.video_poster,
+            video_hls_url: video.video_hls_url,
             order_index: video.order_index
           });
           return acc;
@@ -0,0 +1,398 @@
+const { supabase } = require('../config');
+const { ValidationError, NotFoundError } = require('../middlewares/errorHandler');
+const s3Service = require('./s3Service');
+const mediaJobService = require('./mediaJobService');
+const { v4: uuidv4 } = require('uuid');
+
+const MB = 1024 * 1024;
+// S3 rejects multipart parts under 5MB (except the last) and uploads over 10,000 parts
+const MIN_PART_SIZE = 5 * MB;
+const MAX_PART_SIZE = 100 * MB;
+const DEFAULT_PART_SIZE = 10 * MB;
+const MAX_PARTS = 10000;
+
+const UPLOAD_TARGETS = {
+  'project-video': { allowedTypes: /mp4|mov|avi|wmv|flv|webm/ },
+  'homepage-element': { allowedTypes: /jpeg|jpg|png|gif|webp|mp4|mov|avi|wmv|flv|webm/ },
+  'homepage-element-media': { allowedTypes: /jpeg|jpg|png|gif|webp|mp4|mov|avi|wmv|flv|webm/ }
+};
+
+// Resumable (S3 multipart-style) uploads: init -> upload parts -> complete | abort
+// Parts are streamed straight from the request into storage, so the API never holds the whole file
+class ResumableUploadService {
+  constructor() {
+    this.maxUploadSize = (parseInt(process.env.RESUMABLE_UPLOAD_MAX_SIZE_MB) || 10240) * MB;
+    this.sessionTtlMs = (parseInt(process.env.RESUMABLE_UPLOAD_TTL_HOURS) || 24) * 60 * 60 * 1000;
+    // A session still 'completing' after this was abandoned midway (e.g. the process restarted)
+    this.completingTimeoutMs = (parseInt(process.env.RESUMABLE_UPLOAD_COMPLETING_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+  }
+
+  // Start a new upload session and the matching storage multipart upload
+  async createSession({ target, targetId = null, metadata = {}, filename, mimetype, size, partSize }, userId) {
+    try {
+      const targetConfig = UPLOAD_TARGETS[target];
+      if (!targetConfig) {
+        throw new ValidationError(`Unknown upload target: ${target}`);
+      }
+
+      const extension = filename.split('.').pop().toLowerCase();
+      if (!targetConfig.allowedTypes.test(extension) || !targetConfig.allowedTypes.test(mimetype)) {
+        throw new ValidationError(`File type not allowed: ${filename} (${mimetype})`);
+      }
+
+      if (size > this.maxUploadSize) {
+        throw new ValidationError(`File too large. Maximum upload size is ${Math.round(this.maxUploadSize / MB)}MB`);
+      }
+
+      const chosenPartSize = Math.min(Math.max(partSize || DEFAULT_PART_SIZE, MIN_PART_SIZE), MAX_PART_SIZE);
+      // Grow the part size for very large files so we stay under the S3 part limit
+      const effectivePartSize = Math.max(chosenPartSize, Math.ceil(size / MAX_PARTS));
+      const totalParts = Math.max(1, Math.ceil(size / effectivePartSize));
+
+      const storageKey = `uploads/staging/${uuidv4()}.${extension}`;
+      const storageUploadId = await s3Service.createMultipartUpload(storageKey, mimetype);
+
+      const { data: session, error } = await supabase
+        .from('upload_sessions')
+        .insert({
+          target,
+          target_id: targetId,
+          metadata,
+          filename,
+          mimetype,
+          total_size: size,
+          part_size: effectivePartSize,
+          total_parts: totalParts,
+          storage_key: storageKey,
+          storage_upload_id: storageUploadId,
+          status: 'active',
+          created_by: userId,
+          expires_at: new Date(Date.now() + this.sessionTtlMs).toISOString()
+        })
+        .select('*')
+        .single();
+
+      if (error) {
+        await s3Service.abortMultipartUpload(storageKey, storageUploadId).catch(() => {});
+        throw error;
+      }
+
+      console.log(`📦 Resumable upload ${session.id} started: ${filename} (${(size / MB).toFixed(2)} MB, ${totalParts} parts)`);
+      return this.formatSession(session, []);
+    } catch (error) {
+      if (error.name === 'ValidationError') throw error;
+      throw new Error('Failed to start upload: ' + error.message);
+    }
+  }
+
+  // Fetch a session, making sure it belongs to the route it was addressed through
+  async getSession(sessionId, scope = {}) {
+    try {
+      const { data: session, error } = await supabase
+        .from('upload_sessions')
+        .select('*')
+        .eq('id', sessionId)
+        .single();
+
+      if (error || !session) {
+        throw new NotFoundError('Upload session not found');
+      }
+
+      if ((scope.targets && !scope.targets.includes(session.target)) ||
+          (scope.targetId && session.target_id !== scope.targetId)) {
+        throw new NotFoundError('Upload session not found');
+      }
+
+      return session;
+    } catch (error) {
+      if (error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to fetch upload session: ' + error.message);
+    }
+  }
+
+  // Session state plus the parts storage already has, so clients can resume where they left off
+  async getSessionStatus(sessionId, scope = {}) {
+    const session = await this.getSession(sessionId, scope);
+    const parts = session.status === 'active'
+      ? await s3Service.listUploadedParts(session.storage_key, session.storage_upload_id)
+      : [];
+
+    return this.formatSession(session, parts);
+  }
+
+  // Stream a single part to storage; re-uploading a part number replaces it
+  async uploadPart(sessionId, scope, partNumber, stream, contentLength) {
+    const session = await this.getSession(sessionId, scope);
+    this.assertActive(session);
+
+    if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > session.total_parts) {
+      throw new ValidationError(`Part number must be between 1 and ${session.total_parts}`);
+    }
+
+    const expectedSize = this.getExpectedPartSize(session, partNumber);
+    if (contentLength !== expectedSize) {
+      throw new ValidationError(`Part ${partNumber} must be exactly ${expectedSize} bytes (got ${contentLength})`);
+    }
+
+    const part = await s3Service.uploadPart(
+      session.storage_key,
+      session.storage_upload_id,
+      partNumber,
+      stream,
+      contentLength
+    );
+
+    const parts = await s3Service.listUploadedParts(session.storage_key, session.storage_upload_id);
+    const status = this.formatSession(session, parts);
+
+    this.emit(session, {
+      status: 'uploading',
+      progress: status.progress,
+      message: `Uploaded part ${partNumber} of ${session.total_parts}`,
+      partNumber,
+      bytesReceived: status.bytesReceived,
+      totalBytes: status.size
+    });
+
+    return { part, ...status };
+  }
+
+  // Assemble the parts and hand the staged file to the media job queue
+  async completeSession(sessionId, scope, userId) {
+    const session = await this.getSession(sessionId, scope);
+    this.assertActive(session);
+
+    const parts = await s3Service.listUploadedParts(session.storage_key, session.storage_upload_id);
+    const missingParts = this.getMissingParts(session, parts);
+    if (missingParts.length > 0) {
+      throw new ValidationError(`Upload incomplete, missing parts: ${missingParts.join(', ')}`);
+    }
+
+    // Claim the session first so a double "complete" can't queue the file twice
+    const { data: claimed, error: claimError } = await supabase
+      .from('upload_sessions')
+      .update({ status: 'completing', updated_at: new Date().toISOString() })
+      .eq('id', session.id)
+      .eq('status', 'active')
+      .select('*')
+      .maybeSingle();
+
+    if (claimError) throw new Error('Failed to complete upload: ' + claimError.message);
+    if (!claimed) {
+      throw new ValidationError('Upload session is already being completed');
+    }
+
+    let assembled = false;
+    try {
+      await s3Service.completeMultipartUpload(session.storage_key, session.storage_upload_id, parts);
+      assembled = true;
+
+      const staged = {
+        key: session.storage_key,
+        originalname: session.filename,
+        mimetype: session.mimetype,
+        size: session.total_size
+      };
+      const job = await this.queueProcessing(session, staged, userId);
+
+      await this.updateSession(session.id, {
+        status: 'completed',
+        job_id: job.jobId,
+        completed_at: new Date().toISOString()
+      });
+
+      this.emit(session, {
+        status: 'queued',
+        progress: 0,
+        message: 'Upload complete, queued for processing',
+        jobId: job.jobId
+      });
+
+      console.log(`✅ Resumable upload ${session.id} assembled, queued as job ${job.jobId}`);
+      return job;
+    } catch (error) {
+      // Before assembly the multipart upload is still open, so the client can retry "complete"
+      if (!assembled) {
+        await this.updateSession(session.id, { status: 'active' }).catch(() => {});
+      }
+      if (error.name === 'ValidationError') throw error;
+      throw new Error('Failed to complete upload: ' + error.message);
+    }
+  }
+
+  // Abort the multipart upload and discard any parts already stored
+  async abortSession(sessionId, scope = {}) {
+    const session = await this.getSession(sessionId, scope);
+
+    if (session.status === 'completed') {
+      throw new ValidationError('Completed uploads cannot be aborted');
+    }
+
+    if (session.status !== 'aborted') {
+      try {
+        await s3Service.abortMultipartUpload(session.storage_key, session.storage_upload_id);
+      } catch (error) {
+        console.warn('⚠️ Failed to abort multipart upload:', error.message);
+      }
+
+      await this.updateSession(session.id, { status: 'aborted' });
+      this.emit(session, { status: 'aborted', progress: 0, message: 'Upload aborted' });
+    }
+
+    return { sessionId: session.id, status: 'aborted' };
+  }
+
+  // Abort sessions that were never completed so orphaned parts don't pile up in storage
+  async abortExpiredSessions() {
+    const { data: sessions, error } = await supabase
+      .from('upload_sessions')
+      .select('*')
+      .eq('status', 'active')
+      .lt('expires_at', new Date().toISOString())
+      .limit(100);
+
+    if (error) throw new Error('Failed to fetch expired upload sessions: ' + error.message);
+
+    for (const session of sessions || []) {
+      await this.abortSession(session.id).catch(err =>
+        console.warn(`⚠️ Failed to abort expired upload ${session.id}:`, err.message)
+      );
+    }
+
+    const stalled = await this.abortStalledCompletions();
+
+    if (sessions && sessions.length > 0) {
+      console.log(`🧹 Aborted ${sessions.length} expired upload session(s)`);
+    }
+    return (sessions ? sessions.length : 0) + stalled;
+  }
+
+  // Sessions stuck in 'completing' are aborted like expired ones. If the file was already
+  // assembled, the staged object is left for the storage reconcile job, which keeps it as
+  // long as a queued job still needs it.
+  async abortStalledCompletions() {
+    const { data: sessions, error } = await supabase
+      .from('upload_sessions')
+      .select('*')
+      .eq('status', 'completing')
+      .lt('updated_at', new Date(Date.now() - this.completingTimeoutMs).toISOString())
+      .limit(100);
+
+    if (error) throw new Error('Failed to fetch stalled upload sessions: ' + error.message);
+
+    let aborted = 0;
+    for (const session of sessions) {
+      // Guarded on updated_at, so a completion that is still moving along is left alone
+      const { data: claimed, error: claimError } = await supabase
+        .from('upload_sessions')
+        .update({ status: 'aborted', updated_at: new Date().toISOString() })
+        .eq('id', session.id)
+        .eq('status', 'completing')
+        .eq('updated_at', session.updated_at)
+        .select('id')
+        .maybeSingle();
+
+      if (claimError) {
+        console.warn(`⚠️ Failed to abort stalled upload ${session.id}:`, claimError.message);
+        continue;
+      }
+      if (!claimed) continue;
+
+      try {
+        await s3Service.abortMultipartUpload(session.storage_key, session.storage_upload_id);
+      } catch (abortError) {
+        console.warn('⚠️ Failed to abort multipart upload:', abortError.message);
+      }
+      this.emit(session, { status: 'aborted', progress: 0, message: 'Upload aborted' });
+      aborted++;
+    }
+
+    if (aborted > 0) {
+      console.log(`🧹 Aborted ${aborted} upload session(s) stuck while completing`);
+    }
+    return aborted;
+  }
+
+  async queueProcessing(session, staged, userId) {
+    const options = { uploadRoom: this.getUploadRoom(session.id) };
+
+    switch (session.target) {
+      case 'project-video':
+        return mediaJobService.queueProjectVideo(session.target_id, staged, session.metadata, userId, options);
+      case 'homepage-element':
+        return mediaJobService.queueHomepageElement(session.metadata, staged, userId, options);
+      case 'homepage-element-media':
+        return mediaJobService.queueHomepageElementMedia(session.target_id, staged, userId, options);
+      default:
+        throw new ValidationError(`Unknown upload target: ${session.target}`);
+    }
+  }
+
+  assertActive(session) {
+    if (session.status !== 'active') {
+      throw new ValidationError(`Upload session is ${session.status}`);
+    }
+    if (new Date(session.expires_at) < new Date()) {
+      throw new ValidationError('Upload session has expired, please start a new upload');
+    }
+  }
+
+  // Every part is part_size bytes except the last, which takes the remainder
+  getExpectedPartSize(session, partNumber) {
+    if (partNumber < session.total_parts) {
+      return session.part_size;
+    }
+    return session.total_size - session.part_size * (session.total_parts - 1);
+  }
+
+  getMissingParts(session, parts) {
+    const received = new Set(parts.map(part => part.partNumber));
+    const missing = [];
+    for (let partNumber = 1; partNumber <= session.total_parts; partNumber++) {
+      if (!received.has(partNumber)) missing.push(partNumber);
+    }
+    return missing;
+  }
+
+  getUploadRoom(sessionId) {
+    return `upload_${sessionId}`;
+  }
+
+  formatSession(session, parts) {
+    const bytesReceived = parts.reduce((sum, part) => sum + part.size, 0);
+
+    return {
+      sessionId: session.id,
+      uploadId: this.getUploadRoom(session.id),
+      status: session.status,
+      filename: session.filename,
+      size: session.total_size,
+      partSize: session.part_size,
+      totalParts: session.total_parts,
+      uploadedParts: parts.map(part => part.partNumber),
+      missingParts: session.status === 'active' ? this.getMissingParts(session, parts) : [],
+      bytesReceived,
+      progress: session.total_size > 0 ? Math.floor((bytesReceived / session.total_size) * 100) : 0,
+      jobId: session.job_id || null,
+      expiresAt: session.expires_at
+    };
+  }
+
+  emit(session, payload) {
+    if (global.io) {
+      const room = this.getUploadRoom(session.id);
+      global.io.to(room).emit('upload-progress', { uploadId: room, sessionId: session.id, ...payload });
+    }
+  }
+
+  async updateSession(sessionId, fields) {
+    const { error } = await supabase
+      .from('upload_sessions')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', sessionId);
+
+    if (error) throw error;
+  }
+}
+
+module.exports = new ResumableUploadService();
@@ -0,0 +1,304 @@
+const { supabase } = require('../config');
+const { PERMISSIONS, DEFAULT_ROLES, isKnownPermission } = require('../config/permissions');
+const { ValidationError, NotFoundError, ForbiddenError } = require('../middlewares/errorHandler');
+
+const USER_FIELDS = 'id, name, email, phone, role, email_verified_at, created_at';
+
+// Roles, the permissions they grant, and which role each user has
+class RoleService {
+  constructor() {
+    // Permission checks run on every protected request, so roles are cached briefly
+    this.cacheTtlMs = 60 * 1000;
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  // All roles keyed by name
+  async getRoleMap() {
+    if (this.cache && Date.now() < this.cacheExpiresAt) {
+      return this.cache;
+    }
+
+    const { data: roles, error } = await supabase
+      .from('roles')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.warn('⚠️ Failed to load roles, falling back to the built-in roles:', error.message);
+      return Object.fromEntries(Object.entries(DEFAULT_ROLES).map(([name, role]) => [
+        name,
+        { name, ...role, is_system: true }
+      ]));
+    }
+
+    this.cache = Object.fromEntries(roles.map(role => [role.name, role]));
+    this.cacheExpiresAt = Date.now() + this.cacheTtlMs;
+    return this.cache;
+  }
+
+  invalidateCache() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  // Permissions granted to a role (an unknown role grants nothing)
+  async getPermissions(roleName) {
+    const roles = await this.getRoleMap();
+    return roles[roleName] ? roles[roleName].permissions || [] : [];
+  }
+
+  async hasPermission(roleName, permission) {
+    return this.grants(await this.getPermissions(roleName), permission);
+  }
+
+  // Whether a list of granted permissions covers the requested one
+  grants(granted, permission) {
+    return granted.some(grant =>
+      grant === '*' ||
+      grant === permission ||
+      (grant.endsWith(':*') && permission.startsWith(grant.slice(0, -1)))
+    );
+  }
+
+  // List roles with the permission catalogue
+  async listRoles() {
+    const roles = await this.getRoleMap();
+    return {
+      roles: Object.values(roles),
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    };
+  }
+
+  async getRole(name) {
+    const roles = await this.getRoleMap();
+    if (!roles[name]) {
+      throw new NotFoundError('Role not found');
+    }
+    return roles[name];
+  }
+
+  // Create a custom role; actor is the user doing it (see assertCanGrant)
+  async createRole({ name, description, permissions }, actor) {
+    try {
+      this.validatePermissions(permissions);
+      await this.assertCanGrant(actor, permissions);
+
+      const roles = await this.getRoleMap();
+      if (roles[name]) {
+        throw new ValidationError('A role with this name already exists');
+      }
+
+      const { data: role, error } = await supabase
+        .from('roles')
+        .insert({ name, description: description || null, permissions })
+        .select('*')
+        .single();
+
+      if (error) throw error;
+
+      this.invalidateCache();
+      console.log(`🔑 Role ${name} created with permissions: ${permissions.join(', ') || '(none)'}`);
+      return role;
+    } catch (error) {
+      if (error.name === 'ValidationError' || error.name === 'ForbiddenError') throw error;
+      throw new Error('Failed to create role: ' + error.message);
+    }
+  }
+
+  // Update a role's description or permissions
+  async updateRole(name, { description, permissions }, actor) {
+    try {
+      const current = await this.getRole(name);
+      await this.assertCanGrant(actor, current.permissions || []);
+
+      // The admin role must keep full access, otherwise nobody could repair a broken setup
+      if (name === 'admin' && permissions !== undefined) {
+        throw new ValidationError('The admin role\'s permissions cannot be changed');
+      }
+
+      const updates = { updated_at: new Date().toISOString() };
+      if (description !== undefined) updates.description = description;
+      if (permissions !== undefined) {
+        this.validatePermissions(permissions);
+        await this.assertCanGrant(actor, permissions);
+        updates.permissions = permissions;
+      }
+
+      const { data: role, error } = await supabase
+        .from('roles')
+        .update(updates)
+        .eq('name', name)
+        .select('*')
+        .single();
+
+      if (error) throw error;
+
+      this.invalidateCache();
+      return role;
+    } catch (error) {
+      if (['ValidationError', 'NotFoundError', 'ForbiddenError'].includes(error.name)) throw error;
+      throw new Error('Failed to update role: ' + error.message);
+    }
+  }
+
+  // Delete a custom role that nobody has
+  async deleteRole(name, actor) {
+    try {
+      const role = await this.getRole(name);
+      if (role.is_system) {
+        throw new ValidationError('Built-in roles cannot be deleted');
+      }
+      await this.assertCanGrant(actor, role.permissions || []);
+
+      const { data: users, error: usersError } = await supabase
+        .from('users')
+        .select('id')
+        .eq('role', name)
+        .limit(1);
+
+      if (usersError) throw usersError;
+      if (users.length > 0) {
+        throw new ValidationError('This role is still assigned to users');
+      }
+
+      const { error } = await supabase
+        .from('roles')
+        .delete()
+        .eq('name', name);
+
+      if (error) throw error;
+
+      this.invalidateCache();
+    } catch (error) {
+      if (['ValidationError', 'NotFoundError', 'ForbiddenError'].includes(error.name)) throw error;
+      throw new Error('Failed to delete role: ' + error.message);
+    }
+  }
+
+  // List users with their roles
+  async listUsers(page = 1, limit = 20, filters = {}) {
+    try {
+      let query = supabase
+        .from('users')
+        .select(USER_FIELDS, { count: 'exact' })
+        .order('created_at', { ascending: false });
+
+      if (filters.role) {
+        query = query.eq('role', filters.role);
+      }
+      if (filters.search) {
+        query = query.or(`name.ilike.%${filters.search}%,email.ilike.%${filters.search}%`);
+      }
+
+      const offset = (page - 1) * limit;
+      query = query.range(offset, offset + limit - 1);
+
+      const { data: users, error, count } = await query;
+
+      if (error) throw error;
+
+      return {
+        users,
+        pagination: {
+          page,
+          limit,
+          total: count || users.length,
+          hasMore: offset + users.length < (count || 0)
+        }
+      };
+    } catch (error) {
+      throw new Error('Failed to fetch users: ' + error.message);
+    }
+  }
+
+  // Get a user with the permissions their role grants
+  async getUserWithPermissions(userId) {
+    try {
+      const { data: user, error } = await supabase
+        .from('users')
+        .select(USER_FIELDS)
+        .eq('id', userId)
+        .single();
+
+      if (error || !user) {
+        throw new NotFoundError('User not found');
+      }
+
+      return { ...user, permissions: await this.getPermissions(user.role) };
+    } catch (error) {
+      if (error.name === 'NotFoundError') throw error;
+      throw new Error('Failed to fetch user: ' + error.message);
+    }
+  }
+
+  // Assign a role to a user; takes effect on their next request
+  async updateUserRole(userId, roleName, actor) {
+    try {
+      const role = await this.getRole(roleName).catch(() => {
+        throw new ValidationError(`Unknown role: ${roleName}`);
+      });
+
+      const user = await this.getUserWithPermissions(userId);
+      if (user.role === roleName) {
+        return user;
+      }
+
+      // Both the role given and the one taken away must be within the actor's own access
+      await this.assertCanGrant(actor, role.permissions || [], roleName);
+      await this.assertCanGrant(actor, user.permissions, user.role);
+
+      if (user.role === 'admin') {
+        const { count, error: countError } = await supabase
+          .from('users')
+          .select('id', { count: 'exact', head: true })
+          .eq('role', 'admin');
+
+        if (countError) throw countError;
+        if (count <= 1) {
+          throw new ValidationError('Cannot change the role of the last admin');
+        }
+      }
+
+      const { data: updated, error } = await supabase
+        .from('users')
+        .update({ role: roleName })
+        .eq('id', userId)
+        .select(USER_FIELDS)
+        .single();
+
+      if (error) throw error;
+
+      console.log(`🔑 User ${userId} role changed from ${user.role} to ${roleName}`);
+      return { ...updated, permissions: await this.getPermissions(roleName) };
+    } catch (error) {
+      if (['ValidationError', 'NotFoundError', 'ForbiddenError'].includes(error.name)) throw error;
+      throw new Error('Failed to update user role: ' + error.message);
+    }
+  }
+
+  // users:manage must not be a way up: only admins hand out the admin role or '*', everyone else
+  // can only grant (or take away) permissions they hold themselves
+  async assertCanGrant(actor, permissions, roleName = null) {
+    if (actor.role === 'admin') return;
+
+    if (roleName === 'admin' || permissions.includes('*')) {
+      throw new ForbiddenError('Only admins can grant or take away full access');
+    }
+
+    const granted = await this.getPermissions(actor.role);
+    const missing = permissions.filter(permission => !this.grants(granted, permission));
+    if (missing.length > 0) {
+      throw new ForbiddenError(`You can only grant permissions you have yourself (missing: ${missing.join(', ')})`);
+    }
+  }
+
+  validatePermissions(permissions) {
+    const unknown = permissions.filter(permission => !isKnownPermission(permission));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown permission(s): ${unknown.join(', ')}`);
+    }
+  }
+}
+
+module.exports = new RoleService();
@@ -1,11 +1,52 @@
-const { s3, bucketName, getPublicUrl } = require('../config/s3');
+const storage = require('./storage');
+const storageConfig = require('../config/storage');
+const watermarkService = require('./watermarkService');
+const { extractImageMetadata, getPublicExif } = require('../utils/imageMetadata');
+const { createImagePlaceholder } = require('../utils/imagePlaceholder');
 const { ValidationError } = require('../middlewares/errorHandler');
 const sharp = require('sharp');
 const videoCompressionService = require('./videoCompressionService');
 const { v4: uuidv4 } = require('uuid');
 
+// Responsive renditions generated for every uploaded image (longest edge in px)
+const IMAGE_RENDITIONS = {
+  thumbnail: 300,
+  small: 640,
+  medium: 1280,
+  large: 1920
+};
+
+// Output formats written for each rendition, JPEG being the universal fallback
+const RENDITION_FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg', alpha: false, encode: (img) => img.jpeg({ quality: 80, mozjpeg: true }) },
+  webp: { extension: 'webp', contentType: 'image/webp', alpha: true, encode: (img) => img.webp({ quality: 75 }) },
+  avif: { extension: 'avif', contentType: 'image/avif', alpha: true, encode: (img) => img.avif({ quality: 50, effort: 4 }) }
+};
+
+// Formats the main (largest) copy of an upload can be stored in
+const OUTPUT_FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg', alpha: false, encode: (img, quality) => img.jpeg({ quality }) },
+  png: { extension: 'png', contentType: 'image/png', alpha: true, encode: (img) => img.png({ compressionLevel: 9 }) },
+  webp: { extension: 'webp', contentType: 'image/webp', alpha: true, encode: (img, quality) => img.webp({ quality }) },
+  avif: { extension: 'avif', contentType: 'image/avif', alpha: true, encode: (img, quality) => img.avif({ quality }) }
+};
+
+// Extension and content type of a private original, by the format sharp detects in the upload
+const ORIGINAL_FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  png: { extension: 'png', contentType: 'image/png' },
+  webp: { extension: 'webp', contentType: 'image/webp' },
+  gif: { extension: 'gif', contentType: 'image/gif' },
+  tiff: { extension: 'tif', contentType: 'image/tiff' },
+  heif: { extension: 'heic', contentType: 'image/heic' },
+  avif: { extension: 'avif', contentType: 'image/avif' },
+  svg: { extension: 'svg', contentType: 'image/svg+xml' }
+};
+
 class S3Service {
-  // Upload image to S3 with Sharp compression
+  // Upload image to storage with Sharp compression
+  // options.watermark: resolved watermark settings applied to the public copy and renditions
+  // options.keepOriginal: also store the untouched upload privately (see getOriginalKey)
   async uploadImage(file, options = {}) {
     try {
       const folder = options.folder || 'photography-portfolio';
@@ -14,77 +55,224 @@ class S3Service {
       await this.createFolder(folder);
       
       // Process image with Sharp before upload
-      let processedBuffer;
-      if (file.buffer) {
-        processedBuffer = await this.processImageWithSharp(file.buffer, options);
-      } else {
+      let sourceBuffer = file.buffer;
+      if (!sourceBuffer) {
         // Read file from path and process
         const fs = require('fs');
-        const fileBuffer = fs.readFileSync(file.path);
-        processedBuffer = await this.processImageWithSharp(fileBuffer, options);
+        sourceBuffer = fs.readFileSync(file.path);
       }
+      // Camera settings, capture date and credits; public copies only carry the credits (no GPS)
+      const metadata = await extractImageMetadata(sourceBuffer);
+      const exif = getPublicExif(metadata);
 
-      // Generate unique filename
-      const fileExtension = file.originalname ? file.originalname.split('.').pop() : 'jpg';
-      const fileName = `${uuidv4()}.${fileExtension}`;
-      const key = `${folder}/${fileName}`;
-
-      // Upload to S3
-      const uploadParams = {
-        Bucket: bucketName,
-        Key: key,
-        Body: processedBuffer,
-        ContentType: file.mimetype || 'image/jpeg',
-        // Removed ACL as it's not allowed with bucket settings
-        // Using bucket policy for public access instead
-      };
+      const processed = await this.processImageWithSharp(sourceBuffer, { ...options, exif });
+
+      // Key and content type follow the format that was actually written, not the upload's
+      const key = `${folder}/${uuidv4()}.${processed.extension}`;
+
+      await storage.put(key, processed.buffer, { contentType: processed.contentType });
+
+      let originalKey = null;
+      if (options.keepOriginal) {
+        const original = this.getOriginalFormat(await sharp(sourceBuffer).metadata());
+        originalKey = this.getOriginalKey(key, original.extension);
+        await storage.put(originalKey, sourceBuffer, { contentType: original.contentType });
+      }
+
+      // Renditions are cut from the unprocessed source so large sizes keep their detail
+      const renditions = options.renditions === false
+        ? null
+        : await this.generateRenditions(sourceBuffer, key, { watermark: options.watermark, exif });
+
+      // Shown while the image loads; cut from the source so it doesn't depend on the watermark
+      const placeholder = await createImagePlaceholder(sourceBuffer);
 
-      const result = await s3.upload(uploadParams).promise();
-      
       return {
         publicId: key,
-        url: getPublicUrl(key),
-        width: null, // S3 doesn't provide dimensions directly
-        height: null,
-        format: fileExtension,
-        size: processedBuffer.length
+        url: storage.getPublicUrl(key),
+        originalKey,
+        width: processed.width,
+        height: processed.height,
+        format: processed.extension,
+        size: processed.buffer.length,
+        renditions,
+        placeholder,
+        metadata
       };
     } catch (error) {
       throw new ValidationError('Failed to upload image: ' + error.message);
     }
   }
 
+  // Generate and upload the responsive renditions of an image
+  // Returns { [size]: { width, height, jpeg, webp, avif } } for building srcset attributes
+  async generateRenditions(buffer, publicId, options = {}) {
+    try {
+      const metadata = await sharp(buffer).metadata();
+      const longestEdge = Math.max(metadata.width || 0, metadata.height || 0);
+      const renditions = {};
+
+      for (const [size, edge] of Object.entries(IMAGE_RENDITIONS)) {
+        // Never upscale; the thumbnail is always produced so every image has one
+        if (size !== 'thumbnail' && edge > longestEdge) continue;
+
+        const base = await this.resizeImage(buffer, edge, edge, options.watermark);
+
+        const variants = await Promise.all(Object.entries(RENDITION_FORMATS).map(async ([format, spec]) => {
+          let resized = base.clone();
+          if (!spec.alpha) {
+            resized = resized.flatten({ background: '#ffffff' });
+          }
+          resized = resized.withIccProfile('srgb');
+          if (options.exif) {
+            resized = resized.withExif(options.exif);
+          }
+          const { data, info } = await spec.encode(resized).toBuffer({ resolveWithObject: true });
+          const key = this.getRenditionKey(publicId, size, format);
+
+          await storage.put(key, data, {
+            contentType: spec.contentType,
+            cacheControl: 'public, max-age=31536000, immutable'
+          });
+
+          return { format, info, url: storage.getPublicUrl(key) };
+        }));
+
+        renditions[size] = {
+          width: variants[0].info.width,
+          height: variants[0].info.height
+        };
+        variants.forEach(({ format, url }) => {
+          renditions[size][format] = url;
+        });
+      }
+
+      return renditions;
+    } catch (error) {
+      throw new Error('Failed to generate image renditions: ' + error.message);
+    }
+  }
+
+  // Predictable storage key of a rendition: <folder>/<id>/<size>.<ext>
+  getRenditionKey(publicId, size, format = 'jpeg') {
+    const baseKey = publicId.replace(/\.[^/.]+$/, '');
+    return `${baseKey}/${size}.${RENDITION_FORMATS[format].extension}`;
+  }
+
+  // Private key of the clean upload behind a watermarked public image. The extension is the
+  // upload's own, which can differ from the public copy's (a PNG photo is published as JPEG).
+  getOriginalKey(publicId, extension) {
+    return `${this.getOriginalPrefix(publicId)}.${extension}`;
+  }
+
+  getOriginalPrefix(publicId) {
+    return `${storageConfig.privatePrefix}/originals/${publicId.replace(/\.[^/.]+$/, '')}`;
+  }
+
+  // Key of the stored original of a public image, or null when it has none
+  // (originals kept before they had their own extension use the public key's)
+  async findOriginalKey(publicId) {
+    const { objects } = await storage.list(`${this.getOriginalPrefix(publicId)}.`, { maxKeys: 1 });
+    return objects.length > 0 ? objects[0].key : null;
+  }
+
+  // HEIF covers both HEIC and AVIF; the compression tells them apart
+  getOriginalFormat(metadata) {
+    const format = metadata.format === 'heif' && metadata.compression === 'av1' ? 'avif' : metadata.format;
+    return ORIGINAL_FORMATS[format] || { extension: format || 'bin', contentType: 'application/octet-stream' };
+  }
+
+  // Storage key behind one of our public URLs (null for external URLs), for rows that only kept the URL
+  getKeyFromUrl(url) {
+    const baseUrl = storage.getPublicUrl('');
+    if (!url || !url.startsWith(baseUrl)) return null;
+    return decodeURIComponent(url.slice(baseUrl.length).split('?')[0]) || null;
+  }
+
+  // Auto-rotated pipeline resized to fit maxWidth x maxHeight, with the watermark composited on top.
+  // The overlay is sized from what sharp actually produced (its rounding can be a pixel off ours and an
+  // overlay larger than the image fails), so with a watermark the resize runs first, to raw pixels.
+  async resizeImage(buffer, maxWidth, maxHeight, watermark = null) {
+    const resized = sharp(buffer)
+      .rotate()
+      .resize(maxWidth, maxHeight, {
+        fit: 'inside',
+        withoutEnlargement: true
+      });
+    if (!watermark) return resized;
+
+    const { data, info } = await resized.raw().toBuffer({ resolveWithObject: true });
+    const overlay = await watermarkService.buildOverlay(watermark, info.width, info.height);
+    return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+      .composite([overlay]);
+  }
+
   // Process image with Sharp for compression and optimization
+  // Auto-rotates from EXIF, converts to sRGB with the profile embedded and encodes to options.format,
+  // or with format 'auto' to PNG when the image is actually transparent and JPEG otherwise.
+  // Returns { buffer, format, extension, contentType, width, height }
   async processImageWithSharp(buffer, options = {}) {
     try {
       const {
         maxWidth = 1920,
         maxHeight = 1080,
         quality = 80,
-        format = 'jpeg'
+        format = 'auto',
+        watermark = null,
+        exif = null
       } = options;
 
-      let sharpInstance = sharp(buffer)
-        .resize(maxWidth, maxHeight, {
-          fit: 'inside',
-          withoutEnlargement: true
-        })
-        .jpeg({ quality });
-
-      // Convert to specified format
-      if (format === 'webp') {
-        sharpInstance = sharpInstance.webp({ quality });
-      } else if (format === 'png') {
-        sharpInstance = sharpInstance.png({ quality });
+      const metadata = await sharp(buffer).metadata();
+      const outputFormat = format === 'auto'
+        ? (await this.hasTransparency(buffer, metadata) ? 'png' : 'jpeg')
+        : format;
+      const spec = OUTPUT_FORMATS[outputFormat];
+      if (!spec) {
+        throw new Error(`Unsupported output format: ${outputFormat}`);
       }
 
-      return await sharpInstance.toBuffer();
+      let sharpInstance = await this.resizeImage(buffer, maxWidth, maxHeight, watermark);
+
+      // JPEG has no alpha channel; transparent areas become white rather than black
+      if (!spec.alpha) {
+        sharpInstance = sharpInstance.flatten({ background: '#ffffff' });
+      }
+
+      // Output is written without the source metadata unless credits are passed in
+      sharpInstance = sharpInstance.withIccProfile('srgb');
+      if (exif) {
+        sharpInstance = sharpInstance.withExif(exif);
+      }
+
+      const { data, info } = await spec.encode(sharpInstance, quality).toBuffer({ resolveWithObject: true });
+
+      return {
+        buffer: data,
+        format: outputFormat,
+        extension: spec.extension,
+        contentType: spec.contentType,
+        width: info.width,
+        height: info.height
+      };
     } catch (error) {
       throw new Error('Failed to process image: ' + error.message);
     }
   }
 
-  // Upload video to S3 (with automatic compression)
+  // Whether an image with an alpha channel actually has see-through pixels
+  async hasTransparency(buffer, metadata) {
+    if (!metadata.hasAlpha) return false;
+    const { isOpaque } = await sharp(buffer).stats();
+    return !isOpaque;
+  }
+
+  // Output format of an existing object, from its key
+  getFormatFromKey(key) {
+    const extension = key.split('.').pop().toLowerCase();
+    return Object.keys(OUTPUT_FORMATS).find(format => OUTPUT_FORMATS[format].extension === extension || format === extension) || 'jpeg';
+  }
+
+  // Upload video to storage (with automatic compression)
   async uploadVideo(file, options = {}) {
     const { onProgress = null } = options;
     try {
@@ -93,8 +281,11 @@ class S3Service {
       // Create folder if it doesn't exist
       await this.createFolder(folder);
       
-      // Handle both file path and buffer uploads
+      // Handle both file path and buffer uploads; files on disk (large staged uploads) are
+      // compressed, probed and uploaded from disk without being read into memory
       let uploadBuffer = file.buffer;
+      let uploadPath = null;
+      let compressedPath = null;
 
       if (file.buffer) {
         // Check if video needs compression
@@ -129,200 +320,452 @@ class S3Service {
           onProgress({
             status: 'uploading',
             progress: 0,
-            message: 'Starting upload to S3...'
+            message: 'Starting upload to storage...'
           });
         }
       } else if (file.path) {
-        // Read file from path
-        const fs = require('fs');
-        uploadBuffer = fs.readFileSync(file.path);
+        uploadPath = file.path;
+
+        if (await videoCompressionService.shouldCompress(file.path, 50)) {
+          console.log('🎬 Large video detected, applying compression...');
+          try {
+            const compressionResult = await videoCompressionService.compressVideoFile(file.path, {
+              targetSizeMB: 50,
+              quality: 'medium',
+              removeAudio: false,
+              onProgress: onProgress
+            });
+            compressedPath = compressionResult.outputPath;
+            uploadPath = compressedPath;
+            console.log(`✅ Video compressed: ${compressionResult.originalSize}MB → ${compressionResult.compressedSize}MB`);
+          } catch (compressionError) {
+            console.warn('⚠️ Video compression failed, uploading original:', compressionError.message);
+          }
+        }
+
+        if (onProgress) {
+          onProgress({
+            status: 'uploading',
+            progress: 0,
+            message: 'Starting upload to storage...'
+          });
+        }
       }
 
-      // Generate unique filename
-      const fileExtension = file.originalname ? file.originalname.split('.').pop() : 'mp4';
-      const fileName = `${uuidv4()}.${fileExtension}`;
-      const key = `${folder}/${fileName}`;
-
-      // Upload to S3
-      const uploadParams = {
-        Bucket: bucketName,
-        Key: key,
-        Body: uploadBuffer,
-        ContentType: file.mimetype || 'video/mp4',
-        // Using bucket policy for public access instead of ACLs
-      };
+      try {
+        return await this.storeVideo(file, uploadPath || uploadBuffer, folder, options);
+      } finally {
+        if (compressedPath) videoCompressionService.cleanupTempFiles([compressedPath]);
+      }
+    } catch (error) {
+      throw new ValidationError('Failed to upload video: ' + error.message);
+    }
+  }
+
+  // Upload a prepared video (buffer or file path) with its posters and optional HLS ladder
+  async storeVideo(file, source, folder, options = {}) {
+    const { onProgress = null } = options;
+    const fs = require('fs');
+    const fromDisk = typeof source === 'string';
+
+    // Generate unique filename
+    const fileExtension = file.originalname ? file.originalname.split('.').pop() : 'mp4';
+    const fileName = `${uuidv4()}.${fileExtension}`;
+    const key = `${folder}/${fileName}`;
+
+    await storage.put(key, fromDisk ? fs.createReadStream(source) : source, { contentType: file.mimetype || 'video/mp4' });
+
+    // Probe the uploaded video and store poster frames next to it
+    let info = {};
+    let posters = [];
+    try {
+      if (onProgress) {
+        onProgress({
+          status: 'processing',
+          progress: 100,
+          message: 'Extracting poster frames...'
+        });
+      }
+      const extracted = await videoCompressionService.extractPosterFrames(source, {
+        count: options.posterCount || 1
+      });
+      info = extracted.info;
+      posters = await this.uploadPosterFrames(extracted.posters, key);
+    } catch (posterError) {
+      console.warn('⚠️ Video probing/poster extraction failed:', posterError.message);
+    }
+
+    // Optional adaptive streaming output; the MP4 above stays as the fallback
+    let hls = null;
+    if (options.hls) {
+      try {
+        hls = await this.uploadHls(source, key, { onProgress });
+      } catch (hlsError) {
+        console.warn('⚠️ HLS transcoding failed, serving MP4 only:', hlsError.message);
+      }
+    }
+
+    return {
+      publicId: key,
+      url: storage.getPublicUrl(key),
+      width: info.width || null,
+      height: info.height || null,
+      format: fileExtension,
+      size: fromDisk ? fs.statSync(source).size : source.length,
+      duration: info.duration || null,
+      codec: info.codec || null,
+      thumbnailUrl: posters.length > 0 ? posters[0].jpeg : null,
+      posters,
+      hls
+    };
+  }
+
+  // Transcode to HLS (from a buffer or file path) and upload the ladder under <folder>/<id>/hls/
+  async uploadHls(source, publicId, options = {}) {
+    const path = require('path');
+    const fs = require('fs');
+    const baseKey = `${publicId.replace(/\.[^/.]+$/, '')}/hls`;
+    const contentTypes = {
+      m3u8: 'application/vnd.apple.mpegurl',
+      ts: 'video/mp2t'
+    };
+
+    const result = await videoCompressionService.transcodeToHls(source, {
+      onProgress: options.onProgress
+    });
+
+    try {
+      if (options.onProgress) {
+        options.onProgress({
+          status: 'uploading',
+          progress: 0,
+          message: 'Uploading HLS streams...'
+        });
+      }
+
+      for (const relativePath of result.files) {
+        const extension = relativePath.split('.').pop();
+        await storage.put(`${baseKey}/${relativePath}`, fs.readFileSync(path.join(result.outputDir, relativePath)), {
+          contentType: contentTypes[extension] || 'application/octet-stream'
+        });
+      }
 
-      const result = await s3.upload(uploadParams).promise();
-      
-      // Generate thumbnail URL (we'll use a placeholder approach)
-      const thumbnailUrl = this.generateThumbnailUrl(key);
-      
       return {
-        publicId: key,
-        url: getPublicUrl(key),
-        width: null, // S3 doesn't provide dimensions directly
-        height: null,
-        format: fileExtension,
-        size: uploadBuffer.length,
-        duration: null, // S3 doesn't provide duration directly
-        thumbnailUrl: getPublicUrl(thumbnailUrl.replace(`https://${bucketName}.s3.amazonaws.com/`, ''))
+        playlistUrl: storage.getPublicUrl(`${baseKey}/${result.masterPlaylist}`),
+        variants: result.variants.map(variant => ({
+          ...variant,
+          playlist: storage.getPublicUrl(`${baseKey}/${variant.playlist}`)
+        }))
       };
-    } catch (error) {
-      throw new ValidationError('Failed to upload video: ' + error.message);
+    } finally {
+      fs.rmSync(result.outputDir, { recursive: true, force: true });
     }
   }
 
+  // Upload extracted poster frames as <folder>/<id>/poster-<n>.jpg|.webp
+  async uploadPosterFrames(frames, publicId) {
+    const baseKey = publicId.replace(/\.[^/.]+$/, '');
+
+    return Promise.all(frames.map(async (frame, index) => {
+      const urls = {};
+      for (const format of ['jpeg', 'webp']) {
+        const key = `${baseKey}/poster-${index}.${RENDITION_FORMATS[format].extension}`;
+        await storage.put(key, frame[format], {
+          contentType: RENDITION_FORMATS[format].contentType,
+          cacheControl: 'public, max-age=31536000, immutable'
+        });
+        urls[format] = storage.getPublicUrl(key);
+      }
+
+      return {
+        time: frame.time,
+        width: frame.width,
+        height: frame.height,
+        ...urls
+      };
+    }));
+  }
+
   // Upload image from buffer (for direct uploads)
   async uploadImageFromBuffer(buffer, options = {}) {
     try {
       const folder = options.folder || 'photography-portfolio';
 
       // Process buffer with Sharp before upload
-      const processedBuffer = await this.processImageWithSharp(buffer, options);
-
-      // Generate unique filename
-      const fileName = `${uuidv4()}.jpg`;
-      const key = `${folder}/${fileName}`;
-
-      // Upload to S3
-      const uploadParams = {
-        Bucket: bucketName,
-        Key: key,
-        Body: processedBuffer,
-        ContentType: 'image/jpeg',
-        // Using bucket policy for public access instead of ACLs
-      };
+      const processed = await this.processImageWithSharp(buffer, options);
+      const key = `${folder}/${uuidv4()}.${processed.extension}`;
 
-      const result = await s3.upload(uploadParams).promise();
+      await storage.put(key, processed.buffer, { contentType: processed.contentType });
+      const renditions = options.renditions === false
+        ? null
+        : await this.generateRenditions(buffer, key);
+      const placeholder = await createImagePlaceholder(buffer);
 
       return {
         publicId: key,
-        url: getPublicUrl(key),
-        width: null,
-        height: null,
-        format: 'jpg',
-        size: processedBuffer.length
+        url: storage.getPublicUrl(key),
+        width: processed.width,
+        height: processed.height,
+        format: processed.extension,
+        size: processed.buffer.length,
+        renditions,
+        placeholder
       };
     } catch (error) {
       throw new ValidationError('Failed to upload image: ' + error.message);
     }
   }
 
-  // Generate optimized URL (S3 doesn't have built-in transformations like Cloudinary)
+  // Generate optimized URL pointing at one of the renditions created on upload
   generateOptimizedUrl(publicId, options = {}) {
-    // Use the CDN URL if configured, otherwise fall back to direct S3 URL
-    return getPublicUrl(publicId);
+    const { size = 'large', format = 'jpeg' } = options;
+    if (!IMAGE_RENDITIONS[size] || !RENDITION_FORMATS[format]) {
+      return storage.getPublicUrl(publicId);
+    }
+    return storage.getPublicUrl(this.getRenditionKey(publicId, size, format));
   }
 
-  // Generate thumbnail URL (placeholder - in production you might want to use AWS Lambda for image processing)
-  generateThumbnailUrl(publicId, width = 300, height = 200) {
-    // In production, you might want to implement thumbnail generation via AWS Lambda
-    // For now, return the original URL with CDN support
-    return getPublicUrl(publicId);
+  // Generate thumbnail URL (the thumbnail rendition created on upload)
+  generateThumbnailUrl(publicId, format = 'jpeg') {
+    return this.generateOptimizedUrl(publicId, { size: 'thumbnail', format });
   }
 
-  // Delete image from S3
+  // Delete image (and its renditions and private original) from storage
   async deleteImage(publicId) {
     try {
-      const deleteParams = {
-        Bucket: bucketName,
-        Key: publicId
-      };
-      
-      await s3.deleteObject(deleteParams).promise();
+      await storage.delete(publicId);
+      const originalKey = await this.findOriginalKey(publicId);
+      if (originalKey) {
+        await storage.delete(originalKey);
+      }
+      await this.deleteDerivedObjects(publicId);
       return true;
     } catch (error) {
       throw new Error('Failed to delete image: ' + error.message);
     }
   }
 
-  // Delete video from S3
+  // Delete renditions, poster frames and HLS streams stored under the object's <folder>/<id>/ prefix
+  async deleteDerivedObjects(publicId) {
+    const prefix = `${publicId.replace(/\.[^/.]+$/, '')}/`;
+    let continuationToken;
+
+    do {
+      const { objects, nextToken } = await storage.list(prefix, { continuationToken });
+
+      if (objects.length > 0) {
+        await storage.deleteMany(objects.map(object => object.key));
+      }
+      continuationToken = nextToken;
+    } while (continuationToken);
+  }
+
+  // Delete video (and its poster frames) from storage
   async deleteVideo(publicId) {
     try {
-      const deleteParams = {
-        Bucket: bucketName,
-        Key: publicId
-      };
-      
-      await s3.deleteObject(deleteParams).promise();
+      await storage.delete(publicId);
+      await this.deleteDerivedObjects(publicId);
       return true;
     } catch (error) {
       throw new Error('Failed to delete video: ' + error.message);
     }
   }
 
-  // Add watermark to image (placeholder - would need additional processing)
-  async addWatermark(publicId, watermarkText = 'Manish Photography') {
+  // Re-render the public copy and renditions of an image from its clean original
+  // with the given watermark settings (null removes the watermark)
+  async addWatermark(publicId, watermark, options = {}) {
     try {
-      // For S3, we'd need to download, process, and re-upload
-      // This is a simplified implementation
-      const url = getPublicUrl(publicId);
-      console.warn('Watermark functionality not implemented for S3. Returning URL:', url);
-      return url;
+      let originalKey = await this.findOriginalKey(publicId);
+
+      // Images uploaded before watermarking have no private original; their public copy
+      // is still clean, so it becomes the original before anything is drawn on it
+      if (!originalKey) {
+        if (!await storage.head(publicId)) {
+          throw new Error('Object not found');
+        }
+        const clean = await storage.get(publicId);
+        const format = this.getOriginalFormat(await sharp(clean).metadata());
+        originalKey = this.getOriginalKey(publicId, format.extension);
+        await storage.put(originalKey, clean, { contentType: format.contentType });
+      }
+
+      const original = await storage.get(originalKey);
+      const exif = getPublicExif(await extractImageMetadata(original));
+      // Same format as before, so the public key (and every URL pointing at it) stays valid
+      const processed = await this.processImageWithSharp(original, {
+        ...options,
+        format: this.getFormatFromKey(publicId),
+        watermark,
+        exif
+      });
+      await storage.put(publicId, processed.buffer, { contentType: processed.contentType });
+
+      const renditions = await this.generateRenditions(original, publicId, { watermark, exif });
+
+      return {
+        publicId,
+        url: storage.getPublicUrl(publicId),
+        originalKey,
+        renditions
+      };
     } catch (error) {
       throw new Error('Failed to add watermark: ' + error.message);
     }
   }
 
-  // Get image info from S3
+  // Get image info from storage
+  // Dimensions are read from the image itself; camera metadata from the private original when
+  // there is one, since public copies are written without it
   async getImageInfo(publicId) {
     try {
-      const params = {
-        Bucket: bucketName,
-        Key: publicId
-      };
-      
-      const result = await s3.headObject(params).promise();
+      const result = await storage.head(publicId);
+      if (!result) {
+        throw new Error('Object not found');
+      }
+
+      const { width, height, format } = await sharp(await storage.get(publicId)).metadata();
+      const metadataSource = await this.findOriginalKey(publicId) || publicId;
       
       return {
         publicId: publicId,
-        url: getPublicUrl(publicId),
-        width: null, // S3 doesn't provide dimensions
-        height: null,
-        format: publicId.split('.').pop(),
-        size: result.ContentLength,
-        createdAt: result.LastModified
+        url: storage.getPublicUrl(publicId),
+        width,
+        height,
+        format: format || publicId.split('.').pop(),
+        size: result.size,
+        createdAt: result.lastModified,
+        metadata: await extractImageMetadata(await storage.get(metadataSource))
       };
     } catch (error) {
       throw new Error('Failed to get image info: ' + error.message);
     }
   }
 
-  // Check if folder exists in S3 bucket (helper method)
+  // Park a raw upload in storage until a background job processes it
+  async uploadStagingFile(file, folder = 'uploads/staging') {
+    try {
+      const fileExtension = file.originalname ? file.originalname.split('.').pop() : 'bin';
+      const key = `${folder}/${uuidv4()}.${fileExtension}`;
+
+      await storage.put(key, file.buffer, { contentType: file.mimetype || 'application/octet-stream' });
+
+      return key;
+    } catch (error) {
+      throw new ValidationError('Failed to stage upload: ' + error.message);
+    }
+  }
+
+  // Start a multipart upload; returns the driver's upload ID
+  async createMultipartUpload(key, contentType) {
+    try {
+      return await storage.createMultipartUpload(key, contentType);
+    } catch (error) {
+      throw new Error('Failed to start multipart upload: ' + error.message);
+    }
+  }
+
+  // Stream one part straight through to storage (body may be the incoming request)
+  async uploadPart(key, uploadId, partNumber, body, contentLength) {
+    try {
+      return await storage.uploadPart(key, uploadId, partNumber, body, contentLength);
+    } catch (error) {
+      throw new Error(`Failed to upload part ${partNumber}: ` + error.message);
+    }
+  }
+
+  // Parts received so far, in part order
+  async listUploadedParts(key, uploadId) {
+    try {
+      return await storage.listParts(key, uploadId);
+    } catch (error) {
+      throw new Error('Failed to list uploaded parts: ' + error.message);
+    }
+  }
+
+  async completeMultipartUpload(key, uploadId, parts) {
+    try {
+      await storage.completeMultipartUpload(key, uploadId, parts);
+      return key;
+    } catch (error) {
+      throw new Error('Failed to complete multipart upload: ' + error.message);
+    }
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    try {
+      await storage.abortMultipartUpload(key, uploadId);
+      return true;
+    } catch (error) {
+      throw new Error('Failed to abort multipart upload: ' + error.message);
+    }
+  }
+
+  // Time-limited URL for an object that isn't publicly readable (e.g. under private/)
+  async getSignedUrl(key, options = {}) {
+    try {
+      return await storage.presign(key, options);
+    } catch (error) {
+      throw new Error(`Failed to sign URL for ${key}: ` + error.message);
+    }
+  }
+
+  // Same shape as the renditions column, with every URL replaced by a signed one
+  async signRenditions(publicId, renditions, options = {}) {
+    if (!renditions) return null;
+
+    const signed = {};
+    for (const [size, rendition] of Object.entries(renditions)) {
+      signed[size] = { width: rendition.width, height: rendition.height };
+      for (const format of Object.keys(RENDITION_FORMATS)) {
+        if (rendition[format]) {
+          signed[size][format] = await this.getSignedUrl(this.getRenditionKey(publicId, size, format), options);
+        }
+      }
+    }
+    return signed;
+  }
+
+  // Download an object into memory
+  async getObjectBuffer(key) {
+    try {
+      return await storage.get(key);
+    } catch (error) {
+      throw new Error(`Failed to download ${key}: ` + error.message);
+    }
+  }
+
+  // Delete a single object without touching derived files
+  async deleteObject(key) {
+    try {
+      await storage.delete(key);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete ${key}: ` + error.message);
+    }
+  }
+
+  // Check if folder exists in storage (helper method)
   async folderExists(folderName) {
     try {
-      const params = {
-        Bucket: bucketName,
-        Prefix: `${folderName}/`,
-        MaxKeys: 1
-      };
-      
-      const result = await s3.listObjectsV2(params).promise();
-      return result.Contents.length > 0;
+      const { objects } = await storage.list(`${folderName}/`, { maxKeys: 1 });
+      return objects.length > 0;
     } catch (error) {
       return false;
     }
   }
 
-  // Create folder in S3 bucket (by uploading a placeholder file)
+  // Create folder in storage (by uploading a placeholder file)
   async createFolder(folderName) {
     try {
       const exists = await this.folderExists(folderName);
       if (exists) {
-        console.log(`📁 Folder '${folderName}' already exists in S3 bucket`);
+        console.log(`📁 Folder '${folderName}' already exists in storage`);
         return;
       }
 
       // Create folder by uploading a placeholder file
-      const params = {
-        Bucket: bucketName,
-        Key: `${folderName}/.placeholder`,
-        Body: '',
-        ContentType: 'text/plain'
-      };
-      
-      await s3.upload(params).promise();
-      console.log(`📁 Created folder '${folderName}' in S3 bucket`);
+      await storage.put(`${folderName}/.placeholder`, '', { contentType: 'text/plain' });
+      console.log(`📁 Created folder '${folderName}' in storage`);
     } catch (error) {
       console.warn(`Failed to create folder '${folderName}':`, error.message);
     }
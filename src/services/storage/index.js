@@ -0,0 +1,17 @@
+const storageConfig = require('../../config/storage');
+
+// The active storage driver, selected by STORAGE_DRIVER (see config/storage.js)
+// Every driver implements: put, get, getStream, delete, deleteMany, list, head, presign,
+// getPublicUrl and the multipart methods used by resumable uploads
+const createStorageDriver = (driver) => {
+  if (driver === 'local') {
+    const LocalDriver = require('./localDriver');
+    return new LocalDriver();
+  }
+
+  // 's3' and 's3-compatible' share the driver; the endpoint comes from config
+  const S3Driver = require('./s3Driver');
+  return new S3Driver();
+};
+
+module.exports = createStorageDriver(storageConfig.driver);
@@ -0,0 +1,319 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const storageConfig = require('../../config/storage');
+
+const MULTIPART_DIR = '.multipart';
+
+// Storage driver that keeps objects on the local filesystem
+// Public files are served by express.static under LOCAL_STORAGE_URL_PATH (see app.js)
+class LocalDriver {
+  constructor(options = storageConfig.local) {
+    this.name = 'local';
+    this.root = options.root;
+    this.urlPath = options.urlPath;
+    this.publicBaseUrl = options.publicBaseUrl;
+    this.privatePrefix = storageConfig.privatePrefix;
+    this.signingSecret = storageConfig.signingSecret;
+    fs.mkdirSync(this.root, { recursive: true });
+  }
+
+  // Map an object key to a path inside the storage root, refusing anything that escapes it
+  resolvePath(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  // Write a Buffer or stream; written to a temp file first so readers never see partial objects
+  async put(key, body, options = {}) {
+    const filePath = this.resolvePath(key);
+    const tempPath = `${filePath}.${uuidv4()}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    try {
+      if (Buffer.isBuffer(body) || typeof body === 'string') {
+        await fs.promises.writeFile(tempPath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(tempPath));
+      }
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    return { key, url: this.getPublicUrl(key) };
+  }
+
+  async get(key) {
+    return fs.promises.readFile(this.resolvePath(key));
+  }
+
+  getStream(key) {
+    return fs.createReadStream(this.resolvePath(key));
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolvePath(key), { force: true });
+  }
+
+  async deleteMany(keys) {
+    for (const key of keys) {
+      await this.delete(key);
+    }
+  }
+
+  // One page of objects under a prefix, in key order: { objects: [{ key, size, lastModified }], nextToken }
+  async list(prefix, options = {}) {
+    const maxKeys = options.maxKeys || 1000;
+    const keys = [];
+
+    // Walk only the directory that contains the prefix
+    const prefixDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    const startDir = prefixDir ? this.resolvePath(prefixDir) : this.root;
+    await this.collectKeys(startDir, keys);
+
+    const matching = keys
+      .filter(key => key.startsWith(prefix) && !key.startsWith(`${MULTIPART_DIR}/`) && !key.endsWith('.tmp'))
+      .sort()
+      .filter(key => !options.continuationToken || key > options.continuationToken);
+
+    const page = matching.slice(0, maxKeys);
+    const objects = await Promise.all(page.map(async key => {
+      const stats = await fs.promises.stat(this.resolvePath(key));
+      return { key, size: stats.size, lastModified: stats.mtime };
+    }));
+
+    return {
+      objects,
+      nextToken: matching.length > maxKeys ? page[page.length - 1] : null
+    };
+  }
+
+  async collectKeys(dir, keys) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await this.collectKeys(entryPath, keys);
+      } else {
+        keys.push(path.relative(this.root, entryPath).split(path.sep).join('/'));
+      }
+    }
+  }
+
+  async head(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolvePath(key));
+      return {
+        key,
+        size: stats.size,
+        contentType: express.static.mime.lookup(key),
+        lastModified: stats.mtime
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Signed URL served by createSignedUrlHandler(); method 'PUT' allows a direct upload
+  async presign(key, options = {}) {
+    const { expiresIn = 3600, method = 'GET', filename = '' } = options;
+    this.resolvePath(key);
+
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const params = new URLSearchParams({
+      method,
+      expires: String(expires),
+      ...(filename ? { filename } : {}),
+      signature: this.sign(method, key, expires, filename)
+    });
+
+    return `${this.publicBaseUrl}/api/storage/${this.encodeKey(key)}?${params.toString()}`;
+  }
+
+  sign(method, key, expires, filename = '') {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${method}\n${key}\n${expires}\n${filename}`)
+      .digest('hex');
+  }
+
+  verifySignature(method, key, query) {
+    const expires = parseInt(query.expires);
+    if (!expires || expires < Math.floor(Date.now() / 1000) || query.method !== method) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(method, key, expires, query.filename || ''));
+    const provided = Buffer.from(String(query.signature || ''));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+
+  getPublicUrl(key) {
+    return `${this.publicBaseUrl}${this.urlPath}/${this.encodeKey(key)}`;
+  }
+
+  encodeKey(key) {
+    return key.split('/').map(encodeURIComponent).join('/');
+  }
+
+  // Static handler for public objects; private ones need a presigned URL
+  createStaticHandler() {
+    const serveStatic = express.static(this.root, {
+      dotfiles: 'ignore',
+      maxAge: '1y',
+      setHeaders: (res) => {
+        // Media is embedded by the frontend, which runs on a different origin
+        res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+      }
+    });
+
+    return (req, res, next) => {
+      let requestPath;
+      try {
+        // Normalise the same way the static handler does, so './private' or '//private' can't slip through
+        requestPath = path.posix.normalize(decodeURIComponent(req.path)).replace(/^\/+/, '');
+      } catch (error) {
+        return next();
+      }
+
+      if (requestPath.startsWith(`${this.privatePrefix}/`)) {
+        return next();
+      }
+      serveStatic(req, res, next);
+    };
+  }
+
+  // Serves presigned GET/PUT URLs
+  createSignedUrlHandler() {
+    const router = express.Router();
+
+    router.get('/*', (req, res, next) => {
+      const key = req.params[0];
+      if (!this.verifySignature('GET', key, req.query)) {
+        return res.status(403).json({ error: { message: 'Invalid or expired link' } });
+      }
+
+      res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+      if (req.query.filename) {
+        return res.download(this.resolvePath(key), req.query.filename, { dotfiles: 'allow' }, (error) => {
+          if (error && !res.headersSent) next(error);
+        });
+      }
+      res.sendFile(this.resolvePath(key), { dotfiles: 'allow' }, (error) => {
+        if (error && !res.headersSent) next(error);
+      });
+    });
+
+    router.put('/*', async (req, res, next) => {
+      try {
+        const key = req.params[0];
+        if (!this.verifySignature('PUT', key, req.query)) {
+          return res.status(403).json({ error: { message: 'Invalid or expired link' } });
+        }
+
+        await this.put(key, req);
+        res.status(200).end();
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    return router;
+  }
+
+  async createMultipartUpload() {
+    const uploadId = uuidv4();
+    await fs.promises.mkdir(this.getMultipartDir(uploadId), { recursive: true });
+    return uploadId;
+  }
+
+  async uploadPart(key, uploadId, partNumber, body, contentLength) {
+    const partPath = path.join(this.getMultipartDir(uploadId), String(partNumber));
+    const tempPath = `${partPath}.tmp`;
+    const hash = crypto.createHash('md5');
+
+    body.on('data', chunk => hash.update(chunk));
+    await pipeline(body, fs.createWriteStream(tempPath));
+
+    const { size } = await fs.promises.stat(tempPath);
+    if (contentLength && size !== contentLength) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw new Error(`Part ${partNumber} was truncated (${size} of ${contentLength} bytes)`);
+    }
+    await fs.promises.rename(tempPath, partPath);
+
+    return { partNumber, etag: `"${hash.digest('hex')}"`, size };
+  }
+
+  async listParts(key, uploadId) {
+    const dir = this.getMultipartDir(uploadId);
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new Error('The specified upload does not exist');
+      throw error;
+    }
+
+    const parts = await Promise.all(names
+      .filter(name => /^\d+$/.test(name))
+      .map(async name => {
+        const stats = await fs.promises.stat(path.join(dir, name));
+        return { partNumber: parseInt(name), etag: null, size: stats.size };
+      }));
+
+    return parts.sort((a, b) => a.partNumber - b.partNumber);
+  }
+
+  // Concatenate the parts into the final object
+  async completeMultipartUpload(key, uploadId, parts) {
+    const dir = this.getMultipartDir(uploadId);
+    const filePath = this.resolvePath(key);
+    const tempPath = `${filePath}.${uuidv4()}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    const output = fs.createWriteStream(tempPath);
+    try {
+      for (const part of [...parts].sort((a, b) => a.partNumber - b.partNumber)) {
+        await pipeline(fs.createReadStream(path.join(dir, String(part.partNumber))), output, { end: false });
+      }
+      await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      output.destroy();
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    await fs.promises.rm(this.getMultipartDir(uploadId), { recursive: true, force: true });
+  }
+
+  getMultipartDir(uploadId) {
+    if (!/^[0-9a-f-]+$/i.test(uploadId)) {
+      throw new Error('Invalid upload ID');
+    }
+    return path.join(this.root, MULTIPART_DIR, uploadId);
+  }
+}
+
+module.exports = LocalDriver;
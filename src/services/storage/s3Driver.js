@@ -0,0 +1,170 @@
+const { s3, bucketName, getPublicUrl } = require('../../config/s3');
+
+// Storage driver for AWS S3 and S3-compatible endpoints (MinIO, R2, ...)
+class S3Driver {
+  constructor() {
+    this.name = 's3';
+  }
+
+  // Upload a Buffer or stream; streams need options.contentLength or are sent via managed upload
+  async put(key, body, options = {}) {
+    await s3.upload({
+      Bucket: bucketName,
+      Key: key,
+      Body: body,
+      ContentType: options.contentType || 'application/octet-stream',
+      ...(options.cacheControl ? { CacheControl: options.cacheControl } : {}),
+      ...(options.contentDisposition ? { ContentDisposition: options.contentDisposition } : {})
+    }).promise();
+
+    return { key, url: this.getPublicUrl(key) };
+  }
+
+  async get(key) {
+    const result = await s3.getObject({ Bucket: bucketName, Key: key }).promise();
+    return result.Body;
+  }
+
+  getStream(key) {
+    return s3.getObject({ Bucket: bucketName, Key: key }).createReadStream();
+  }
+
+  async delete(key) {
+    await s3.deleteObject({ Bucket: bucketName, Key: key }).promise();
+  }
+
+  // Batch delete (S3 allows up to 1000 keys per request)
+  async deleteMany(keys) {
+    for (let i = 0; i < keys.length; i += 1000) {
+      const batch = keys.slice(i, i + 1000);
+      await s3.deleteObjects({
+        Bucket: bucketName,
+        Delete: { Objects: batch.map(Key => ({ Key })), Quiet: true }
+      }).promise();
+    }
+  }
+
+  // One page of objects under a prefix: { objects: [{ key, size, lastModified }], nextToken }
+  async list(prefix, options = {}) {
+    const result = await s3.listObjectsV2({
+      Bucket: bucketName,
+      Prefix: prefix,
+      ContinuationToken: options.continuationToken,
+      MaxKeys: options.maxKeys
+    }).promise();
+
+    return {
+      objects: (result.Contents || []).map(object => ({
+        key: object.Key,
+        size: object.Size,
+        lastModified: object.LastModified
+      })),
+      nextToken: result.IsTruncated ? result.NextContinuationToken : null
+    };
+  }
+
+  // Object metadata, or null when the object doesn't exist
+  async head(key) {
+    try {
+      const result = await s3.headObject({ Bucket: bucketName, Key: key }).promise();
+      return {
+        key,
+        size: result.ContentLength,
+        contentType: result.ContentType,
+        lastModified: result.LastModified
+      };
+    } catch (error) {
+      if (error.code === 'NotFound' || error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  // Time-limited URL for downloading (or, with method 'PUT', uploading) an object
+  async presign(key, options = {}) {
+    const { expiresIn = 3600, method = 'GET', filename, contentType } = options;
+
+    if (method === 'PUT') {
+      return s3.getSignedUrlPromise('putObject', {
+        Bucket: bucketName,
+        Key: key,
+        Expires: expiresIn,
+        ...(contentType ? { ContentType: contentType } : {})
+      });
+    }
+
+    return s3.getSignedUrlPromise('getObject', {
+      Bucket: bucketName,
+      Key: key,
+      Expires: expiresIn,
+      ...(filename ? { ResponseContentDisposition: `attachment; filename="${filename.replace(/"/g, '')}"` } : {})
+    });
+  }
+
+  getPublicUrl(key) {
+    return getPublicUrl(key);
+  }
+
+  async createMultipartUpload(key, contentType) {
+    const result = await s3.createMultipartUpload({
+      Bucket: bucketName,
+      Key: key,
+      ContentType: contentType || 'application/octet-stream'
+    }).promise();
+    return result.UploadId;
+  }
+
+  async uploadPart(key, uploadId, partNumber, body, contentLength) {
+    const result = await s3.uploadPart({
+      Bucket: bucketName,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      Body: body,
+      ContentLength: contentLength
+    }).promise();
+    return { partNumber, etag: result.ETag, size: contentLength };
+  }
+
+  async listParts(key, uploadId) {
+    const parts = [];
+    let marker;
+
+    do {
+      const result = await s3.listParts({
+        Bucket: bucketName,
+        Key: key,
+        UploadId: uploadId,
+        PartNumberMarker: marker
+      }).promise();
+      (result.Parts || []).forEach(part => parts.push({
+        partNumber: part.PartNumber,
+        etag: part.ETag,
+        size: part.Size
+      }));
+      marker = result.IsTruncated ? result.NextPartNumberMarker : undefined;
+    } while (marker);
+
+    return parts;
+  }
+
+  async completeMultipartUpload(key, uploadId, parts) {
+    await s3.completeMultipartUpload({
+      Bucket: bucketName,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: {
+        Parts: parts.map(part => ({ PartNumber: part.partNumber, ETag: part.etag }))
+      }
+    }).promise();
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    await s3.abortMultipartUpload({
+      Bucket: bucketName,
+      Key: key,
+      UploadId: uploadId
+    }).promise();
+  }
+}
+
+module.exports = S3Driver;
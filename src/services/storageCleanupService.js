@@ -0,0 +1,145 @@
+const { supabase } = require('../config');
+const storageConfig = require('../config/storage');
+const storage = require('./storage');
+const teamService = require('./teamService');
+const jobQueueService = require('./jobQueueService');
+
+// Every column that holds a storage key; renditions, posters and HLS streams live under
+// <key without extension>/ and private originals under private/originals/<key without extension>.<ext>,
+// so they are covered by the key of the media they belong to
+const REFERENCE_SOURCES = [
+  { table: 'portfolio_projects', columns: ['image_public_id'] },
+  { table: 'portfolio_project_images', columns: ['image_public_id', 'original_key'] },
+  { table: 'portfolio_project_videos', columns: ['video_public_id'] },
+  { table: 'portfolio_subcategories', columns: ['cover_image_public_id'] },
+  { table: 'homepage_elements', columns: ['media_public_id'] },
+  // Members saved before photo_public_id existed only have the URL
+  { table: 'team_members', columns: ['photo_public_id', 'photo_url'], getKeys: member => [teamService.getPhotoKey(member)] },
+  { table: 'gallery_images', columns: ['storage_key', 'original_key'] },
+  { table: 'download_archives', columns: ['storage_key'] },
+  { table: 'watermark_settings', columns: ['logo_key'] }
+];
+
+// Jobs and upload sessions whose staged upload (uploads/staging/...) is still needed
+const PENDING_JOB_STATUSES = ['queued', 'processing'];
+const OPEN_SESSION_STATUSES = ['active', 'completing'];
+
+const PAGE_SIZE = 1000;
+
+class StorageCleanupService {
+  constructor() {
+    jobQueueService.register('storage-reconcile', (payload, context) => this.reconcile({ ...payload, ...context }));
+  }
+
+  // Queue a reconciliation run; the report ends up in the job result
+  async queueReconcile(options, userId) {
+    const job = await jobQueueService.enqueue('storage-reconcile', options, { createdBy: userId });
+    return { jobId: job.id, uploadId: jobQueueService.getJobRoom(job), status: job.status };
+  }
+
+  // Compare the bucket against every stored key and report (or, without dryRun, delete) the
+  // objects nothing refers to. Objects younger than minAgeHours are left alone so uploads whose
+  // row hasn't been written yet are never mistaken for orphans.
+  async reconcile({ dryRun = true, minAgeHours = 24, onProgress = () => {} } = {}) {
+    try {
+      const references = await this.getReferencedKeys();
+      onProgress(10, `Found ${references.keys.size} referenced objects`);
+
+      const cutoff = Date.now() - minAgeHours * 60 * 60 * 1000;
+      const report = { dryRun, minAgeHours, scanned: 0, skipped: 0, orphans: [], orphanBytes: 0, deleted: 0 };
+      let continuationToken;
+
+      do {
+        const { objects, nextToken } = await storage.list('', { continuationToken, maxKeys: PAGE_SIZE });
+
+        for (const object of objects) {
+          report.scanned++;
+          if (this.isSkipped(object, cutoff)) {
+            report.skipped++;
+          } else if (!this.isReferenced(object.key, references)) {
+            report.orphans.push(object);
+            report.orphanBytes += object.size || 0;
+          }
+        }
+
+        continuationToken = nextToken;
+        onProgress(50, `Scanned ${report.scanned} objects`);
+      } while (continuationToken);
+
+      if (!dryRun) {
+        for (let i = 0; i < report.orphans.length; i += PAGE_SIZE) {
+          const keys = report.orphans.slice(i, i + PAGE_SIZE).map(object => object.key);
+          await storage.deleteMany(keys);
+          report.deleted += keys.length;
+          onProgress(50 + Math.round((report.deleted / report.orphans.length) * 50), `Deleted ${report.deleted} orphaned objects`);
+        }
+      }
+
+      console.log(`🧹 Storage reconciliation${dryRun ? ' (dry run)' : ''}: ${report.orphans.length} orphan(s) of ${report.scanned} object(s), ${report.deleted} deleted`);
+      return report;
+    } catch (error) {
+      throw new Error('Failed to reconcile storage: ' + error.message);
+    }
+  }
+
+  // { keys, derivedPrefixes } for every key the database refers to
+  async getReferencedKeys() {
+    const keys = new Set();
+
+    for (const source of REFERENCE_SOURCES) {
+      const rows = await this.fetchAll(source.table, source.columns.join(', '));
+      for (const row of rows) {
+        const rowKeys = source.getKeys ? source.getKeys(row) : source.columns.map(column => row[column]);
+        rowKeys.filter(Boolean).forEach(key => keys.add(key));
+      }
+    }
+
+    // Staged uploads only count while a job or an upload session still needs them; those left
+    // behind by jobs that failed for good or by abandoned sessions are reported like any orphan
+    const jobs = await this.fetchAll('media_jobs', 'payload', query => query.in('status', PENDING_JOB_STATUSES));
+    jobs.forEach(job => job.payload && job.payload.file && job.payload.file.key && keys.add(job.payload.file.key));
+
+    const sessions = await this.fetchAll('upload_sessions', 'storage_key', query => query.in('status', OPEN_SESSION_STATUSES));
+    sessions.forEach(session => keys.add(session.storage_key));
+
+    const derivedPrefixes = new Set([...keys].map(key => key.replace(/\.[^/.]+$/, '')));
+    return { keys, derivedPrefixes };
+  }
+
+  // Supabase caps a select at 1000 rows, so read tables page by page
+  async fetchAll(table, columns, filter = query => query) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const query = supabase
+        .from(table)
+        .select(columns);
+      const { data, error } = await filter(query).range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw new Error(`Failed to read ${table}: ${error.message}`);
+      rows.push(...data);
+      if (data.length < PAGE_SIZE) return rows;
+    }
+  }
+
+  isSkipped(object, cutoff) {
+    return object.key.endsWith('/.placeholder') ||
+      new Date(object.lastModified).getTime() > cutoff;
+  }
+
+  isReferenced(key, { keys, derivedPrefixes }) {
+    if (keys.has(key)) return true;
+
+    const originalsPrefix = `${storageConfig.privatePrefix}/originals/`;
+    // The original keeps the upload's extension, which can differ from the public copy's
+    if (key.startsWith(originalsPrefix) && derivedPrefixes.has(key.slice(originalsPrefix.length).replace(/\.[^/.]+$/, ''))) return true;
+
+    // Renditions and HLS segments can sit several folders below the media key
+    const parts = key.split('/');
+    for (let depth = parts.length - 1; depth > 0; depth--) {
+      if (derivedPrefixes.has(parts.slice(0, depth).join('/'))) return true;
+    }
+    return false;
+  }
+}
+
+module.exports = new StorageCleanupService();
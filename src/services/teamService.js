@@ -28,7 +28,7 @@ class TeamService {
 
   // Create a new team member
   async createTeamMember(memberData, photoFile) {
-    let photo_url = null;
+    let photoData = { photo_url: null };
     if (photoFile) {
       const uploadResult = await s3Service.uploadImage(photoFile, {
         folder: 'team-members',
@@ -36,9 +36,9 @@ class TeamService {
         maxHeight: 800,
         quality: 90
       });
-      photo_url = uploadResult.url;
+      photoData = this.buildPhotoData(uploadResult);
     }
-    const insertData = { ...memberData, photo_url };
+    const insertData = { ...memberData, ...photoData };
     const { data, error } = await supabase
       .from('team_members')
       .insert(insertData)
@@ -50,7 +50,11 @@ class TeamService {
 
   // Update a team member
   async updateTeamMember(id, updateData, photoFile) {
-    let photo_url = updateData.photo_url;
+    const current = await this.getTeamMemberById(id);
+    let photoData = { photo_url: updateData.photo_url };
+    if (updateData.photo_url !== undefined) {
+      photoData.photo_public_id = s3Service.getKeyFromUrl(updateData.photo_url);
+    }
     if (photoFile) {
       const uploadResult = await s3Service.uploadImage(photoFile, {
         folder: 'team-members',
@@ -58,25 +62,63 @@ class TeamService {
         maxHeight: 800,
         quality: 90
       });
-      photo_url = uploadResult.url;
+      photoData = this.buildPhotoData(uploadResult);
     }
     const { data, error } = await supabase
       .from('team_members')
-      .update({ ...updateData, photo_url })
+      .update({ ...updateData, ...photoData })
       .eq('id', id)
       .select('*')
       .single();
-    if (error) throw new Error('Failed to update team member: ' + error.message);
+    if (error) {
+      if (photoFile) await s3Service.deleteImage(photoData.photo_public_id).catch(() => {});
+      throw new Error('Failed to update team member: ' + error.message);
+    }
+
+    // Replaced or cleared photos would otherwise stay in the bucket
+    const oldKey = this.getPhotoKey(current);
+    if (oldKey && oldKey !== this.getPhotoKey(data)) {
+      await this.deletePhoto(oldKey);
+    }
     return data;
   }
 
+  // Map an upload result onto the team_members photo columns
+  buildPhotoData(uploadResult) {
+    return {
+      photo_url: uploadResult.url,
+      photo_public_id: uploadResult.publicId,
+      photo_width: uploadResult.width,
+      photo_height: uploadResult.height,
+      photo_renditions: uploadResult.renditions,
+      photo_placeholder: uploadResult.placeholder
+    };
+  }
+
+  // Storage key of a member's photo; rows from before photo_public_id only have the URL
+  getPhotoKey(member) {
+    return member.photo_public_id || s3Service.getKeyFromUrl(member.photo_url);
+  }
+
+  async deletePhoto(key) {
+    try {
+      await s3Service.deleteImage(key);
+    } catch (error) {
+      console.error('Failed to delete team member photo from S3:', error);
+    }
+  }
+
   // Delete a team member
   async deleteTeamMember(id) {
+    const member = await this.getTeamMemberById(id);
     const { error } = await supabase
       .from('team_members')
       .delete()
       .eq('id', id);
     if (error) throw new Error('Failed to delete team member: ' + error.message);
+
+    const photoKey = this.getPhotoKey(member);
+    if (photoKey) await this.deletePhoto(photoKey);
     return { id };
   }
 }
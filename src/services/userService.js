@@ -1,10 +1,14 @@
 const { supabase } = require('../config');
-const { hashPassword, verifyPassword, generateToken } = require('../utils/auth');
+const { hashPassword, verifyPassword } = require('../utils/auth');
+const authSessionService = require('./authSessionService');
+const accountTokenService = require('./accountTokenService');
+const mailService = require('./mailService');
+const mailConfig = require('../config/mail');
 const { ValidationError, NotFoundError } = require('../middlewares/errorHandler');
 
 class UserService {
   // Register a new client
-  async registerClient(userData) {
+  async registerClient(userData, context = {}) {
     const { name, email, phone, password } = userData;
 
     // Check if user already exists
@@ -38,14 +42,21 @@ class UserService {
       throw new Error('Failed to create user');
     }
 
-    // Generate token
-    const token = generateToken({ userId: user.id, role: user.role });
+    // A failed email shouldn't block signup; the client can ask for a new link
+    try {
+      await this.sendVerificationEmail(user);
+    } catch (mailError) {
+      console.warn('⚠️ Failed to send verification email:', mailError.message);
+    }
+
+    // Start a session (access token + refresh token)
+    const tokens = await authSessionService.createSession(user, context);
 
-    return { user, token };
+    return { user, ...tokens };
   }
 
   // Login user (admin or client)
-  async login(credentials) {
+  async login(credentials, context = {}) {
     const { email, password } = credentials;
 
     // Find user
@@ -65,19 +76,19 @@ class UserService {
       throw new ValidationError('Invalid email or password');
     }
 
-    // Generate token
-    const token = generateToken({ userId: user.id, role: user.role });
+    // Start a session (access token + refresh token)
+    const tokens = await authSessionService.createSession(user, context);
 
     // Return user data without password
     const { password: _, ...userWithoutPassword } = user;
-    return { user: userWithoutPassword, token };
+    return { user: userWithoutPassword, ...tokens };
   }
 
   // Get user by ID
   async getUserById(userId) {
     const { data: user, error } = await supabase
       .from('users')
-      .select('id, name, email, role, phone, created_at')
+      .select('id, name, email, role, phone, email_verified_at, created_at')
       .eq('id', userId)
       .single();
 
@@ -90,20 +101,149 @@ class UserService {
 
   // Update user profile
   async updateUser(userId, updateData) {
+    const current = await this.getUserById(userId);
+    const emailChanged = updateData.email && updateData.email !== current.email;
+
     const { data: user, error } = await supabase
       .from('users')
-      .update(updateData)
+      .update({
+        ...updateData,
+        // A new address has to be verified again
+        ...(emailChanged ? { email_verified_at: null } : {})
+      })
       .eq('id', userId)
-      .select('id, name, email, role, phone, created_at')
+      .select('id, name, email, role, phone, email_verified_at, created_at')
       .single();
 
     if (error) {
       throw new Error('Failed to update user');
     }
 
+    if (emailChanged) {
+      try {
+        await this.sendVerificationEmail(user);
+      } catch (mailError) {
+        console.warn('⚠️ Failed to send verification email:', mailError.message);
+      }
+    }
+
+    return user;
+  }
+
+  // Email a single-use verification link
+  async sendVerificationEmail(user) {
+    const { token, expiresInMinutes } = await accountTokenService.issue(user.id, 'email_verification');
+
+    await mailService.sendTemplate('verify-email', user.email, {
+      name: user.name,
+      link: `${mailConfig.appUrl}/verify-email?token=${token}`,
+      expiresIn: accountTokenService.describeTtl(expiresInMinutes)
+    });
+  }
+
+  // Send a fresh verification link to a logged-in user
+  async resendVerificationEmail(userId) {
+    const user = await this.getUserById(userId);
+
+    if (user.email_verified_at) {
+      throw new ValidationError('Email is already verified');
+    }
+
+    await this.sendVerificationEmail(user);
+  }
+
+  // Confirm an email address from a verification link
+  async verifyEmail(token) {
+    const userId = await accountTokenService.consume(token, 'email_verification');
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .update({ email_verified_at: new Date().toISOString() })
+      .eq('id', userId)
+      .select('id, name, email, role, phone, email_verified_at, created_at')
+      .single();
+
+    if (error || !user) {
+      throw new Error('Failed to verify email');
+    }
+
     return user;
   }
 
+  // Email a password reset link; silently does nothing for unknown addresses.
+  // The lookup and the send run after the response: awaiting them would make the request slower
+  // (or fail on a mail error) only for existing accounts, which tells them apart.
+  async requestPasswordReset(email) {
+    this.sendPasswordReset(email).catch(error => {
+      console.error('❌ Failed to send password reset email:', error.message);
+    });
+  }
+
+  async sendPasswordReset(email) {
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, name, email')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (!user) {
+      return;
+    }
+
+    const { token, expiresInMinutes } = await accountTokenService.issue(user.id, 'password_reset');
+
+    await mailService.sendTemplate('reset-password', user.email, {
+      name: user.name,
+      link: `${mailConfig.appUrl}/reset-password?token=${token}`,
+      expiresIn: accountTokenService.describeTtl(expiresInMinutes)
+    });
+  }
+
+  // Set a new password from a reset link and sign the user out everywhere
+  async resetPassword(token, password) {
+    const userId = await accountTokenService.consume(token, 'password_reset');
+    const hashedPassword = await hashPassword(password);
+    const current = await this.getUserById(userId);
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .update({
+        password: hashedPassword,
+        // Following the emailed link proves the user owns the address
+        email_verified_at: current.email_verified_at || new Date().toISOString()
+      })
+      .eq('id', userId)
+      .select('id, name, email')
+      .single();
+
+    if (error || !user) {
+      throw new Error('Failed to reset password');
+    }
+
+    await authSessionService.logoutAll(userId, 'password_reset');
+
+    try {
+      await mailService.sendTemplate('password-changed', user.email, { name: user.name });
+    } catch (mailError) {
+      console.warn('⚠️ Failed to send password change notice:', mailError.message);
+    }
+  }
+
+  // Whether any admin account exists (admin setup is only allowed before the first one)
+  async hasAdmin() {
+    const { data: admins, error } = await supabase
+      .from('users')
+      .select('id')
+      .eq('role', 'admin')
+      .limit(1);
+
+    if (error) {
+      throw new Error('Failed to check for admin accounts');
+    }
+
+    return admins.length > 0;
+  }
+
   // Create admin user (for initial setup)
   async createAdmin(adminData) {
     const { name, email, phone, password } = adminData;
@@ -131,6 +271,8 @@ class UserService {
         phone,
         password: hashedPassword,
         role: 'admin',
+        // Admins are created by an operator, not through public signup
+        email_verified_at: new Date().toISOString(),
       })
       .select('id, name, email, phone, role, created_at')
       .single();
@@ -1,10 +1,20 @@
 const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const ffprobePath = require('@ffprobe-installer/ffprobe').path;
 const ffmpeg = require('fluent-ffmpeg');
 ffmpeg.setFfmpegPath(ffmpegPath);
+ffmpeg.setFfprobePath(ffprobePath);
+const sharp = require('sharp');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 
+// Adaptive streaming ladder; rungs above the source resolution are skipped
+const HLS_LADDER = [
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 160 }
+];
+
 class VideoCompressionService {
   constructor() {
     this.tempDir = path.join(os.tmpdir(), 'photography-backend');
@@ -18,6 +28,19 @@ class VideoCompressionService {
   }
 
   async compressVideoBuffer(buffer, options = {}) {
+    return this.withInputFile(buffer, 'input', async (inputPath) => {
+      const { outputPath, ...sizes } = await this.compressVideoFile(inputPath, options);
+      try {
+        return { buffer: fs.readFileSync(outputPath), ...sizes };
+      } finally {
+        this.cleanupTempFiles([outputPath]);
+      }
+    });
+  }
+
+  // Compress a video on disk into a new temp file; the caller removes outputPath
+  // Resolves with { outputPath, originalSize, compressedSize, compressionRatio } (sizes in MB)
+  async compressVideoFile(inputPath, options = {}) {
     const {
       targetSizeMB = 50,
       maxWidth = 1920,
@@ -29,14 +52,9 @@ class VideoCompressionService {
     } = options;
 
     return new Promise((resolve, reject) => {
-      // Create temporary input and output files
-      const inputPath = path.join(this.tempDir, `input_${Date.now()}.mp4`);
-      const outputPath = path.join(this.tempDir, `output_${Date.now()}.mp4`);
+      const outputPath = path.join(this.tempDir, `output_${Date.now()}_${Math.random().toString(36).substr(2, 6)}.mp4`);
 
-      // Write buffer to temporary file
-      fs.writeFileSync(inputPath, buffer);
-
-      const originalSize = buffer.length;
+      const originalSize = fs.statSync(inputPath).size;
       const originalSizeMB = (originalSize / (1024 * 1024)).toFixed(2);
 
       console.log(`🎬 Compressing video: ${originalSizeMB}MB → target: ${targetSizeMB}MB`);
@@ -86,29 +104,25 @@ class VideoCompressionService {
         })
         .on('end', () => {
           try {
-            // Read compressed file
-            const compressedBuffer = fs.readFileSync(outputPath);
-            const compressedSizeMB = (compressedBuffer.length / (1024 * 1024)).toFixed(2);
-            const compressionRatio = ((originalSize - compressedBuffer.length) / originalSize * 100).toFixed(1);
+            const compressedSize = fs.statSync(outputPath).size;
+            const compressedSizeMB = (compressedSize / (1024 * 1024)).toFixed(2);
+            const compressionRatio = ((originalSize - compressedSize) / originalSize * 100).toFixed(1);
 
             console.log(`✅ Compression completed: ${originalSizeMB}MB → ${compressedSizeMB}MB (${compressionRatio}% reduction)`);
 
-            // Clean up temporary files
-            this.cleanupTempFiles([inputPath, outputPath]);
-
             resolve({
-              buffer: compressedBuffer,
+              outputPath,
               originalSize: originalSizeMB,
               compressedSize: compressedSizeMB,
               compressionRatio
             });
           } catch (error) {
-            this.cleanupTempFiles([inputPath, outputPath]);
+            this.cleanupTempFiles([outputPath]);
             reject(new Error(`Failed to read compressed file: ${error.message}`));
           }
         })
         .on('error', (err) => {
-          this.cleanupTempFiles([inputPath, outputPath]);
+          this.cleanupTempFiles([outputPath]);
           console.error('❌ Video compression failed:', err.message);
           reject(new Error(`Video compression failed: ${err.message}`));
         })
@@ -116,8 +130,10 @@ class VideoCompressionService {
     });
   }
 
-  async shouldCompress(buffer, targetSizeMB = 50) {
-    const sizeMB = buffer.length / (1024 * 1024);
+  // source: a buffer or the path of a file on disk
+  async shouldCompress(source, targetSizeMB = 50) {
+    const size = typeof source === 'string' ? fs.statSync(source).size : source.length;
+    const sizeMB = size / (1024 * 1024);
     return sizeMB > targetSizeMB;
   }
 
@@ -158,35 +174,258 @@ class VideoCompressionService {
     });
   }
 
-  // Get video info from buffer
-  async getVideoInfo(buffer) {
+  // Run fn(inputPath) on a video given as a buffer or as a file path; buffers go to a temp file
+  // first, paths (large staged uploads) are read in place so they are never loaded into memory
+  async withInputFile(source, prefix, fn) {
+    if (typeof source === 'string') {
+      return fn(source);
+    }
+
+    const inputPath = path.join(this.tempDir, `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 6)}.mp4`);
+    try {
+      fs.writeFileSync(inputPath, source);
+      return await fn(inputPath);
+    } finally {
+      this.cleanupTempFiles([inputPath]);
+    }
+  }
+
+  // Get video info from a buffer or file path
+  async getVideoInfo(source) {
+    return this.withInputFile(source, 'info', inputPath => this.probeVideoFile(inputPath));
+  }
+
+  // Probe duration, resolution and codecs of a video file on disk
+  probeVideoFile(filePath) {
     return new Promise((resolve, reject) => {
-      const tempPath = path.join(this.tempDir, `info_${Date.now()}.mp4`);
-      
-      try {
-        fs.writeFileSync(tempPath, buffer);
-        
-        ffmpeg.ffprobe(tempPath, (err, metadata) => {
-          this.cleanupTempFiles([tempPath]);
-          
-          if (err) {
-            reject(new Error(`Failed to get video info: ${err.message}`));
-          } else {
-            resolve({
-              duration: metadata.format.duration,
-              width: metadata.streams[0]?.width,
-              height: metadata.streams[0]?.height,
-              format: metadata.format.format_name,
-              size: metadata.format.size
+      ffmpeg.ffprobe(filePath, (err, metadata) => {
+        if (err) {
+          return reject(new Error(`Failed to get video info: ${err.message}`));
+        }
+
+        const videoStream = metadata.streams.find(stream => stream.codec_type === 'video') || {};
+        const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
+        const [fpsNum, fpsDen] = (videoStream.avg_frame_rate || '0/1').split('/').map(Number);
+
+        resolve({
+          duration: parseFloat(metadata.format.duration) || null,
+          width: videoStream.width || null,
+          height: videoStream.height || null,
+          codec: videoStream.codec_name || null,
+          audioCodec: audioStream ? audioStream.codec_name : null,
+          fps: fpsDen ? Math.round((fpsNum / fpsDen) * 100) / 100 : null,
+          bitrate: parseInt(metadata.format.bit_rate) || null,
+          format: metadata.format.format_name,
+          size: metadata.format.size
+        });
+      });
+    });
+  }
+
+  // Probe a video (buffer or file path) and grab poster frames from it
+  // Returns { info, posters: [{ time, width, height, jpeg, webp }] } with JPEG/WebP buffers
+  async extractPosterFrames(source, options = {}) {
+    return this.withInputFile(source, 'poster_input', inputPath => this.extractPosterFramesFromFile(inputPath, options));
+  }
+
+  async extractPosterFramesFromFile(inputPath, options = {}) {
+    const {
+      count = 1,
+      timestamps = null,
+      maxWidth = 1920
+    } = options;
+
+    const runId = `${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    const framePaths = [];
+
+    try {
+      const info = await this.probeVideoFile(inputPath);
+
+      const posters = [];
+      const times = timestamps || this.getPosterTimestamps(info.duration, count);
+
+      for (let i = 0; i < times.length; i++) {
+        const framePath = path.join(this.tempDir, `poster_${runId}_${i}.png`);
+        framePaths.push(framePath);
+
+        await this.captureFrame(inputPath, times[i], framePath);
+
+        const frame = sharp(framePath).resize(maxWidth, maxWidth, {
+          fit: 'inside',
+          withoutEnlargement: true
+        });
+        const { data: jpeg, info: frameInfo } = await frame.clone()
+          .jpeg({ quality: 82, mozjpeg: true })
+          .toBuffer({ resolveWithObject: true });
+        const webp = await frame.clone().webp({ quality: 78 }).toBuffer();
+
+        posters.push({
+          time: times[i],
+          width: frameInfo.width,
+          height: frameInfo.height,
+          jpeg,
+          webp
+        });
+      }
+
+      return { info, posters };
+    } finally {
+      this.cleanupTempFiles(framePaths);
+    }
+  }
+
+  // Transcode a video (buffer or file path) into an HLS ladder with a master playlist
+  // Returns { outputDir, masterPlaylist, files, variants }; the caller must clean up outputDir
+  async transcodeToHls(source, options = {}) {
+    return this.withInputFile(source, 'hls_input', inputPath => this.transcodeFileToHls(inputPath, options));
+  }
+
+  async transcodeFileToHls(inputPath, options = {}) {
+    const {
+      ladder = HLS_LADDER,
+      segmentSeconds = 6,
+      onProgress = null
+    } = options;
+
+    const runId = `${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    const outputDir = path.join(this.tempDir, `hls_${runId}`);
+
+    try {
+      fs.mkdirSync(outputDir, { recursive: true });
+
+      const info = await this.probeVideoFile(inputPath);
+      const rungs = ladder.filter(rung => !info.height || rung.height <= info.height);
+      if (rungs.length === 0) rungs.push(ladder[0]);
+
+      const variants = [];
+      for (let i = 0; i < rungs.length; i++) {
+        const rung = rungs[i];
+        const variantDir = path.join(outputDir, rung.name);
+        fs.mkdirSync(variantDir, { recursive: true });
+
+        console.log(`🎞️ Transcoding HLS rendition ${rung.name}...`);
+        await this.transcodeHlsVariant(inputPath, variantDir, rung, {
+          segmentSeconds,
+          hasAudio: Boolean(info.audioCodec),
+          onProgress: onProgress ? (percent) => {
+            const overall = ((i + percent / 100) / rungs.length) * 100;
+            onProgress({
+              status: 'transcoding',
+              progress: overall,
+              message: `Creating ${rung.name} stream: ${percent.toFixed(1)}%`
             });
-          }
+          } : null
+        });
+
+        const width = info.width && info.height
+          ? Math.round((info.width * rung.height / info.height) / 2) * 2
+          : null;
+        variants.push({
+          name: rung.name,
+          width,
+          height: rung.height,
+          bandwidth: (rung.videoBitrate + (info.audioCodec ? rung.audioBitrate : 0)) * 1000,
+          playlist: `${rung.name}/index.m3u8`
         });
-      } catch (error) {
-        this.cleanupTempFiles([tempPath]);
-        reject(new Error(`Failed to write temp file: ${error.message}`));
       }
+
+      fs.writeFileSync(path.join(outputDir, 'master.m3u8'), this.buildMasterPlaylist(variants));
+
+      return {
+        outputDir,
+        masterPlaylist: 'master.m3u8',
+        files: this.listFilesRecursive(outputDir),
+        variants
+      };
+    } catch (error) {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+      throw new Error(`HLS transcoding failed: ${error.message}`);
+    }
+  }
+
+  // Encode one HLS rung into variantDir/index.m3u8 + segments
+  transcodeHlsVariant(inputPath, variantDir, rung, options = {}) {
+    const { segmentSeconds = 6, hasAudio = true, onProgress = null } = options;
+
+    return new Promise((resolve, reject) => {
+      let command = ffmpeg(inputPath)
+        .outputOptions([
+          `-vf scale=-2:${rung.height}`,
+          `-c:v libx264`,
+          `-preset fast`,
+          `-profile:v main`,
+          `-b:v ${rung.videoBitrate}k`,
+          `-maxrate ${Math.round(rung.videoBitrate * 1.07)}k`,
+          `-bufsize ${rung.videoBitrate * 2}k`,
+          `-g 48`,
+          `-keyint_min 48`,
+          `-sc_threshold 0`,
+          `-pix_fmt yuv420p`,
+          `-hls_time ${segmentSeconds}`,
+          `-hls_playlist_type vod`,
+          `-hls_segment_filename ${path.join(variantDir, 'segment_%03d.ts')}`
+        ]);
+
+      command = hasAudio
+        ? command.outputOptions([`-c:a aac`, `-b:a ${rung.audioBitrate}k`, `-ac 2`])
+        : command.outputOptions(['-an']);
+
+      command
+        .output(path.join(variantDir, 'index.m3u8'))
+        .on('progress', (progress) => {
+          if (progress.percent && onProgress) {
+            onProgress(Math.min(progress.percent, 100));
+          }
+        })
+        .on('end', () => resolve())
+        .on('error', (err) => reject(new Error(`${rung.name}: ${err.message}`)))
+        .run();
+    });
+  }
+
+  buildMasterPlaylist(variants) {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+    variants.forEach(variant => {
+      const resolution = variant.width ? `,RESOLUTION=${variant.width}x${variant.height}` : '';
+      lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${variant.bandwidth}${resolution}`);
+      lines.push(variant.playlist);
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  // Relative paths of every file below dir
+  listFilesRecursive(dir, prefix = '') {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      return entry.isDirectory()
+        ? this.listFilesRecursive(path.join(dir, entry.name), relativePath)
+        : [relativePath];
+    });
+  }
+
+  // Spread poster frames across the video, skipping the (often black) first moments
+  getPosterTimestamps(duration, count = 1) {
+    if (!duration) return [0];
+    if (count <= 1) {
+      return [Math.min(Math.max(duration * 0.1, 1), duration / 2)];
+    }
+    return Array.from({ length: count }, (_, i) =>
+      Math.round((duration * (i + 1) / (count + 1)) * 100) / 100
+    );
+  }
+
+  // Write a single frame at the given time (seconds) to outputPath
+  captureFrame(inputPath, time, outputPath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .seekInput(time)
+        .outputOptions(['-frames:v 1'])
+        .output(outputPath)
+        .on('end', () => resolve(outputPath))
+        .on('error', (err) => reject(new Error(`Failed to capture frame at ${time}s: ${err.message}`)))
+        .run();
     });
   }
 }
 
-module.exports = new VideoCompressionService(); 
\ No newline at end of file
+module.exports = new VideoCompressionService();
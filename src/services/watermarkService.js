@@ -0,0 +1,334 @@
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config');
+const storageConfig = require('../config/storage');
+const { ValidationError, NotFoundError } = require('../middlewares/errorHandler');
+const storage = require('./storage');
+
+// Used until the watermark_settings row exists (docs/migrations/012_watermarks.sql)
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  type: 'text',
+  text: '© Manish Photography',
+  logo_key: null,
+  position: 'bottom-right',
+  opacity: 0.5,
+  scale: 0.2
+};
+
+// Fields a category or project may override; the logo itself is site-wide
+const OVERRIDE_FIELDS = ['enabled', 'type', 'text', 'position', 'opacity', 'scale'];
+
+const GRAVITY = {
+  center: 'centre',
+  'top-left': 'northwest',
+  'top-right': 'northeast',
+  'bottom-left': 'southwest',
+  'bottom-right': 'southeast'
+};
+
+// Gap between the watermark and the image edge (and between tiles), relative to the shorter side
+const MARGIN_RATIO = 0.03;
+
+// Visible watermarks for public portfolio images: site-wide settings with category and project overrides
+class WatermarkService {
+  constructor() {
+    this.logoCache = new Map();
+  }
+
+  async getSettings() {
+    const { data: settings, error } = await supabase
+      .from('watermark_settings')
+      .select('*')
+      .eq('id', 1)
+      .maybeSingle();
+
+    if (error) throw new Error('Failed to fetch watermark settings: ' + error.message);
+    return this.normalize({ ...DEFAULT_SETTINGS, ...(settings || {}) });
+  }
+
+  // Update the site-wide settings
+  async updateSettings(updateData, userId) {
+    try {
+      const current = await this.getSettings();
+      const next = this.normalize({ ...current, ...this.pick(updateData, OVERRIDE_FIELDS) });
+
+      if (next.type === 'logo' && !next.logo_key) {
+        throw new ValidationError('Upload a logo before switching to a logo watermark');
+      }
+
+      const { data: settings, error } = await supabase
+        .from('watermark_settings')
+        .upsert({
+          id: 1,
+          ...this.pick(next, [...OVERRIDE_FIELDS, 'logo_key']),
+          updated_by: userId,
+          updated_at: new Date().toISOString()
+        })
+        .select('*')
+        .single();
+
+      if (error) throw error;
+      return this.normalize(settings);
+    } catch (error) {
+      if (error.name === 'ValidationError') throw error;
+      throw new Error('Failed to update watermark settings: ' + error.message);
+    }
+  }
+
+  // Replace the logo used by logo watermarks (PNG, so it can carry transparency)
+  async uploadLogo(file, userId) {
+    try {
+      if (!file) {
+        throw new ValidationError('Logo file is required');
+      }
+
+      const metadata = await sharp(file.buffer).metadata().catch(() => ({}));
+      if (metadata.format !== 'png') {
+        throw new ValidationError('Logo must be a PNG image');
+      }
+
+      const current = await this.getSettings();
+      const key = `${storageConfig.privatePrefix}/watermarks/${uuidv4()}.png`;
+      await storage.put(key, file.buffer, { contentType: 'image/png' });
+
+      const { data: settings, error } = await supabase
+        .from('watermark_settings')
+        .upsert({
+          id: 1,
+          ...this.pick(current, OVERRIDE_FIELDS),
+          logo_key: key,
+          updated_by: userId,
+          updated_at: new Date().toISOString()
+        })
+        .select('*')
+        .single();
+
+      if (error) throw error;
+
+      if (current.logo_key) {
+        this.logoCache.delete(current.logo_key);
+        await storage.delete(current.logo_key).catch(err =>
+          console.warn(`⚠️ Failed to delete old watermark logo ${current.logo_key}:`, err.message)
+        );
+      }
+
+      return this.normalize(settings);
+    } catch (error) {
+      if (error.name === 'ValidationError') throw error;
+      throw new Error('Failed to upload watermark logo: ' + error.message);
+    }
+  }
+
+  // Set (or clear with null) a category's override
+  async updateCategoryWatermark(categoryId, override) {
+    return this.updateOverride('portfolio_categories', 'Category', categoryId, override);
+  }
+
+  // Set (or clear with null) a project's override
+  async updateProjectWatermark(projectId, override) {
+    return this.updateOverride('portfolio_projects', 'Project', projectId, override);
+  }
+
+  // Effective settings for a project's images, or null when they shouldn't be watermarked
+  async resolveForProject(projectId) {
+    const { data: project, error } = await supabase
+      .from('portfolio_projects')
+      .select('id, watermark, subcategory_id')
+      .eq('id', projectId)
+      .single();
+
+    if (error || !project) {
+      throw new NotFoundError('Project not found');
+    }
+
+    let categoryId = null;
+    if (project.subcategory_id) {
+      const { data: subcategory } = await supabase
+        .from('portfolio_subcategories')
+        .select('category_id')
+        .eq('id', project.subcategory_id)
+        .maybeSingle();
+      categoryId = subcategory ? subcategory.category_id : null;
+    }
+
+    const category = categoryId ? await this.getCategory(categoryId) : null;
+    return this.resolve(category && category.watermark, project.watermark);
+  }
+
+  // Effective settings for category-level images (subcategory covers)
+  async resolveForCategory(categoryId) {
+    const category = categoryId ? await this.getCategory(categoryId) : null;
+    return this.resolve(category && category.watermark);
+  }
+
+  async resolve(...overrides) {
+    const settings = this.normalize(Object.assign(
+      await this.getSettings(),
+      ...overrides.map(override => this.pick(override || {}, OVERRIDE_FIELDS))
+    ));
+
+    if (!settings.enabled) return null;
+    // A logo watermark without a logo falls back to the text
+    if (settings.type === 'logo' && !settings.logo_key) {
+      settings.type = 'text';
+    }
+    return settings;
+  }
+
+  // Projects whose images change when the settings of a scope change
+  async getAffectedProjectIds({ categoryId, projectId } = {}) {
+    if (projectId) return [projectId];
+
+    let query = supabase.from('portfolio_projects').select('id');
+
+    if (categoryId) {
+      const { data: subcategories, error } = await supabase
+        .from('portfolio_subcategories')
+        .select('id')
+        .eq('category_id', categoryId);
+
+      if (error) throw new Error('Failed to fetch subcategories: ' + error.message);
+      if (subcategories.length === 0) return [];
+      query = query.in('subcategory_id', subcategories.map(sub => sub.id));
+    }
+
+    const { data: projects, error } = await query;
+    if (error) throw new Error('Failed to fetch projects: ' + error.message);
+    return projects.map(project => project.id);
+  }
+
+  // Sharp composite options that place the watermark on an image of the given size
+  async buildOverlay(settings, width, height) {
+    const margin = Math.round(Math.min(width, height) * MARGIN_RATIO);
+    const maxWidth = Math.max(1, width - margin * 2);
+    const maxHeight = Math.max(1, height - margin * 2);
+    const targetWidth = Math.min(maxWidth, Math.max(1, Math.round(width * settings.scale)));
+
+    const mark = settings.type === 'logo'
+      ? await this.renderLogo(settings, targetWidth, maxHeight)
+      : await this.renderText(settings, targetWidth, maxHeight);
+
+    // The margin is transparent padding, so it keeps the mark off the edges (or spaces out the tiles)
+    const input = await sharp(mark)
+      .extend({ top: margin, bottom: margin, left: margin, right: margin, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png()
+      .toBuffer();
+
+    return settings.position === 'tile'
+      ? { input, tile: true }
+      : { input, gravity: GRAVITY[settings.position] || GRAVITY['bottom-right'] };
+  }
+
+  // Text is drawn large on a generous canvas, trimmed to the glyphs and then scaled to size,
+  // so the result doesn't depend on the metrics of whichever font is installed
+  async renderText(settings, width, maxHeight) {
+    const text = settings.text || DEFAULT_SETTINGS.text;
+    const fontSize = 120;
+    const canvasWidth = Math.ceil(text.length * fontSize * 0.8 + fontSize);
+    const canvasHeight = Math.ceil(fontSize * 1.6);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${canvasWidth}" height="${canvasHeight}">
+      <text x="${fontSize / 2}" y="${fontSize * 1.15}" font-family="sans-serif" font-weight="bold" font-size="${fontSize}"
+        fill="#ffffff" fill-opacity="${settings.opacity}"
+        stroke="#000000" stroke-opacity="${(settings.opacity * 0.4).toFixed(2)}" stroke-width="4">${this.escapeXml(text)}</text>
+    </svg>`;
+
+    const trimmed = await sharp(Buffer.from(svg)).trim().png().toBuffer();
+    return sharp(trimmed)
+      .resize(width, maxHeight, { fit: 'inside' })
+      .png()
+      .toBuffer();
+  }
+
+  async renderLogo(settings, width, maxHeight) {
+    const logo = await this.getLogo(settings.logo_key);
+
+    return sharp(logo)
+      .resize(width, maxHeight, { fit: 'inside' })
+      .ensureAlpha()
+      // Scale the logo's own alpha channel by the opacity
+      .composite([{
+        input: Buffer.from([255, 255, 255, Math.round(255 * settings.opacity)]),
+        raw: { width: 1, height: 1, channels: 4 },
+        tile: true,
+        blend: 'dest-in'
+      }])
+      .png()
+      .toBuffer();
+  }
+
+  // Logos are stored under a new key on every upload, so cached copies never go stale
+  async getLogo(key) {
+    if (!this.logoCache.has(key)) {
+      this.logoCache.set(key, await storage.get(key));
+    }
+    return this.logoCache.get(key);
+  }
+
+  // Settings as returned by the API (the logo is private, so it's handed out as a signed URL)
+  async formatSettings(settings) {
+    return {
+      enabled: settings.enabled,
+      type: settings.type,
+      text: settings.text,
+      position: settings.position,
+      opacity: settings.opacity,
+      scale: settings.scale,
+      hasLogo: Boolean(settings.logo_key),
+      logoUrl: settings.logo_key ? await storage.presign(settings.logo_key, { expiresIn: 60 * 60 }) : null,
+      updatedAt: settings.updated_at || null
+    };
+  }
+
+  async updateOverride(table, label, id, override) {
+    const { data: row, error } = await supabase
+      .from(table)
+      .update({ watermark: override ? this.pick(override, OVERRIDE_FIELDS) : null })
+      .eq('id', id)
+      .select('id, watermark')
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to update ${label.toLowerCase()} watermark: ` + error.message);
+    if (!row) {
+      throw new NotFoundError(`${label} not found`);
+    }
+    return row;
+  }
+
+  async getCategory(categoryId) {
+    const { data: category, error } = await supabase
+      .from('portfolio_categories')
+      .select('id, watermark')
+      .eq('id', categoryId)
+      .maybeSingle();
+
+    if (error) throw new Error('Failed to fetch category: ' + error.message);
+    return category;
+  }
+
+  // NUMERIC columns can come back as strings
+  normalize(settings) {
+    return {
+      ...settings,
+      opacity: Number(settings.opacity),
+      scale: Number(settings.scale)
+    };
+  }
+
+  pick(source, fields) {
+    return fields.reduce((picked, field) => {
+      if (source[field] !== undefined) picked[field] = source[field];
+      return picked;
+    }, {});
+  }
+
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = new WatermarkService();
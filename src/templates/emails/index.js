@@ -0,0 +1,27 @@
+// Email templates: each name maps to <name>.html and <name>.txt in this folder.
+// {{value}} is HTML-escaped in .html files; {{{value}}} is inserted as-is.
+module.exports = {
+  'verify-email': {
+    subject: 'Confirm your email address'
+  },
+  'reset-password': {
+    subject: 'Reset your password'
+  },
+  'password-changed': {
+    subject: 'Your password was changed'
+  },
+  'gallery-invite': {
+    subject: 'Your gallery "{{title}}" is ready'
+  },
+  'contact-admin-alert': {
+    subject: 'New inquiry from {{name}}'
+  },
+  // Goes to whatever address was typed into the public form, so it repeats nothing the sender wrote
+  'contact-auto-reply': {
+    subject: 'Thanks for your inquiry'
+  },
+  // Admin reply from the API; the subject is normally passed in by the caller
+  'contact-reply': {
+    subject: 'Re: Your inquiry'
+  }
+};
@@ -1,4 +1,5 @@
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { jwt: jwtConfig } = require('../config');
 
@@ -27,9 +28,21 @@ const verifyToken = (token) => {
   }
 };
 
+// Generate an opaque random token (refresh tokens, one-time links)
+const generateOpaqueToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+// Hash an opaque token for storage; only the hash is ever persisted
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 module.exports = {
   hashPassword,
   verifyPassword,
   generateToken,
   verifyToken,
+  generateOpaqueToken,
+  hashToken,
 }; 
\ No newline at end of file
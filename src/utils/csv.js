@@ -0,0 +1,25 @@
+// Quote a value for CSV; values that spreadsheets would run as formulas are prefixed with '
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line from a list of values
+const toCsvRow = (values) => values.map(escapeCsvValue).join(',');
+
+// CSV document from [{ header, value(row) }] columns
+const toCsv = (columns, rows) => [
+  toCsvRow(columns.map(column => column.header)),
+  ...rows.map(row => toCsvRow(columns.map(column => column.value(row))))
+].join('\n') + '\n';
+
+module.exports = {
+  escapeCsvValue,
+  toCsvRow,
+  toCsv,
+};
@@ -0,0 +1,103 @@
+const exifr = require('exifr');
+
+// Metadata fields that describe how the photo was taken; projects can hide them (show_camera_settings)
+const CAMERA_FIELDS = ['camera', 'lens', 'focalLength', 'aperture', 'shutterSpeed', 'iso'];
+
+const clean = (value) => {
+  if (value === null || value === undefined) return null;
+  const text = String(Array.isArray(value) ? value.join(', ') : value).replace(/\0/g, '').trim();
+  return text || null;
+};
+
+// IPTC text without a declared character set is read as Latin-1, though most tools write UTF-8
+const decodeIptc = (value) => {
+  const text = clean(value);
+  if (!text || !/[\u00c2-\u00f4][\u0080-\u00bf]/.test(text)) return text;
+
+  const decoded = Buffer.from(text, 'latin1').toString('utf8');
+  return decoded.includes('\ufffd') ? text : decoded;
+};
+
+const round = (value, digits = 1) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Number(number.toFixed(digits)) : null;
+};
+
+// 0.004 -> '1/250', 2 -> '2s'
+const formatShutterSpeed = (exposureTime) => {
+  const seconds = Number(exposureTime);
+  if (!Number.isFinite(seconds) || seconds <= 0) return null;
+  return seconds < 1 ? `1/${Math.round(1 / seconds)}` : `${round(seconds)}s`;
+};
+
+// 'Canon' + 'Canon EOS R5' -> 'Canon EOS R5' (most models already start with the make)
+const formatCamera = (make, model) => {
+  const cleanMake = clean(make);
+  const cleanModel = clean(model);
+  if (!cleanModel) return cleanMake;
+  if (!cleanMake || cleanModel.toLowerCase().startsWith(cleanMake.split(' ')[0].toLowerCase())) return cleanModel;
+  return `${cleanMake} ${cleanModel}`;
+};
+
+// EXIF and IPTC fields worth showing next to a photo. GPS is never read, so it can't leak
+// through the API; the public files themselves are written without it (see s3Service).
+const extractImageMetadata = async (buffer) => {
+  let tags;
+  try {
+    tags = await exifr.parse(buffer, {
+      tiff: true,
+      exif: true,
+      gps: false,
+      iptc: true,
+      xmp: false,
+      icc: false,
+      mergeOutput: true
+    });
+  } catch (error) {
+    console.warn('⚠️ Could not read image metadata:', error.message);
+    return null;
+  }
+  if (!tags) return null;
+
+  const capturedAt = tags.DateTimeOriginal || tags.CreateDate || null;
+  const metadata = {
+    camera: formatCamera(tags.Make, tags.Model),
+    lens: clean(tags.LensModel || tags.Lens),
+    focalLength: round(tags.FocalLength),
+    aperture: round(tags.FNumber),
+    shutterSpeed: formatShutterSpeed(tags.ExposureTime),
+    iso: round(tags.ISO || tags.ISOSpeedRatings, 0),
+    capturedAt: capturedAt instanceof Date && !isNaN(capturedAt) ? capturedAt.toISOString() : null,
+    copyright: decodeIptc(tags.CopyrightNotice) || clean(tags.Copyright),
+    creator: decodeIptc(tags.Byline) || clean(tags.Artist),
+    caption: decodeIptc(tags.Caption) || clean(tags.ImageDescription)
+  };
+
+  return Object.values(metadata).some(value => value !== null) ? metadata : null;
+};
+
+// Metadata as shown publicly for a project
+const filterImageMetadata = (metadata, { showCameraSettings = false } = {}) => {
+  if (!metadata || showCameraSettings) return metadata || null;
+
+  const filtered = { ...metadata };
+  CAMERA_FIELDS.forEach(field => delete filtered[field]);
+  return filtered;
+};
+
+// EXIF written into public copies: credit only, nothing about the camera or location
+const getPublicExif = (metadata) => {
+  if (!metadata) return null;
+
+  const ifd0 = {};
+  if (metadata.copyright) ifd0.Copyright = metadata.copyright;
+  if (metadata.creator) ifd0.Artist = metadata.creator;
+  return Object.keys(ifd0).length > 0 ? { IFD0: ifd0 } : null;
+};
+
+module.exports = {
+  CAMERA_FIELDS,
+  extractImageMetadata,
+  filterImageMetadata,
+  getPublicExif
+};
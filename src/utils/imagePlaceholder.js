@@ -0,0 +1,46 @@
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+
+// BlurHash works on a handful of pixels; 32px keeps encoding fast without losing the gradient
+const BLURHASH_SIZE = 32;
+const BLURHASH_COMPONENTS = { x: 4, y: 3 };
+// The LQIP is inlined into API responses, so it has to stay well under a kilobyte
+const LQIP_SIZE = 16;
+
+const toHex = ({ r, g, b }) => '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+
+// What the frontend shows while the real image loads:
+// { blurhash, lqip (data URI), dominantColor (#rrggbb) }
+const createImagePlaceholder = async (buffer) => {
+  try {
+    // Oriented and on white, the same way the public copy is rendered
+    const base = sharp(buffer).rotate().flatten({ background: '#ffffff' });
+
+    const { data: pixels, info } = await base.clone()
+      .resize(BLURHASH_SIZE, BLURHASH_SIZE, { fit: 'inside' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const lqip = await base.clone()
+      .resize(LQIP_SIZE, LQIP_SIZE, { fit: 'inside' })
+      .jpeg({ quality: 50 })
+      .toBuffer();
+
+    const { dominant } = await base.clone().stats();
+
+    return {
+      blurhash: encode(new Uint8ClampedArray(pixels), info.width, info.height, BLURHASH_COMPONENTS.x, BLURHASH_COMPONENTS.y),
+      lqip: `data:image/jpeg;base64,${lqip.toString('base64')}`,
+      dominantColor: toHex(dominant)
+    };
+  } catch (error) {
+    // A missing placeholder only means a plain box while loading; never fail the upload for it
+    console.warn('⚠️ Could not create image placeholder:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  createImagePlaceholder
+};
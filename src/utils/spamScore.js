@@ -0,0 +1,54 @@
+// Local content heuristics for contact submissions; each rule adds points and a reason.
+// The caller decides what counts as spam (config/spam.js threshold).
+
+const URL_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|info|biz|xyz|top|ru|io)\b/gi;
+
+// Lowercase with whitespace collapsed, so trivially re-sent copies compare equal
+const normalizeMessage = (message) => String(message || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// fields: { name, email, message, location }
+// context: { blockedKeywords, recentSubmissions (same IP or email), hasFormToken }
+const scoreContactSubmission = (fields, context = {}) => {
+  const reasons = [];
+  let score = 0;
+  const add = (points, reason) => {
+    score += points;
+    reasons.push({ reason, points });
+  };
+
+  const message = String(fields.message || '');
+  const links = message.match(URL_PATTERN) || [];
+  if (links.length > 0) {
+    add(Math.min(links.length * 2, 6), `${links.length} link(s) in message`);
+  }
+  if ((String(fields.name || '') + ' ' + String(fields.location || '')).match(URL_PATTERN)) {
+    add(4, 'Link in name or location');
+  }
+
+  const text = `${fields.name || ''} ${message}`.toLowerCase();
+  const keywords = (context.blockedKeywords || [])
+    .filter(keyword => new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'i').test(text));
+  if (keywords.length > 0) {
+    add(Math.min(keywords.length * 3, 6), `Blocked keywords: ${keywords.join(', ')}`);
+  }
+
+  const recent = context.recentSubmissions || [];
+  const normalized = normalizeMessage(message);
+  if (recent.some(submission => normalizeMessage(submission.message) === normalized)) {
+    add(3, 'Same message sent recently');
+  } else if (recent.length >= 2) {
+    add(1, `${recent.length} other submissions in the last 24 hours`);
+  }
+
+  if (context.hasFormToken === false) {
+    add(1, 'No form token');
+  }
+
+  return { score, reasons };
+};
+
+module.exports = {
+  scoreContactSubmission
+};
@@ -14,6 +14,27 @@ const loginSchema = z.object({
   password: z.string().min(1, 'Password is required'),
 });
 
+// Refresh token schema
+const refreshTokenSchema = z.object({
+  refreshToken: z.string().min(1, 'Refresh token is required'),
+});
+
+// Forgot password schema
+const forgotPasswordSchema = z.object({
+  email: z.string().email('Invalid email format'),
+});
+
+// Reset password schema
+const resetPasswordSchema = z.object({
+  token: z.string().min(1, 'Reset token is required'),
+  password: z.string().min(6, 'Password must be at least 6 characters'),
+});
+
+// Email verification schema
+const verifyEmailSchema = z.object({
+  token: z.string().min(1, 'Verification token is required'),
+});
+
 // Portfolio project schema
 const portfolioSchema = z.object({
   title: z.string().min(1, 'Title is required').max(200, 'Title must be less than 200 characters'),
@@ -37,6 +58,60 @@ const contactSchema = z.object({
   phone: z.string().min(10, 'Phone number must be at least 10 digits').max(15, 'Phone number must be less than 15 digits').optional(),
   location: z.string().min(2, 'Location must be at least 2 characters').max(100, 'Location must be less than 100 characters').optional(),
   message: z.string().min(10, 'Message must be at least 10 characters').max(1000, 'Message must be less than 1000 characters'),
+  // Spam protection: honeypot (must stay empty), GET /api/contact/form-token and the CAPTCHA response
+  website: z.string().max(500).optional(),
+  formToken: z.string().max(1000).optional(),
+  captchaToken: z.string().max(4000).optional(),
+});
+
+// Contact lead pipeline (admin)
+const contactStageSchema = z.object({
+  stage: z.enum(['new', 'contacted', 'quoted', 'booked', 'lost']),
+  note: z.string().max(1000, 'Note must be less than 1000 characters').optional(),
+});
+
+const contactAssignmentSchema = z.object({
+  userId: z.string().uuid('Invalid user ID').nullable(),
+});
+
+const contactFollowUpSchema = z.object({
+  followUpAt: z.string().datetime('Follow-up must be an ISO date').nullable(),
+});
+
+const contactReplySchema = z.object({
+  subject: z.string().trim().min(1).max(200, 'Subject must be less than 200 characters').optional(),
+  message: z.string().trim().min(1, 'Reply cannot be empty').max(20000, 'Reply must be less than 20000 characters'),
+});
+
+const contactNoteSchema = z.object({
+  body: z.string().trim().min(1, 'Note cannot be empty').max(5000, 'Note must be less than 5000 characters'),
+});
+
+// Inbox filters shared by the contact list and export queries
+const contactFilterFields = {
+  status: z.enum(['pending', 'resolved', 'waste']).optional(),
+  readStatus: z.enum(['read', 'unread']).optional(),
+  stage: z.enum(['new', 'contacted', 'quoted', 'booked', 'lost']).optional(),
+  assignedTo: z.string()
+    .refine(value => ['me', 'unassigned'].includes(value) || z.string().uuid().safeParse(value).success,
+      "assignedTo must be 'me', 'unassigned' or a user ID")
+    .optional(),
+  followUpDue: z.enum(['true', 'false']).optional().transform(value => value === 'true'),
+};
+
+// GET /api/contact/admin/export query; `to` given as a plain date includes that whole day
+const exportDate = z.string().refine(value => !Number.isNaN(Date.parse(value)), 'Invalid date');
+const contactExportSchema = z.object({
+  format: z.enum(['json', 'csv', 'xlsx']).default('json'),
+  columns: z.string().max(500).optional()
+    .transform(value => (value ? value.split(',').map(key => key.trim()).filter(Boolean) : [])),
+  ...contactFilterFields,
+  search: z.string().trim().min(1).max(100, 'Search query must be less than 100 characters').optional(),
+  from: exportDate.transform(value => new Date(value).toISOString()).optional(),
+  to: exportDate.transform(value => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : new Date(value).toISOString())).optional(),
+}).refine(query => !query.from || !query.to || query.from <= query.to, {
+  message: '`from` must be before `to`',
+  path: ['from'],
 });
 
 // Update feedback schema (admin)
@@ -60,6 +135,9 @@ const paginationSchema = z.object({
   limit: z.string().transform(Number).pipe(z.number().min(1).max(100)).default('10'),
 });
 
+// GET /api/contact/admin/all query
+const contactListSchema = paginationSchema.extend(contactFilterFields);
+
 // Search schema
 const searchSchema = z.object({
   query: z.string().min(1, 'Search query is required').max(100, 'Search query must be less than 100 characters'),
@@ -87,6 +165,7 @@ const homepageElementSchema = z.object({
   video_muted: z.string().transform(val => val === 'true').pipe(z.boolean()).optional(),
   video_loop: z.string().transform(val => val === 'true').pipe(z.boolean()).optional(),
   video_poster: z.string().max(500, 'Video poster URL must be less than 500 characters').optional(),
+  hls: z.enum(['true', 'false']).optional(),
 });
 
 const updateHomepageElementSchema = z.object({
@@ -118,12 +197,148 @@ const bulkUploadSchema = z.object({
   is_featured: z.string().transform(val => val === 'true').pipe(z.boolean()).optional(),
 });
 
+// Resumable upload session schema (JSON body)
+const uploadSessionSchema = z.object({
+  filename: z.string().min(1, 'Filename is required').max(500, 'Filename must be less than 500 characters'),
+  mimetype: z.string().min(1, 'MIME type is required'),
+  size: z.number().int().positive('Size must be a positive number of bytes'),
+  part_size: z.number().int().positive('Part size must be a positive number of bytes').optional(),
+});
+
+// Role schemas (permission names are checked against config/permissions.js by roleService)
+const roleSchema = z.object({
+  name: z.string().regex(/^[a-z][a-z0-9_-]{1,49}$/, 'Role name must be 2-50 lowercase letters, numbers, dashes or underscores'),
+  description: z.string().max(500, 'Description must be less than 500 characters').optional(),
+  permissions: z.array(z.string().min(1)).default([]),
+});
+
+const updateRoleSchema = z.object({
+  description: z.string().max(500, 'Description must be less than 500 characters').optional(),
+  permissions: z.array(z.string().min(1)).optional(),
+});
+
+const userRoleSchema = z.object({
+  role: z.string().min(1, 'Role is required'),
+});
+
+// Client gallery schemas
+const gallerySlug = z.string().regex(/^[a-z0-9][a-z0-9-]{2,119}$/, 'Slug must be 3-120 lowercase letters, numbers or dashes');
+const galleryAccessCode = z.string().min(4, 'Access code must be at least 4 characters').max(100, 'Access code must be less than 100 characters');
+
+const gallerySchema = z.object({
+  title: z.string().min(1, 'Title is required').max(255, 'Title must be less than 255 characters'),
+  slug: gallerySlug.optional(),
+  description: z.string().max(5000, 'Description must be less than 5000 characters').optional(),
+  project_id: z.string().uuid('Invalid project ID').optional(),
+  client_id: z.string().uuid('Invalid client ID').optional(),
+  access_code: galleryAccessCode.optional(),
+  download_access: z.enum(['none', 'web', 'original']).optional(),
+  expires_at: z.string().datetime('Expiry must be an ISO date').optional(),
+  is_active: z.boolean().optional(),
+  selection_limit: z.number().int().positive('Selection limit must be a positive number').optional(),
+});
+
+const updateGallerySchema = z.object({
+  title: z.string().min(1, 'Title is required').max(255, 'Title must be less than 255 characters').optional(),
+  slug: gallerySlug.optional(),
+  description: z.string().max(5000, 'Description must be less than 5000 characters').nullable().optional(),
+  project_id: z.string().uuid('Invalid project ID').nullable().optional(),
+  client_id: z.string().uuid('Invalid client ID').nullable().optional(),
+  access_code: galleryAccessCode.nullable().optional(),
+  download_access: z.enum(['none', 'web', 'original']).optional(),
+  expires_at: z.string().datetime('Expiry must be an ISO date').nullable().optional(),
+  is_active: z.boolean().optional(),
+  selection_limit: z.number().int().positive('Selection limit must be a positive number').nullable().optional(),
+});
+
+const galleryLinkSchema = z.object({
+  email: z.string().email('Invalid email format').optional(),
+  expires_in_days: z.number().int().positive().max(365, 'Links can last at most 365 days').optional(),
+  send_email: z.boolean().optional(),
+});
+
+const galleryAccessSchema = z.object({
+  code: z.string().min(1).max(100).optional(),
+  token: z.string().min(1).max(200).optional(),
+}).refine(data => data.code || data.token, { message: 'An access code or link token is required' });
+
+const galleryCommentSchema = z.object({
+  body: z.string().trim().min(1, 'Comment is required').max(2000, 'Comment must be less than 2000 characters'),
+  author_name: z.string().trim().min(1).max(100, 'Name must be less than 100 characters').optional(),
+});
+
+const gallerySelectionSchema = z.object({
+  note: z.string().max(2000, 'Note must be less than 2000 characters').optional(),
+});
+
+// Visible watermark on public portfolio images (site-wide settings or a category/project override)
+const watermarkSettingsSchema = z.object({
+  enabled: z.boolean().optional(),
+  type: z.enum(['text', 'logo']).optional(),
+  text: z.string().min(1, 'Text is required').max(120, 'Text must be less than 120 characters').optional(),
+  position: z.enum(['center', 'top-left', 'top-right', 'bottom-left', 'bottom-right', 'tile']).optional(),
+  opacity: z.number().gt(0, 'Opacity must be above 0').max(1, 'Opacity must be at most 1').optional(),
+  scale: z.number().min(0.05, 'Scale must be at least 0.05').max(1, 'Scale must be at most 1').optional(),
+});
+
+const watermarkOverrideSchema = z.object({
+  watermark: watermarkSettingsSchema.nullable(),
+});
+
+const cameraSettingsSchema = z.object({
+  showCameraSettings: z.boolean(),
+});
+
+// Project images
+const projectImageSchema = z.object({
+  caption: z.string().max(2000, 'Caption must be less than 2000 characters').nullable().optional(),
+  altText: z.string().max(500, 'Alt text must be less than 500 characters').nullable().optional(),
+}).refine(data => data.caption !== undefined || data.altText !== undefined, { message: 'Provide a caption or alt text' });
+
+const reorderProjectImagesSchema = z.object({
+  imageIds: z.array(z.string().uuid('Invalid image ID')).min(1, 'At least one image ID is required'),
+});
+
+// Images and videos in one order
+const reorderProjectMediaSchema = z.object({
+  items: z.array(z.object({
+    type: z.enum(['image', 'video']),
+    id: z.string().uuid('Invalid media ID'),
+  })).min(1, 'At least one item is required'),
+});
+
+const projectCoverSchema = z.object({
+  imageId: z.string().uuid('Invalid image ID'),
+});
+
+// Pre-built ZIP download of a project or gallery
+const archiveBuildSchema = z.object({
+  size: z.enum(['original', 'large', 'medium', 'small']).optional(),
+});
+
+// Orphaned storage scan; dryRun (the default) only reports
+const storageReconcileSchema = z.object({
+  dryRun: z.boolean().optional(),
+  minAgeHours: z.number().min(1, 'Objects younger than an hour may still be mid-upload').max(24 * 365).optional(),
+});
+
 module.exports = {
   registerSchema,
   loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
   portfolioSchema,
   feedbackSchema,
   contactSchema,
+  contactStageSchema,
+  contactAssignmentSchema,
+  contactFollowUpSchema,
+  contactNoteSchema,
+  contactReplySchema,
+  contactExportSchema,
+  contactListSchema,
   updateFeedbackSchema,
   updateUserFeedbackSchema,
   paginationSchema,
@@ -134,4 +349,23 @@ module.exports = {
   toggleActiveSchema,
   reorderElementsSchema,
   bulkUploadSchema,
+  uploadSessionSchema,
+  roleSchema,
+  updateRoleSchema,
+  userRoleSchema,
+  gallerySchema,
+  updateGallerySchema,
+  galleryLinkSchema,
+  galleryAccessSchema,
+  galleryCommentSchema,
+  gallerySelectionSchema,
+  archiveBuildSchema,
+  watermarkSettingsSchema,
+  watermarkOverrideSchema,
+  cameraSettingsSchema,
+  projectImageSchema,
+  reorderProjectImagesSchema,
+  reorderProjectMediaSchema,
+  projectCoverSchema,
+  storageReconcileSchema,
 }; 
\ No newline at end of file
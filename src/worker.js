@@ -0,0 +1,38 @@
+// Background job worker: processes the media job queue and sweeps abandoned resumable uploads.
+// The API server starts it in-process; with MEDIA_WORKER_ENABLED=false on the API, run it on
+// its own with `npm run worker`. Job progress then only reaches clients through the job status
+// endpoints, since socket events are sent by the API process.
+require('dotenv').config();
+const jobQueueService = require('./services/jobQueueService');
+require('./services/mediaJobService'); // registers media job handlers
+require('./services/archiveService'); // registers the archive build job handler
+require('./services/storageCleanupService'); // registers the storage reconciliation job handler
+require('./services/notificationService'); // registers the notification delivery job handler
+const resumableUploadService = require('./services/resumableUploadService');
+
+function startWorker() {
+  jobQueueService.start();
+
+  // Sweep abandoned resumable uploads hourly
+  const sweepUploads = () => resumableUploadService.abortExpiredSessions()
+    .catch(error => console.warn('⚠️ Upload session sweep failed:', error.message));
+  sweepUploads();
+  setInterval(sweepUploads, 60 * 60 * 1000).unref();
+}
+
+if (require.main === module) {
+  process.on('unhandledRejection', (reason) => {
+    console.error('Unhandled Rejection in worker:', reason);
+    process.exit(1);
+  });
+
+  process.on('SIGTERM', () => {
+    // Jobs cut short here are requeued by the stale-lock sweep
+    jobQueueService.stop();
+    process.exit(0);
+  });
+
+  startWorker();
+}
+
+module.exports = { startWorker };
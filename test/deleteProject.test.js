@@ -0,0 +1,73 @@
+// Deleting a project must not take client gallery proofs with it: galleries import project
+// images by reference, and their rows cascade from the project images.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+let tables;
+let storageRoot;
+let portfolioService;
+let storage;
+
+before(() => {
+  storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'delete-project-'));
+  process.env.STORAGE_DRIVER = 'local';
+  process.env.LOCAL_STORAGE_PATH = storageRoot;
+
+  tables = {
+    portfolio_projects: [
+      { id: 'project-proofed', image_public_id: 'portfolio/proofed.jpg' },
+      { id: 'project-plain', image_public_id: 'portfolio/plain.jpg' }
+    ],
+    portfolio_project_images: [
+      { id: 'image-proofed', project_id: 'project-proofed', image_public_id: 'portfolio/proofed.jpg' },
+      { id: 'image-plain', project_id: 'project-plain', image_public_id: 'portfolio/plain.jpg' }
+    ],
+    portfolio_project_videos: [],
+    gallery_images: [{ id: 'gallery-image', gallery_id: 'gallery', project_image_id: 'image-proofed', storage_key: 'portfolio/proofed.jpg' }],
+    galleries: [],
+    download_archives: []
+  };
+
+  const supabasePath = require.resolve('../src/config/supabase');
+  require.cache[supabasePath] = {
+    id: supabasePath,
+    filename: supabasePath,
+    loaded: true,
+    exports: createFakeSupabase(tables)
+  };
+
+  storage = require('../src/services/storage');
+  portfolioService = require('../src/services/portfolioService');
+
+  console.log = () => {};
+  console.warn = () => {};
+});
+
+after(() => {
+  fs.rmSync(storageRoot, { recursive: true, force: true });
+});
+
+test('a project whose images are in a client gallery is not deleted', async () => {
+  await storage.put('portfolio/proofed.jpg', Buffer.from('proof'));
+
+  await assert.rejects(portfolioService.deleteProject('project-proofed'), { name: 'ConflictError' });
+
+  assert.ok(tables.portfolio_projects.some(project => project.id === 'project-proofed'));
+  assert.ok(tables.portfolio_project_images.some(image => image.id === 'image-proofed'));
+  assert.equal(tables.gallery_images.length, 1);
+  assert.ok(await storage.head('portfolio/proofed.jpg'), 'the gallery still needs the file');
+});
+
+test('a project no gallery uses is deleted with its files', async () => {
+  await storage.put('portfolio/plain.jpg', Buffer.from('plain'));
+
+  await portfolioService.deleteProject('project-plain');
+
+  assert.ok(!tables.portfolio_projects.some(project => project.id === 'project-plain'));
+  assert.ok(!tables.portfolio_project_images.some(image => image.id === 'image-plain'));
+  assert.equal(await storage.head('portfolio/plain.jpg'), null);
+});
@@ -0,0 +1,64 @@
+// Minimal stand-in for the Supabase client: serves rows from in-memory tables for eq() and in()
+// lookups, applies delete(), and answers every other query with an error, so route handlers
+// fail fast instead of reaching a real database.
+const createFakeSupabase = (tables = {}) => {
+  const from = (table) => {
+    const filters = [];
+    let deleting = false;
+    const rows = () => (tables[table] || []).filter(row => filters.every(matches => matches(row)));
+    const unavailable = { data: null, error: { message: `${table} is not available in tests` } };
+    const result = () => {
+      if (!tables[table]) return unavailable;
+
+      const data = rows();
+      if (deleting) {
+        tables[table] = tables[table].filter(row => !data.includes(row));
+      }
+      return { data, error: null };
+    };
+
+    const query = new Proxy({}, {
+      get(target, method) {
+        if (method === 'then') {
+          return (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+        }
+        if (method === 'eq') {
+          return (column, value) => {
+            filters.push(row => row[column] === value);
+            return query;
+          };
+        }
+        if (method === 'in') {
+          return (column, values) => {
+            filters.push(row => values.includes(row[column]));
+            return query;
+          };
+        }
+        if (method === 'delete') {
+          return () => {
+            deleting = true;
+            return query;
+          };
+        }
+        if (method === 'single' || method === 'maybeSingle') {
+          return async () => {
+            const { data, error } = result();
+            if (error) return { data: null, error };
+            if (data.length === 1 || (method === 'maybeSingle' && data.length === 0)) {
+              return { data: data[0] || null, error: null };
+            }
+            return { data: null, error: { message: 'JSON object requested, multiple (or no) rows returned' } };
+          };
+        }
+        // select, order, range, insert, update... keep chaining
+        return () => query;
+      }
+    });
+
+    return query;
+  };
+
+  return { from, storage: { from: () => ({}) } };
+};
+
+module.exports = { createFakeSupabase };
@@ -0,0 +1,135 @@
+// Every entry in config/routePermissions.js is enforced at runtime: no token gets 401, a signed-in
+// user without the required permission (or role) gets 403, and one who has it gets past auth.
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+const ROUTERS = {
+  '/api/portfolio': { file: 'portfolio', map: 'portfolio' },
+  '/api/galleries': { file: 'galleries', map: 'galleries' }
+};
+
+const PLACEHOLDER_ID = '00000000-0000-0000-0000-000000000000';
+
+let tables;
+let routePermissions;
+let PERMISSIONS;
+let generateToken;
+
+// For each permission: a role granting only it and a role granting everything else
+const buildRoles = (permissions) => [
+  { name: 'client', permissions: [] },
+  { name: 'staff', permissions: [] },
+  ...permissions.flatMap(permission => [
+    { name: `only:${permission}`, permissions: [permission] },
+    { name: `without:${permission}`, permissions: permissions.filter(other => other !== permission) }
+  ])
+];
+
+// Signed-in user with the given role; the auth middleware loads it from the users table
+const tokenFor = (role) => {
+  const user = { id: `user-${role}`, email: `${role}@example.com`, role, token_version: 0 };
+  if (!tables.users.some(existing => existing.id === user.id)) {
+    tables.users.push(user);
+  }
+  return generateToken({ userId: user.id, role, tokenVersion: 0 });
+};
+
+const createApp = (mountPath, router) => {
+  const { errorHandler } = require('../src/middlewares/errorHandler');
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+  app.use(errorHandler);
+  return app;
+};
+
+const send = (app, method, url, token) => {
+  let pending = request(app)[method.toLowerCase()](url);
+  if (token) pending = pending.set('Authorization', `Bearer ${token}`);
+  return pending;
+};
+
+// Who should be let through and who turned away for an access level or permission
+const getAccessCases = (access) => {
+  if (access === 'authenticated') {
+    return { allowed: 'staff', denied: null };
+  }
+  if (access === 'client') {
+    return { allowed: 'client', denied: 'staff' };
+  }
+  return { allowed: `only:${access}`, denied: `without:${access}` };
+};
+
+before(() => {
+  const { PERMISSIONS: permissions } = require('../src/config/permissions');
+  PERMISSIONS = permissions;
+  tables = { users: [], roles: buildRoles(Object.keys(PERMISSIONS)) };
+
+  // Route modules pick up the client through config/supabase, so swap it in before loading them
+  const supabasePath = require.resolve('../src/config/supabase');
+  require.cache[supabasePath] = {
+    id: supabasePath,
+    filename: supabasePath,
+    loaded: true,
+    exports: createFakeSupabase(tables)
+  };
+
+  routePermissions = require('../src/config/routePermissions');
+  ({ generateToken } = require('../src/utils/auth'));
+
+  // Route handlers log freely; keep the test output readable
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+});
+
+for (const [mountPath, { file, map }] of Object.entries(ROUTERS)) {
+  describe(mountPath, () => {
+    let app;
+
+    before(() => {
+      app = createApp(mountPath, require(path.join('../src/routes', file)));
+    });
+
+    test('every permission in the map is a known permission or access level', () => {
+      for (const [routeKey, access] of Object.entries(routePermissions[map])) {
+        const known = ['public', 'authenticated', 'client'].includes(access) || Boolean(PERMISSIONS[access]);
+        assert.ok(known, `${routeKey}: unknown access '${access}'`);
+      }
+    });
+
+    // Listed lazily: the map is only loaded once the fake client is in place
+    test('routes enforce their required permission', async (t) => {
+      for (const [routeKey, access] of Object.entries(routePermissions[map])) {
+        if (access === 'public') continue;
+
+        const [method, routePath] = routeKey.split(' ');
+        const url = mountPath + routePath.replace(/:\w+/g, PLACEHOLDER_ID);
+        const { allowed, denied } = getAccessCases(access);
+
+        await t.test(`${routeKey} requires ${access}`, async () => {
+          const anonymous = await send(app, method, url);
+          assert.equal(anonymous.status, 401, `no token: expected 401, got ${anonymous.status}`);
+
+          const invalid = await send(app, method, url, 'not-a-valid-token');
+          assert.equal(invalid.status, 401, `invalid token: expected 401, got ${invalid.status}`);
+
+          if (denied) {
+            const forbidden = await send(app, method, url, tokenFor(denied));
+            assert.equal(forbidden.status, 403, `role '${denied}': expected 403, got ${forbidden.status}`);
+          }
+
+          const permitted = await send(app, method, url, tokenFor(allowed));
+          assert.ok(
+            ![401, 403].includes(permitted.status),
+            `role '${allowed}': expected to get past auth, got ${permitted.status}`
+          );
+        });
+      }
+    });
+  });
+}